@@ -1,6 +1,7 @@
-import { readFile, unlink, writeFile } from 'node:fs/promises';
+import { readFile, rename, unlink, writeFile } from 'node:fs/promises';
 import path from 'node:path';
 import { fileURLToPath } from 'node:url';
+import { parseJsonText, requestCompletion } from '../../../agent/src/lib/llm.js';
 import {
     normalizeAddressOrThrow,
     normalizeHashOrNull,
@@ -94,6 +95,8 @@ let singleFireReconciledOnchain = false;
 const normalizeAddress = normalizeAddressOrThrow;
 const normalizeHash = normalizeHashOrNull;
 
+// The lock's own file, used when the runner's state store is not durable (STATE_STORE=memory).
+// With a durable store, a lock found here is imported into the store once and the file retired.
 function getSingleFireStatePath() {
     const fromEnv = process.env.PRICE_RACE_SWAP_STATE_FILE;
     if (fromEnv && String(fromEnv).trim().length > 0) {
@@ -116,38 +119,71 @@ function resolveSubmittedProposalHash(parsedOutput) {
     return txHash ?? legacyHash;
 }
 
-async function persistSingleFireState() {
-    const payload = JSON.stringify(
-        {
-            proposalSubmitted: singleFireState.proposalSubmitted,
-            proposalHash: singleFireState.proposalHash,
-        },
-        null,
-        2
+function singleFirePayload() {
+    return {
+        proposalSubmitted: singleFireState.proposalSubmitted,
+        proposalHash: singleFireState.proposalHash,
+    };
+}
+
+// The lock is kept in the module's namespace of the runner's state store when that store survives
+// restarts, and in its own file otherwise, so a restart never forgets a submitted proposal.
+async function persistSingleFireState(stateStore) {
+    if (stateStore?.durable) {
+        await stateStore.write({ singleFire: singleFirePayload() });
+        return;
+    }
+    await writeFile(
+        getSingleFireStatePath(),
+        JSON.stringify(singleFirePayload(), null, 2),
+        'utf8'
     );
-    await writeFile(getSingleFireStatePath(), payload, 'utf8');
 }
 
-async function hydrateSingleFireState() {
-    if (singleFireStateHydrated) return;
-    singleFireStateHydrated = true;
+async function readSingleFireFile() {
     try {
-        const raw = await readFile(getSingleFireStatePath(), 'utf8');
-        const parsed = JSON.parse(raw);
-        singleFireState.proposalSubmitted = Boolean(parsed?.proposalSubmitted);
-        singleFireState.proposalHash = normalizeHash(parsed?.proposalHash) ?? null;
+        return JSON.parse(await readFile(getSingleFireStatePath(), 'utf8'));
     } catch (error) {
         // Missing/corrupt state file means unlocked unless chain reconciliation proves otherwise.
+        return undefined;
+    }
+}
+
+function applySingleFireState(source) {
+    singleFireState.proposalSubmitted = Boolean(source?.proposalSubmitted);
+    singleFireState.proposalHash = normalizeHash(source?.proposalHash) ?? null;
+}
+
+async function hydrateSingleFireState(stateStore) {
+    if (singleFireStateHydrated) return;
+    singleFireStateHydrated = true;
+    if (!stateStore?.durable) {
+        const fromFile = await readSingleFireFile();
+        if (fromFile) applySingleFireState(fromFile);
+        return;
     }
+    const stored = (await stateStore.read())?.singleFire;
+    if (stored) {
+        applySingleFireState(stored);
+        return;
+    }
+    const legacy = await readSingleFireFile();
+    if (!legacy) return;
+    applySingleFireState(legacy);
+    await persistSingleFireState(stateStore);
+    // Renamed rather than deleted so the imported lock can still be inspected, but never read
+    // again: a later empty store must not bring an old lock back.
+    const legacyPath = getSingleFireStatePath();
+    await rename(legacyPath, `${legacyPath}.migrated`);
 }
 
-async function lockSingleFire({ proposalHash = null } = {}) {
+async function lockSingleFire({ proposalHash = null, stateStore } = {}) {
     singleFireState.proposalSubmitted = true;
     singleFireState.proposalHash = normalizeHash(proposalHash) ?? singleFireState.proposalHash;
-    await persistSingleFireState();
+    await persistSingleFireState(stateStore);
 }
 
-async function reconcileSingleFireFromChain({ publicClient }) {
+async function reconcileSingleFireFromChain({ publicClient, stateStore }) {
     if (singleFireReconciledOnchain) return;
     singleFireReconciledOnchain = true;
     if (!publicClient || singleFireState.proposalSubmitted) return;
@@ -178,7 +214,7 @@ async function reconcileSingleFireFromChain({ publicClient }) {
         });
         if (logs.length > 0) {
             const hash = normalizeHash(logs[logs.length - 1]?.args?.proposalHash);
-            await lockSingleFire({ proposalHash: hash });
+            await lockSingleFire({ proposalHash: hash, stateStore });
             return;
         }
         if (currentFrom === configuredStart) break;
@@ -193,22 +229,6 @@ function normalizeComparator(value) {
     throw new Error(`Unsupported comparator: ${value}`);
 }
 
-function extractFirstText(responseJson) {
-    const outputs = responseJson?.output;
-    if (!Array.isArray(outputs)) return '';
-
-    for (const item of outputs) {
-        if (!item?.content) continue;
-        for (const chunk of item.content) {
-            if (chunk?.text) return chunk.text;
-            if (chunk?.output_text) return chunk.output_text?.text ?? '';
-            if (chunk?.text?.value) return chunk.text.value;
-        }
-    }
-
-    return '';
-}
-
 function sanitizeInferredTriggers(rawTriggers) {
     if (!Array.isArray(rawTriggers)) {
         return [];
@@ -275,7 +295,7 @@ function sanitizeInferredTriggers(rawTriggers) {
 }
 
 async function getPriceTriggers({ commitmentText, config }) {
-    if (!commitmentText || !config?.openAiApiKey) {
+    if (!commitmentText || !config?.llmEnabled) {
         return [];
     }
 
@@ -283,9 +303,10 @@ async function getPriceTriggers({ commitmentText, config }) {
         return inferredTriggersCache.get(commitmentText);
     }
 
-    const payload = {
-        model: config.openAiModel,
-        input: [
+    const response = await requestCompletion({
+        config,
+        call: 'infer_triggers',
+        messages: [
             {
                 role: 'system',
                 content:
@@ -296,25 +317,9 @@ async function getPriceTriggers({ commitmentText, config }) {
                 content: commitmentText,
             },
         ],
-        text: { format: { type: 'json_object' } },
-    };
-
-    const res = await fetch(`${config.openAiBaseUrl}/responses`, {
-        method: 'POST',
-        headers: {
-            Authorization: `Bearer ${config.openAiApiKey}`,
-            'Content-Type': 'application/json',
-        },
-        body: JSON.stringify(payload),
+        json: true,
     });
-
-    if (!res.ok) {
-        const text = await res.text();
-        throw new Error(`OpenAI API error while inferring triggers: ${res.status} ${text}`);
-    }
-
-    const json = await res.json();
-    const raw = extractFirstText(json);
+    const raw = response.text;
     if (!raw) {
         inferredTriggersCache.set(commitmentText, []);
         return [];
@@ -322,7 +327,7 @@ async function getPriceTriggers({ commitmentText, config }) {
 
     let parsed;
     try {
-        parsed = JSON.parse(raw);
+        parsed = parseJsonText(raw);
     } catch (error) {
         throw new Error(`Failed to parse inferred trigger JSON: ${raw}`);
     }
@@ -541,9 +546,10 @@ async function validateToolCalls({
     publicClient,
     config,
     onchainPendingProposal,
+    stateStore,
 }) {
-    await hydrateSingleFireState();
-    await reconcileSingleFireFromChain({ publicClient });
+    await hydrateSingleFireState(stateStore);
+    await reconcileSingleFireFromChain({ publicClient, stateStore });
 
     const validated = [];
     const safeAddress = commitmentSafe ? String(commitmentSafe).toLowerCase() : null;
@@ -708,17 +714,17 @@ function getSystemPrompt({ proposeEnabled, disputeEnabled, commitmentText }) {
         .join(' ');
 }
 
-async function onToolOutput({ name, parsedOutput }) {
+async function onToolOutput({ name, parsedOutput, stateStore }) {
     if (!name || !parsedOutput || parsedOutput.status !== 'submitted') return;
     if (name !== 'post_bond_and_propose' && name !== 'auto_post_bond_and_propose') return;
     const proposalHash = resolveSubmittedProposalHash(parsedOutput);
     if (!proposalHash) return;
-    await lockSingleFire({ proposalHash });
+    await lockSingleFire({ proposalHash, stateStore });
 }
 
-function onProposalEvents({ executedProposalCount = 0 }) {
+async function onProposalEvents({ executedProposalCount = 0, stateStore }) {
     if (executedProposalCount > 0) {
-        void lockSingleFire();
+        await lockSingleFire({ stateStore });
     }
 }
 
@@ -726,17 +732,21 @@ function getSingleFireState() {
     return { ...singleFireState };
 }
 
-function resetSingleFireState() {
+async function resetSingleFireState({ stateStore } = {}) {
     singleFireState.proposalSubmitted = false;
     singleFireState.proposalHash = null;
     singleFireStateHydrated = true;
     singleFireReconciledOnchain = false;
-    void unlink(getSingleFireStatePath()).catch(() => {});
+    if (stateStore?.durable) {
+        await persistSingleFireState(stateStore);
+        return;
+    }
+    await unlink(getSingleFireStatePath()).catch(() => {});
 }
 
-async function reconcileProposalSubmission({ publicClient }) {
-    await hydrateSingleFireState();
-    await reconcileSingleFireFromChain({ publicClient });
+async function reconcileProposalSubmission({ publicClient, stateStore }) {
+    await hydrateSingleFireState(stateStore);
+    await reconcileSingleFireFromChain({ publicClient, stateStore });
 }
 
 export {
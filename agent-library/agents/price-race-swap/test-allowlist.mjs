@@ -1,4 +1,8 @@
 import assert from 'node:assert/strict';
+import { access, mkdtemp, readFile, rm, writeFile } from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { createStateStore } from '../../../agent/src/lib/state-store.js';
 import {
     getSingleFireState,
     onProposalEvents,
@@ -251,6 +255,87 @@ async function run() {
     await new Promise((resolve) => setTimeout(resolve, 0));
     assert.equal(getSingleFireState().proposalSubmitted, true);
 
+    // With a durable state store the lock lives in the module's namespace. A lock from the old
+    // PRICE_RACE_SWAP_STATE_FILE is imported into the store once and the file is retired.
+    const dir = await mkdtemp(path.join(os.tmpdir(), 'price-race-swap-'));
+    try {
+        const legacyPath = path.join(dir, 'single-fire.json');
+        const legacyHash = `0x${'ef'.repeat(32)}`;
+        await writeFile(
+            legacyPath,
+            JSON.stringify({ proposalSubmitted: true, proposalHash: legacyHash }),
+            'utf8'
+        );
+        process.env.PRICE_RACE_SWAP_STATE_FILE = legacyPath;
+        const stateStore = (
+            await createStateStore({ kind: 'json', filePath: path.join(dir, 'state.json') })
+        ).scoped('agent:price-race-swap');
+
+        const migrated = await import('./agent.js?instance=legacy');
+        await migrated.reconcileProposalSubmission({ stateStore });
+        assert.deepEqual(migrated.getSingleFireState(), {
+            proposalSubmitted: true,
+            proposalHash: legacyHash,
+        });
+        assert.deepEqual(await stateStore.read(), {
+            singleFire: { proposalSubmitted: true, proposalHash: legacyHash },
+        });
+        await assert.rejects(access(legacyPath), { code: 'ENOENT' });
+        await access(`${legacyPath}.migrated`);
+
+        const restarted = await import('./agent.js?instance=restarted');
+        await restarted.reconcileProposalSubmission({ stateStore });
+        assert.equal(restarted.getSingleFireState().proposalSubmitted, true);
+
+        await restarted.resetSingleFireState({ stateStore });
+        assert.deepEqual(await stateStore.read(), {
+            singleFire: { proposalSubmitted: false, proposalHash: null },
+        });
+        await restarted.onToolOutput({
+            name: 'auto_post_bond_and_propose',
+            parsedOutput: { status: 'submitted', ogProposalHash: legacyHash },
+            stateStore,
+        });
+        assert.equal((await stateStore.read()).singleFire.proposalSubmitted, true);
+
+        // A fresh durable store does not bring the retired lock back.
+        const freshStore = (
+            await createStateStore({ kind: 'json', filePath: path.join(dir, 'fresh.json') })
+        ).scoped('agent:price-race-swap');
+        const fresh = await import('./agent.js?instance=fresh');
+        await fresh.reconcileProposalSubmission({ stateStore: freshStore });
+        assert.equal(fresh.getSingleFireState().proposalSubmitted, false);
+
+        // STATE_STORE=memory forgets everything on restart, so the lock stays in its file.
+        const filePath = path.join(dir, 'memory-run.json');
+        process.env.PRICE_RACE_SWAP_STATE_FILE = filePath;
+        const memoryStore = (await createStateStore({ kind: 'memory' })).scoped(
+            'agent:price-race-swap'
+        );
+        const inMemory = await import('./agent.js?instance=memory');
+        await inMemory.reconcileProposalSubmission({ stateStore: memoryStore });
+        await inMemory.onToolOutput({
+            name: 'auto_post_bond_and_propose',
+            parsedOutput: { status: 'submitted', ogProposalHash: legacyHash },
+            stateStore: memoryStore,
+        });
+        assert.equal(await memoryStore.read(), undefined);
+        assert.deepEqual(JSON.parse(await readFile(filePath, 'utf8')), {
+            proposalSubmitted: true,
+            proposalHash: legacyHash,
+        });
+        const afterRestart = await import('./agent.js?instance=memory-restarted');
+        await afterRestart.reconcileProposalSubmission({
+            stateStore: (await createStateStore({ kind: 'memory' })).scoped(
+                'agent:price-race-swap'
+            ),
+        });
+        assert.equal(afterRestart.getSingleFireState().proposalSubmitted, true);
+    } finally {
+        delete process.env.PRICE_RACE_SWAP_STATE_FILE;
+        await rm(dir, { recursive: true, force: true });
+    }
+
     console.log('[test] allowlist validation OK');
 }
 
@@ -0,0 +1,114 @@
+import dotenv from 'dotenv';
+import { readFile } from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath, pathToFileURL } from 'node:url';
+import { createPublicClient, http } from 'viem';
+import { buildConfig } from '../src/lib/config.js';
+import { configureLogger } from '../src/lib/logger.js';
+import { replayDecision } from '../src/lib/replay.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const repoRoot = path.resolve(__dirname, '../..');
+
+function getArgValue(prefix) {
+    const arg = process.argv.find((value) => value.startsWith(prefix));
+    return arg ? arg.slice(prefix.length) : null;
+}
+
+// Usage: node scripts/replay-decisions.mjs --journal=<path> [--decision=<decisionId>]
+//   [--module=<agent>] [--recordings=<path>]
+// RPC_URL should point at a local fork pinned to the decision's block, e.g.
+//   anvil --fork-url $MAINNET_RPC --fork-block-number <latestBlock>
+async function main() {
+    dotenv.config();
+    dotenv.config({ path: path.resolve(repoRoot, 'agent/.env') });
+
+    const journalPath = getArgValue('--journal=');
+    if (!journalPath) {
+        throw new Error('Pass --journal=<path to a DECISION_JOURNAL_PATH file>.');
+    }
+    const decisionId = getArgValue('--decision=');
+    const recordingsPath = getArgValue('--recordings=');
+    const config = {
+        ...buildConfig(),
+        agentModule: getArgValue('--module=') ?? process.env.AGENT_MODULE,
+        llmRecordingsPath: recordingsPath ?? undefined,
+    };
+    configureLogger({ format: config.logFormat, level: config.logLevel });
+
+    const agentRef = config.agentModule ?? 'default';
+    const modulePath = path.resolve(
+        repoRoot,
+        agentRef.includes('/') ? agentRef : `agent-library/agents/${agentRef}/agent.js`
+    );
+    const agentModule = await import(pathToFileURL(modulePath).href);
+    let commitmentText = '';
+    try {
+        commitmentText = (
+            await readFile(path.join(path.dirname(modulePath), 'commitment.txt'), 'utf8')
+        ).trim();
+    } catch (error) {
+        console.warn('[replay] Missing commitment.txt next to agent module.');
+    }
+
+    const publicClient = createPublicClient({ transport: http(config.rpcUrl) });
+    const forkBlock = await publicClient.getBlockNumber();
+    const raw = await readFile(path.resolve(repoRoot, journalPath), 'utf8');
+    const entries = raw
+        .split('\n')
+        .filter((line) => line.trim())
+        .map((line) => JSON.parse(line))
+        .filter((entry) => !decisionId || entry.decisionId === decisionId);
+    if (entries.length === 0) {
+        throw new Error('No matching journal entries.');
+    }
+
+    let mismatches = 0;
+    for (const entry of entries) {
+        if (!entry.replay) {
+            console.log(`[replay] ${entry.decisionId}: skipped (no replay section).`);
+            continue;
+        }
+        let result;
+        try {
+            result = await replayDecision({
+                entry,
+                agentModule,
+                commitmentText,
+                config,
+                publicClient,
+                replayLlm: Boolean(recordingsPath),
+            });
+        } catch (error) {
+            if (error?.code !== 'LLM_RECORDING_MISSING') throw error;
+            mismatches += 1;
+            console.log(`[replay] ${entry.decisionId}: DIFFERS (the prompt was never recorded)`);
+            continue;
+        }
+        const ok = result.signalsMatch && result.toolCallsMatch;
+        if (!ok) mismatches += 1;
+        console.log(
+            `[replay] ${result.decisionId}: ${ok ? 'identical' : 'DIFFERS'} (block ${result.latestBlock}, fork at ${forkBlock})`
+        );
+        if (!result.signalsMatch) console.log('  enriched signals differ from the journal');
+        if (!result.toolCallsMatch) {
+            console.log(`  expected tool calls: ${JSON.stringify(result.expectedToolCalls)}`);
+            console.log(`  replayed tool calls: ${JSON.stringify(result.actualToolCalls)}`);
+        }
+        if (result.enrichError) console.log(`  enrichSignals failed: ${result.enrichError}`);
+        if (result.validationError) console.log(`  validateToolCalls: ${result.validationError}`);
+        if (result.followUpsSkipped > 0) {
+            console.log(`  ${result.followUpsSkipped} follow-up turn(s) not replayed`);
+        }
+    }
+
+    if (mismatches > 0) {
+        process.exitCode = 1;
+    }
+}
+
+main().catch((error) => {
+    console.error('[replay] failed:', error.message ?? error);
+    process.exit(1);
+});
@@ -0,0 +1,247 @@
+import assert from 'node:assert/strict';
+import { getAddress, zeroAddress } from 'viem';
+import { bondOutcome, createAssertionTracker } from '../src/lib/assertion-tracker.js';
+
+const AGENT = getAddress('0x00000000000000000000000000000000000000a1');
+const OTHER = getAddress('0x00000000000000000000000000000000000000b2');
+const ORACLE = getAddress('0x00000000000000000000000000000000000000c3');
+const USDC = getAddress('0x00000000000000000000000000000000000000d4');
+const OWN_ID = `0x${'1'.repeat(64)}`;
+const DISPUTED_ID = `0x${'2'.repeat(64)}`;
+const LOST_ID = `0x${'3'.repeat(64)}`;
+
+function assertionState({
+    asserter = AGENT,
+    disputer = zeroAddress,
+    settled = false,
+    resolution = false,
+}) {
+    return {
+        asserter,
+        disputer,
+        settled,
+        settlementResolution: resolution,
+        currency: USDC,
+        bond: 100n,
+        expirationTime: 1_000n,
+    };
+}
+
+function createMocks() {
+    const state = {
+        assertions: new Map(),
+        logs: [],
+        writes: [],
+        simulateError: undefined,
+    };
+    const publicClient = {
+        readContract: async ({ functionName, args }) => {
+            if (functionName === 'burnedBondPercentage') return 5n * 10n ** 17n;
+            return state.assertions.get(args[0]);
+        },
+        simulateContract: async () => {
+            if (state.simulateError) throw state.simulateError;
+        },
+        waitForTransactionReceipt: async () => ({ status: 'success' }),
+    };
+    const walletClient = {
+        writeContract: async (request) => {
+            state.writes.push(request);
+            return `0x${'5'.repeat(64)}`;
+        },
+    };
+    const logFetcher = {
+        getLogs: async ({ event, args }) =>
+            state.logs.filter((log) => {
+                if (log.eventName !== event.name) return false;
+                if (args.disputer) return log.args.disputer === args.disputer;
+                return args.assertionId.includes(log.args.assertionId);
+            }),
+    };
+    return { state, publicClient, walletClient, logFetcher };
+}
+
+async function run() {
+    assert.deepEqual(
+        bondOutcome({
+            record: { bond: 100n, disputed: true, bondRecipient: AGENT },
+            agentAddress: AGENT,
+            burnedBondPercentage: 5n * 10n ** 17n,
+        }),
+        { bondReturned: 150n, bondPnl: 50n }
+    );
+
+    const { state, publicClient, walletClient, logFetcher } = createMocks();
+    let now = 0;
+    const tracker = createAssertionTracker({
+        publicClient,
+        walletClient,
+        account: { address: AGENT },
+        logFetcher,
+        settleRetryMs: 1_000,
+        nowMs: () => now,
+    });
+
+    // Only the agent's own proposals are tracked as asserter.
+    tracker.trackProposals([
+        { proposer: AGENT, assertionId: OWN_ID, proposalHash: '0xaa' },
+        { proposer: OTHER, assertionId: LOST_ID, proposalHash: '0xbb' },
+    ]);
+    state.assertions.set(OWN_ID, assertionState({}));
+    let signals = await tracker.poll({
+        optimisticOracle: ORACLE,
+        fromBlock: 1n,
+        toBlock: 5n,
+        chainNowSec: 500n,
+    });
+    assert.deepEqual(signals, []);
+    assert.equal(tracker.entries().length, 1);
+
+    // An expired assertion whose proposal is still awaiting execution is left to executeProposal.
+    signals = await tracker.poll({
+        optimisticOracle: ORACLE,
+        fromBlock: 6n,
+        toBlock: 5n,
+        chainNowSec: 1_500n,
+        pendingAssertionIds: new Set([OWN_ID]),
+    });
+    assert.equal(state.writes.length, 0);
+
+    signals = await tracker.poll({ optimisticOracle: ORACLE, chainNowSec: 1_500n });
+    assert.equal(state.writes.length, 1);
+    assert.equal(state.writes[0].functionName, 'settleAssertion');
+    assert.equal(state.writes[0].action, 'settle');
+    assert.deepEqual(state.writes[0].args, [OWN_ID]);
+
+    // The settlement log closes the assertion; an undisputed assertion gets its bond back.
+    state.logs.push({
+        eventName: 'AssertionSettled',
+        blockNumber: 7n,
+        logIndex: 0,
+        transactionHash: '0xsettle',
+        args: {
+            assertionId: OWN_ID,
+            bondRecipient: AGENT,
+            disputed: false,
+            settlementResolution: true,
+            settleCaller: AGENT,
+        },
+    });
+    // The agent disputed someone else's assertion in the same range and won.
+    state.assertions.set(DISPUTED_ID, assertionState({ asserter: OTHER, disputer: AGENT }));
+    state.logs.push(
+        {
+            eventName: 'AssertionDisputed',
+            blockNumber: 6n,
+            logIndex: 1,
+            transactionHash: '0xdispute',
+            args: { assertionId: DISPUTED_ID, caller: AGENT, disputer: AGENT },
+        },
+        {
+            eventName: 'AssertionSettled',
+            blockNumber: 7n,
+            logIndex: 2,
+            transactionHash: '0xsettle2',
+            args: {
+                assertionId: DISPUTED_ID,
+                bondRecipient: AGENT,
+                disputed: true,
+                settlementResolution: false,
+                settleCaller: OTHER,
+            },
+        }
+    );
+    signals = await tracker.poll({
+        optimisticOracle: ORACLE,
+        fromBlock: 6n,
+        toBlock: 7n,
+        chainNowSec: 1_600n,
+    });
+    assert.deepEqual(
+        signals.map(({ kind, assertionId, role }) => [kind, assertionId, role]),
+        [
+            ['assertionDisputed', DISPUTED_ID, 'disputer'],
+            ['assertionSettled', OWN_ID, 'asserter'],
+            ['assertionSettled', DISPUTED_ID, 'disputer'],
+        ]
+    );
+    assert.equal(signals[0].asserter, OTHER);
+    assert.equal(signals[1].bondPnl, 0n);
+    assert.equal(signals[1].bondReturned, 100n);
+    assert.equal(signals[1].transactionHash, '0xsettle');
+    assert.equal(signals[2].bondReturned, 150n);
+    assert.equal(signals[2].bondPnl, 50n);
+    assert.equal(signals[2].settleCaller, OTHER);
+
+    // Settled assertions are not reported twice.
+    signals = await tracker.poll({
+        optimisticOracle: ORACLE,
+        fromBlock: 6n,
+        toBlock: 7n,
+        chainNowSec: 1_700n,
+    });
+    assert.deepEqual(signals, []);
+
+    // After a restart, a dispute and settlement missed while offline are read off getAssertion
+    // once the assertion is due.
+    const restarted = createAssertionTracker({
+        publicClient,
+        walletClient,
+        account: { address: AGENT },
+        logFetcher,
+        settleEnabled: false,
+        nowMs: () => now,
+    });
+    restarted.restore(tracker.entries());
+    restarted.trackProposals([{ proposer: AGENT, assertionId: LOST_ID, proposalHash: '0xcc' }]);
+    state.assertions.set(
+        LOST_ID,
+        assertionState({ disputer: OTHER, settled: true, resolution: false })
+    );
+    now += 10_000;
+    signals = await restarted.poll({ optimisticOracle: ORACLE, chainNowSec: 1_500n });
+    assert.deepEqual(
+        signals.map(({ kind, assertionId }) => [kind, assertionId]),
+        [
+            ['assertionDisputed', LOST_ID],
+            ['assertionSettled', LOST_ID],
+        ]
+    );
+    assert.equal(signals[0].disputer, OTHER);
+    assert.equal(signals[1].bondRecipient, OTHER);
+    assert.equal(signals[1].bondPnl, -100n);
+    assert.equal(state.writes.length, 1);
+
+    // A disputed assertion the DVM has not resolved yet stays open and is retried later.
+    const pending = createAssertionTracker({
+        publicClient,
+        walletClient,
+        account: { address: AGENT },
+        logFetcher,
+        settleRetryMs: 1_000,
+        nowMs: () => now,
+    });
+    const waitingId = `0x${'4'.repeat(64)}`;
+    state.assertions.set(waitingId, assertionState({ disputer: OTHER }));
+    pending.trackProposals([{ proposer: AGENT, assertionId: waitingId }]);
+    state.simulateError = new Error('Assertion not resolved');
+    signals = await pending.poll({ optimisticOracle: ORACLE, chainNowSec: 1_500n });
+    assert.deepEqual(
+        signals.map(({ kind }) => kind),
+        ['assertionDisputed']
+    );
+    assert.equal(state.writes.length, 1);
+    state.simulateError = undefined;
+    await pending.poll({ optimisticOracle: ORACLE, chainNowSec: 1_500n });
+    assert.equal(state.writes.length, 1);
+    now += 1_000;
+    await pending.poll({ optimisticOracle: ORACLE, chainNowSec: 1_500n });
+    assert.equal(state.writes.length, 2);
+
+    console.log('[test] assertion tracker OK');
+}
+
+run().catch((error) => {
+    console.error(error);
+    process.exit(1);
+});
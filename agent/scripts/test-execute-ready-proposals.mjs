@@ -0,0 +1,173 @@
+import assert from 'node:assert/strict';
+import { decodeFunctionData, encodeFunctionData, erc20Abi } from 'viem';
+import { MULTICALL3_ADDRESS } from '../src/lib/execution-simulation.js';
+import { optimisticGovernorAbi } from '../src/lib/og.js';
+import { executeReadyProposals } from '../src/lib/polling.js';
+import { decodeProposalTransactions, summarizeValueMoved } from '../src/lib/proposal-decoder.js';
+
+const OG_MODULE = '0x00000000000000000000000000000000000000d0';
+const AGENT = '0x00000000000000000000000000000000000000A1';
+const OTHER = '0x00000000000000000000000000000000000000b2';
+const USDC = '0x1c7D4B196Cb0C7B01d743Fbc6116a902379C7238';
+const VAULT = '0x00000000000000000000000000000000000000C3';
+
+function transfer(amount) {
+    return {
+        to: USDC,
+        operation: 0,
+        value: 0n,
+        data: encodeFunctionData({
+            abi: erc20Abi,
+            functionName: 'transfer',
+            args: [OTHER, amount],
+        }),
+    };
+}
+
+function proposal(label, { proposer = AGENT, transactions = [transfer(1_000_000n)] } = {}) {
+    return {
+        proposalHash: `0x${label.repeat(64)}`,
+        proposer,
+        challengeWindowEnds: 100n,
+        transactions,
+        lastAttemptMs: 0,
+    };
+}
+
+function createMocks({ failBatchSimulation = false } = {}) {
+    const writes = [];
+    const publicClient = {
+        getBlockNumber: async () => 10n,
+        getBlock: async () => ({ timestamp: 200n }),
+        getGasPrice: async () => 10n,
+        estimateContractGas: async () => 100_000n,
+        readContract: async ({ functionName }) => {
+            if (functionName === 'decimals') return 6;
+            return `0x${'1'.repeat(64)}`;
+        },
+        simulateContract: async ({ address }) => {
+            if (failBatchSimulation && address === MULTICALL3_ADDRESS) {
+                throw new Error('batch reverted');
+            }
+        },
+    };
+    const walletClient = {
+        writeContract: async (request) => {
+            writes.push(request);
+            return `0x${String(writes.length).padStart(64, '0')}`;
+        },
+    };
+    return { publicClient, walletClient, writes };
+}
+
+function execute({ publicClient, walletClient, proposals, ...options }) {
+    return executeReadyProposals({
+        publicClient,
+        walletClient,
+        account: { address: AGENT },
+        ogModule: OG_MODULE,
+        proposalsByHash: new Map(proposals.map((item) => [item.proposalHash, item])),
+        executeRetryMs: 60_000,
+        ...options,
+    });
+}
+
+async function run() {
+    const moved = summarizeValueMoved(
+        decodeProposalTransactions([
+            transfer(5n),
+            transfer(7n),
+            { to: OTHER, operation: 0, value: 3n, data: '0x' },
+        ])
+    );
+    assert.equal(moved.nativeWei, 3n);
+    assert.equal(moved.tokenAmounts.get(USDC.toLowerCase()), 12n);
+    assert.equal(moved.unknown, false);
+    const vaultCall = { to: VAULT, operation: 0, value: 0n, data: '0xdeadbeef' };
+    assert.equal(summarizeValueMoved(decodeProposalTransactions([vaultCall])).unknown, true);
+
+    // Only proposals authored by the agent are executed when asked to.
+    let mocks = createMocks();
+    await execute({
+        ...mocks,
+        proposals: [proposal('a'), proposal('b', { proposer: OTHER })],
+        ownProposalsOnly: true,
+    });
+    assert.equal(mocks.writes.length, 1);
+    assert.equal(mocks.writes[0].address, OG_MODULE);
+    assert.equal(mocks.writes[0].action, 'execute');
+
+    // Several ready proposals go out as one atomic Multicall3 aggregate3.
+    mocks = createMocks();
+    const batch = [proposal('a'), proposal('b', { proposer: OTHER })];
+    await execute({ ...mocks, proposals: batch, batchMulticall: true });
+    assert.equal(mocks.writes.length, 1);
+    assert.equal(mocks.writes[0].address, MULTICALL3_ADDRESS);
+    assert.equal(mocks.writes[0].functionName, 'aggregate3');
+    const calls = mocks.writes[0].args[0];
+    assert.deepEqual(
+        calls.map((call) => [call.target, call.allowFailure]),
+        [
+            [OG_MODULE, false],
+            [OG_MODULE, false],
+        ]
+    );
+    assert.deepEqual(
+        decodeFunctionData({ abi: optimisticGovernorAbi, data: calls[1].callData }).args[0],
+        batch[1].transactions
+    );
+
+    // A batch that would revert falls back to individual executions.
+    mocks = createMocks({ failBatchSimulation: true });
+    await execute({
+        ...mocks,
+        proposals: [proposal('a'), proposal('b')],
+        batchMulticall: true,
+    });
+    assert.deepEqual(
+        mocks.writes.map((write) => write.address),
+        [OG_MODULE, OG_MODULE]
+    );
+
+    // Gas guard: 100k gas at 10 wei = 1e6 wei. At 1e6 wei per USDC, a 1 USDC transfer moves 1e6
+    // wei, so a 100 bps (1%) threshold skips it while a 10 000 USDC transfer passes.
+    mocks = createMocks();
+    const small = proposal('a');
+    const large = proposal('b', { transactions: [transfer(10_000_000_000n)] });
+    const unpriced = proposal('c', { transactions: [vaultCall] });
+    // An approval or CTF redeem moves nothing out of the Safe, so there is nothing to weigh the
+    // gas against; it is executed rather than skipped forever.
+    const approval = proposal('d', {
+        transactions: [
+            {
+                to: USDC,
+                operation: 0,
+                value: 0n,
+                data: encodeFunctionData({
+                    abi: erc20Abi,
+                    functionName: 'approve',
+                    args: [OTHER, 1_000_000n],
+                }),
+            },
+        ],
+    });
+    await execute({
+        ...mocks,
+        proposals: [small, large, unpriced, approval],
+        maxGasCostBps: 100n,
+        tokenValuesWei: { [USDC.toLowerCase()]: 1_000_000n },
+    });
+    assert.deepEqual(
+        mocks.writes.map((write) => write.args[0]),
+        [large.transactions, unpriced.transactions, approval.transactions]
+    );
+    // The skipped proposal is reconsidered after EXECUTE_RETRY_MS like a failed simulation.
+    assert.ok(small.lastAttemptMs > 0);
+
+    console.log('[test] execute ready proposals OK');
+}
+
+run().catch((error) => {
+    console.error(error);
+    process.exit(1);
+});
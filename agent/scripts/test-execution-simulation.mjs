@@ -0,0 +1,194 @@
+import assert from 'node:assert/strict';
+import {
+    decodeFunctionData,
+    encodeAbiParameters,
+    encodeErrorResult,
+    encodeFunctionData,
+    encodeFunctionResult,
+    erc20Abi,
+    multicall3Abi,
+    parseAbi,
+} from 'viem';
+import { simulateProposalExecution } from '../src/lib/execution-simulation.js';
+import { executeToolCalls } from '../src/lib/tools.js';
+
+const SAFE = '0x1234000000000000000000000000000000000000';
+const OG_MODULE = '0x00000000000000000000000000000000000000d0';
+const TOKEN = '0x1c7D4B196Cb0C7B01d743Fbc6116a902379C7238';
+const OTHER_TOKEN = '0x00000000000000000000000000000000000000E0';
+const RECIPIENT = '0x00000000000000000000000000000000000000b2';
+const MULTICALL_CODE = '0x6080604052';
+
+const safeModuleAbi = parseAbi([
+    'function execTransactionFromModuleReturnData(address to, uint256 value, bytes data, uint8 operation) returns (bool success, bytes returnData)',
+]);
+const errorAbi = parseAbi(['error Error(string)']);
+
+function uint(value) {
+    return encodeAbiParameters([{ type: 'uint256' }], [value]);
+}
+
+function transferData(amount) {
+    return encodeFunctionData({
+        abi: erc20Abi,
+        functionName: 'transfer',
+        args: [RECIPIENT, amount],
+    });
+}
+
+// Pretends to be a node running aggregate3 at the OG module address: the Safe holds 100 TOKEN
+// and 5 wei, transfers of TOKEN up to the balance succeed, anything else reverts.
+function createPublicClient({ tokenBalance = 100n } = {}) {
+    const calls = [];
+    const client = {
+        getCode: async ({ address }) => {
+            calls.push(['getCode', address]);
+            return MULTICALL_CODE;
+        },
+        call: async ({ to, data, stateOverride }) => {
+            calls.push(['call', to, stateOverride]);
+            const { functionName, args } = decodeFunctionData({ abi: multicall3Abi, data });
+            assert.equal(functionName, 'aggregate3');
+            let balance = tokenBalance;
+            let executed = false;
+            const results = args[0].map(({ target, callData }) => {
+                if (target === OG_MODULE) {
+                    return { success: true, returnData: uint(5n) };
+                }
+                if (target === TOKEN) {
+                    return { success: true, returnData: uint(executed ? balance : tokenBalance) };
+                }
+                if (target === SAFE) {
+                    executed = true;
+                    const decoded = decodeFunctionData({ abi: safeModuleAbi, data: callData });
+                    const [txTo, , txData] = decoded.args;
+                    const transfer = decodeFunctionData({ abi: erc20Abi, data: txData });
+                    const amount = transfer.args[1];
+                    const ok = txTo === TOKEN && amount <= balance;
+                    if (ok) balance -= amount;
+                    return {
+                        success: true,
+                        returnData: encodeFunctionResult({
+                            abi: safeModuleAbi,
+                            functionName: 'execTransactionFromModuleReturnData',
+                            result: [
+                                ok,
+                                ok
+                                    ? '0x'
+                                    : encodeErrorResult({
+                                          abi: errorAbi,
+                                          errorName: 'Error',
+                                          args: ['ERC20: transfer amount exceeds balance'],
+                                      }),
+                            ],
+                        }),
+                    };
+                }
+                return { success: false, returnData: '0x' };
+            });
+            return {
+                data: encodeFunctionResult({
+                    abi: multicall3Abi,
+                    functionName: 'aggregate3',
+                    result: results,
+                }),
+            };
+        },
+    };
+    return { calls, client };
+}
+
+async function run() {
+    const passing = createPublicClient();
+    const ok = await simulateProposalExecution({
+        publicClient: passing.client,
+        commitmentSafe: SAFE,
+        ogModule: OG_MODULE,
+        transactions: [
+            { to: TOKEN, value: 0n, data: transferData(30n), operation: 0 },
+            { to: TOKEN, value: 0n, data: transferData(20n), operation: 0 },
+        ],
+        watchAssets: [OTHER_TOKEN],
+    });
+    assert.equal(ok.ok, true);
+    assert.deepEqual(
+        ok.transactions.map(({ index, success, reached }) => [index, success, reached]),
+        [
+            [0, true, true],
+            [1, true, true],
+        ]
+    );
+    // Native balance is unchanged and OTHER_TOKEN is not a token here, so only TOKEN moves.
+    assert.deepEqual(ok.balanceDeltas, [
+        { asset: TOKEN, before: '100', after: '50', delta: '-50' },
+    ]);
+    const call = passing.calls.find(([kind]) => kind === 'call');
+    assert.equal(call[1], OG_MODULE);
+    assert.deepEqual(call[2], [{ address: OG_MODULE, code: MULTICALL_CODE }]);
+
+    const failing = createPublicClient({ tokenBalance: 40n });
+    const failed = await simulateProposalExecution({
+        publicClient: failing.client,
+        commitmentSafe: SAFE,
+        ogModule: OG_MODULE,
+        transactions: [
+            { to: TOKEN, value: 0n, data: transferData(30n), operation: 0 },
+            { to: TOKEN, value: 0n, data: transferData(20n), operation: 0 },
+            { to: TOKEN, value: 0n, data: transferData(5n), operation: 0 },
+        ],
+    });
+    assert.equal(failed.ok, false);
+    assert.deepEqual(
+        failed.transactions.map(({ success, reached, revertReason }) => [
+            success,
+            reached,
+            revertReason,
+        ]),
+        [
+            [true, true, undefined],
+            [false, true, 'ERC20: transfer amount exceeds balance'],
+            [true, false, undefined],
+        ]
+    );
+
+    // A failing batch is refused before any bond is approved, and the model sees why.
+    const outputs = await executeToolCalls({
+        toolCalls: [
+            {
+                callId: 'call-1',
+                name: 'post_bond_and_propose',
+                arguments: JSON.stringify({
+                    transactions: [
+                        { to: TOKEN, value: '0', data: transferData(50n), operation: 0 },
+                    ],
+                }),
+            },
+        ],
+        publicClient: failing.client,
+        walletClient: {
+            writeContract: async () => {
+                throw new Error('should not send');
+            },
+        },
+        account: { address: RECIPIENT },
+        config: {
+            proposeEnabled: true,
+            proposeSimulateExecution: true,
+            commitmentSafe: SAFE,
+            ogModule: OG_MODULE,
+            watchAssets: [],
+        },
+    });
+    const output = JSON.parse(outputs[0].output);
+    assert.equal(output.status, 'error');
+    assert.equal(output.reason, 'EXECUTION_SIMULATION_FAILED');
+    assert.match(output.message, /transactions\[0\].*exceeds balance/);
+    assert.equal(output.executionSimulation.transactions[0].success, false);
+
+    console.log('[test] execution simulation OK');
+}
+
+run().catch((error) => {
+    console.error(error);
+    process.exit(1);
+});
@@ -0,0 +1,200 @@
+import assert from 'node:assert/strict';
+import { createFeePolicy, isFeePolicyError } from '../src/lib/fee-policy.js';
+import { createStateStore } from '../src/lib/state-store.js';
+import { executeToolCalls } from '../src/lib/tools.js';
+
+const GWEI = 1_000_000_000n;
+const RECIPIENT = '0x00000000000000000000000000000000000000b2';
+
+function createPublicClient({ baseFee = 10n * GWEI, gasUsed = 21_000n } = {}) {
+    const state = { baseFee, feeHistoryCalls: [], receipts: new Map() };
+    const client = {
+        getBlock: async () => ({ baseFeePerGas: state.baseFee }),
+        estimateMaxPriorityFeePerGas: async () => 2n * GWEI,
+        getGasPrice: async () => 30n * GWEI,
+        estimateGas: async () => gasUsed,
+        getFeeHistory: async (args) => {
+            state.feeHistoryCalls.push(args);
+            return {
+                baseFeePerGas: [9n * GWEI, 10n * GWEI, 11n * GWEI, state.baseFee],
+                reward: [[1n * GWEI], [0n], [3n * GWEI]],
+            };
+        },
+        getTransactionReceipt: async ({ hash }) => {
+            const receipt = state.receipts.get(hash);
+            if (!receipt) throw new Error('receipt not found');
+            return receipt;
+        },
+    };
+    return { state, client };
+}
+
+async function run() {
+    // Network strategy mirrors viem's estimate: 1.2x base fee plus the node's priority fee.
+    const network = createPublicClient();
+    const networkPolicy = createFeePolicy({ publicClient: network.client });
+    assert.deepEqual(await networkPolicy.getFees({ action: 'propose' }), {
+        maxFeePerGas: 14n * GWEI,
+        maxPriorityFeePerGas: 2n * GWEI,
+    });
+
+    const fixed = createFeePolicy({
+        publicClient: network.client,
+        priorityFeeStrategy: 'fixed',
+        priorityFeeWei: 1n,
+    });
+    assert.equal((await fixed.getFees({})).maxPriorityFeePerGas, 1n);
+    assert.throws(
+        () => createFeePolicy({ publicClient: network.client, priorityFeeStrategy: 'fixed' }),
+        /FEE_PRIORITY_FEE_WEI/
+    );
+    assert.throws(
+        () => createFeePolicy({ publicClient: network.client, priorityFeeStrategy: 'fastest' }),
+        /Unknown priority fee strategy/
+    );
+
+    // Percentile strategy averages the tips of blocks that had any, and uses the next base fee.
+    const history = createPublicClient({ baseFee: 12n * GWEI });
+    const percentile = createFeePolicy({
+        publicClient: history.client,
+        priorityFeeStrategy: 'percentile',
+        feeHistoryBlocks: 3,
+        feeHistoryPercentile: 60,
+    });
+    const percentileFees = await percentile.getFees({ action: 'execute' });
+    assert.equal(percentileFees.maxPriorityFeePerGas, 2n * GWEI);
+    assert.equal(percentileFees.maxFeePerGas, (12n * GWEI * 12n) / 10n + 2n * GWEI);
+    assert.deepEqual(history.state.feeHistoryCalls[0], {
+        blockCount: 3,
+        rewardPercentiles: [60],
+        blockTag: 'latest',
+    });
+
+    // Caps: per-action caps override the default; the max fee is clamped to the cap, and a
+    // network that needs more than the cap is refused.
+    const capped = createFeePolicy({
+        publicClient: network.client,
+        maxFeePerGasWei: 13n * GWEI,
+        actionMaxFeePerGasWei: { dispute: 50n * GWEI, execute: 11n * GWEI },
+    });
+    assert.equal((await capped.getFees({ action: 'propose' })).maxFeePerGas, 13n * GWEI);
+    assert.equal((await capped.getFees({ action: 'dispute' })).maxFeePerGas, 14n * GWEI);
+    await assert.rejects(capped.getFees({ action: 'execute' }), (error) => {
+        assert.equal(error.code, 'FEE_CAP_EXCEEDED');
+        assert.match(error.message, /exceeds the execute cap of 11000000000 wei\/gas/);
+        return true;
+    });
+    assert.throws(
+        () => capped.checkReplacement({ action: 'propose', fees: { maxFeePerGas: 14n * GWEI } }),
+        /Bumped fee/
+    );
+    capped.checkReplacement({ action: 'dispute', fees: { maxFeePerGas: 14n * GWEI } });
+
+    // Pre-London chains fall back to the legacy gas price under the same cap.
+    const legacy = createPublicClient({ baseFee: null });
+    const legacyPolicy = createFeePolicy({ publicClient: legacy.client });
+    assert.deepEqual(await legacyPolicy.getFees({}), { gasPrice: 30n * GWEI });
+    await assert.rejects(
+        createFeePolicy({ publicClient: legacy.client, maxFeePerGasWei: GWEI }).getFees({}),
+        /gas price/
+    );
+
+    // Daily budget: pending sends reserve gas * maxFee, mined sends count what they paid.
+    let now = Date.UTC(2026, 0, 1, 12);
+    const budgeted = createPublicClient();
+    const budget = createFeePolicy({
+        publicClient: budgeted.client,
+        dailyBudgetWei: 700_000n * GWEI,
+        nowMs: () => now,
+    });
+    const first = await budget.getFees({ action: 'deposit', to: RECIPIENT });
+    // The estimate only sizes the reservation; the wallet sets the gas limit with headroom.
+    assert.equal('gas' in first, false);
+    budget.recordSent({ nonce: 1, request: { to: RECIPIENT }, fees: first });
+    // 21k gas * 14 gwei = 294k gwei reserved; a second one still fits, a third does not.
+    const second = await budget.getFees({ action: 'deposit', to: RECIPIENT });
+    budget.recordSent({ nonce: 2, request: { to: RECIPIENT }, fees: second });
+    await assert.rejects(budget.getFees({ action: 'propose', to: RECIPIENT }), (error) => {
+        assert.ok(isFeePolicyError(error));
+        assert.equal(error.code, 'GAS_BUDGET_EXCEEDED');
+        return true;
+    });
+    // A fee bump re-reserves nonce 2's gas at the bumped fee.
+    budget.recordSent({
+        nonce: 2,
+        request: { to: RECIPIENT },
+        fees: { ...second, maxFeePerGas: 20n * GWEI },
+    });
+
+    budgeted.state.receipts.set('0xb', { gasUsed: 21_000n, effectiveGasPrice: 11n * GWEI });
+    await budget.recordMined({ nonce: 1, hashes: ['0xa', '0xb'] });
+    await budget.recordMined({ nonce: 2, hashes: ['0xc'] });
+    // Nonce 1 paid 231k gwei; nonce 2's receipt is unavailable, so its bumped reservation of
+    // 21k gas * 20 gwei is kept.
+    assert.equal(budget.spentTodayWei(), 231_000n * GWEI + 420_000n * GWEI);
+    await assert.rejects(budget.getFees({ to: RECIPIENT }), /Gas budget exceeded/);
+
+    now += 86_400_000;
+    assert.equal(budget.spentTodayWei(), 0n);
+    await budget.getFees({ to: RECIPIENT });
+
+    // With a state store, the day's mined spend survives a restart.
+    const store = (await createStateStore()).scoped('gas-budget');
+    const beforeRestart = createFeePolicy({
+        publicClient: budgeted.client,
+        dailyBudgetWei: 700_000n * GWEI,
+        budgetStore: store,
+        nowMs: () => now,
+    });
+    const stored = await beforeRestart.getFees({ to: RECIPIENT });
+    beforeRestart.recordSent({ nonce: 3, request: { to: RECIPIENT }, fees: stored });
+    budgeted.state.receipts.set('0xd', { gasUsed: 21_000n, effectiveGasPrice: 20n * GWEI });
+    await beforeRestart.recordMined({ nonce: 3, hashes: ['0xd'] });
+    assert.deepEqual(await store.read(), {
+        spentDay: Math.floor(now / 86_400_000),
+        spentWei: 420_000n * GWEI,
+    });
+    const afterRestart = createFeePolicy({
+        publicClient: budgeted.client,
+        dailyBudgetWei: 700_000n * GWEI,
+        budgetStore: store,
+        nowMs: () => now,
+    });
+    await assert.rejects(afterRestart.getFees({ to: RECIPIENT }), /Gas budget exceeded/);
+    assert.equal(afterRestart.spentTodayWei(), 420_000n * GWEI);
+    now += 86_400_000;
+    await afterRestart.getFees({ to: RECIPIENT });
+
+    // Refusals reach the model as a tool error instead of aborting the tool round.
+    const outputs = await executeToolCalls({
+        toolCalls: [
+            {
+                callId: 'call-1',
+                name: 'make_deposit',
+                arguments: JSON.stringify({ asset: RECIPIENT, amountWei: '1' }),
+            },
+        ],
+        publicClient: {},
+        walletClient: {
+            writeContract: async () => {
+                const error = new Error('Network fee too high');
+                error.code = 'FEE_CAP_EXCEEDED';
+                throw error;
+            },
+        },
+        account: { address: RECIPIENT },
+        config: { proposeEnabled: true, commitmentSafe: RECIPIENT },
+    });
+    assert.deepEqual(JSON.parse(outputs[0].output), {
+        status: 'error',
+        reason: 'FEE_CAP_EXCEEDED',
+        message: 'Network fee too high',
+    });
+
+    console.log('[test] fee policy OK');
+}
+
+run().catch((error) => {
+    console.error(error);
+    process.exit(1);
+});
@@ -0,0 +1,147 @@
+import assert from 'node:assert/strict';
+import { createFundingMonitor, preapproveBonds } from '../src/lib/funding.js';
+import { assessFunding, logOgFundingStatus } from '../src/lib/og.js';
+
+const OG_MODULE = '0x00000000000000000000000000000000000000d0';
+const ORACLE = '0x00000000000000000000000000000000000000bb';
+const COLLATERAL = '0x00000000000000000000000000000000000000cc';
+const AGENT = '0x00000000000000000000000000000000000000a1';
+const IDENTIFIER = `0x${Buffer.from('ASSERT_TRUTH2').toString('hex').padEnd(64, '0')}`;
+
+function createClient(balances) {
+    const approvals = [];
+    const publicClient = {
+        getChainId: async () => 1,
+        getGasPrice: async () => 10n,
+        getBalance: async () => balances.native,
+        waitForTransactionReceipt: async () => ({ status: 'success' }),
+        readContract: async ({ functionName, args }) => {
+            if (functionName === 'collateral') return COLLATERAL;
+            if (functionName === 'bondAmount') return 100n;
+            if (functionName === 'optimisticOracleV3') return ORACLE;
+            if (functionName === 'identifier') return IDENTIFIER;
+            if (functionName === 'getMinimumBond') return 50n;
+            if (functionName === 'balanceOf') return balances.collateral;
+            if (functionName === 'allowance') return balances.allowances[args[1]] ?? 0n;
+            throw new Error(`unexpected ${functionName}`);
+        },
+    };
+    const walletClient = {
+        writeContract: async (request) => {
+            approvals.push(request);
+            balances.allowances[request.args[0]] = request.args[1];
+            return `0x${String(approvals.length).padStart(64, '0')}`;
+        },
+    };
+    return { publicClient, walletClient, approvals };
+}
+
+async function run() {
+    const status = {
+        requiredBond: 100n,
+        collateralBalance: 250n,
+        nativeBalance: 5_000_000n,
+        gasPrice: 10n,
+    };
+    let funding = assessFunding(status, { minBonds: 2n });
+    assert.equal(funding.bondThreshold, 200n);
+    assert.equal(funding.nativeThreshold, 10_000_000n);
+    assert.deepEqual(funding.shortfalls, ['gas']);
+    assert.equal(funding.canAffordBond, true);
+    assert.equal(funding.canAffordGas, false);
+    funding = assessFunding(status, { minBonds: 3n, minNativeWei: 1n });
+    assert.deepEqual(funding.shortfalls, ['bondCollateral']);
+    assert.equal(funding.ready, false);
+
+    const balances = { native: 1n, collateral: 150n, allowances: {} };
+    const { publicClient, walletClient, approvals } = createClient(balances);
+    const account = { address: AGENT };
+    const config = {
+        ogModule: OG_MODULE,
+        proposeEnabled: true,
+        disputeEnabled: true,
+        bondSpender: 'og',
+        fundingMinBonds: 1n,
+        fundingMinNativeWei: 1_000n,
+        fundingCheckMs: 1_000,
+        fundingPreapprove: false,
+    };
+
+    // The startup check reads the real numbers instead of discarding them.
+    const initial = await logOgFundingStatus({
+        publicClient,
+        ogModule: OG_MODULE,
+        account,
+        minBonds: config.fundingMinBonds,
+        minNativeWei: config.fundingMinNativeWei,
+    });
+    assert.equal(initial.requiredBond, 100n);
+    assert.equal(initial.collateralBalance, 150n);
+    assert.deepEqual(initial.shortfalls, ['gas']);
+
+    // agentFunding signals fire when the shortfalls change, not on every check.
+    let now = 0;
+    const monitor = createFundingMonitor({
+        publicClient,
+        walletClient,
+        account,
+        config,
+        initial,
+        nowMs: () => now,
+    });
+    let signals = await monitor.poll();
+    assert.equal(signals.length, 1);
+    assert.equal(signals[0].kind, 'agentFunding');
+    assert.equal(signals[0].ready, false);
+    assert.deepEqual(signals[0].shortfalls, ['gas']);
+    assert.equal(signals[0].nativeThreshold, 1_000n);
+
+    now = 500;
+    balances.native = 10_000n;
+    assert.deepEqual(await monitor.poll(), []);
+    now = 1_000;
+    signals = await monitor.poll();
+    assert.equal(signals[0].ready, true);
+    assert.deepEqual(signals[0].shortfalls, []);
+    now = 2_000;
+    assert.deepEqual(await monitor.poll(), []);
+    now = 3_000;
+    balances.collateral = 10n;
+    signals = await monitor.poll();
+    assert.deepEqual(signals[0].shortfalls, ['bondCollateral']);
+    assert.equal(approvals.length, 0);
+
+    // Pre-approval tops up every bond spender below one bond, to FUNDING_MIN_BONDS bonds.
+    balances.collateral = 500n;
+    balances.allowances[ORACLE] = 100n;
+    const approved = await preapproveBonds({
+        publicClient,
+        walletClient,
+        account,
+        config: { ...config, fundingMinBonds: 3n },
+        funding: assessFunding(
+            {
+                collateral: COLLATERAL,
+                optimisticOracle: ORACLE,
+                requiredBond: 100n,
+                collateralBalance: 500n,
+                nativeBalance: 10_000n,
+                gasPrice: 10n,
+            },
+            { minBonds: 3n }
+        ),
+    });
+    assert.deepEqual(
+        approved.map(({ spender, amount }) => [spender, amount]),
+        [[OG_MODULE, 300n]]
+    );
+    assert.equal(approvals[0].address, COLLATERAL);
+    assert.equal(approvals[0].functionName, 'approve');
+
+    console.log('[test] funding OK');
+}
+
+run().catch((error) => {
+    console.error(error);
+    process.exit(1);
+});
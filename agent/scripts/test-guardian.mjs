@@ -0,0 +1,194 @@
+import assert from 'node:assert/strict';
+import { encodeFunctionData, erc20Abi, isAddressEqual, parseAbi } from 'viem';
+import { createProposalGuardian } from '../src/lib/guardian.js';
+import { decodeProposalTransactions } from '../src/lib/proposal-decoder.js';
+import { buildOgTransactions } from '../src/lib/tx.js';
+
+const AGENT = '0x00000000000000000000000000000000000000a1';
+const OTHER = '0x00000000000000000000000000000000000000b2';
+const TOKEN = '0x1c7D4B196Cb0C7B01d743Fbc6116a902379C7238';
+const ROUTER = '0x00000000000000000000000000000000000000E0';
+const CTF = '0x00000000000000000000000000000000000000d0';
+const VAULT = '0x00000000000000000000000000000000000000C3';
+const CONDITION_ID = `0x${'1'.repeat(64)}`;
+
+function proposal(hash, { proposer = OTHER, transactions = [] } = {}) {
+    return {
+        proposalHash: `0x${hash.repeat(64)}`,
+        assertionId: `0x${hash.repeat(63)}f`,
+        proposer,
+        transactions,
+    };
+}
+
+async function run() {
+    const built = buildOgTransactions(
+        [
+            { kind: 'erc20_transfer', token: TOKEN, to: OTHER, amountWei: '5' },
+            { kind: 'native_transfer', to: OTHER, amountWei: '7' },
+            {
+                kind: 'uniswap_v3_exact_input_single',
+                router: ROUTER,
+                tokenIn: TOKEN,
+                tokenOut: VAULT,
+                fee: 3000,
+                recipient: OTHER,
+                amountInWei: '10',
+                amountOutMinWei: '9',
+            },
+            {
+                kind: 'ctf_redeem',
+                ctfContract: CTF,
+                collateralToken: TOKEN,
+                conditionId: CONDITION_ID,
+            },
+        ],
+        {}
+    );
+    built.push(
+        {
+            to: VAULT,
+            value: '0',
+            data: encodeFunctionData({
+                abi: parseAbi(['function deposit(uint256 assets, address receiver)']),
+                functionName: 'deposit',
+                args: [3n, OTHER],
+            }),
+            operation: 0,
+        },
+        { to: VAULT, value: '0', data: '0xdeadbeef00', operation: 1 }
+    );
+
+    const decoded = decodeProposalTransactions(built, {
+        extraAbi: ['function deposit(uint256 assets, address receiver)'],
+    });
+    assert.deepEqual(
+        decoded.map(({ kind, functionName }) => [kind, functionName]),
+        [
+            ['erc20_transfer', 'transfer'],
+            ['native_transfer', undefined],
+            ['erc20_approve', 'approve'],
+            ['uniswap_v3_exact_input_single', 'exactInputSingle'],
+            ['ctf_redeem', 'redeemPositions'],
+            ['contract_call', 'deposit'],
+            ['unknown', undefined],
+        ]
+    );
+    assert.deepEqual(decoded[0].args, [OTHER, 5n]);
+    assert.equal(decoded[1].value, 7n);
+    assert.equal(decoded[3].args[0].amountOutMinimum, 9n);
+    assert.equal(decoded[6].selector, '0xdeadbeef');
+    assert.equal(decoded[6].operation, 1);
+    // Without the extra ABI the vault call stays unknown.
+    assert.equal(decodeProposalTransactions([built[5]])[0].kind, 'unknown');
+
+    const transferTo = (recipient) => ({
+        to: TOKEN,
+        value: 0n,
+        data: encodeFunctionData({
+            abi: erc20Abi,
+            functionName: 'transfer',
+            args: [recipient, 1n],
+        }),
+        operation: 0,
+    });
+
+    let now = 1_000;
+    const disputes = [];
+    let disputeError;
+    const verifyCalls = [];
+    const guardian = createProposalGuardian({
+        verifyProposal: async ({ proposal: checked, decodedTransactions, rules }) => {
+            verifyCalls.push([checked.proposalHash, rules]);
+            if (checked.transactions.length === 0) throw new Error('nothing to check');
+            const recipient = decodedTransactions[0].args?.[0];
+            if (isAddressEqual(recipient, OTHER)) return { verdict: 'valid' };
+            if (isAddressEqual(recipient, AGENT)) {
+                return { verdict: 'ambiguous', reason: 'pays the agent' };
+            }
+            return { verdict: 'invalid', reason: `unexpected recipient ${recipient}` };
+        },
+        dispute: async ({ proposal: disputed, reason }) => {
+            disputes.push([disputed.assertionId, reason]);
+            if (disputeError) throw disputeError;
+            return { disputeHash: '0xd15' };
+        },
+        disputeEnabled: true,
+        disputeRetryMs: 500,
+        agentAddress: AGENT,
+        nowMs: () => now,
+    });
+
+    const valid = proposal('1', { transactions: [transferTo(OTHER)] });
+    const ambiguous = proposal('2', { transactions: [transferTo(AGENT)] });
+    const invalid = proposal('3', { transactions: [transferTo(VAULT)] });
+    const own = proposal('4', { proposer: AGENT, transactions: [transferTo(VAULT)] });
+    const broken = proposal('5');
+    const forAgent = await guardian.review({
+        proposals: [valid, ambiguous, invalid, own, broken],
+        context: { rules: 'only pay OTHER' },
+    });
+
+    assert.deepEqual(
+        forAgent.map((item) => item.proposalHash),
+        [ambiguous.proposalHash, own.proposalHash, broken.proposalHash]
+    );
+    assert.equal(verifyCalls.length, 4);
+    assert.equal(verifyCalls[0][1], 'only pay OTHER');
+    assert.equal(valid.guardian.verdict, 'valid');
+    assert.equal(ambiguous.guardian.decodedTransactions[0].kind, 'erc20_transfer');
+    assert.equal(own.guardian, undefined);
+    assert.deepEqual(broken.guardian, {
+        verdict: 'ambiguous',
+        reason: 'verifyProposal failed: nothing to check',
+        decodedTransactions: [],
+    });
+    assert.deepEqual(disputes, [[invalid.assertionId, `unexpected recipient ${VAULT}`]]);
+    assert.equal(invalid.guardian.disputeStatus, 'submitted');
+    assert.equal(invalid.guardian.disputeHash, '0xd15');
+
+    // Already-reviewed proposals (e.g. restored from state) are not checked again.
+    await guardian.review({ proposals: [valid] });
+    assert.equal(verifyCalls.length, 4);
+
+    // A failed dispute is retried after DISPUTE_RETRY_MS until it goes through or cannot.
+    disputeError = new Error('Insufficient dispute bond balance: need 5 wei, have 0.');
+    const retried = proposal('6', { transactions: [transferTo(VAULT)] });
+    await guardian.review({ proposals: [retried] });
+    assert.equal(retried.guardian.disputeStatus, 'failed');
+    const proposalsByHash = new Map([[retried.proposalHash, retried]]);
+
+    now += 100;
+    await guardian.retryDisputes(proposalsByHash);
+    assert.equal(disputes.length, 2);
+
+    now += 500;
+    disputeError = new Error(`Assertion ${retried.assertionId} already disputed by ${OTHER}.`);
+    await guardian.retryDisputes(proposalsByHash);
+    assert.equal(disputes.length, 3);
+    assert.equal(retried.guardian.disputeStatus, 'abandoned');
+
+    now += 500;
+    await guardian.retryDisputes(proposalsByHash);
+    assert.equal(disputes.length, 3);
+
+    const passive = createProposalGuardian({
+        verifyProposal: async () => ({ verdict: 'invalid', reason: 'bad' }),
+        dispute: async () => {
+            throw new Error('should not dispute');
+        },
+        disputeEnabled: false,
+        disputeRetryMs: 0,
+        agentAddress: AGENT,
+    });
+    const skipped = proposal('7', { transactions: [transferTo(VAULT)] });
+    assert.deepEqual(await passive.review({ proposals: [skipped] }), []);
+    assert.equal(skipped.guardian.disputeStatus, 'disabled');
+
+    console.log('[test] guardian OK');
+}
+
+run().catch((error) => {
+    console.error(error);
+    process.exit(1);
+});
@@ -0,0 +1,119 @@
+import assert from 'node:assert/strict';
+import { ContractFunctionRevertedError, HttpRequestError, RpcRequestError, parseAbi } from 'viem';
+import { startHealthServer } from '../src/lib/health-server.js';
+import { withLogContext } from '../src/lib/logger.js';
+import {
+    agentMetrics,
+    createMetricsRegistry,
+    instrumentClient,
+    isRpcFailure,
+    registry,
+} from '../src/lib/metrics.js';
+
+async function run() {
+    // Counters and histograms render in the Prometheus text format, one series per label set.
+    const local = createMetricsRegistry();
+    const calls = local.counter('test_calls_total', 'Calls.');
+    const latency = local.histogram('test_latency_seconds', 'Latency.', [0.5, 1]);
+    calls.inc({ status: 'ok' });
+    calls.inc({ status: 'ok' }, 2);
+    await withLogContext({ commitment: 'dca' }, async () => {
+        calls.inc({ status: 'error' });
+        latency.observe({}, 0.7);
+    });
+    assert.equal(
+        local.render(),
+        [
+            '# HELP test_calls_total Calls.',
+            '# TYPE test_calls_total counter',
+            'test_calls_total{commitment="default",status="ok"} 3',
+            'test_calls_total{commitment="dca",status="error"} 1',
+            '# HELP test_latency_seconds Latency.',
+            '# TYPE test_latency_seconds histogram',
+            'test_latency_seconds_bucket{commitment="dca",le="0.5"} 0',
+            'test_latency_seconds_bucket{commitment="dca",le="1"} 1',
+            'test_latency_seconds_bucket{commitment="dca",le="+Inf"} 1',
+            'test_latency_seconds_sum{commitment="dca"} 0.7',
+            'test_latency_seconds_count{commitment="dca"} 1',
+            '',
+        ].join('\n')
+    );
+
+    // Only transport and RPC failures count as RPC errors; contract reverts do not.
+    const httpError = new HttpRequestError({ url: 'http://rpc', status: 502 });
+    const revert = new RpcRequestError({
+        body: {},
+        error: { code: 3, message: 'execution reverted' },
+        url: 'http://rpc',
+    });
+    assert.equal(isRpcFailure(httpError), true);
+    assert.equal(isRpcFailure(revert), false);
+    assert.equal(
+        isRpcFailure(
+            new ContractFunctionRevertedError({
+                abi: parseAbi(['function f()']),
+                functionName: 'f',
+            })
+        ),
+        false
+    );
+
+    const client = instrumentClient({
+        getBlockNumber: async () => {
+            throw httpError;
+        },
+        call: async () => {
+            throw revert;
+        },
+        chain: { id: 1 },
+    });
+    assert.equal(client.chain.id, 1);
+    await assert.rejects(client.getBlockNumber(), HttpRequestError);
+    await assert.rejects(client.call(), RpcRequestError);
+    agentMetrics.toolCalls.inc({ tool: 'dispute_assertion', status: 'submitted' });
+
+    // /healthz answers 200 while ok or degraded and 503 once a commitment is failing.
+    let reports = [
+        { commitment: 'dca', status: 'ok', rpc: { ok: true, blockNumber: 12n } },
+        { commitment: 'orders', status: 'degraded', funding: { ok: false } },
+    ];
+    const server = await startHealthServer({ port: 0, getHealth: async () => reports });
+    try {
+        const base = `http://127.0.0.1:${server.port}`;
+        let res = await fetch(`${base}/healthz`);
+        assert.equal(res.status, 200);
+        let body = await res.json();
+        assert.equal(body.status, 'degraded');
+        assert.equal(body.commitments[0].rpc.blockNumber, '12');
+
+        reports = [{ commitment: 'dca', status: 'failing', lastLoopError: 'boom' }];
+        res = await fetch(`${base}/healthz`);
+        assert.equal(res.status, 503);
+        body = await res.json();
+        assert.equal(body.status, 'failing');
+
+        res = await fetch(`${base}/metrics`);
+        assert.equal(res.status, 200);
+        assert.match(res.headers.get('content-type'), /text\/plain/);
+        const text = await res.text();
+        assert.match(text, /agent_rpc_errors_total\{commitment="default",method="getBlockNumber"\} 1/);
+        assert.doesNotMatch(text, /method="call"/);
+        assert.match(
+            text,
+            /agent_tool_calls_total\{commitment="default",status="submitted",tool="dispute_assertion"\} 1/
+        );
+        assert.equal(text, registry.render());
+
+        res = await fetch(`${base}/nope`);
+        assert.equal(res.status, 404);
+    } finally {
+        await server.close();
+    }
+
+    console.log('[test] health server OK');
+}
+
+run().catch((error) => {
+    console.error(error);
+    process.exit(1);
+});
@@ -0,0 +1,111 @@
+import assert from 'node:assert/strict';
+import { createLlmBudget, signalFingerprint } from '../src/lib/llm-budget.js';
+import { pollCommitmentChanges } from '../src/lib/polling.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+const SAFE = '0x1234000000000000000000000000000000000000';
+const USDC = '0x00000000000000000000000000000000000000c1';
+
+// Two polls of an agent with emitBalanceSnapshotsEveryPoll, one block apart.
+async function snapshotPoll({ block, balance }) {
+    const { balanceSnapshots } = await pollCommitmentChanges({
+        publicClient: {
+            getBlockNumber: async () => block,
+            getLogs: async () => [],
+            readContract: async () => balance,
+        },
+        trackedAssets: new Set([USDC]),
+        commitmentSafe: SAFE,
+        watchNativeBalance: false,
+        lastCheckedBlock: block - 1n,
+        lastAssetBalances: new Map([[USDC, balance]]),
+        emitBalanceSnapshotsEveryPoll: true,
+    });
+    return balanceSnapshots;
+}
+
+async function run() {
+    let now = 0;
+    const nowMs = () => now;
+
+    // Calls are counted over a rolling hour.
+    let budget = createLlmBudget({ config: { llmMaxCallsPerHour: 2 }, nowMs });
+    assert.equal(budget.exhausted(), undefined);
+    budget.recordUsage({ inputTokens: 10, outputTokens: 5 });
+    now = 10 * 60 * 1000;
+    budget.recordUsage({ inputTokens: 10, outputTokens: 5 });
+    assert.equal(budget.exhausted(), 'calls_per_hour');
+    now = HOUR_MS + 1;
+    assert.equal(budget.exhausted(), undefined);
+    assert.equal(budget.snapshot().callsLastHour, 1);
+
+    // Tokens are counted over a rolling day.
+    now = 0;
+    budget = createLlmBudget({ config: { llmMaxTokensPerDay: 100 }, nowMs });
+    budget.recordUsage({ inputTokens: 60, outputTokens: 40 });
+    assert.equal(budget.exhausted(), 'tokens_per_day');
+    now = 24 * HOUR_MS;
+    assert.equal(budget.exhausted(), undefined);
+
+    // USD is priced per million input and output tokens.
+    now = 0;
+    budget = createLlmBudget({
+        config: { llmMaxUsdPerDay: 1, llmInputUsdPerMtok: 2, llmOutputUsdPerMtok: 8 },
+        nowMs,
+    });
+    budget.recordUsage({ inputTokens: 100_000, outputTokens: 50_000 });
+    assert.equal(budget.snapshot().usdLastDay, 0.6);
+    assert.equal(budget.exhausted(), undefined);
+    budget.recordUsage({ inputTokens: 100_000, outputTokens: 50_000 });
+    assert.deepEqual(budget.snapshot(), {
+        exhausted: 'usd_per_day',
+        callsLastHour: 2,
+        tokensLastDay: 300_000,
+        usdLastDay: 1.2,
+    });
+    assert.throws(
+        () => createLlmBudget({ config: { llmMaxUsdPerDay: 1 } }),
+        /LLM_INPUT_USD_PER_MTOK/
+    );
+
+    // Debouncing skips an identical signal set, in any order, within the window.
+    now = 0;
+    const signals = [
+        { kind: 'deposit', amount: 5n },
+        { kind: 'priceSignal', price: 1.5 },
+    ];
+    budget = createLlmBudget({ config: { llmDebounceMs: 60_000 }, nowMs });
+    assert.equal(budget.isUnchanged(signals), false);
+    budget.rememberDecided(signals);
+    assert.equal(budget.isUnchanged([...signals].reverse()), true);
+    assert.equal(budget.isUnchanged([{ kind: 'deposit', amount: 6n }, signals[1]]), false);
+    assert.equal(signalFingerprint(signals), signalFingerprint([...signals].reverse()));
+    now = 60_000;
+    assert.equal(budget.isUnchanged(signals), false);
+
+    // Re-emitted balance snapshots carry the poll's block, which does not count as a change.
+    const first = await snapshotPoll({ block: 100n, balance: 5_000_000n });
+    const second = await snapshotPoll({ block: 101n, balance: 5_000_000n });
+    assert.equal(first.length, 1);
+    assert.notDeepEqual(first, second);
+    assert.equal(signalFingerprint(first), signalFingerprint(second));
+    now = 0;
+    budget = createLlmBudget({ config: { llmDebounceMs: 60_000 }, nowMs });
+    budget.rememberDecided(first);
+    assert.equal(budget.isUnchanged(second), true);
+    const moved = await snapshotPoll({ block: 102n, balance: 4_000_000n });
+    assert.equal(budget.isUnchanged(moved), false);
+
+    // Without LLM_DEBOUNCE_MS nothing is skipped.
+    budget = createLlmBudget({ config: {}, nowMs });
+    budget.rememberDecided(signals);
+    assert.equal(budget.isUnchanged(signals), false);
+    assert.equal(budget.exhausted(), undefined);
+
+    console.log('[test] llm budget OK');
+}
+
+run().catch((error) => {
+    console.error(error);
+    process.exit(1);
+});
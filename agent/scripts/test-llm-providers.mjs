@@ -0,0 +1,263 @@
+import assert from 'node:assert/strict';
+import { callAgent, explainToolCalls, requestCompletion } from '../src/lib/llm.js';
+import { getLlmProvider, normalizeToolDefinitions } from '../src/lib/llm-providers.js';
+import { registry } from '../src/lib/metrics.js';
+import { toolDefinitions } from '../src/lib/tools.js';
+
+const TOOLS = [
+    {
+        type: 'function',
+        name: 'make_deposit',
+        description: 'Deposit funds.',
+        strict: true,
+        parameters: { type: 'object', properties: { amountWei: { type: 'string' } } },
+    },
+];
+
+function mockFetch(replies) {
+    const requests = [];
+    globalThis.fetch = async (url, init) => {
+        requests.push({ url, headers: init.headers, body: JSON.parse(init.body) });
+        const reply = replies.shift();
+        return {
+            ok: reply.status === undefined,
+            status: reply.status ?? 200,
+            json: async () => reply,
+            text: async () => JSON.stringify(reply),
+        };
+    };
+    return requests;
+}
+
+function decide(config) {
+    return callAgent({
+        config,
+        systemPrompt: 'You are an agent.',
+        signals: [{ kind: 'deposit', amount: 5n }],
+        ogContext: {},
+        commitmentText: 'Deposit when asked.',
+        agentAddress: '0x00000000000000000000000000000000000000a1',
+        tools: TOOLS,
+        allowTools: true,
+    });
+}
+
+async function run() {
+    // toolDefinitions() output normalizes for every provider.
+    const normalized = normalizeToolDefinitions(
+        toolDefinitions({ proposeEnabled: true, disputeEnabled: true })
+    );
+    assert.ok(normalized.length > 0);
+    for (const tool of normalized) {
+        assert.equal(typeof tool.name, 'string');
+        assert.equal(tool.parameters.type, 'object');
+    }
+    assert.throws(() => getLlmProvider('bard'), /LLM_PROVIDER must be one of/);
+
+    // Responses API: the payload shape is unchanged, and the explanation resumes server-side state.
+    const responsesConfig = {
+        llmProvider: 'responses',
+        llmModel: 'gpt-4.1-mini',
+        llmBaseUrl: 'https://api.openai.test/v1',
+        llmApiKey: 'sk-test',
+    };
+    let requests = mockFetch([
+        {
+            id: 'resp_1',
+            output: [
+                {
+                    type: 'function_call',
+                    call_id: 'call_1',
+                    name: 'make_deposit',
+                    arguments: '{"amountWei":"5"}',
+                },
+            ],
+            usage: { input_tokens: 10, output_tokens: 3 },
+        },
+        {
+            id: 'resp_2',
+            output: [{ content: [{ type: 'output_text', text: 'Deposited.' }] }],
+        },
+    ]);
+    let decision = await decide(responsesConfig);
+    assert.deepEqual(decision.toolCalls, [
+        { name: 'make_deposit', arguments: '{"amountWei":"5"}', callId: 'call_1' },
+    ]);
+    assert.equal(requests[0].url, 'https://api.openai.test/v1/responses');
+    assert.equal(requests[0].headers.Authorization, 'Bearer sk-test');
+    assert.equal(requests[0].body.input[0].role, 'system');
+    assert.deepEqual(requests[0].body.tools, TOOLS);
+    assert.equal(requests[0].body.parallel_tool_calls, false);
+    assert.deepEqual(requests[0].body.text, { format: { type: 'json_object' } });
+    assert.equal('max_output_tokens' in requests[0].body, false);
+    assert.deepEqual(decision.request, requests[0].body);
+
+    let explanation = await explainToolCalls({
+        config: responsesConfig,
+        conversation: decision.conversation,
+        toolOutputs: [{ callId: 'call_1', output: '{"status":"submitted"}' }],
+    });
+    assert.equal(explanation, 'Deposited.');
+    assert.equal(requests[1].body.previous_response_id, 'resp_1');
+    assert.deepEqual(requests[1].body.input, [
+        { type: 'function_call_output', call_id: 'call_1', output: '{"status":"submitted"}' },
+        { role: 'user', content: 'Summarize the actions you took and why.' },
+    ]);
+
+    // LLM_MAX_OUTPUT_TOKENS maps to the Responses API's max_output_tokens.
+    requests = mockFetch([{ id: 'resp_3', output: [] }]);
+    await requestCompletion({
+        config: { ...responsesConfig, llmMaxOutputTokens: 512 },
+        call: 'decide',
+        messages: [{ role: 'user', content: 'hi' }],
+    });
+    assert.equal(requests[0].body.max_output_tokens, 512);
+
+    // Chat Completions (vLLM, llama.cpp, Ollama): keyless, fenced JSON, full history replayed.
+    const chatConfig = {
+        llmProvider: 'chat',
+        llmModel: 'qwen2.5',
+        llmBaseUrl: 'http://localhost:11434/v1',
+    };
+    requests = mockFetch([
+        {
+            id: 'chatcmpl-1',
+            choices: [
+                {
+                    message: {
+                        role: 'assistant',
+                        content: '```json\n{"action":"deposit"}\n```',
+                        tool_calls: [
+                            {
+                                id: 'call_a',
+                                type: 'function',
+                                function: { name: 'make_deposit', arguments: '{"amountWei":"5"}' },
+                            },
+                            {
+                                id: 'call_b',
+                                type: 'function',
+                                function: { name: 'make_deposit', arguments: '{}' },
+                            },
+                        ],
+                    },
+                },
+            ],
+            usage: { prompt_tokens: 7, completion_tokens: 2 },
+        },
+        { id: 'chatcmpl-2', choices: [{ message: { content: 'Deposited once.' } }] },
+    ]);
+    decision = await decide(chatConfig);
+    assert.deepEqual(decision.textDecision, { action: 'deposit' });
+    assert.equal(decision.toolCalls.length, 2);
+    assert.equal(requests[0].url, 'http://localhost:11434/v1/chat/completions');
+    assert.equal(requests[0].headers.Authorization, undefined);
+    assert.deepEqual(requests[0].body.tools[0], {
+        type: 'function',
+        function: {
+            name: 'make_deposit',
+            description: 'Deposit funds.',
+            parameters: TOOLS[0].parameters,
+        },
+    });
+    assert.deepEqual(requests[0].body.response_format, { type: 'json_object' });
+
+    explanation = await explainToolCalls({
+        config: chatConfig,
+        conversation: decision.conversation,
+        toolOutputs: [{ callId: 'call_a', output: '{"status":"submitted"}' }],
+    });
+    assert.equal(explanation, 'Deposited once.');
+    const history = requests[1].body.messages;
+    assert.equal(history.length, 6);
+    assert.equal(history[2].tool_calls[1].id, 'call_b');
+    assert.deepEqual(history[3], {
+        role: 'tool',
+        tool_call_id: 'call_a',
+        content: '{"status":"submitted"}',
+    });
+    // Every tool call gets a result, or the server rejects the follow-up.
+    assert.equal(history[4].content, '{"status":"not_executed"}');
+    assert.equal(requests[1].body.tool_choice, 'none');
+
+    // Anthropic Messages: system prompt hoisted, tool results merged into one user turn.
+    const anthropicConfig = {
+        llmProvider: 'anthropic',
+        llmModel: 'claude-test',
+        llmBaseUrl: 'https://api.anthropic.test/v1',
+        llmApiKey: 'ak-test',
+    };
+    requests = mockFetch([
+        {
+            id: 'msg_1',
+            content: [
+                { type: 'text', text: '{"action":"deposit"}' },
+                { type: 'tool_use', id: 'toolu_1', name: 'make_deposit', input: { amountWei: '5' } },
+            ],
+            usage: { input_tokens: 12, output_tokens: 4 },
+        },
+        { id: 'msg_2', content: [{ type: 'text', text: 'Deposited.' }] },
+    ]);
+    decision = await decide(anthropicConfig);
+    assert.deepEqual(decision.toolCalls, [
+        { name: 'make_deposit', arguments: '{"amountWei":"5"}', callId: 'toolu_1' },
+    ]);
+    assert.equal(requests[0].url, 'https://api.anthropic.test/v1/messages');
+    assert.equal(requests[0].headers['x-api-key'], 'ak-test');
+    assert.match(requests[0].body.system, /^You are an agent\.\n\nRespond with a single JSON/);
+    assert.equal(requests[0].body.messages[0].role, 'user');
+    assert.deepEqual(requests[0].body.tools[0].input_schema, TOOLS[0].parameters);
+    assert.deepEqual(requests[0].body.tool_choice, {
+        type: 'auto',
+        disable_parallel_tool_use: true,
+    });
+
+    await explainToolCalls({
+        config: anthropicConfig,
+        conversation: decision.conversation,
+        toolOutputs: [{ callId: 'toolu_1', output: '{"status":"submitted"}' }],
+    });
+    const messages = requests[1].body.messages;
+    assert.deepEqual(
+        messages.map((message) => message.role),
+        ['user', 'assistant', 'user']
+    );
+    assert.deepEqual(messages[1].content[1].input, { amountWei: '5' });
+    assert.deepEqual(
+        messages[2].content.map((block) => block.type),
+        ['tool_result', 'text']
+    );
+
+    // Errors carry the provider and status; calls are counted per provider.
+    mockFetch([{ status: 429, error: 'rate limited' }]);
+    await assert.rejects(
+        requestCompletion({
+            config: anthropicConfig,
+            call: 'decide',
+            messages: [{ role: 'user', content: 'hi' }],
+        }),
+        /Anthropic API error: 429/
+    );
+    await assert.rejects(
+        requestCompletion({
+            config: { ...anthropicConfig, llmModel: undefined },
+            call: 'decide',
+            messages: [{ role: 'user', content: 'hi' }],
+        }),
+        /LLM_MODEL is required/
+    );
+    assert.match(
+        registry.render(),
+        /agent_llm_calls_total\{call="decide",commitment="default",provider="anthropic",status="error"\} 1/
+    );
+    assert.match(
+        registry.render(),
+        /agent_llm_tokens_total\{commitment="default",direction="input"\} 29/
+    );
+
+    console.log('[test] llm providers OK');
+}
+
+run().catch((error) => {
+    console.error(error);
+    process.exit(1);
+});
@@ -0,0 +1,134 @@
+import assert from 'node:assert/strict';
+import { createLogFetcher, isLogRangeError } from '../src/lib/log-fetcher.js';
+import { pollCommitmentChanges } from '../src/lib/polling.js';
+
+const TOKEN_A = '0x1c7d4b196cb0c7b01d743fbc6116a902379c7238';
+const TOKEN_B = '0x7b79995e5f793a07bc00c21412e50ecae098e7f9';
+const SAFE = '0x1234000000000000000000000000000000000000';
+
+function rangeLimitedClient({ providerLimit }) {
+    const calls = [];
+    return {
+        calls,
+        getLogs: async ({ address, fromBlock, toBlock }) => {
+            calls.push({ address, fromBlock, toBlock });
+            if (toBlock - fromBlock + 1n > providerLimit) {
+                const error = new Error('RPC Request failed.');
+                error.cause = { message: 'query returned more than 10000 results' };
+                throw error;
+            }
+            return [{ blockNumber: fromBlock, logIndex: 0, address: TOKEN_A }];
+        },
+    };
+}
+
+async function run() {
+    assert.equal(isLogRangeError(new Error('block range is too large')), true);
+    assert.equal(isLogRangeError({ code: -32005, message: 'limit' }), true);
+    assert.equal(isLogRangeError(new Error('execution reverted')), false);
+
+    const client = rangeLimitedClient({ providerLimit: 300n });
+    const fetcher = createLogFetcher({ maxRange: 1_000n });
+    const logs = await fetcher.getLogs({
+        publicClient: client,
+        address: TOKEN_A,
+        fromBlock: 1n,
+        toBlock: 2_000n,
+    });
+    const successful = client.calls.filter((call) => call.toBlock - call.fromBlock + 1n <= 300n);
+    assert.equal(logs.length, successful.length);
+    let expectedFrom = 1n;
+    for (const call of successful) {
+        assert.equal(call.fromBlock, expectedFrom);
+        expectedFrom = call.toBlock + 1n;
+    }
+    assert.equal(expectedFrom, 2_001n);
+    assert.ok(fetcher.getRange() <= 1_000n);
+
+    const healthy = createLogFetcher({ maxRange: 250n, growAfter: 1 });
+    const healthyClient = rangeLimitedClient({ providerLimit: 10_000n });
+    await healthy.getLogs({ publicClient: healthyClient, fromBlock: 1n, toBlock: 1_000n });
+    assert.equal(healthyClient.calls.length, 4);
+    assert.equal(healthy.getRange(), 250n);
+
+    const tiny = createLogFetcher({ maxRange: 2n });
+    await assert.rejects(
+        () =>
+            tiny.getLogs({
+                publicClient: rangeLimitedClient({ providerLimit: 0n }),
+                fromBlock: 1n,
+                toBlock: 5n,
+            }),
+        /RPC Request failed/
+    );
+
+    await assert.rejects(
+        () =>
+            createLogFetcher().getLogs({
+                publicClient: {
+                    getLogs: async () => {
+                        throw new Error('execution reverted');
+                    },
+                },
+                fromBlock: 1n,
+                toBlock: 5n,
+            }),
+        /execution reverted/
+    );
+
+    const multiAddressCalls = [];
+    let block = 100n;
+    const pollingClient = {
+        getBlockNumber: async () => {
+            block += 50n;
+            return block;
+        },
+        getLogs: async (request) => {
+            multiAddressCalls.push(request);
+            return [
+                {
+                    address: TOKEN_B,
+                    blockNumber: 140n,
+                    logIndex: 2,
+                    transactionHash: `0x${'b'.repeat(64)}`,
+                    args: { from: SAFE, to: SAFE, value: 9n },
+                },
+                {
+                    address: TOKEN_A,
+                    blockNumber: 120n,
+                    logIndex: 0,
+                    transactionHash: `0x${'a'.repeat(64)}`,
+                    args: { from: SAFE, to: SAFE, value: 4n },
+                },
+            ];
+        },
+        readContract: async () => 0n,
+        getBalance: async () => 0n,
+    };
+    const result = await pollCommitmentChanges({
+        publicClient: pollingClient,
+        trackedAssets: new Set([TOKEN_A, TOKEN_B]),
+        commitmentSafe: SAFE,
+        watchNativeBalance: false,
+        lastCheckedBlock: 100n,
+        lastNativeBalance: undefined,
+        lastAssetBalances: new Map(),
+        logFetcher: createLogFetcher({ maxRange: 1_000n }),
+    });
+    assert.equal(multiAddressCalls.length, 1);
+    assert.deepEqual(multiAddressCalls[0].address, [TOKEN_A, TOKEN_B]);
+    assert.deepEqual(
+        result.deposits.map((deposit) => [deposit.asset, deposit.amount]),
+        [
+            [TOKEN_A, 4n],
+            [TOKEN_B, 9n],
+        ]
+    );
+
+    console.log('[test] adaptive log fetcher OK');
+}
+
+run().catch((error) => {
+    console.error(error);
+    process.exit(1);
+});
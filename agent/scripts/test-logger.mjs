@@ -0,0 +1,89 @@
+import assert from 'node:assert/strict';
+import { mkdtemp, readFile, rm } from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { createDecisionJournal } from '../src/lib/decision-journal.js';
+import { configureLogger, createLogger, withLogContext } from '../src/lib/logger.js';
+
+async function run() {
+    const lines = [];
+    const write = (level, line) => lines.push({ level, line });
+    const logger = createLogger('agent');
+
+    // Text keeps the familiar `[agent] message` shape, with fields appended.
+    configureLogger({ format: 'text', level: 'info', write });
+    logger.debug('hidden');
+    logger.info('Proposal submitted', { transactionHash: '0xabc', bond: 5n });
+    await withLogContext({ commitment: 'dca' }, async () => {
+        logger.warn('Propose submission failed', { error: new Error('nonce too low') });
+    });
+    assert.deepEqual(lines, [
+        { level: 'info', line: '[agent] Proposal submitted transactionHash=0xabc bond=5' },
+        { level: 'warn', line: '[agent] (dca) Propose submission failed error=nonce too low' },
+    ]);
+
+    // JSON lines carry the level, scope, and every context field, including across awaits.
+    lines.length = 0;
+    configureLogger({ format: 'json', level: 'debug' });
+    await withLogContext({ commitment: 'dca', iteration: 3, loopId: 'loop-1' }, async () => {
+        await withLogContext({ decisionId: 'decision-1' }, async () => {
+            await new Promise((resolve) => setTimeout(resolve, 1));
+            logger.child({ tool: 'dispute_assertion' }).debug('Tool call finished', {
+                transactionHash: '0xdef',
+            });
+        });
+        logger.error('Loop error', { error: Object.assign(new Error('boom'), { code: 'E_X' }) });
+    });
+    const [toolLine, errorLine] = lines.map(({ line }) => JSON.parse(line));
+    assert.equal(toolLine.level, 'debug');
+    assert.equal(toolLine.scope, 'agent');
+    assert.equal(toolLine.msg, 'Tool call finished');
+    assert.equal(toolLine.commitment, 'dca');
+    assert.equal(toolLine.iteration, 3);
+    assert.equal(toolLine.loopId, 'loop-1');
+    assert.equal(toolLine.decisionId, 'decision-1');
+    assert.equal(toolLine.tool, 'dispute_assertion');
+    assert.equal(toolLine.transactionHash, '0xdef');
+    assert.ok(!Number.isNaN(Date.parse(toolLine.time)));
+    assert.equal(errorLine.decisionId, undefined);
+    assert.equal(errorLine.error.message, 'boom');
+    assert.equal(errorLine.error.code, 'E_X');
+
+    assert.throws(() => configureLogger({ format: 'xml' }), /LOG_FORMAT/);
+    assert.throws(() => configureLogger({ level: 'trace' }), /LOG_LEVEL/);
+
+    // The journal appends one JSON line per decision, tagged with the active log context.
+    const dir = await mkdtemp(path.join(os.tmpdir(), 'decision-journal-'));
+    try {
+        const filePath = path.join(dir, 'nested', 'decisions.jsonl');
+        const journal = createDecisionJournal({ filePath });
+        await withLogContext({ commitment: 'dca', iteration: 1, decisionId: 'd-1' }, () =>
+            journal.record({
+                signals: [{ kind: 'deposit', amount: 10n }],
+                toolOutputs: [{ name: 'post_bond_and_propose', output: { transactionHash: '0x1' } }],
+            })
+        );
+        journal.record({ signals: [], error: 'OpenAI API error: 500' });
+        await journal.flush();
+
+        const entries = (await readFile(filePath, 'utf8'))
+            .trim()
+            .split('\n')
+            .map((line) => JSON.parse(line));
+        assert.equal(entries.length, 2);
+        assert.equal(entries[0].commitment, 'dca');
+        assert.equal(entries[0].decisionId, 'd-1');
+        assert.equal(entries[0].signals[0].amount, '10');
+        assert.equal(entries[0].toolOutputs[0].output.transactionHash, '0x1');
+        assert.equal(entries[1].error, 'OpenAI API error: 500');
+    } finally {
+        await rm(dir, { recursive: true, force: true });
+    }
+
+    console.log('[test] logger OK');
+}
+
+run().catch((error) => {
+    console.error(error);
+    process.exit(1);
+});
@@ -0,0 +1,229 @@
+import assert from 'node:assert/strict';
+import { createNativeDepositAttributor } from '../src/lib/native-deposits.js';
+import { pollCommitmentChanges } from '../src/lib/polling.js';
+
+const SAFE = '0x1234000000000000000000000000000000000000';
+const ALICE = '0x00000000000000000000000000000000000000a1';
+const BOB = '0x00000000000000000000000000000000000000b2';
+const ROUTER = '0x00000000000000000000000000000000000000c3';
+const TX_1 = `0x${'11'.repeat(32)}`;
+const TX_2 = `0x${'22'.repeat(32)}`;
+const TX_3 = `0x${'33'.repeat(32)}`;
+
+function blockClient({ traceFilter, debugTrace, balance = 112n } = {}) {
+    const requests = [];
+    const blocks = new Map([
+        [
+            11n,
+            [
+                { hash: TX_1, from: ALICE, to: SAFE, value: 5n },
+                { hash: TX_2, from: BOB, to: ROUTER, value: 9n },
+            ],
+        ],
+        [12n, [{ hash: TX_3, from: BOB, to: SAFE, value: 7n }]],
+    ]);
+    return {
+        requests,
+        getBlockNumber: async () => 12n,
+        getBalance: async () => balance,
+        getLogs: async () => [],
+        getBlock: async ({ blockNumber }) => ({ transactions: blocks.get(blockNumber) ?? [] }),
+        getTransactionReceipt: async ({ hash }) => ({
+            status: hash === TX_3 ? 'reverted' : 'success',
+        }),
+        request: async ({ method, params }) => {
+            requests.push(method);
+            if (method === 'trace_filter' && traceFilter) return traceFilter(params);
+            if (method === 'debug_traceBlockByNumber' && debugTrace) return debugTrace(params);
+            throw new Error(`the method ${method} does not exist/is not available`);
+        },
+    };
+}
+
+async function poll({ publicClient, nativeDepositAttributor }) {
+    return pollCommitmentChanges({
+        publicClient,
+        trackedAssets: new Set(),
+        commitmentSafe: SAFE,
+        watchNativeBalance: true,
+        lastCheckedBlock: 10n,
+        lastNativeBalance: 100n,
+        lastAssetBalances: new Map(),
+        nativeDepositAttributor,
+    });
+}
+
+async function run() {
+    assert.throws(
+        () => createNativeDepositAttributor({ mode: 'magic' }),
+        /Unsupported NATIVE_DEPOSIT_ATTRIBUTION/
+    );
+
+    const balanceOnly = await poll({
+        publicClient: blockClient(),
+        nativeDepositAttributor: createNativeDepositAttributor({ mode: 'balance' }),
+    });
+    assert.equal(balanceOnly.deposits.length, 1);
+    assert.equal(balanceOnly.deposits[0].from, 'unknown');
+    assert.equal(balanceOnly.deposits[0].amount, 12n);
+    assert.equal(balanceOnly.lastNativeBalance, 112n);
+
+    const scanned = await poll({
+        publicClient: blockClient(),
+        nativeDepositAttributor: createNativeDepositAttributor({ mode: 'blocks' }),
+    });
+    assert.deepEqual(
+        scanned.deposits.map((d) => [d.from.toLowerCase(), d.amount, d.transactionHash, d.blockNumber]),
+        [
+            [ALICE, 5n, TX_1, 11n],
+            // Block scanning misses ETH sent through internal calls; the rest of the balance
+            // change is still reported, unattributed.
+            ['unknown', 7n, undefined, 12n],
+        ]
+    );
+    assert.equal(scanned.deposits[0].kind, 'nativeDeposit');
+    assert.equal(scanned.deposits[0].id, `native:${TX_1}:0`);
+
+    const traced = blockClient({
+        balance: 107n,
+        traceFilter: () => [
+            {
+                type: 'call',
+                action: { from: ROUTER, to: SAFE, value: '0x3' },
+                blockNumber: 11,
+                transactionHash: TX_2,
+            },
+            {
+                type: 'call',
+                action: { from: ROUTER, to: SAFE, value: '0x4' },
+                blockNumber: 11,
+                transactionHash: TX_2,
+            },
+            {
+                type: 'call',
+                error: 'Reverted',
+                action: { from: BOB, to: SAFE, value: '0x7' },
+                blockNumber: 12,
+                transactionHash: TX_3,
+            },
+        ],
+    });
+    const tracedResult = await poll({
+        publicClient: traced,
+        nativeDepositAttributor: createNativeDepositAttributor({ mode: 'trace' }),
+    });
+    assert.deepEqual(
+        tracedResult.deposits.map((d) => [d.from.toLowerCase(), d.amount, d.id]),
+        [
+            [ROUTER, 3n, `native:${TX_2}:0`],
+            [ROUTER, 4n, `native:${TX_2}:1`],
+        ]
+    );
+
+    const debugOnly = blockClient({
+        balance: 106n,
+        debugTrace: ([blockHex]) =>
+            blockHex === '0xb'
+                ? [
+                      {
+                          txHash: TX_2,
+                          result: {
+                              type: 'CALL',
+                              from: BOB,
+                              to: ROUTER,
+                              value: '0x9',
+                              calls: [
+                                  { type: 'CALL', from: ROUTER, to: SAFE, value: '0x6' },
+                                  { type: 'STATICCALL', from: ROUTER, to: SAFE },
+                              ],
+                          },
+                      },
+                  ]
+                : [],
+    });
+    const debugAttributor = createNativeDepositAttributor({ mode: 'trace' });
+    const debugResult = await poll({
+        publicClient: debugOnly,
+        nativeDepositAttributor: debugAttributor,
+    });
+    assert.deepEqual(
+        debugResult.deposits.map((d) => [d.from.toLowerCase(), d.amount, d.blockNumber]),
+        [[ROUTER, 6n, 11n]]
+    );
+    await poll({ publicClient: debugOnly, nativeDepositAttributor: debugAttributor });
+    assert.equal(
+        debugOnly.requests.filter((method) => method === 'trace_filter').length,
+        1,
+        'unsupported trace_filter should not be retried'
+    );
+
+    const noTraces = blockClient({ balance: 105n });
+    const fallback = await poll({
+        publicClient: noTraces,
+        nativeDepositAttributor: createNativeDepositAttributor({ mode: 'trace' }),
+    });
+    assert.deepEqual(fallback.deposits.map((d) => d.transactionHash), [TX_1]);
+
+    // A timeout or rate limit is transient: the poll loses its attribution, but trace_filter is
+    // tried again next time instead of being dropped for the blocks scan.
+    let traceFilterCalls = 0;
+    const rateLimited = blockClient({
+        balance: 105n,
+        traceFilter: () => {
+            traceFilterCalls += 1;
+            if (traceFilterCalls === 1) {
+                throw Object.assign(new Error('Too Many Requests'), { status: 429 });
+            }
+            return [];
+        },
+    });
+    const rateLimitedAttributor = createNativeDepositAttributor({ mode: 'trace' });
+    const limitedResult = await poll({
+        publicClient: rateLimited,
+        nativeDepositAttributor: rateLimitedAttributor,
+    });
+    assert.deepEqual(limitedResult.deposits.map((d) => [d.from, d.amount]), [['unknown', 5n]]);
+    await poll({ publicClient: rateLimited, nativeDepositAttributor: rateLimitedAttributor });
+    assert.equal(traceFilterCalls, 2);
+    assert.deepEqual(rateLimited.requests, ['trace_filter', 'trace_filter']);
+
+    // Per-block scans cover only the last maxScanBlocks blocks of the range.
+    const scannedBlocks = [];
+    const shortScan = blockClient();
+    const getBlock = shortScan.getBlock;
+    shortScan.getBlock = async (params) => {
+        scannedBlocks.push(params.blockNumber);
+        return getBlock(params);
+    };
+    const shortResult = await poll({
+        publicClient: shortScan,
+        nativeDepositAttributor: createNativeDepositAttributor({
+            mode: 'blocks',
+            maxScanBlocks: 1n,
+        }),
+    });
+    assert.deepEqual(scannedBlocks, [12n]);
+    assert.deepEqual(shortResult.deposits.map((d) => [d.from, d.amount]), [['unknown', 12n]]);
+
+    // A failed attribution falls back to the balance change instead of failing the poll.
+    const failing = blockClient();
+    failing.getBlock = async () => {
+        throw new Error('header not found');
+    };
+    const failedResult = await poll({
+        publicClient: failing,
+        nativeDepositAttributor: createNativeDepositAttributor({ mode: 'blocks' }),
+    });
+    assert.deepEqual(
+        failedResult.deposits.map((d) => [d.from, d.amount, d.id]),
+        [['unknown', 12n, 'native:12:12']]
+    );
+    assert.equal(failedResult.lastNativeBalance, 112n);
+
+    console.log('[test] native deposit attribution OK');
+}
+
+run().catch((error) => {
+    console.error(error);
+    process.exit(1);
+});
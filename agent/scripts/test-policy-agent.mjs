@@ -0,0 +1,197 @@
+import assert from 'node:assert/strict';
+import { mkdtemp, rm, writeFile } from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { stringToHex } from 'viem';
+import { buildConfig } from '../src/lib/config.js';
+import { encodeReplayInput } from '../src/lib/decision-journal.js';
+import { toJsonValue } from '../src/lib/logger.js';
+import { replayDecision } from '../src/lib/replay.js';
+import { createCommitmentRunner } from '../src/lib/runner.js';
+import { createStateStore } from '../src/lib/state-store.js';
+import { decidePolicyToolCalls } from '../src/lib/tool-loop.js';
+
+const SAFE = '0x00000000000000000000000000000000000000c0';
+const AGENT = '0x00000000000000000000000000000000000000a1';
+const OG_MODULE = '0x00000000000000000000000000000000000000d0';
+const COLLATERAL = '0x00000000000000000000000000000000000000e0';
+const ORACLE = '0x00000000000000000000000000000000000000f0';
+
+// The module reports each hook call through globalThis, since the runner imports it by path.
+const POLICY_MODULE = `
+export function augmentSignals(signals) {
+    return [...signals, { kind: 'tick' }];
+}
+export function decide({ signals }) {
+    globalThis.policyRunnerCalls.push(['decide', signals.map((signal) => signal.kind)]);
+    const action = { kind: 'native_transfer', to: '${AGENT}', amountWei: '1' };
+    return [{ name: 'build_og_transactions', arguments: { actions: [action] } }];
+}
+export function validateToolCalls({ toolCalls }) {
+    globalThis.policyRunnerCalls.push(['validateToolCalls', toolCalls.map((call) => call.name)]);
+    return toolCalls;
+}
+export function onToolOutput({ name, parsedOutput }) {
+    globalThis.policyRunnerCalls.push(['onToolOutput', name, parsedOutput?.status]);
+}
+`;
+
+function chainClient() {
+    const reads = {
+        collateral: COLLATERAL,
+        bondAmount: 0n,
+        optimisticOracleV3: ORACLE,
+        rules: 'Each tick may pay the agent 1 wei.',
+        identifier: stringToHex('ASSERT_TRUTH2', { size: 32 }),
+        liveness: 3600n,
+        getMinimumBond: 0n,
+    };
+    return {
+        getChainId: async () => 11155111,
+        getBlockNumber: async () => 100n,
+        getBlock: async ({ blockNumber }) => ({
+            number: blockNumber,
+            hash: `0x${blockNumber.toString(16).padStart(64, '0')}`,
+            timestamp: 1_000n,
+        }),
+        getBalance: async () => 10n ** 18n,
+        getGasPrice: async () => 1n,
+        getLogs: async () => [],
+        readContract: async ({ functionName }) => reads[functionName] ?? 0n,
+    };
+}
+
+// With no LLM configured, a module's decide() still runs, and its tool calls go through
+// validateToolCalls and are executed.
+async function runnerWithoutLlm() {
+    const dir = await mkdtemp(path.join(os.tmpdir(), 'policy-agent-'));
+    try {
+        const modulePath = path.join(dir, 'agent.js');
+        await writeFile(modulePath, POLICY_MODULE, 'utf8');
+        await writeFile(path.join(dir, 'commitment.txt'), 'Pay the agent 1 wei per tick.', 'utf8');
+        const config = buildConfig({
+            RPC_URL: 'http://127.0.0.1:8545',
+            COMMITMENT_SAFE: SAFE,
+            OG_MODULE,
+            AGENT_MODULE: modulePath,
+            WATCH_NATIVE_BALANCE: 'false',
+            PROPOSE_ENABLED: 'false',
+            POLL_INTERVAL_MS: '60000',
+        });
+        assert.equal(config.llmEnabled, false);
+
+        globalThis.policyRunnerCalls = [];
+        globalThis.fetch = async () => assert.fail('decide() agents must not call the model');
+        const runner = await createCommitmentRunner({
+            config,
+            publicClient: chainClient(),
+            account: { address: AGENT },
+            walletClient: {},
+            stateStore: await createStateStore(),
+            repoRoot: dir,
+        });
+        await runner.start();
+        for (let i = 0; i < 100 && globalThis.policyRunnerCalls.length < 3; i += 1) {
+            await new Promise((resolve) => setTimeout(resolve, 10));
+        }
+        runner.stop();
+        assert.deepEqual(globalThis.policyRunnerCalls, [
+            ['decide', ['tick']],
+            ['validateToolCalls', ['build_og_transactions']],
+            ['onToolOutput', 'build_og_transactions', 'ok'],
+        ]);
+    } finally {
+        delete globalThis.policyRunnerCalls;
+        await rm(dir, { recursive: true, force: true });
+    }
+}
+
+async function run() {
+    // decide() answers with tool calls; arguments may be objects or JSON strings.
+    const agentModule = {
+        decide: async ({ signals, commitmentSafe }) =>
+            signals
+                .filter((signal) => signal.kind === 'priceSignal' && signal.price <= 2000)
+                .map((signal) => ({
+                    name: 'build_og_transactions',
+                    arguments: { actions: [{ kind: 'swap', recipient: commitmentSafe }] },
+                })),
+        validateToolCalls: async ({ toolCalls, onchainPendingProposal }) =>
+            onchainPendingProposal ? [] : toolCalls,
+    };
+    const context = { signals: [{ kind: 'priceSignal', price: 1900 }], commitmentSafe: SAFE };
+    assert.deepEqual(await decidePolicyToolCalls({ agentModule, context }), [
+        {
+            name: 'build_og_transactions',
+            callId: 'decide-1',
+            arguments: JSON.stringify({ actions: [{ kind: 'swap', recipient: SAFE }] }),
+        },
+    ]);
+    assert.deepEqual(
+        await decidePolicyToolCalls({
+            agentModule: {
+                decide: () => [{ name: 'make_deposit', callId: 'mine', arguments: '{"a":1}' }],
+            },
+            context,
+        }),
+        [{ name: 'make_deposit', callId: 'mine', arguments: '{"a":1}' }]
+    );
+    assert.deepEqual(
+        await decidePolicyToolCalls({ agentModule: { decide: () => undefined }, context }),
+        []
+    );
+    await assert.rejects(
+        decidePolicyToolCalls({ agentModule: { decide: () => ({ name: 'x' }) }, context }),
+        /must return an array/
+    );
+    await assert.rejects(
+        decidePolicyToolCalls({ agentModule: { decide: () => [{ arguments: {} }] }, context }),
+        /needs a name/
+    );
+
+    // Replays ask decide() again instead of reusing the journal's tool calls or the model.
+    globalThis.fetch = async () => assert.fail('decide() agents must not call the model');
+    const input = {
+        signals: [{ kind: 'priceSignal', price: 1900 }],
+        nowMs: 1_000,
+        latestBlock: 50n,
+        onchainPendingProposal: false,
+        agentAddress: AGENT,
+    };
+    const toolCalls = await decidePolicyToolCalls({ agentModule, context });
+    const entry = JSON.parse(
+        JSON.stringify(
+            {
+                decisionId: 'd-1',
+                policy: 'decide',
+                signals: input.signals,
+                replay: encodeReplayInput(input),
+                toolCalls,
+                approvedToolCalls: toolCalls,
+            },
+            toJsonValue
+        )
+    );
+    const config = { commitmentSafe: SAFE, proposeEnabled: true };
+    let result = await replayDecision({ entry, agentModule, config, replayLlm: true });
+    assert.equal(result.signalsMatch, true);
+    assert.equal(result.toolCallsMatch, true);
+
+    // A changed policy shows up as a mismatch.
+    result = await replayDecision({
+        entry,
+        agentModule: { ...agentModule, decide: () => [] },
+        config,
+    });
+    assert.equal(result.toolCallsMatch, false);
+    assert.deepEqual(result.actualToolCalls, []);
+
+    await runnerWithoutLlm();
+
+    console.log('[test] policy agent OK');
+}
+
+run().catch((error) => {
+    console.error(error);
+    process.exit(1);
+});
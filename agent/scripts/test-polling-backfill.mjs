@@ -0,0 +1,127 @@
+import assert from 'node:assert/strict';
+import { createLogFetcher } from '../src/lib/log-fetcher.js';
+import {
+    backfillDeposits,
+    backfillProposals,
+    findContractDeploymentBlock,
+} from '../src/lib/polling.js';
+
+const OG_MODULE = '0x00000000000000000000000000000000000000aa';
+const SAFE = '0x1234000000000000000000000000000000000000';
+const TOKEN = '0x1c7d4b196cb0c7b01d743fbc6116a902379c7238';
+const PROPOSER = '0x1111111111111111111111111111111111111111';
+const HASH_A = `0x${'a'.repeat(64)}`;
+const HASH_B = `0x${'b'.repeat(64)}`;
+const HASH_C = `0x${'c'.repeat(64)}`;
+
+function proposedLog({ proposalHash, blockNumber, logIndex = 0 }) {
+    return {
+        eventName: 'TransactionsProposed',
+        blockNumber,
+        logIndex,
+        args: {
+            proposer: PROPOSER,
+            assertionId: `0x${'1'.repeat(64)}`,
+            proposalHash,
+            proposal: {
+                transactions: [{ to: SAFE, operation: 0, value: 0n, data: '0x' }],
+                requestTime: 0n,
+            },
+            explanation: '0x6869',
+            rules: 'rules',
+            challengeWindowEnds: 1000n,
+        },
+    };
+}
+
+function hashLog({ eventName, proposalHash, blockNumber, logIndex = 0 }) {
+    return { eventName, blockNumber, logIndex, args: { proposalHash } };
+}
+
+async function run() {
+    const ogLogs = [
+        proposedLog({ proposalHash: HASH_A, blockNumber: 10n }),
+        proposedLog({ proposalHash: HASH_B, blockNumber: 12n }),
+        hashLog({ eventName: 'ProposalExecuted', proposalHash: HASH_A, blockNumber: 40n }),
+        proposedLog({ proposalHash: HASH_C, blockNumber: 50n }),
+        hashLog({ eventName: 'ProposalDeleted', proposalHash: HASH_C, blockNumber: 60n }),
+        proposedLog({ proposalHash: HASH_C, blockNumber: 60n, logIndex: 5 }),
+    ];
+    const transferLogs = [
+        {
+            blockNumber: 30n,
+            logIndex: 1,
+            transactionHash: `0x${'d'.repeat(64)}`,
+            args: { from: PROPOSER, to: SAFE, value: 7n },
+        },
+        {
+            blockNumber: 20n,
+            logIndex: 0,
+            transactionHash: `0x${'e'.repeat(64)}`,
+            args: { from: PROPOSER, to: SAFE, value: 3n },
+        },
+    ];
+    const requestedRanges = [];
+    const publicClient = {
+        getLogs: async ({ address, events, fromBlock, toBlock }) => {
+            requestedRanges.push([fromBlock, toBlock]);
+            const source =
+                address === OG_MODULE
+                    ? ogLogs.filter((log) => events.some((event) => event.name === log.eventName))
+                    : transferLogs.map((log) => ({ ...log, address: address[0] }));
+            return source.filter((log) => log.blockNumber >= fromBlock && log.blockNumber <= toBlock);
+        },
+        getCode: async ({ blockNumber }) => (blockNumber >= 8n ? '0x6000' : undefined),
+        getBlockNumber: async () => 100n,
+    };
+
+    const deploymentBlock = await findContractDeploymentBlock({
+        publicClient,
+        address: OG_MODULE,
+    });
+    assert.equal(deploymentBlock, 8n);
+
+    const { openProposals, executedProposals, deletedProposals } = await backfillProposals({
+        publicClient,
+        ogModule: OG_MODULE,
+        fromBlock: deploymentBlock,
+        toBlock: 100n,
+        logFetcher: createLogFetcher({ maxRange: 25n }),
+    });
+    assert.deepEqual(
+        openProposals.map((proposal) => proposal.proposalHash),
+        [HASH_B, HASH_C]
+    );
+    assert.equal(openProposals[0].explanation, 'hi');
+    assert.equal(openProposals[0].challengeWindowEnds, 1000n);
+    assert.deepEqual(executedProposals, [HASH_A]);
+    assert.deepEqual(deletedProposals, [HASH_C]);
+    assert.ok(requestedRanges.every(([from, to]) => to - from < 25n));
+
+    const deposits = await backfillDeposits({
+        publicClient,
+        trackedAssets: new Set([TOKEN]),
+        commitmentSafe: SAFE,
+        fromBlock: 8n,
+        toBlock: 100n,
+    });
+    assert.equal(deposits.length, 2);
+    assert.equal(deposits[0].amount, 3n);
+    assert.equal(deposits[1].kind, 'erc20Deposit');
+    assert.equal(deposits[1].id, `0x${'d'.repeat(64)}:1`);
+
+    const empty = await backfillProposals({
+        publicClient,
+        ogModule: OG_MODULE,
+        fromBlock: 101n,
+        toBlock: 100n,
+    });
+    assert.equal(empty.openProposals.length, 0);
+
+    console.log('[test] polling backfill OK');
+}
+
+run().catch((error) => {
+    console.error(error);
+    process.exit(1);
+});
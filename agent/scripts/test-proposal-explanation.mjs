@@ -0,0 +1,153 @@
+import assert from 'node:assert/strict';
+import { hexToString } from 'viem';
+import {
+    buildProposalExplanation,
+    computeRawCid,
+    fetchExplanationDocument,
+    parseProposalExplanation,
+    pinExplanationDocument,
+} from '../src/lib/explanation.js';
+import { pollProposalChanges } from '../src/lib/polling.js';
+
+const OG_MODULE = '0x00000000000000000000000000000000000000aa';
+const SAFE = '0x1234000000000000000000000000000000000000';
+const PROPOSER = '0x1111111111111111111111111111111111111111';
+
+function proposedLog({ proposalHash, explanationBytes }) {
+    return {
+        eventName: 'TransactionsProposed',
+        blockNumber: 11n,
+        logIndex: 0,
+        args: {
+            proposer: PROPOSER,
+            assertionId: `0x${'1'.repeat(64)}`,
+            proposalHash,
+            proposal: {
+                transactions: [{ to: SAFE, operation: 0, value: 0n, data: '0x' }],
+                requestTime: 0n,
+            },
+            explanation: explanationBytes,
+            rules: 'rules',
+            challengeWindowEnds: 1000n,
+        },
+    };
+}
+
+async function run() {
+    // Known CIDv1 (raw, sha2-256) of empty content.
+    assert.equal(
+        computeRawCid(Buffer.alloc(0)),
+        'bafkreihdwdcefgh4dqkjv67uzcmw7ojee6xedzdetojuzjevtenxquvyku'
+    );
+
+    const fallback = buildProposalExplanation({ explanation: '  ' });
+    assert.equal(hexToString(fallback.explanationBytes), 'Agent serving Oya commitment.');
+
+    const plain = buildProposalExplanation({ explanation: 'Weekly DCA buy per rule 2.' });
+    assert.equal(hexToString(plain.explanationBytes), 'Weekly DCA buy per rule 2.');
+    assert.deepEqual(parseProposalExplanation(hexToString(plain.explanationBytes)), {
+        explanation: 'Weekly DCA buy per rule 2.',
+    });
+
+    const rationale = { rule: 2, signals: [{ kind: 'timelock', triggerId: 'weekly' }] };
+    const inline = buildProposalExplanation({ explanation: 'Weekly DCA buy.', rationale });
+    assert.deepEqual(parseProposalExplanation(hexToString(inline.explanationBytes)), {
+        explanation: 'Weekly DCA buy.',
+        rationale,
+    });
+
+    const hashed = buildProposalExplanation({
+        explanation: 'Weekly DCA buy.',
+        rationale,
+        mode: 'hash',
+    });
+    assert.equal(hashed.cid, computeRawCid(Buffer.from(hashed.document, 'utf8')));
+    assert.equal(
+        hexToString(hashed.explanationBytes),
+        `Weekly DCA buy.\n\nipfs://${hashed.cid}`
+    );
+    assert.deepEqual(parseProposalExplanation(hexToString(hashed.explanationBytes)), {
+        explanation: 'Weekly DCA buy.',
+        explanationCid: hashed.cid,
+    });
+    assert.throws(() => buildProposalExplanation({ mode: 'onchain' }), /Unknown explanation mode/);
+
+    const originalFetch = globalThis.fetch;
+    const requests = [];
+    try {
+        globalThis.fetch = async (url, options) => {
+            requests.push([url, options?.method ?? 'GET']);
+            if (url.includes('/api/v0/add')) {
+                return new Response(JSON.stringify({ Hash: hashed.cid }), { status: 200 });
+            }
+            if (url.endsWith(`/ipfs/${hashed.cid}`)) {
+                return new Response(hashed.document, { status: 200 });
+            }
+            return new Response('{"explanation":"forged"}', { status: 200 });
+        };
+
+        await pinExplanationDocument({
+            apiUrl: 'http://127.0.0.1:5001/',
+            document: hashed.document,
+            cid: hashed.cid,
+        });
+        assert.deepEqual(requests[0], [
+            'http://127.0.0.1:5001/api/v0/add?cid-version=1&raw-leaves=true&pin=true',
+            'POST',
+        ]);
+        await assert.rejects(
+            pinExplanationDocument({
+                apiUrl: 'http://127.0.0.1:5001',
+                document: hashed.document,
+                cid: computeRawCid(Buffer.from('other')),
+            }),
+            /expected/
+        );
+
+        // A gateway serving content that does not hash to the CID is rejected.
+        const otherCid = computeRawCid(Buffer.from('other'));
+        await assert.rejects(
+            fetchExplanationDocument({ gatewayUrl: 'https://gw.example', cid: otherCid }),
+            /does not match/
+        );
+
+        // Other agents see the explanation and rationale of new proposals.
+        const inlineHash = `0x${'a'.repeat(64)}`;
+        const hashedHash = `0x${'b'.repeat(64)}`;
+        const logs = [
+            proposedLog({ proposalHash: inlineHash, explanationBytes: inline.explanationBytes }),
+            proposedLog({ proposalHash: hashedHash, explanationBytes: hashed.explanationBytes }),
+        ];
+        const proposalsByHash = new Map();
+        const { newProposals } = await pollProposalChanges({
+            publicClient: { getBlockNumber: async () => 12n },
+            ogModule: OG_MODULE,
+            lastProposalCheckedBlock: 10n,
+            proposalsByHash,
+            logFetcher: { getLogs: async () => logs },
+            resolveExplanation: (cid) =>
+                fetchExplanationDocument({ gatewayUrl: 'https://gw.example', cid }),
+        });
+        assert.deepEqual(
+            newProposals.map(({ explanation, rationale: parsed, explanationCid }) => ({
+                explanation,
+                rationale: parsed,
+                explanationCid,
+            })),
+            [
+                { explanation: 'Weekly DCA buy.', rationale, explanationCid: undefined },
+                { explanation: 'Weekly DCA buy.', rationale, explanationCid: hashed.cid },
+            ]
+        );
+        assert.equal(proposalsByHash.get(hashedHash).rationale.rule, 2);
+    } finally {
+        globalThis.fetch = originalFetch;
+    }
+
+    console.log('[test] proposal explanation OK');
+}
+
+run().catch((error) => {
+    console.error(error);
+    process.exit(1);
+});
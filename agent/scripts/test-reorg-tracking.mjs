@@ -0,0 +1,106 @@
+import assert from 'node:assert/strict';
+import { getConfirmedBlockNumber, pollProposalChanges } from '../src/lib/polling.js';
+import { createBlockHashTracker } from '../src/lib/reorg.js';
+
+const OG_MODULE = '0x00000000000000000000000000000000000000aa';
+const HASH_A = `0x${'a'.repeat(64)}`;
+
+function blockHash(label) {
+    return `0x${label.repeat(64)}`;
+}
+
+async function run() {
+    const chain = new Map([
+        [100n, blockHash('1')],
+        [105n, blockHash('2')],
+        [110n, blockHash('3')],
+    ]);
+    const publicClient = {
+        getBlock: async ({ blockNumber }) => {
+            if (!chain.has(blockNumber)) throw new Error('BlockNotFound');
+            return { hash: chain.get(blockNumber) };
+        },
+    };
+
+    const tracker = createBlockHashTracker({ maxEntries: 3 });
+    assert.equal(await tracker.findReorg({ publicClient }), null);
+    for (const [blockNumber, hash] of chain) {
+        tracker.record(blockNumber, hash);
+    }
+    assert.equal(await tracker.findReorg({ publicClient }), null);
+
+    chain.set(110n, blockHash('9'));
+    const reorg = await tracker.findReorg({ publicClient });
+    assert.deepEqual(reorg, { ancestorBlock: 105n, orphanedBlock: 110n });
+    assert.equal(tracker.has(110n), false);
+    assert.equal(tracker.has(105n), true);
+
+    chain.delete(105n);
+    chain.set(100n, blockHash('8'));
+    const deep = await tracker.findReorg({ publicClient });
+    assert.deepEqual(deep, { ancestorBlock: 99n, orphanedBlock: 100n });
+    assert.equal(tracker.entries().length, 0);
+
+    for (const blockNumber of [1n, 2n, 3n, 4n]) {
+        tracker.record(blockNumber, blockHash(String(blockNumber)));
+    }
+    assert.deepEqual(
+        tracker.entries().map(([blockNumber]) => blockNumber),
+        [2n, 3n, 4n]
+    );
+
+    const restored = createBlockHashTracker();
+    restored.restore(tracker.entries());
+    assert.equal(restored.has(4n), true);
+
+    assert.equal(
+        await getConfirmedBlockNumber({
+            publicClient: { getBlockNumber: async () => 50n },
+            confirmations: 12n,
+        }),
+        38n
+    );
+    assert.equal(
+        await getConfirmedBlockNumber({
+            publicClient: { getBlockNumber: async () => 5n },
+            confirmations: 12n,
+        }),
+        0n
+    );
+
+    const requestedRanges = [];
+    const proposalsByHash = new Map([[HASH_A, { proposalHash: HASH_A, blockNumber: 10n }]]);
+    const result = await pollProposalChanges({
+        publicClient: {
+            getBlockNumber: async () => 40n,
+            getLogs: async ({ fromBlock, toBlock }) => {
+                requestedRanges.push([fromBlock, toBlock]);
+                return [
+                    {
+                        eventName: 'ProposalExecuted',
+                        blockNumber: 25n,
+                        args: { proposalHash: HASH_A },
+                    },
+                ];
+            },
+        },
+        ogModule: OG_MODULE,
+        lastProposalCheckedBlock: 20n,
+        proposalsByHash,
+        confirmations: 10n,
+    });
+    assert.deepEqual(requestedRanges, [[21n, 30n]]);
+    assert.equal(result.lastProposalCheckedBlock, 30n);
+    assert.deepEqual(result.executedProposals, [HASH_A]);
+    assert.equal(result.removedProposals.length, 1);
+    assert.equal(result.removedProposals[0].blockNumber, 25n);
+    assert.equal(result.removedProposals[0].proposal.proposalHash, HASH_A);
+    assert.equal(proposalsByHash.size, 0);
+
+    console.log('[test] reorg tracking OK');
+}
+
+run().catch((error) => {
+    console.error(error);
+    process.exit(1);
+});
@@ -0,0 +1,204 @@
+import assert from 'node:assert/strict';
+import { mkdtemp, readFile, rm } from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { encodeReplayInput } from '../src/lib/decision-journal.js';
+import { DEFAULT_SYSTEM_PROMPT, callAgent, requestCompletion } from '../src/lib/llm.js';
+import { recordingKey } from '../src/lib/llm-recorder.js';
+import { toJsonValue } from '../src/lib/logger.js';
+import { loadOgContext } from '../src/lib/og.js';
+import { replayDecision } from '../src/lib/replay.js';
+import { toolDefinitions } from '../src/lib/tools.js';
+
+const AGENT = '0x00000000000000000000000000000000000000a1';
+const OG_MODULE = '0x00000000000000000000000000000000000000d0';
+
+// Journal lines go through JSON with the logger's replacer, so entries are built the same way.
+function journalLine(entry) {
+    return JSON.parse(JSON.stringify(entry, toJsonValue));
+}
+
+async function run() {
+    const dir = await mkdtemp(path.join(os.tmpdir(), 'llm-recordings-'));
+    try {
+        const recordingsPath = path.join(dir, 'recordings.jsonl');
+        const config = {
+            llmProvider: 'responses',
+            llmModel: 'gpt-4.1-mini',
+            llmBaseUrl: 'https://api.openai.test/v1',
+            llmApiKey: 'sk-test',
+            llmRecordingsPath: recordingsPath,
+        };
+        const toolCallReply = {
+            id: 'resp_1',
+            output: [
+                {
+                    type: 'function_call',
+                    call_id: 'call_1',
+                    name: 'make_deposit',
+                    arguments: '{"amountWei":"5"}',
+                },
+            ],
+        };
+
+        // Record mode stores each request/response pair keyed by the hash of the request body.
+        let fetches = 0;
+        globalThis.fetch = async () => {
+            fetches += 1;
+            return { ok: true, json: async () => toolCallReply };
+        };
+        const messages = [{ role: 'user', content: 'deposit' }];
+        const recorded = await requestCompletion({
+            config: { ...config, llmRecordMode: 'record' },
+            call: 'decide',
+            messages,
+        });
+        const lines = (await readFile(recordingsPath, 'utf8')).trim().split('\n');
+        assert.equal(lines.length, 1);
+        const stored = JSON.parse(lines[0]);
+        assert.equal(stored.key, recordingKey({ provider: 'responses', body: recorded.request }));
+        assert.equal(stored.call, 'decide');
+        assert.deepEqual(stored.response, toolCallReply);
+
+        // Replay mode answers from the file without touching the network.
+        globalThis.fetch = async () => assert.fail('replay must not fetch');
+        const replayed = await requestCompletion({
+            config: { ...config, llmRecordMode: 'replay' },
+            call: 'decide',
+            messages,
+        });
+        assert.deepEqual(replayed.toolCalls, recorded.toolCalls);
+        assert.equal(fetches, 1);
+        await assert.rejects(
+            requestCompletion({
+                config: { ...config, llmRecordMode: 'replay' },
+                call: 'decide',
+                messages: [{ role: 'user', content: 'deposit twice' }],
+            }),
+            (error) => error.code === 'LLM_RECORDING_MISSING'
+        );
+
+        // A journal entry replays through enrichSignals and validateToolCalls.
+        let balance = 7n;
+        const publicClient = {
+            getBalance: async () => balance,
+            readContract: async ({ functionName }) =>
+                ({ bondAmount: 1n, liveness: 7200n, rules: 'Deposit.' })[functionName] ??
+                '0x00000000000000000000000000000000000000cc',
+        };
+        const agentModule = {
+            augmentSignals: (signals, { nowMs }) => [...signals, { kind: 'tick', nowMs }],
+            enrichSignals: async (signals, { publicClient: client, stateStore, account }) => {
+                const state = await stateStore.read();
+                const safeBalance = await client.getBalance({ address: account.address });
+                return signals.map((signal) => ({ ...signal, safeBalance, seen: state.seen }));
+            },
+            validateToolCalls: async ({ toolCalls, signals }) =>
+                toolCalls.filter(() => signals[0].safeBalance >= 5n),
+        };
+        const runtimeConfig = {
+            ...config,
+            commitmentSafe: '0x00000000000000000000000000000000000000c0',
+            ogModule: OG_MODULE,
+            proposeEnabled: true,
+            disputeEnabled: false,
+        };
+        const input = {
+            signals: [{ kind: 'deposit', amount: 5n, blockNumber: 100n }],
+            nowMs: 1_000,
+            latestBlock: 100n,
+            onchainPendingProposal: false,
+            agentAddress: AGENT,
+            agentState: { seen: 3n },
+        };
+        const enriched = [
+            { kind: 'deposit', amount: 5n, blockNumber: 100n, safeBalance: 7n, seen: 3n },
+            { kind: 'tick', nowMs: 1_000, safeBalance: 7n, seen: 3n },
+        ];
+        const entry = journalLine({
+            decisionId: 'd-1',
+            signals: enriched,
+            replay: encodeReplayInput(input),
+            toolCalls: recorded.toolCalls,
+            approvedToolCalls: recorded.toolCalls,
+        });
+        assert.deepEqual(entry.replay.latestBlock, { __type: 'bigint', value: '100' });
+
+        let result = await replayDecision({
+            entry,
+            agentModule,
+            commitmentText: 'Deposit.',
+            config: runtimeConfig,
+            publicClient,
+        });
+        assert.equal(result.signalsMatch, true);
+        assert.equal(result.toolCallsMatch, true);
+        assert.equal(result.latestBlock, 100n);
+        assert.deepEqual(result.actualToolCalls, [
+            { name: 'make_deposit', arguments: { amountWei: '5' } },
+        ]);
+
+        // A different chain read changes the enriched signals and what validateToolCalls keeps.
+        balance = 1n;
+        result = await replayDecision({
+            entry,
+            agentModule,
+            commitmentText: 'Deposit.',
+            config: runtimeConfig,
+            publicClient,
+        });
+        assert.equal(result.signalsMatch, false);
+        assert.equal(result.toolCallsMatch, false);
+        assert.deepEqual(result.actualToolCalls, []);
+
+        // With recordings, the model call is replayed too, so an unchanged prompt gets the
+        // recorded tool calls and a changed one fails.
+        balance = 7n;
+        globalThis.fetch = async () => ({ ok: true, json: async () => toolCallReply });
+        await callAgent({
+            config: { ...runtimeConfig, llmRecordMode: 'record' },
+            systemPrompt: DEFAULT_SYSTEM_PROMPT,
+            signals: enriched,
+            ogContext: await loadOgContext({ publicClient, ogModule: OG_MODULE }),
+            commitmentText: 'Deposit.',
+            agentAddress: AGENT,
+            tools: toolDefinitions({ proposeEnabled: true, disputeEnabled: false }),
+            allowTools: true,
+        });
+        globalThis.fetch = async () => assert.fail('replay must not fetch');
+        result = await replayDecision({
+            entry,
+            agentModule,
+            commitmentText: 'Deposit.',
+            config: runtimeConfig,
+            publicClient,
+            replayLlm: true,
+        });
+        assert.equal(result.toolCallsMatch, true);
+        await assert.rejects(
+            replayDecision({
+                entry,
+                agentModule,
+                commitmentText: 'Deposit twice.',
+                config: runtimeConfig,
+                publicClient,
+                replayLlm: true,
+            }),
+            (error) => error.code === 'LLM_RECORDING_MISSING'
+        );
+
+        await assert.rejects(
+            replayDecision({ entry: { decisionId: 'old' }, agentModule, config: runtimeConfig }),
+            /no replay section/
+        );
+    } finally {
+        await rm(dir, { recursive: true, force: true });
+    }
+
+    console.log('[test] replay OK');
+}
+
+run().catch((error) => {
+    console.error(error);
+    process.exit(1);
+});
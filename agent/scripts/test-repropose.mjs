@@ -0,0 +1,167 @@
+import assert from 'node:assert/strict';
+import { pollProposalChanges } from '../src/lib/polling.js';
+import { createReproposer, normalizeReproposePolicy } from '../src/lib/repropose.js';
+
+const OG_MODULE = '0x00000000000000000000000000000000000000aa';
+const ORACLE = '0x00000000000000000000000000000000000000bb';
+const AGENT = '0x00000000000000000000000000000000000000a1';
+const DISPUTER = '0x00000000000000000000000000000000000000D2';
+const HASH_A = `0x${'a'.repeat(64)}`;
+const HASH_B = `0x${'b'.repeat(64)}`;
+const ASSERTION_A = `0x${'1'.repeat(64)}`;
+const ASSERTION_B = `0x${'2'.repeat(64)}`;
+const TRANSACTIONS = [{ to: OG_MODULE, operation: 0, value: 0n, data: '0x' }];
+
+async function run() {
+    const proposalsByHash = new Map([
+        [
+            HASH_A,
+            {
+                proposalHash: HASH_A,
+                assertionId: ASSERTION_A,
+                proposer: AGENT,
+                transactions: TRANSACTIONS,
+                explanation: 'Weekly DCA buy.',
+                rationale: { rule: 2 },
+            },
+        ],
+        [HASH_B, { proposalHash: HASH_B, assertionId: ASSERTION_B, proposer: DISPUTER }],
+    ]);
+    const requests = [];
+    const logFetcher = {
+        getLogs: async (request) => {
+            requests.push(request);
+            if (request.address === OG_MODULE) {
+                return [
+                    {
+                        eventName: 'ProposalDeleted',
+                        blockNumber: 25n,
+                        transactionHash: '0xdispute',
+                        args: { proposalHash: HASH_A, assertionId: ASSERTION_A },
+                    },
+                    {
+                        eventName: 'ProposalDeleted',
+                        blockNumber: 26n,
+                        transactionHash: '0xupgrade',
+                        args: { proposalHash: HASH_B, assertionId: ASSERTION_B },
+                    },
+                ];
+            }
+            return [
+                {
+                    eventName: 'AssertionDisputed',
+                    blockNumber: 25n,
+                    transactionHash: '0xdispute',
+                    args: { assertionId: ASSERTION_A, caller: DISPUTER, disputer: DISPUTER },
+                },
+            ];
+        },
+    };
+
+    const { deletedProposals, deletedProposalDetails } = await pollProposalChanges({
+        publicClient: { getBlockNumber: async () => 30n },
+        ogModule: OG_MODULE,
+        lastProposalCheckedBlock: 20n,
+        proposalsByHash,
+        logFetcher,
+        optimisticOracle: ORACLE,
+    });
+    assert.deepEqual(deletedProposals, [HASH_A, HASH_B]);
+    assert.deepEqual(requests[1].args, { assertionId: [ASSERTION_A, ASSERTION_B] });
+    assert.deepEqual(
+        deletedProposalDetails.map(({ proposalHash, reason, disputer }) => ({
+            proposalHash,
+            reason,
+            disputer,
+        })),
+        [
+            { proposalHash: HASH_A, reason: 'disputed', disputer: DISPUTER },
+            { proposalHash: HASH_B, reason: 'other', disputer: undefined },
+        ]
+    );
+    assert.equal(deletedProposalDetails[0].proposal.explanation, 'Weekly DCA buy.');
+
+    assert.equal(normalizeReproposePolicy(undefined), null);
+    assert.equal(normalizeReproposePolicy({ enabled: false }), null);
+    assert.throws(() => normalizeReproposePolicy({ maxAttempts: 0 }), /maxAttempts/);
+    assert.deepEqual(normalizeReproposePolicy({ maxAttempts: 2, backoffMs: 100 }), {
+        maxAttempts: 2,
+        backoffMs: 100,
+        backoffMultiplier: 2,
+        maxBackoffMs: 3_600_000,
+    });
+
+    let now = 0;
+    const proposed = [];
+    let proposeError;
+    const reproposer = createReproposer({
+        policy: normalizeReproposePolicy({ maxAttempts: 2, backoffMs: 100 }),
+        agentAddress: AGENT,
+        propose: async (entry) => {
+            proposed.push(entry);
+            if (proposeError) throw proposeError;
+            return { transactionHash: '0xre' };
+        },
+        nowMs: () => now,
+    });
+
+    // Only the agent's own proposals deleted by a dispute are re-proposed.
+    assert.equal(reproposer.schedule(deletedProposalDetails[1]), undefined);
+    assert.equal(
+        reproposer.schedule({ ...deletedProposalDetails[1], reason: 'disputed' }),
+        undefined
+    );
+    assert.deepEqual(reproposer.schedule(deletedProposalDetails[0]), {
+        status: 'scheduled',
+        attempt: 1,
+        maxAttempts: 2,
+        nextAttemptMs: 100,
+    });
+
+    now = 99;
+    assert.deepEqual(await reproposer.runDue(), []);
+    now = 100;
+    proposeError = new Error('Insufficient bond collateral balance');
+    let results = await reproposer.runDue();
+    assert.equal(results[0].attempt, 1);
+    assert.equal(results[0].error, proposeError);
+    assert.deepEqual(proposed[0].transactions, TRANSACTIONS);
+    assert.deepEqual(proposed[0].rationale, { rule: 2 });
+
+    // The retry backs off exponentially and is the last allowed attempt.
+    proposeError = undefined;
+    now = 299;
+    assert.deepEqual(await reproposer.runDue(), []);
+    now = 300;
+    results = await reproposer.runDue();
+    assert.deepEqual(results, [
+        { proposalHash: HASH_A, attempt: 2, result: { transactionHash: '0xre' } },
+    ]);
+
+    // Disputed again: attempts are counted per proposal hash, so the budget is spent.
+    const restored = createReproposer({
+        policy: normalizeReproposePolicy({ maxAttempts: 2 }),
+        agentAddress: AGENT,
+        propose: async () => {
+            throw new Error('should not propose');
+        },
+        nowMs: () => now,
+    });
+    restored.restore(reproposer.entries());
+    assert.deepEqual(restored.schedule(deletedProposalDetails[0]), {
+        status: 'exhausted',
+        attempts: 2,
+        maxAttempts: 2,
+    });
+
+    // Once the proposal executes the count starts over.
+    restored.clear([HASH_A]);
+    assert.equal(restored.schedule(deletedProposalDetails[0]).status, 'scheduled');
+
+    console.log('[test] repropose OK');
+}
+
+run().catch((error) => {
+    console.error(error);
+    process.exit(1);
+});
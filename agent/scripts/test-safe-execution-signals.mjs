@@ -0,0 +1,200 @@
+import assert from 'node:assert/strict';
+import { encodeFunctionData, erc20Abi, parseAbi, zeroAddress } from 'viem';
+import { MULTICALL3_ADDRESS, multicall3Abi } from '../src/lib/execution-simulation.js';
+import { optimisticGovernorAbi } from '../src/lib/og.js';
+import { pollCommitmentChanges } from '../src/lib/polling.js';
+
+const SAFE = '0x1234000000000000000000000000000000000000';
+const OG_MODULE = '0x00000000000000000000000000000000000000d0';
+const OTHER_MODULE = '0x00000000000000000000000000000000000000E0';
+const TOKEN = '0x1c7D4B196Cb0C7B01d743Fbc6116a902379C7238';
+const RECIPIENT = '0x00000000000000000000000000000000000000A1';
+const PAYEE = '0x00000000000000000000000000000000000000b2';
+const TX_EXECUTE = `0x${'11'.repeat(32)}`;
+const TX_DIRECT = `0x${'22'.repeat(32)}`;
+const TX_OTHER = `0x${'33'.repeat(32)}`;
+
+const safeAbi = parseAbi([
+    'function execTransaction(address to, uint256 value, bytes data, uint8 operation, uint256 safeTxGas, uint256 baseGas, uint256 gasPrice, address gasToken, address refundReceiver, bytes signatures) payable returns (bool success)',
+]);
+
+const transferData = encodeFunctionData({
+    abi: erc20Abi,
+    functionName: 'transfer',
+    args: [RECIPIENT, 250n],
+});
+
+const transactions = {
+    [TX_EXECUTE]: {
+        to: OG_MODULE,
+        input: encodeFunctionData({
+            abi: optimisticGovernorAbi,
+            functionName: 'executeProposal',
+            args: [
+                [
+                    { to: TOKEN, operation: 0, value: 0n, data: transferData },
+                    { to: PAYEE, operation: 0, value: 7n, data: '0x' },
+                ],
+            ],
+        }),
+    },
+    [TX_DIRECT]: {
+        to: SAFE,
+        input: encodeFunctionData({
+            abi: safeAbi,
+            functionName: 'execTransaction',
+            args: [PAYEE, 9n, '0x', 0, 0n, 0n, 0n, zeroAddress, zeroAddress, '0x'],
+        }),
+    },
+    [TX_OTHER]: { to: OTHER_MODULE, input: '0xdeadbeef' },
+};
+
+function log({ eventName, transactionHash, logIndex, module }) {
+    return {
+        address: SAFE,
+        eventName,
+        args: module ? { module } : { txHash: `0x${'00'.repeat(32)}`, payment: 0n },
+        blockNumber: 11n,
+        transactionHash,
+        logIndex,
+    };
+}
+
+function createClient() {
+    const getLogsCalls = [];
+    return {
+        getLogsCalls,
+        getBlockNumber: async () => 11n,
+        getBalance: async () => 0n,
+        readContract: async () => 0n,
+        getTransaction: async ({ hash }) => transactions[hash],
+        getLogs: async (request) => {
+            getLogsCalls.push(request);
+            if (!request.events) return [];
+            return [
+                log({ eventName: 'ExecutionSuccess', transactionHash: TX_DIRECT, logIndex: 9 }),
+                log({
+                    eventName: 'ExecutionFromModuleSuccess',
+                    transactionHash: TX_EXECUTE,
+                    logIndex: 2,
+                    module: OG_MODULE,
+                }),
+                log({
+                    eventName: 'ExecutionFromModuleSuccess',
+                    transactionHash: TX_EXECUTE,
+                    logIndex: 5,
+                    module: OG_MODULE,
+                }),
+                log({
+                    eventName: 'ExecutionFromModuleFailure',
+                    transactionHash: TX_OTHER,
+                    logIndex: 1,
+                    module: OTHER_MODULE,
+                }),
+            ];
+        },
+    };
+}
+
+async function poll(publicClient, watchSafeExecutions) {
+    return pollCommitmentChanges({
+        publicClient,
+        trackedAssets: new Set(),
+        commitmentSafe: SAFE,
+        watchNativeBalance: false,
+        lastCheckedBlock: 10n,
+        lastAssetBalances: new Map(),
+        watchSafeExecutions,
+        ogModule: OG_MODULE,
+    });
+}
+
+async function run() {
+    const disabledClient = createClient();
+    const disabled = await poll(disabledClient, false);
+    assert.deepEqual(disabled.executions, []);
+    assert.equal(disabledClient.getLogsCalls.some((call) => call.events), false);
+
+    const { executions } = await poll(createClient(), true);
+    assert.deepEqual(
+        executions.map((signal) => [signal.kind, signal.id]),
+        [
+            ['moduleExecution', `module:${TX_OTHER}:1`],
+            ['moduleExecution', `module:${TX_EXECUTE}:2`],
+            ['withdrawal', `withdrawal:${TX_EXECUTE}:2:erc20`],
+            ['moduleExecution', `module:${TX_EXECUTE}:5`],
+            ['withdrawal', `withdrawal:${TX_EXECUTE}:5:native`],
+            ['withdrawal', `withdrawal:${TX_DIRECT}:9:native`],
+        ]
+    );
+
+    const [failed, transferCall, tokenWithdrawal, nativeCall, nativeWithdrawal, direct] =
+        executions;
+    assert.equal(failed.success, false);
+    assert.equal(failed.module, OTHER_MODULE);
+    assert.equal(failed.to, undefined);
+    assert.equal(failed.transfer, null);
+
+    assert.equal(transferCall.success, true);
+    assert.equal(transferCall.to, TOKEN);
+    assert.deepEqual(transferCall.transfer, { to: RECIPIENT.toLowerCase(), amount: 250n });
+
+    assert.equal(tokenWithdrawal.source, 'module');
+    assert.equal(tokenWithdrawal.asset, TOKEN);
+    assert.equal(tokenWithdrawal.to, RECIPIENT);
+    assert.equal(tokenWithdrawal.amount, 250n);
+
+    assert.equal(nativeCall.value, 7n);
+    assert.equal(nativeWithdrawal.asset, zeroAddress);
+    assert.equal(nativeWithdrawal.to, PAYEE);
+    assert.equal(nativeWithdrawal.amount, 7n);
+
+    assert.equal(direct.source, 'execTransaction');
+    assert.equal(direct.module, undefined);
+    assert.equal(direct.to, PAYEE);
+    assert.equal(direct.amount, 9n);
+
+    // Two proposals executed in one Multicall3 batch decode to the same Safe calls, in order.
+    const executeCall = (calls) => ({
+        target: OG_MODULE,
+        allowFailure: false,
+        callData: encodeFunctionData({
+            abi: optimisticGovernorAbi,
+            functionName: 'executeProposal',
+            args: [calls],
+        }),
+    });
+    transactions[TX_EXECUTE] = {
+        to: MULTICALL3_ADDRESS,
+        input: encodeFunctionData({
+            abi: multicall3Abi,
+            functionName: 'aggregate3',
+            args: [
+                [
+                    executeCall([{ to: TOKEN, operation: 0, value: 0n, data: transferData }]),
+                    { target: TOKEN, allowFailure: true, callData: '0x' },
+                    executeCall([{ to: PAYEE, operation: 0, value: 7n, data: '0x' }]),
+                ],
+            ],
+        }),
+    };
+    const batched = await poll(createClient(), true);
+    assert.deepEqual(
+        batched.executions.map(({ id, to, value }) => [id, to, value]),
+        executions.map(({ id, to, value }) => [id, to, value])
+    );
+
+    // A failed transaction lookup fails the poll so the range is retried, not skipped.
+    const flaky = createClient();
+    flaky.getTransaction = async () => {
+        throw new Error('request timed out');
+    };
+    await assert.rejects(poll(flaky, true), /request timed out/);
+
+    console.log('[test] safe execution signals OK');
+}
+
+run().catch((error) => {
+    console.error(error);
+    process.exit(1);
+});
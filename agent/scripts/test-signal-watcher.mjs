@@ -0,0 +1,147 @@
+import assert from 'node:assert/strict';
+import { createSignalWatcher } from '../src/lib/subscriptions.js';
+
+const OG_MODULE = '0x00000000000000000000000000000000000000aa';
+const SAFE = '0x1234000000000000000000000000000000000000';
+const TOKEN_A = '0x1c7d4b196cb0c7b01d743fbc6116a902379c7238';
+const TOKEN_B = '0x7b79995e5f793a07bc00c21412e50ecae098e7f9';
+
+// Clients made with the same socket share it, as viem's clients on one RPC_WS_URL do.
+function createFakeWsClient(socket = { readyState: 1, closed: 0 }) {
+    const subscriptions = [];
+    const subscribe = (kind, params) => {
+        const entry = { kind, params, active: true };
+        subscriptions.push(entry);
+        return () => {
+            entry.active = false;
+        };
+    };
+    return {
+        socket,
+        subscriptions,
+        transport: {
+            getRpcClient: async () => ({
+                socket,
+                close: () => {
+                    socket.closed += 1;
+                    socket.readyState = 3;
+                },
+            }),
+        },
+        active: () => subscriptions.filter((entry) => entry.active),
+        watchBlockNumber: (params) => subscribe('blocks', params),
+        watchEvent: (params) => subscribe(params.events ? 'proposals' : 'transfers', params),
+    };
+}
+
+// Two commitments on one RPC_WS_URL: neither watcher closes the socket the other still uses.
+async function sharedSocket() {
+    const socket = { readyState: 1, closed: 0 };
+    const [a, b] = ['a', 'b'].map(() => {
+        const clients = [];
+        const watcher = createSignalWatcher({
+            wsUrl: 'ws://shared',
+            ogModule: OG_MODULE,
+            commitmentSafe: SAFE,
+            trackedAssets: new Set([TOKEN_A]),
+            onWake: () => {},
+            reconnectDelayMs: 5,
+            createClient: () => {
+                const client = createFakeWsClient(socket);
+                clients.push(client);
+                return client;
+            },
+        });
+        watcher.start();
+        return { watcher, clients };
+    });
+
+    a.watcher.stop();
+    await new Promise((resolve) => setTimeout(resolve, 0));
+    assert.equal(socket.closed, 0);
+    assert.equal(b.clients[0].active().length, 3);
+
+    // Once the socket itself has gone down, the failing watcher closes it so viem opens a new one.
+    socket.readyState = 3;
+    b.clients[0].active()[0].params.onError(new Error('socket closed'));
+    await new Promise((resolve) => setTimeout(resolve, 0));
+    assert.equal(socket.closed, 1);
+    assert.equal(b.clients[0].active().length, 0);
+
+    socket.readyState = 1;
+    await new Promise((resolve) => setTimeout(resolve, 20));
+    assert.equal(b.clients.length, 2);
+    assert.equal(b.clients[1].active().length, 3);
+    b.watcher.stop();
+    await new Promise((resolve) => setTimeout(resolve, 0));
+    assert.equal(socket.closed, 2);
+}
+
+async function run() {
+    const wakes = [];
+    const clients = [];
+    const trackedAssets = new Set([TOKEN_A]);
+    const watcher = createSignalWatcher({
+        wsUrl: 'ws://unused',
+        ogModule: OG_MODULE,
+        commitmentSafe: SAFE,
+        trackedAssets,
+        onWake: (reason) => wakes.push(reason),
+        reconnectDelayMs: 5,
+        createClient: () => {
+            const client = createFakeWsClient();
+            clients.push(client);
+            return client;
+        },
+    });
+
+    watcher.start();
+    assert.equal(watcher.isConnected(), true);
+    const first = clients[0];
+    assert.deepEqual(
+        first.active().map((entry) => entry.kind),
+        ['blocks', 'proposals', 'transfers']
+    );
+    const transfers = first.active().find((entry) => entry.kind === 'transfers');
+    assert.deepEqual(transfers.params.address, [TOKEN_A]);
+    assert.deepEqual(transfers.params.args, { to: SAFE });
+
+    first.active().find((entry) => entry.kind === 'blocks').params.onBlockNumber(5n);
+    first.active().find((entry) => entry.kind === 'proposals').params.onLogs([{}]);
+    transfers.params.onLogs([{}]);
+    assert.deepEqual(wakes, ['block', 'proposal', 'deposit']);
+
+    watcher.sync();
+    assert.equal(first.active().length, 3);
+    trackedAssets.add(TOKEN_B);
+    watcher.sync();
+    const resubscribed = first.active().find((entry) => entry.kind === 'transfers');
+    assert.notEqual(resubscribed, transfers);
+    assert.deepEqual(resubscribed.params.address, [TOKEN_A, TOKEN_B]);
+    assert.equal(transfers.active, false);
+
+    // A subscription error on a socket that is still open leaves the socket to the other
+    // watchers on it.
+    resubscribed.params.onError(new Error('subscription dropped'));
+    assert.equal(watcher.isConnected(), false);
+    assert.equal(first.active().length, 0);
+    await new Promise((resolve) => setTimeout(resolve, 20));
+    assert.equal(first.socket.closed, 0);
+    assert.equal(clients.length, 2);
+    assert.equal(watcher.isConnected(), true);
+    assert.equal(clients[1].active().length, 3);
+
+    watcher.stop();
+    assert.equal(clients[1].active().length, 0);
+    assert.equal(watcher.isConnected(), false);
+    await new Promise((resolve) => setTimeout(resolve, 0));
+    assert.equal(clients[1].socket.closed, 1);
+
+    await sharedSocket();
+    console.log('[test] signal watcher OK');
+}
+
+run().catch((error) => {
+    console.error(error);
+    process.exit(1);
+});
@@ -0,0 +1,109 @@
+import assert from 'node:assert/strict';
+import { mkdtemp, readFile, rm } from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { buildConfig } from '../src/lib/config.js';
+import { createStateStore, nodeSupportsSqlite } from '../src/lib/state-store.js';
+
+function buildRunnerSnapshot() {
+    return {
+        lastCheckedBlock: 123n,
+        lastProposalCheckedBlock: 120n,
+        lastAssetBalances: new Map([['0xabc', 5000n]]),
+        proposalsByHash: new Map([
+            [
+                '0xhash',
+                {
+                    proposalHash: '0xhash',
+                    challengeWindowEnds: 1_700_000_000n,
+                    transactions: [{ to: '0x1', value: 0n, data: '0x', operation: 0 }],
+                },
+            ],
+        ]),
+        depositHistory: [{ id: 'dep-1', amount: 10n, timestampMs: 1000 }],
+        timelockTriggers: new Map([['absolute:1', { id: 'absolute:1', fired: true }]]),
+        priceTriggerState: new Map([['t1', { fired: false, lastMatched: true }]]),
+    };
+}
+
+function assertRunnerSnapshot(restored) {
+    assert.equal(restored.lastCheckedBlock, 123n);
+    assert.equal(restored.lastProposalCheckedBlock, 120n);
+    assert.equal(restored.lastNativeBalance, undefined);
+    assert.ok(restored.lastAssetBalances instanceof Map);
+    assert.equal(restored.lastAssetBalances.get('0xabc'), 5000n);
+    const proposal = restored.proposalsByHash.get('0xhash');
+    assert.equal(proposal.challengeWindowEnds, 1_700_000_000n);
+    assert.equal(proposal.transactions[0].value, 0n);
+    assert.equal(restored.depositHistory[0].amount, 10n);
+    assert.equal(restored.timelockTriggers.get('absolute:1').fired, true);
+    assert.equal(restored.priceTriggerState.get('t1').lastMatched, true);
+}
+
+async function run() {
+    const memory = await createStateStore();
+    assert.equal(await memory.read('runner'), undefined);
+    await memory.write('runner', buildRunnerSnapshot());
+    assertRunnerSnapshot(await memory.read('runner'));
+
+    const tempDir = await mkdtemp(path.join(os.tmpdir(), 'agent-state-'));
+    try {
+        const filePath = path.join(tempDir, 'nested', 'state.json');
+        const jsonStore = await createStateStore({ kind: 'json', filePath });
+        await jsonStore.write('runner', buildRunnerSnapshot());
+        const agentScope = jsonStore.scoped('agent:default');
+        await agentScope.write({ proposalSubmitted: true });
+
+        const reopened = await createStateStore({ kind: 'json', filePath });
+        assertRunnerSnapshot(await reopened.read('runner'));
+        assert.deepEqual(await reopened.scoped('agent:default').read(), {
+            proposalSubmitted: true,
+        });
+        assert.equal(await reopened.read('agent:other'), undefined);
+
+        const onDisk = JSON.parse(await readFile(filePath, 'utf8'));
+        assert.equal(onDisk.version, 1);
+        assert.ok(onDisk.namespaces.runner);
+
+        const sqlitePath = path.join(tempDir, 'state.sqlite');
+        assert.equal(nodeSupportsSqlite('20.19.5'), false);
+        assert.equal(nodeSupportsSqlite('22.12.0'), false);
+        assert.equal(nodeSupportsSqlite('22.13.0'), true);
+        assert.equal(nodeSupportsSqlite('24.0.0'), true);
+        if (nodeSupportsSqlite()) {
+            const sqliteStore = await createStateStore({ kind: 'sqlite', filePath: sqlitePath });
+            await sqliteStore.write('runner', buildRunnerSnapshot());
+            await sqliteStore.close();
+            const sqliteReopened = await createStateStore({ kind: 'sqlite', filePath: sqlitePath });
+            assertRunnerSnapshot(await sqliteReopened.read('runner'));
+            await sqliteReopened.close();
+        } else {
+            await assert.rejects(
+                () => createStateStore({ kind: 'sqlite', filePath: sqlitePath }),
+                /requires Node\.js 22\.13\+/
+            );
+            // The config rejects it up front instead of on the first checkpoint.
+            assert.throws(
+                () =>
+                    buildConfig({
+                        RPC_URL: 'http://127.0.0.1:8545',
+                        COMMITMENT_SAFE: '0x1234000000000000000000000000000000000000',
+                        OG_MODULE: '0x00000000000000000000000000000000000000d0',
+                        STATE_STORE: 'sqlite',
+                    }),
+                /STATE_STORE=sqlite requires Node\.js 22\.13\+/
+            );
+        }
+    } finally {
+        await rm(tempDir, { recursive: true, force: true });
+    }
+
+    await assert.rejects(() => createStateStore({ kind: 'redis' }), /Unsupported STATE_STORE/);
+
+    console.log('[test] state store OK');
+}
+
+run().catch((error) => {
+    console.error(error);
+    process.exit(1);
+});
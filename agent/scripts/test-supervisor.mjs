@@ -0,0 +1,233 @@
+import assert from 'node:assert/strict';
+import { mkdtemp, readdir, rm, writeFile } from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { buildCommitmentConfigs, loadCommitmentManifest } from '../src/lib/manifest.js';
+import { createStateStore } from '../src/lib/state-store.js';
+import { createSupervisor } from '../src/lib/supervisor.js';
+
+const BASE_ENV = {
+    RPC_URL: 'http://127.0.0.1:8545',
+    POLL_INTERVAL_MS: '10000',
+};
+const SAFE_A = '0x1234000000000000000000000000000000000000';
+const SAFE_B = '0x5678000000000000000000000000000000000000';
+const OG_A = '0x00000000000000000000000000000000000000d0';
+const OG_B = '0x00000000000000000000000000000000000000E0';
+
+async function run() {
+    const dir = await mkdtemp(path.join(os.tmpdir(), 'agent-supervisor-'));
+    try {
+        const yamlPath = path.join(dir, 'commitments.yaml');
+        await writeFile(
+            yamlPath,
+            [
+                'env:',
+                '  POLL_INTERVAL_MS: 15000',
+                'commitments:',
+                '  - name: dca',
+                `    commitmentSafe: "${SAFE_A}"`,
+                `    ogModule: "${OG_A}"`,
+                '    agentModule: dca-agent',
+                '  - name: orders',
+                `    commitmentSafe: "${SAFE_B}"`,
+                `    ogModule: "${OG_B}"`,
+                '    agentModule: limit-order',
+                '    env:',
+                '      POLL_INTERVAL_MS: 5000',
+                '      STATE_STORE: json',
+                '',
+            ].join('\n'),
+            'utf8'
+        );
+        const manifest = await loadCommitmentManifest(yamlPath);
+        const commitments = buildCommitmentConfigs({ manifest, env: BASE_ENV });
+        assert.deepEqual(
+            commitments.map(({ name, config }) => [
+                name,
+                config.commitmentSafe,
+                config.agentModule,
+                config.pollIntervalMs,
+                config.stateStore,
+            ]),
+            [
+                ['dca', SAFE_A, 'dca-agent', 15000, 'memory'],
+                ['orders', SAFE_B, 'limit-order', 5000, 'json'],
+            ]
+        );
+
+        const jsonPath = path.join(dir, 'commitments.json');
+        await writeFile(jsonPath, JSON.stringify({ commitments: [] }), 'utf8');
+        await assert.rejects(loadCommitmentManifest(jsonPath), /at least one entry/);
+
+        assert.throws(
+            () =>
+                buildCommitmentConfigs({
+                    manifest: {
+                        commitments: [
+                            {
+                                name: 'a',
+                                commitmentSafe: SAFE_A,
+                                ogModule: OG_A,
+                                env: { PRIVATE_KEY: '0x01' },
+                            },
+                        ],
+                    },
+                    env: BASE_ENV,
+                }),
+            /PRIVATE_KEY is shared by all commitments/
+        );
+        assert.throws(
+            () =>
+                buildCommitmentConfigs({
+                    manifest: {
+                        commitments: [
+                            { name: 'a', commitmentSafe: SAFE_A, ogModule: OG_A },
+                            { name: 'a', commitmentSafe: SAFE_B, ogModule: OG_B },
+                        ],
+                    },
+                    env: BASE_ENV,
+                }),
+            /duplicate name 'a'/
+        );
+        assert.throws(
+            () =>
+                buildCommitmentConfigs({
+                    manifest: {
+                        commitments: [
+                            { name: 'gas-budget', commitmentSafe: SAFE_A, ogModule: OG_A },
+                        ],
+                    },
+                    env: BASE_ENV,
+                }),
+            /name 'gas-budget' is reserved/
+        );
+        assert.throws(
+            () =>
+                buildCommitmentConfigs({
+                    manifest: { commitments: [{ name: 'b', commitmentSafe: SAFE_A }] },
+                    env: BASE_ENV,
+                }),
+            /commitments\[0\] \(b\): Missing required env var OG_MODULE/
+        );
+
+        const storePaths = [];
+        const runnerArgs = [];
+        const started = [];
+        const stoppedRunners = [];
+        let dcaAttempts = 0;
+        const sharedClient = { id: 'public' };
+        const sharedWallet = { id: 'wallet' };
+        const supervisor = createSupervisor({
+            commitments,
+            publicClient: sharedClient,
+            account: { address: '0x00000000000000000000000000000000000000a1' },
+            walletClient: sharedWallet,
+            repoRoot: dir,
+            restartDelayMs: 5,
+            openStateStore: async ({ kind, filePath }) => {
+                storePaths.push([kind, filePath]);
+                return { close: async () => {} };
+            },
+            createRunner: async (args) => {
+                runnerArgs.push(args);
+                const name = args.moduleInstanceKey;
+                return {
+                    start: async () => {
+                        if (name === 'dca' && dcaAttempts++ === 0) {
+                            throw new Error('agent module exploded');
+                        }
+                        started.push(name);
+                    },
+                    stop: () => stoppedRunners.push(name),
+                    health: async () => ({ commitment: name, status: 'ok' }),
+                };
+            },
+        });
+
+        await supervisor.start();
+        assert.deepEqual(started, ['orders']);
+        assert.deepEqual(
+            supervisor.status().map(({ name, status }) => [name, status]),
+            [
+                ['dca', 'failed'],
+                ['orders', 'running'],
+            ]
+        );
+        assert.equal(supervisor.status()[0].lastError, 'agent module exploded');
+        assert.deepEqual(await supervisor.health(), [
+            {
+                commitment: 'dca',
+                status: 'failing',
+                runnerStatus: 'failed',
+                lastError: 'agent module exploded',
+            },
+            { commitment: 'orders', status: 'ok' },
+        ]);
+        assert.deepEqual(stoppedRunners, ['dca']);
+        assert.ok(runnerArgs.every((args) => args.publicClient === sharedClient));
+        assert.ok(runnerArgs.every((args) => args.walletClient === sharedWallet));
+        assert.deepEqual(storePaths.slice(0, 2), [
+            ['memory', path.join(dir, 'agent/.agent-state.dca.json')],
+            ['json', path.join(dir, 'agent/.agent-state.orders.json')],
+        ]);
+
+        await new Promise((resolve) => setTimeout(resolve, 30));
+        assert.deepEqual(started, ['orders', 'dca']);
+        assert.equal(supervisor.status()[0].status, 'running');
+
+        await supervisor.stop();
+        assert.deepEqual(stoppedRunners, ['dca', 'dca', 'orders']);
+        assert.ok(supervisor.status().every(({ status }) => status === 'stopped'));
+
+        // A process-wide STATE_STORE_PATH still gives every commitment its own file, so their
+        // 'runner' checkpoints never overwrite each other.
+        const shared = buildCommitmentConfigs({
+            manifest: {
+                commitments: [
+                    { name: 'dca', commitmentSafe: SAFE_A, ogModule: OG_A },
+                    { name: 'orders', commitmentSafe: SAFE_B, ogModule: OG_B },
+                ],
+            },
+            env: { ...BASE_ENV, STATE_STORE: 'json', STATE_STORE_PATH: 'state/agent.json' },
+        });
+        const checkpoints = { dca: 11n, orders: 22n };
+        const isolated = createSupervisor({
+            commitments: shared,
+            publicClient: sharedClient,
+            account: { address: '0x00000000000000000000000000000000000000a1' },
+            walletClient: sharedWallet,
+            repoRoot: dir,
+            createRunner: async ({ stateStore, moduleInstanceKey: name }) => ({
+                start: async () => {
+                    const runnerState = stateStore.scoped('runner');
+                    await runnerState.write({ lastCheckedBlock: checkpoints[name] });
+                },
+                stop: () => {},
+            }),
+        });
+        await isolated.start();
+        await isolated.stop();
+        assert.deepEqual((await readdir(path.join(dir, 'state'))).sort(), [
+            'agent.dca.json',
+            'agent.orders.json',
+        ]);
+        for (const [name, lastCheckedBlock] of Object.entries(checkpoints)) {
+            const store = await createStateStore({
+                kind: 'json',
+                filePath: path.join(dir, `state/agent.${name}.json`),
+            });
+            assert.deepEqual(await store.scoped('runner').read(), { lastCheckedBlock });
+            await store.close();
+        }
+    } finally {
+        await rm(dir, { recursive: true, force: true });
+    }
+
+    console.log('[test] supervisor OK');
+}
+
+run().catch((error) => {
+    console.error(error);
+    process.exit(1);
+});
@@ -0,0 +1,192 @@
+import assert from 'node:assert/strict';
+import { backfillDeposits, pollCommitmentChanges } from '../src/lib/polling.js';
+import { parseTokenIdWatchList } from '../src/lib/utils.js';
+
+const CTF = '0x4D97DCd97eC945f40cF65F87097ACe5EA0476045';
+const NFT = '0x00000000000000000000000000000000000000f7';
+const SAFE = '0x1234000000000000000000000000000000000000';
+const SENDER = '0x00000000000000000000000000000000000000a1';
+const TX_1 = `0x${'11'.repeat(32)}`;
+const TX_2 = `0x${'22'.repeat(32)}`;
+const TX_3 = `0x${'33'.repeat(32)}`;
+
+function createClient() {
+    let block = 100n;
+    const balances = new Map([
+        ['1155:7', [0n, 3n]],
+        ['1155:8', [0n, 0n]],
+        ['721:count', [1n, 2n]],
+    ]);
+    const getLogsCalls = [];
+    return {
+        getLogsCalls,
+        advance: () => {
+            block += 1n;
+        },
+        getBlockNumber: async () => block,
+        getBalance: async () => 0n,
+        readContract: async ({ address, functionName, args }) => {
+            const phase = block === 100n ? 0 : 1;
+            if (address === CTF) {
+                return balances.get(`1155:${args[1].toString()}`)?.[phase] ?? 0n;
+            }
+            if (functionName === 'ownerOf') {
+                if (args[0] === 99n) throw new Error('ERC721: invalid token ID');
+                return args[0] === 42n && phase === 1 ? SAFE : SENDER;
+            }
+            return balances.get('721:count')[phase];
+        },
+        getLogs: async ({ address, event, args, fromBlock, toBlock }) => {
+            getLogsCalls.push({ address, eventName: event?.name, args, fromBlock, toBlock });
+            if (event?.name === 'TransferSingle') {
+                return [
+                    {
+                        address: CTF,
+                        args: { operator: SENDER, from: SENDER, to: SAFE, id: 9n, value: 1n },
+                        blockNumber: 101n,
+                        logIndex: 0,
+                        transactionHash: TX_1,
+                    },
+                    {
+                        address: CTF,
+                        args: { operator: SENDER, from: SENDER, to: SAFE, id: 7n, value: 2n },
+                        blockNumber: 101n,
+                        logIndex: 4,
+                        transactionHash: TX_2,
+                    },
+                ];
+            }
+            if (event?.name === 'TransferBatch') {
+                return [
+                    {
+                        address: CTF,
+                        args: {
+                            operator: SENDER,
+                            from: SENDER,
+                            to: SAFE,
+                            ids: [7n, 8n, 10n],
+                            values: [1n, 5n, 6n],
+                        },
+                        blockNumber: 101n,
+                        logIndex: 1,
+                        transactionHash: TX_1,
+                    },
+                ];
+            }
+            if (event?.name === 'Transfer' && event.inputs[2]?.indexed) {
+                return [
+                    {
+                        address: NFT,
+                        args: { from: SENDER, to: SAFE, tokenId: 42n },
+                        blockNumber: 101n,
+                        logIndex: 2,
+                        transactionHash: TX_3,
+                    },
+                ];
+            }
+            return [];
+        },
+    };
+}
+
+async function run() {
+    assert.deepEqual(parseTokenIdWatchList(`${CTF}:7, ${NFT}`, { label: 'TEST' }), [
+        { token: CTF, tokenId: 7n },
+        { token: NFT, tokenId: undefined },
+    ]);
+    assert.throws(
+        () => parseTokenIdWatchList(NFT, { label: 'WATCH_ERC1155', requireTokenId: true }),
+        /WATCH_ERC1155: expected contract:tokenId/
+    );
+    assert.throws(() => parseTokenIdWatchList(`${NFT}:abc`, { label: 'TEST' }), /invalid token id/);
+
+    const watchedErc1155 = [
+        { token: CTF, tokenId: 7n },
+        { token: CTF, tokenId: 8n },
+    ];
+    const watchedErc721 = [
+        { token: NFT, tokenId: 42n },
+        { token: NFT, tokenId: 99n },
+        { token: NFT, tokenId: undefined },
+    ];
+    const publicClient = createClient();
+
+    const first = await pollCommitmentChanges({
+        publicClient,
+        trackedAssets: new Set(),
+        commitmentSafe: SAFE,
+        watchNativeBalance: false,
+        lastCheckedBlock: undefined,
+        watchedErc1155,
+        watchedErc721,
+    });
+    assert.equal(first.deposits.length, 0);
+    assert.deepEqual(
+        first.balanceSnapshots.map((s) => [s.kind, s.tokenId, s.amount]),
+        [['erc721BalanceSnapshot', undefined, 1n]]
+    );
+    assert.equal(first.lastTokenIdBalances.get(`${CTF.toLowerCase()}:7`), 0n);
+    assert.equal(first.lastTokenIdBalances.get(`${NFT.toLowerCase()}:99`), 0n);
+
+    publicClient.advance();
+    const second = await pollCommitmentChanges({
+        publicClient,
+        trackedAssets: new Set(),
+        commitmentSafe: SAFE,
+        watchNativeBalance: false,
+        lastCheckedBlock: first.lastCheckedBlock,
+        lastTokenIdBalances: first.lastTokenIdBalances,
+        watchedErc1155,
+        watchedErc721,
+    });
+
+    const tokenIdCalls = publicClient.getLogsCalls.filter((call) => call.eventName);
+    assert.deepEqual(
+        tokenIdCalls.map((call) => call.eventName),
+        ['TransferSingle', 'TransferBatch', 'Transfer']
+    );
+    assert.deepEqual(tokenIdCalls[0].address, [CTF]);
+    assert.deepEqual(tokenIdCalls[0].args, { to: SAFE });
+
+    assert.deepEqual(
+        second.deposits.map((d) => [d.kind, d.tokenId, d.amount, d.id]),
+        [
+            ['erc1155Deposit', 7n, 1n, `${TX_1}:1:0`],
+            ['erc1155Deposit', 8n, 5n, `${TX_1}:1:1`],
+            ['erc1155Deposit', 7n, 2n, `${TX_2}:4`],
+            ['erc721Deposit', 42n, 1n, `${TX_3}:2`],
+        ]
+    );
+    assert.equal(second.deposits[0].asset, CTF);
+    assert.equal(second.deposits[0].from, SENDER);
+
+    assert.deepEqual(
+        second.balanceSnapshots.map((s) => [s.kind, s.asset, s.tokenId, s.amount]),
+        [
+            ['erc1155BalanceSnapshot', CTF, 7n, 3n],
+            ['erc721BalanceSnapshot', NFT, 42n, 1n],
+            ['erc721BalanceSnapshot', NFT, undefined, 2n],
+        ]
+    );
+
+    const backfilled = await backfillDeposits({
+        publicClient,
+        trackedAssets: new Set(),
+        watchedErc1155,
+        watchedErc721: [],
+        commitmentSafe: SAFE,
+        fromBlock: 1n,
+        toBlock: 101n,
+    });
+    assert.deepEqual(
+        backfilled.map((d) => d.id),
+        [`${TX_1}:1:0`, `${TX_1}:1:1`, `${TX_2}:4`]
+    );
+
+    console.log('[test] token id deposits OK');
+}
+
+run().catch((error) => {
+    console.error(error);
+    process.exit(1);
+});
@@ -0,0 +1,160 @@
+import assert from 'node:assert/strict';
+import { runToolLoop } from '../src/lib/tool-loop.js';
+
+const CONFIG = { agentMaxSteps: 5, agentMaxToolCalls: 10, agentDecisionTimeoutMs: 60_000 };
+
+function turn(toolCalls, textDecision) {
+    return {
+        toolCalls,
+        textDecision,
+        conversation: { messages: [] },
+        request: { turn: toolCalls.map((call) => call.callId) },
+        rawOutput: {},
+    };
+}
+
+function call(callId, name = 'build_og_transactions') {
+    return { callId, name, arguments: '{}' };
+}
+
+function harness({ replies, config = CONFIG, outputs = {}, clock }) {
+    const continued = [];
+    const explained = [];
+    const executed = [];
+    return {
+        continued,
+        explained,
+        executed,
+        run: (decision, journalEntry = {}) =>
+            runToolLoop({
+                decision,
+                config,
+                journalEntry,
+                approveToolCalls: async (toolCalls) => toolCalls,
+                runToolCalls: async (toolCalls) => {
+                    executed.push(...toolCalls.map((item) => item.callId));
+                    return toolCalls.flatMap(
+                        (item) =>
+                            outputs[item.callId] ?? [
+                                {
+                                    callId: item.callId,
+                                    name: item.name,
+                                    output: JSON.stringify({ status: 'ok' }),
+                                },
+                            ]
+                    );
+                },
+                continueAgent: async (request) => {
+                    continued.push(request);
+                    return replies.shift();
+                },
+                explainToolCalls: async (request) => {
+                    explained.push(request);
+                    return 'Explained.';
+                },
+                nowMs: clock,
+            }),
+    };
+}
+
+async function run() {
+    // The model sees the build output, then proposes, then returns a final decision.
+    let journalEntry = {};
+    let loop = harness({
+        replies: [turn([call('c2', 'post_bond_and_propose')]), turn([], { action: 'done' })],
+        outputs: {
+            c2: [
+                {
+                    callId: 'c2',
+                    name: 'post_bond_and_propose',
+                    output: JSON.stringify({ status: 'error', message: 'bond too low' }),
+                },
+            ],
+        },
+    });
+    assert.equal(await loop.run(turn([call('c1')]), journalEntry), true);
+    assert.deepEqual(loop.executed, ['c1', 'c2']);
+    assert.equal(loop.continued.length, 2);
+    assert.deepEqual(loop.continued[0].toolOutputs.map((item) => item.callId), ['c1']);
+    assert.match(loop.continued[1].toolOutputs[0].output, /bond too low/);
+    assert.equal(loop.continued[0].note, undefined);
+    assert.equal(loop.explained.length, 0);
+    assert.equal(journalEntry.stopReason, 'final');
+    assert.equal(journalEntry.followUps.length, 2);
+    assert.deepEqual(journalEntry.followUps[1].textDecision, { action: 'done' });
+
+    // Outputs of runner-made calls (the automatic proposal) are passed along as a note.
+    loop = harness({
+        replies: [turn([], { action: 'ignore' })],
+        outputs: {
+            c1: [
+                { callId: 'c1', name: 'build_og_transactions', output: '{"status":"ok"}' },
+                {
+                    callId: 'auto_post_bond_and_propose',
+                    name: 'post_bond_and_propose',
+                    output: '{"status":"submitted","transactionHash":"0xabc"}',
+                },
+            ],
+        },
+    });
+    await loop.run(turn([call('c1')]));
+    assert.deepEqual(JSON.parse(loop.continued[0].note), {
+        runnerToolOutputs: [
+            {
+                callId: 'auto_post_bond_and_propose',
+                name: 'post_bond_and_propose',
+                output: { status: 'submitted', transactionHash: '0xabc' },
+            },
+        ],
+    });
+
+    // AGENT_MAX_STEPS=1 keeps the single-turn behavior: run the calls, then explain them.
+    journalEntry = {};
+    loop = harness({ replies: [], config: { ...CONFIG, agentMaxSteps: 1 } });
+    assert.equal(await loop.run(turn([call('c1')]), journalEntry), true);
+    assert.equal(loop.continued.length, 0);
+    assert.equal(loop.explained.length, 1);
+    assert.equal(journalEntry.stopReason, 'max_steps');
+    assert.equal(journalEntry.explanation, 'Explained.');
+
+    // The tool-call budget truncates a turn; the dropped calls are never executed.
+    journalEntry = {};
+    loop = harness({
+        replies: [turn([call('c3'), call('c4')])],
+        config: { ...CONFIG, agentMaxToolCalls: 3 },
+    });
+    await loop.run(turn([call('c1'), call('c2')]), journalEntry);
+    assert.deepEqual(loop.executed, ['c1', 'c2', 'c3']);
+    assert.equal(journalEntry.stopReason, 'max_tool_calls');
+    assert.deepEqual(
+        journalEntry.followUps[0].approvedToolCalls.map((item) => item.callId),
+        ['c3']
+    );
+
+    // The wall-clock budget is checked between turns.
+    let now = 0;
+    journalEntry = {};
+    loop = harness({ replies: [turn([call('c2')])], clock: () => now });
+    const pending = loop.run(turn([call('c1')]), journalEntry);
+    now = 60_000;
+    await pending;
+    assert.deepEqual(loop.executed, ['c1']);
+    assert.equal(journalEntry.stopReason, 'timeout');
+
+    // Nothing approved: not handled unless an earlier turn already ran tools.
+    const rejecting = await runToolLoop({
+        decision: turn([call('c1')]),
+        config: CONFIG,
+        journalEntry: {},
+        approveToolCalls: async () => [],
+        runToolCalls: async () => assert.fail('nothing should run'),
+    });
+    assert.equal(rejecting, false);
+
+    console.log('[test] tool loop OK');
+}
+
+run().catch((error) => {
+    console.error(error);
+    process.exit(1);
+});
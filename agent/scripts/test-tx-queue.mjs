@@ -0,0 +1,166 @@
+import assert from 'node:assert/strict';
+import { erc20Abi, encodeFunctionData } from 'viem';
+import { createTransactionQueue } from '../src/lib/tx-queue.js';
+
+const ACCOUNT = { address: '0x00000000000000000000000000000000000000a1' };
+const TOKEN = '0x1c7D4B196Cb0C7B01d743Fbc6116a902379C7238';
+const RECIPIENT = '0x00000000000000000000000000000000000000b2';
+
+function createMocks({ pendingNonce = 7 } = {}) {
+    const state = { pendingNonce, latestNonce: pendingNonce, sent: [] };
+    const publicClient = {
+        getTransactionCount: async ({ blockTag }) =>
+            blockTag === 'pending' ? state.pendingNonce : state.latestNonce,
+        estimateFeesPerGas: async () => ({ maxFeePerGas: 100n, maxPriorityFeePerGas: 10n }),
+    };
+    const walletClient = {
+        chain: { id: 1 },
+        sendTransaction: async (request) => {
+            // Give the other caller a chance to interleave if the queue did not serialize.
+            await new Promise((resolve) => setTimeout(resolve, 1));
+            if (state.failNext) {
+                const error = state.failNext;
+                state.failNext = undefined;
+                throw error;
+            }
+            state.sent.push(request);
+            return `0x${String(state.sent.length).padStart(64, '0')}`;
+        },
+    };
+    return { state, publicClient, walletClient };
+}
+
+async function run() {
+    const { state, publicClient, walletClient } = createMocks();
+    let now = 0;
+    const queue = createTransactionQueue({
+        publicClient,
+        walletClient,
+        account: ACCOUNT,
+        replaceAfterMs: 1000,
+        feeBumpPercent: 20,
+        maxReplacements: 1,
+        monitorIntervalMs: 60_000,
+        nowMs: () => now,
+    });
+
+    assert.equal(queue.chain.id, 1);
+    const [transferHash, valueHash] = await Promise.all([
+        queue.writeContract({
+            address: TOKEN,
+            abi: erc20Abi,
+            functionName: 'transfer',
+            args: [RECIPIENT, 5n],
+        }),
+        queue.sendTransaction({ to: RECIPIENT, value: 1n }),
+    ]);
+    assert.notEqual(transferHash, valueHash);
+    // The chain still reports the old pending count; the queue keeps counting locally.
+    assert.deepEqual(
+        state.sent.map(({ nonce }) => nonce),
+        [7, 8]
+    );
+    assert.equal(state.sent[0].to, TOKEN);
+    assert.equal(
+        state.sent[0].data,
+        encodeFunctionData({ abi: erc20Abi, functionName: 'transfer', args: [RECIPIENT, 5n] })
+    );
+    assert.equal(state.sent[0].account, ACCOUNT);
+    assert.equal(state.sent[0].maxFeePerGas, 100n);
+    assert.equal(state.sent[1].maxPriorityFeePerGas, 10n);
+
+    // Nothing is stale yet.
+    await queue.checkPending();
+    assert.equal(state.sent.length, 2);
+
+    // Nonce 7 is mined; nonce 8 is stuck and gets re-sent with bumped fees.
+    now = 1500;
+    state.latestNonce = 8;
+    await queue.checkPending();
+    assert.equal(state.sent.length, 3);
+    assert.equal(state.sent[2].nonce, 8);
+    assert.equal(state.sent[2].to, RECIPIENT);
+    assert.equal(state.sent[2].maxFeePerGas, 120n);
+    assert.equal(state.sent[2].maxPriorityFeePerGas, 12n);
+    assert.deepEqual(
+        queue.pendingTransactions().map(({ nonce, hashes, replacements }) => [
+            nonce,
+            hashes.length,
+            replacements,
+        ]),
+        [[8, 2, 1]]
+    );
+
+    // The replacement budget is spent, so it is left alone.
+    now = 3000;
+    await queue.checkPending();
+    assert.equal(state.sent.length, 3);
+
+    // Once mined, the entry is dropped and later sends continue from the local nonce.
+    state.latestNonce = 9;
+    await queue.checkPending();
+    assert.deepEqual(queue.pendingTransactions(), []);
+    await queue.sendTransaction({ to: RECIPIENT, value: 2n, gasPrice: 50n });
+    assert.equal(state.sent[3].nonce, 9);
+    assert.equal(state.sent[3].gasPrice, 50n);
+    assert.equal(state.sent[3].maxFeePerGas, undefined);
+
+    // A replacement that races the original being mined drops the entry quietly.
+    now = 5000;
+    state.failNext = new Error('nonce too low');
+    await queue.checkPending();
+    assert.deepEqual(queue.pendingTransactions(), []);
+
+    // A failed send does not consume a nonce or block later sends.
+    state.failNext = new Error('insufficient funds');
+    await assert.rejects(queue.sendTransaction({ to: RECIPIENT, value: 3n }), /insufficient/);
+    await queue.sendTransaction({ to: RECIPIENT, value: 3n });
+    assert.equal(state.sent.at(-1).nonce, 10);
+    queue.stop();
+
+    const policyCalls = [];
+    const withHook = createMocks({ pendingNonce: 0 });
+    const hooked = createTransactionQueue({
+        publicClient: withHook.publicClient,
+        walletClient: withHook.walletClient,
+        account: ACCOUNT,
+        feePolicy: {
+            getFees: async (request) => {
+                policyCalls.push(['getFees', request.action]);
+                return { maxFeePerGas: 3n, maxPriorityFeePerGas: 1n };
+            },
+            checkReplacement: () => {},
+            recordSent: ({ nonce, action }) => policyCalls.push(['sent', nonce, action]),
+            recordMined: async ({ nonce }) => policyCalls.push(['mined', nonce]),
+        },
+    });
+    await hooked.sendTransaction({ to: RECIPIENT, value: 1n, action: 'deposit' });
+    assert.equal(withHook.state.sent[0].maxFeePerGas, 3n);
+    assert.equal('action' in withHook.state.sent[0], false);
+    withHook.state.latestNonce = 1;
+    await hooked.checkPending();
+    assert.deepEqual(policyCalls, [
+        ['getFees', 'deposit'],
+        ['sent', 0, 'deposit'],
+        ['mined', 0],
+    ]);
+    hooked.stop();
+
+    assert.throws(
+        () =>
+            createTransactionQueue({
+                publicClient,
+                walletClient,
+                account: ACCOUNT,
+                feeBumpPercent: 5,
+            }),
+        /at least 10%/
+    );
+
+    console.log('[test] transaction queue OK');
+}
+
+run().catch((error) => {
+    console.error(error);
+    process.exit(1);
+});
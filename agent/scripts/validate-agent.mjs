@@ -21,8 +21,9 @@ async function main() {
         : path.resolve(repoRoot, modulePath);
 
     const agentModule = await import(pathToFileURL(resolvedPath).href);
-    if (typeof agentModule.getSystemPrompt !== 'function') {
-        throw new Error('Agent module must export getSystemPrompt().');
+    const hasDecide = typeof agentModule.decide === 'function';
+    if (typeof agentModule.getSystemPrompt !== 'function' && !hasDecide) {
+        throw new Error('Agent module must export getSystemPrompt() or decide().');
     }
 
     const commitmentPath = path.join(path.dirname(resolvedPath), 'commitment.txt');
@@ -31,13 +32,18 @@ async function main() {
         throw new Error('commitment.txt is missing or empty.');
     }
 
-    const prompt = agentModule.getSystemPrompt({
-        proposeEnabled: true,
-        disputeEnabled: true,
-        commitmentText,
-    });
-    if (!prompt || typeof prompt !== 'string') {
-        throw new Error('getSystemPrompt() must return a non-empty string.');
+    if (typeof agentModule.getSystemPrompt === 'function') {
+        const prompt = agentModule.getSystemPrompt({
+            proposeEnabled: true,
+            disputeEnabled: true,
+            commitmentText,
+        });
+        if (!prompt || typeof prompt !== 'string') {
+            throw new Error('getSystemPrompt() must return a non-empty string.');
+        }
+    }
+    if (hasDecide) {
+        console.log('[agent] Deterministic module: decide() replaces the model.');
     }
 
     console.log('[agent] Agent module OK:', resolvedPath);
@@ -0,0 +1,324 @@
+import { getAddress, isAddressEqual, zeroAddress } from 'viem';
+import {
+    assertionDisputedEvent,
+    assertionSettledEvent,
+    normalizeAssertion,
+    optimisticOracleAbi,
+} from './og.js';
+import { createLogFetcher } from './log-fetcher.js';
+import { createLogger } from './logger.js';
+import { compareLogPosition } from './utils.js';
+
+const logger = createLogger('agent');
+
+const WAD = 10n ** 18n;
+
+function bondOutcome({ record, agentAddress, burnedBondPercentage }) {
+    const bond = record.bond ?? 0n;
+    if (!record.bondRecipient || !isAddressEqual(record.bondRecipient, agentAddress)) {
+        return { bondReturned: 0n, bondPnl: -bond };
+    }
+    if (!record.disputed) {
+        return { bondReturned: bond, bondPnl: 0n };
+    }
+    // A disputed assertion pays the winner both bonds minus the oracle's burned share.
+    const bondReturned = bond * 2n - (bond * burnedBondPercentage) / WAD;
+    return { bondReturned, bondPnl: bondReturned - bond };
+}
+
+// Follows every Optimistic Oracle assertion the agent is party to, either as the asserter of its
+// own OG proposals or as a disputer, until it settles. Settlement is also triggered from here once
+// the assertion is due, unless the OG proposal is still waiting to be executed (execution settles).
+function createAssertionTracker({
+    publicClient,
+    walletClient,
+    account,
+    logFetcher = createLogFetcher(),
+    settleEnabled = true,
+    settleRetryMs = 300_000,
+    nowMs = () => Date.now(),
+}) {
+    const agentAddress = account.address;
+    const assertions = new Map();
+    let burnedBondPercentage;
+
+    function track({ assertionId, role, proposalHash }) {
+        if (!assertionId || assertions.has(assertionId)) return;
+        assertions.set(assertionId, {
+            assertionId,
+            role,
+            proposalHash,
+            disputed: false,
+            settled: false,
+        });
+    }
+
+    function trackProposals(proposals) {
+        for (const proposal of proposals ?? []) {
+            if (!proposal?.proposer || !isAddressEqual(proposal.proposer, agentAddress)) continue;
+            track({
+                assertionId: proposal.assertionId,
+                role: 'asserter',
+                proposalHash: proposal.proposalHash,
+            });
+        }
+    }
+
+    async function readAssertion(optimisticOracle, assertionId) {
+        const raw = await publicClient.readContract({
+            address: optimisticOracle,
+            abi: optimisticOracleAbi,
+            functionName: 'getAssertion',
+            args: [assertionId],
+        });
+        return normalizeAssertion(raw);
+    }
+
+    async function loadDetails(optimisticOracle, record) {
+        const assertion = await readAssertion(optimisticOracle, record.assertionId);
+        record.asserter = assertion.asserter ? getAddress(assertion.asserter) : undefined;
+        record.currency = assertion.currency ? getAddress(assertion.currency) : undefined;
+        record.bond = BigInt(assertion.bond ?? 0);
+        record.expirationTime = BigInt(assertion.expirationTime ?? 0);
+        return assertion;
+    }
+
+    function disputedSignal(record, log) {
+        return {
+            kind: 'assertionDisputed',
+            assertionId: record.assertionId,
+            proposalHash: record.proposalHash,
+            role: record.role,
+            asserter: record.asserter,
+            disputer: record.disputer,
+            bond: record.bond,
+            currency: record.currency,
+            blockNumber: log?.blockNumber,
+            transactionHash: log?.transactionHash,
+            id: `assertionDisputed:${record.assertionId}`,
+        };
+    }
+
+    function markDisputed(record, { disputer, log }) {
+        record.disputed = true;
+        record.disputer = getAddress(disputer);
+        logger.info(
+            `Assertion ${record.assertionId} (${record.role}) disputed by ${record.disputer}.`
+        );
+        return disputedSignal(record, log);
+    }
+
+    async function markSettled(optimisticOracle, record, settlement, log) {
+        record.settled = true;
+        record.disputed = Boolean(settlement.disputed);
+        record.settlementResolution = Boolean(settlement.settlementResolution);
+        record.bondRecipient = getAddress(settlement.bondRecipient);
+        if (record.disputed && burnedBondPercentage === undefined) {
+            burnedBondPercentage = await publicClient.readContract({
+                address: optimisticOracle,
+                abi: optimisticOracleAbi,
+                functionName: 'burnedBondPercentage',
+            });
+        }
+        const { bondReturned, bondPnl } = bondOutcome({
+            record,
+            agentAddress,
+            burnedBondPercentage,
+        });
+        record.bondReturned = bondReturned;
+        record.bondPnl = bondPnl;
+        logger.info(
+            `Assertion ${record.assertionId} (${record.role}) settled ${record.settlementResolution}; bond P&L ${bondPnl.toString()}.`
+        );
+
+        return {
+            kind: 'assertionSettled',
+            assertionId: record.assertionId,
+            proposalHash: record.proposalHash,
+            role: record.role,
+            disputed: record.disputed,
+            settlementResolution: record.settlementResolution,
+            bondRecipient: record.bondRecipient,
+            currency: record.currency,
+            bond: record.bond,
+            bondReturned,
+            bondPnl,
+            settleCaller: settlement.settleCaller,
+            blockNumber: log?.blockNumber,
+            transactionHash: log?.transactionHash,
+            id: `assertionSettled:${record.assertionId}`,
+        };
+    }
+
+    async function fetchEvents({ optimisticOracle, fromBlock, toBlock }) {
+        const ownDisputes = await logFetcher.getLogs({
+            publicClient,
+            address: optimisticOracle,
+            event: assertionDisputedEvent,
+            args: { disputer: agentAddress },
+            fromBlock,
+            toBlock,
+        });
+        for (const log of ownDisputes) {
+            track({ assertionId: log.args.assertionId, role: 'disputer' });
+        }
+
+        const openIds = Array.from(assertions.values())
+            .filter((record) => !record.settled)
+            .map((record) => record.assertionId);
+        if (openIds.length === 0) return [];
+
+        const [disputedLogs, settledLogs] = await Promise.all([
+            logFetcher.getLogs({
+                publicClient,
+                address: optimisticOracle,
+                event: assertionDisputedEvent,
+                args: { assertionId: openIds },
+                fromBlock,
+                toBlock,
+            }),
+            logFetcher.getLogs({
+                publicClient,
+                address: optimisticOracle,
+                event: assertionSettledEvent,
+                args: { assertionId: openIds },
+                fromBlock,
+                toBlock,
+            }),
+        ]);
+        return disputedLogs.concat(settledLogs).sort(compareLogPosition);
+    }
+
+    // Disputed assertions wait for the DVM, so a failed settle simulation is expected until
+    // it resolves; it is simply retried after settleRetryMs.
+    async function settleIfDue({ optimisticOracle, record, chainNowSec, pendingAssertionIds }) {
+        const expired = record.expirationTime > 0n && chainNowSec >= record.expirationTime;
+        if (!record.disputed && !expired) return [];
+        if (!record.disputed && pendingAssertionIds.has(record.assertionId)) return [];
+        if (record.settleAttemptMs && nowMs() - record.settleAttemptMs < settleRetryMs) return [];
+        record.settleAttemptMs = nowMs();
+
+        // Catch up on disputes and settlements whose logs were never scanned (e.g. downtime).
+        const assertion = await readAssertion(optimisticOracle, record.assertionId);
+        const signals = [];
+        const disputer = assertion.disputer ? getAddress(assertion.disputer) : zeroAddress;
+        if (!record.disputed && disputer !== zeroAddress) {
+            signals.push(markDisputed(record, { disputer }));
+        }
+        if (assertion.settled) {
+            const resolution = Boolean(assertion.settlementResolution);
+            const bondRecipient =
+                !record.disputed || resolution ? assertion.asserter : disputer;
+            signals.push(
+                await markSettled(optimisticOracle, record, {
+                    bondRecipient,
+                    disputed: record.disputed,
+                    settlementResolution: resolution,
+                })
+            );
+            return signals;
+        }
+        if (!settleEnabled) return signals;
+
+        try {
+            await publicClient.simulateContract({
+                address: optimisticOracle,
+                abi: optimisticOracleAbi,
+                functionName: 'settleAssertion',
+                args: [record.assertionId],
+                account: agentAddress,
+            });
+        } catch (error) {
+            const reason = error?.shortMessage ?? error?.message ?? String(error);
+            logger.info(`Assertion ${record.assertionId} not settleable yet: ${reason}`);
+            return signals;
+        }
+
+        try {
+            const settleHash = await walletClient.writeContract({
+                address: optimisticOracle,
+                abi: optimisticOracleAbi,
+                functionName: 'settleAssertion',
+                args: [record.assertionId],
+                action: 'settle',
+            });
+            record.settleHash = settleHash;
+            logger.info('Assertion settlement submitted', {
+                assertionId: record.assertionId,
+                transactionHash: settleHash,
+            });
+            const receipt = await publicClient.waitForTransactionReceipt({ hash: settleHash });
+            if (receipt.status !== 'success') {
+                logger.warn(`Settlement of ${record.assertionId} reverted.`);
+            }
+        } catch (error) {
+            logger.warn(`Settlement of ${record.assertionId} failed`, { error });
+        }
+        return signals;
+    }
+
+    // Returns assertionDisputed/assertionSettled signals for this poll. Logs are scanned over the
+    // same confirmed range as proposal polling; fromBlock > toBlock skips the scan.
+    async function poll({
+        optimisticOracle,
+        fromBlock,
+        toBlock,
+        chainNowSec,
+        pendingAssertionIds = new Set(),
+    }) {
+        const signals = [];
+        const logs =
+            fromBlock !== undefined && toBlock !== undefined && fromBlock <= toBlock
+                ? await fetchEvents({ optimisticOracle, fromBlock, toBlock })
+                : [];
+
+        for (const record of assertions.values()) {
+            if (!record.settled && record.bond === undefined) {
+                await loadDetails(optimisticOracle, record);
+            }
+        }
+
+        for (const log of logs) {
+            const record = assertions.get(log.args.assertionId);
+            if (!record || record.settled) continue;
+            if (log.eventName === 'AssertionDisputed') {
+                if (!record.disputed) {
+                    signals.push(markDisputed(record, { disputer: log.args.disputer, log }));
+                }
+                continue;
+            }
+            if (!record.disputed && log.args.disputed) {
+                const { disputer } = await readAssertion(optimisticOracle, record.assertionId);
+                signals.push(markDisputed(record, { disputer }));
+            }
+            signals.push(await markSettled(optimisticOracle, record, log.args, log));
+        }
+
+        for (const record of assertions.values()) {
+            if (record.settled) continue;
+            signals.push(
+                ...(await settleIfDue({
+                    optimisticOracle,
+                    record,
+                    chainNowSec,
+                    pendingAssertionIds,
+                }))
+            );
+        }
+
+        return signals;
+    }
+
+    return {
+        trackProposals,
+        poll,
+        entries: () => Array.from(assertions.entries()),
+        restore(entries) {
+            for (const [assertionId, record] of entries ?? []) {
+                assertions.set(assertionId, record);
+            }
+        },
+    };
+}
+
+export { bondOutcome, createAssertionTracker };
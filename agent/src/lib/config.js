@@ -1,5 +1,6 @@
 import { getAddress } from 'viem';
-import { mustGetEnv, parseAddressList } from './utils.js';
+import { nodeSupportsSqlite } from './state-store.js';
+import { mustGetEnv, parseAddressList, parseTokenIdWatchList } from './utils.js';
 
 function parseFeeTierList(raw) {
     if (!raw) return [500, 3000, 10000];
@@ -14,125 +15,289 @@ function parseFeeTierList(raw) {
     return values;
 }
 
-function buildConfig() {
+function parseActionFeeCaps(raw) {
+    const caps = {};
+    if (!raw) return caps;
+    for (const item of raw.split(',').map((value) => value.trim()).filter(Boolean)) {
+        const [action, wei] = item.split(':').map((value) => value.trim());
+        if (!action || !/^\d+$/.test(wei ?? '')) {
+            throw new Error('FEE_ACTION_CAPS must be comma-separated action:wei pairs');
+        }
+        caps[action] = BigInt(wei);
+    }
+    return caps;
+}
+
+// Native wei per whole token, used to value what a proposal moves for the execution gas guard.
+function parseTokenValues(raw) {
+    const values = {};
+    if (!raw) return values;
+    for (const item of raw.split(',').map((value) => value.trim()).filter(Boolean)) {
+        const [token, wei] = item.split(':').map((value) => value.trim());
+        if (!token || !/^\d+$/.test(wei ?? '')) {
+            throw new Error('EXECUTE_TOKEN_VALUES_WEI must be comma-separated token:wei pairs');
+        }
+        values[getAddress(token).toLowerCase()] = BigInt(wei);
+    }
+    return values;
+}
+
+// Fails at startup rather than on the first checkpoint when node:sqlite is unavailable.
+function parseStateStore(raw) {
+    const kind = (raw ?? 'memory').toLowerCase();
+    if (kind === 'sqlite' && !nodeSupportsSqlite()) {
+        throw new Error(
+            `STATE_STORE=sqlite requires Node.js 22.13+ for the built-in node:sqlite (running ${process.versions.node}); use STATE_STORE=json.`
+        );
+    }
+    return kind;
+}
+
+function optionalNumber(raw) {
+    return raw === undefined || raw === '' ? undefined : Number(raw);
+}
+
+// LLM_* settings select the provider; the OPENAI_* variables remain the defaults for the OpenAI
+// adapters, and Anthropic falls back to ANTHROPIC_API_KEY. A Chat Completions server given an
+// explicit LLM_BASE_URL (vLLM, llama.cpp, Ollama) needs no key.
+function resolveLlmConfig(env) {
+    const llmProvider = (env.LLM_PROVIDER ?? 'responses').toLowerCase();
+    const anthropic = llmProvider === 'anthropic';
+    const llmApiKey = env.LLM_API_KEY ?? (anthropic ? env.ANTHROPIC_API_KEY : env.OPENAI_API_KEY);
     return {
-        rpcUrl: mustGetEnv('RPC_URL'),
-        commitmentSafe: getAddress(mustGetEnv('COMMITMENT_SAFE')),
-        ogModule: getAddress(mustGetEnv('OG_MODULE')),
-        pollIntervalMs: Number(process.env.POLL_INTERVAL_MS ?? 10_000),
-        startBlock: process.env.START_BLOCK ? BigInt(process.env.START_BLOCK) : undefined,
-        watchAssets: parseAddressList(process.env.WATCH_ASSETS),
+        llmProvider,
+        llmModel: env.LLM_MODEL ?? (anthropic ? undefined : env.OPENAI_MODEL ?? 'gpt-4.1-mini'),
+        llmBaseUrl:
+            env.LLM_BASE_URL ??
+            (anthropic
+                ? 'https://api.anthropic.com/v1'
+                : env.OPENAI_BASE_URL ?? 'https://api.openai.com/v1'),
+        llmApiKey,
+        llmMaxOutputTokens: env.LLM_MAX_OUTPUT_TOKENS
+            ? Number(env.LLM_MAX_OUTPUT_TOKENS)
+            : undefined,
+        llmEnabled:
+            Boolean(llmApiKey) || (llmProvider === 'chat' && env.LLM_BASE_URL !== undefined),
+    };
+}
+
+function buildConfig(env = process.env) {
+    return {
+        rpcUrl: mustGetEnv('RPC_URL', env),
+        rpcWsUrl: env.RPC_WS_URL,
+        wsReconnectDelayMs: Number(env.WS_RECONNECT_DELAY_MS ?? 5_000),
+        commitmentSafe: getAddress(mustGetEnv('COMMITMENT_SAFE', env)),
+        ogModule: getAddress(mustGetEnv('OG_MODULE', env)),
+        pollIntervalMs: Number(env.POLL_INTERVAL_MS ?? 10_000),
+        startBlock: env.START_BLOCK ? BigInt(env.START_BLOCK) : undefined,
+        confirmations: BigInt(env.CONFIRMATIONS ?? 0),
+        reorgDetection:
+            env.REORG_DETECTION === undefined
+                ? true
+                : env.REORG_DETECTION.toLowerCase() !== 'false',
+        backfillEnabled:
+            env.BACKFILL_ENABLED === undefined
+                ? false
+                : env.BACKFILL_ENABLED.toLowerCase() === 'true',
+        backfillFromBlock: env.BACKFILL_FROM_BLOCK
+            ? BigInt(env.BACKFILL_FROM_BLOCK)
+            : undefined,
+        logChunkSize: BigInt(env.LOG_CHUNK_SIZE ?? 5_000),
+        nativeDepositAttribution: env.NATIVE_DEPOSIT_ATTRIBUTION ?? 'balance',
+        nativeDepositScanMaxBlocks: BigInt(env.NATIVE_DEPOSIT_SCAN_MAX_BLOCKS ?? 100),
+        watchAssets: parseAddressList(env.WATCH_ASSETS),
+        watchErc1155: parseTokenIdWatchList(env.WATCH_ERC1155, {
+            label: 'WATCH_ERC1155',
+            requireTokenId: true,
+        }),
+        watchErc721: parseTokenIdWatchList(env.WATCH_ERC721, { label: 'WATCH_ERC721' }),
         watchNativeBalance:
-            process.env.WATCH_NATIVE_BALANCE === undefined
+            env.WATCH_NATIVE_BALANCE === undefined
                 ? true
-                : process.env.WATCH_NATIVE_BALANCE.toLowerCase() !== 'false',
-        defaultDepositAsset: process.env.DEFAULT_DEPOSIT_ASSET
-            ? getAddress(process.env.DEFAULT_DEPOSIT_ASSET)
+                : env.WATCH_NATIVE_BALANCE.toLowerCase() !== 'false',
+        watchSafeExecutions:
+            env.WATCH_SAFE_EXECUTIONS === undefined
+                ? true
+                : env.WATCH_SAFE_EXECUTIONS.toLowerCase() !== 'false',
+        defaultDepositAsset: env.DEFAULT_DEPOSIT_ASSET
+            ? getAddress(env.DEFAULT_DEPOSIT_ASSET)
             : undefined,
-        defaultDepositAmountWei: process.env.DEFAULT_DEPOSIT_AMOUNT_WEI
-            ? BigInt(process.env.DEFAULT_DEPOSIT_AMOUNT_WEI)
+        defaultDepositAmountWei: env.DEFAULT_DEPOSIT_AMOUNT_WEI
+            ? BigInt(env.DEFAULT_DEPOSIT_AMOUNT_WEI)
             : undefined,
-        bondSpender: (process.env.BOND_SPENDER ?? 'og').toLowerCase(),
-        openAiApiKey: process.env.OPENAI_API_KEY,
-        openAiModel: process.env.OPENAI_MODEL ?? 'gpt-4.1-mini',
-        openAiBaseUrl: process.env.OPENAI_BASE_URL ?? 'https://api.openai.com/v1',
+        bondSpender: (env.BOND_SPENDER ?? 'og').toLowerCase(),
+        openAiApiKey: env.OPENAI_API_KEY,
+        openAiModel: env.OPENAI_MODEL ?? 'gpt-4.1-mini',
+        openAiBaseUrl: env.OPENAI_BASE_URL ?? 'https://api.openai.com/v1',
+        ...resolveLlmConfig(env),
+        llmRecordMode: (env.LLM_RECORD_MODE ?? 'off').toLowerCase(),
+        llmRecordingsPath: env.LLM_RECORDINGS_PATH,
+        llmMaxCallsPerHour: optionalNumber(env.LLM_MAX_CALLS_PER_HOUR),
+        llmMaxTokensPerDay: optionalNumber(env.LLM_MAX_TOKENS_PER_DAY),
+        llmMaxUsdPerDay: optionalNumber(env.LLM_MAX_USD_PER_DAY),
+        llmInputUsdPerMtok: optionalNumber(env.LLM_INPUT_USD_PER_MTOK),
+        llmOutputUsdPerMtok: optionalNumber(env.LLM_OUTPUT_USD_PER_MTOK),
+        llmDebounceMs: Number(env.LLM_DEBOUNCE_MS ?? 0),
+        agentMaxSteps: Number(env.AGENT_MAX_STEPS ?? 5),
+        agentMaxToolCalls: Number(env.AGENT_MAX_TOOL_CALLS ?? 10),
+        agentDecisionTimeoutMs: Number(env.AGENT_DECISION_TIMEOUT_MS ?? 120_000),
+        proposeSimulateExecution:
+            env.PROPOSE_SIMULATE_EXECUTION === undefined
+                ? true
+                : env.PROPOSE_SIMULATE_EXECUTION.toLowerCase() !== 'false',
+        proposalExplanationMode: (env.PROPOSAL_EXPLANATION_MODE ?? 'inline').toLowerCase(),
+        ipfsApiUrl: env.IPFS_API_URL,
+        ipfsGatewayUrl: env.IPFS_GATEWAY_URL,
         allowProposeOnSimulationFail:
-            process.env.ALLOW_PROPOSE_ON_SIMULATION_FAIL === undefined
+            env.ALLOW_PROPOSE_ON_SIMULATION_FAIL === undefined
                 ? false
-                : process.env.ALLOW_PROPOSE_ON_SIMULATION_FAIL.toLowerCase() === 'true',
-        proposeGasLimit: process.env.PROPOSE_GAS_LIMIT
-            ? BigInt(process.env.PROPOSE_GAS_LIMIT)
+                : env.ALLOW_PROPOSE_ON_SIMULATION_FAIL.toLowerCase() === 'true',
+        proposeGasLimit: env.PROPOSE_GAS_LIMIT
+            ? BigInt(env.PROPOSE_GAS_LIMIT)
             : 2_000_000n,
-        executeRetryMs: Number(process.env.EXECUTE_RETRY_MS ?? 60_000),
+        executeRetryMs: Number(env.EXECUTE_RETRY_MS ?? 60_000),
+        executeOwnProposalsOnly:
+            env.EXECUTE_OWN_PROPOSALS_ONLY === undefined
+                ? false
+                : env.EXECUTE_OWN_PROPOSALS_ONLY.toLowerCase() === 'true',
+        executeBatchMulticall:
+            env.EXECUTE_BATCH_MULTICALL === undefined
+                ? false
+                : env.EXECUTE_BATCH_MULTICALL.toLowerCase() === 'true',
+        executeMaxGasCostBps: env.EXECUTE_MAX_GAS_COST_BPS
+            ? BigInt(env.EXECUTE_MAX_GAS_COST_BPS)
+            : undefined,
+        executeTokenValuesWei: parseTokenValues(env.EXECUTE_TOKEN_VALUES_WEI),
+        txReplaceAfterMs: Number(env.TX_REPLACE_AFTER_MS ?? 120_000),
+        txFeeBumpPercent: Number(env.TX_FEE_BUMP_PERCENT ?? 20),
+        txMaxReplacements: Number(env.TX_MAX_REPLACEMENTS ?? 3),
+        feePriorityStrategy: (env.FEE_PRIORITY_STRATEGY ?? 'network').toLowerCase(),
+        feePriorityFeeWei: env.FEE_PRIORITY_FEE_WEI ? BigInt(env.FEE_PRIORITY_FEE_WEI) : undefined,
+        feeHistoryBlocks: Number(env.FEE_HISTORY_BLOCKS ?? 10),
+        feeHistoryPercentile: Number(env.FEE_HISTORY_PERCENTILE ?? 50),
+        feeMaxFeePerGasWei: env.FEE_MAX_FEE_PER_GAS_WEI
+            ? BigInt(env.FEE_MAX_FEE_PER_GAS_WEI)
+            : undefined,
+        feeActionCaps: parseActionFeeCaps(env.FEE_ACTION_CAPS),
+        gasDailyBudgetWei: env.GAS_DAILY_BUDGET_WEI ? BigInt(env.GAS_DAILY_BUDGET_WEI) : undefined,
         proposeEnabled:
-            process.env.PROPOSE_ENABLED === undefined
+            env.PROPOSE_ENABLED === undefined
                 ? true
-                : process.env.PROPOSE_ENABLED.toLowerCase() !== 'false',
+                : env.PROPOSE_ENABLED.toLowerCase() !== 'false',
         disputeEnabled:
-            process.env.DISPUTE_ENABLED === undefined
+            env.DISPUTE_ENABLED === undefined
                 ? true
-                : process.env.DISPUTE_ENABLED.toLowerCase() !== 'false',
-        disputeRetryMs: Number(process.env.DISPUTE_RETRY_MS ?? 60_000),
-        agentModule: process.env.AGENT_MODULE,
-        chainlinkPriceFeed: process.env.CHAINLINK_PRICE_FEED
-            ? getAddress(process.env.CHAINLINK_PRICE_FEED)
-            : undefined,
-        polymarketConditionalTokens: process.env.POLYMARKET_CONDITIONAL_TOKENS
-            ? getAddress(process.env.POLYMARKET_CONDITIONAL_TOKENS)
+                : env.DISPUTE_ENABLED.toLowerCase() !== 'false',
+        disputeRetryMs: Number(env.DISPUTE_RETRY_MS ?? 60_000),
+        settleAssertions:
+            env.SETTLE_ASSERTIONS === undefined
+                ? true
+                : env.SETTLE_ASSERTIONS.toLowerCase() !== 'false',
+        settleRetryMs: Number(env.SETTLE_RETRY_MS ?? 300_000),
+        guardianMode:
+            env.GUARDIAN_MODE === undefined ? false : env.GUARDIAN_MODE.toLowerCase() === 'true',
+        agentModule: env.AGENT_MODULE,
+        stateStore: parseStateStore(env.STATE_STORE),
+        stateStorePath: env.STATE_STORE_PATH,
+        logFormat: (env.LOG_FORMAT ?? 'text').toLowerCase(),
+        logLevel: (env.LOG_LEVEL ?? 'info').toLowerCase(),
+        decisionJournalPath: env.DECISION_JOURNAL_PATH,
+        fundingMinBonds: BigInt(env.FUNDING_MIN_BONDS ?? 1),
+        fundingMinNativeWei: env.FUNDING_MIN_NATIVE_WEI
+            ? BigInt(env.FUNDING_MIN_NATIVE_WEI)
+            : undefined,
+        fundingCheckMs: Number(env.FUNDING_CHECK_MS ?? 300_000),
+        fundingStrict:
+            env.FUNDING_STRICT === undefined ? false : env.FUNDING_STRICT.toLowerCase() === 'true',
+        fundingPreapprove:
+            env.FUNDING_PREAPPROVE === undefined
+                ? false
+                : env.FUNDING_PREAPPROVE.toLowerCase() === 'true',
+        healthPort: env.HEALTH_PORT === undefined ? undefined : Number(env.HEALTH_PORT),
+        healthHost: env.HEALTH_HOST ?? '127.0.0.1',
+        healthMaxLoopAgeMs:
+            env.HEALTH_MAX_LOOP_AGE_MS === undefined
+                ? undefined
+                : Number(env.HEALTH_MAX_LOOP_AGE_MS),
+        chainlinkPriceFeed: env.CHAINLINK_PRICE_FEED
+            ? getAddress(env.CHAINLINK_PRICE_FEED)
+            : undefined,
+        polymarketConditionalTokens: env.POLYMARKET_CONDITIONAL_TOKENS
+            ? getAddress(env.POLYMARKET_CONDITIONAL_TOKENS)
             : getAddress('0x4D97DCd97eC945f40cF65F87097ACe5EA0476045'),
-        polymarketExchange: process.env.POLYMARKET_EXCHANGE
-            ? getAddress(process.env.POLYMARKET_EXCHANGE)
+        polymarketExchange: env.POLYMARKET_EXCHANGE
+            ? getAddress(env.POLYMARKET_EXCHANGE)
             : undefined,
         polymarketClobEnabled:
-            process.env.POLYMARKET_CLOB_ENABLED === undefined
+            env.POLYMARKET_CLOB_ENABLED === undefined
                 ? false
-                : process.env.POLYMARKET_CLOB_ENABLED.toLowerCase() !== 'false',
-        polymarketClobHost: process.env.POLYMARKET_CLOB_HOST ?? 'https://clob.polymarket.com',
-        polymarketClobAddress: process.env.POLYMARKET_CLOB_ADDRESS
-            ? getAddress(process.env.POLYMARKET_CLOB_ADDRESS)
-            : undefined,
-        polymarketClobSignatureType: process.env.POLYMARKET_CLOB_SIGNATURE_TYPE,
-        polymarketClobApiKey: process.env.POLYMARKET_CLOB_API_KEY,
-        polymarketClobApiSecret: process.env.POLYMARKET_CLOB_API_SECRET,
-        polymarketClobApiPassphrase: process.env.POLYMARKET_CLOB_API_PASSPHRASE,
+                : env.POLYMARKET_CLOB_ENABLED.toLowerCase() !== 'false',
+        polymarketClobHost: env.POLYMARKET_CLOB_HOST ?? 'https://clob.polymarket.com',
+        polymarketClobAddress: env.POLYMARKET_CLOB_ADDRESS
+            ? getAddress(env.POLYMARKET_CLOB_ADDRESS)
+            : undefined,
+        polymarketClobSignatureType: env.POLYMARKET_CLOB_SIGNATURE_TYPE,
+        polymarketClobApiKey: env.POLYMARKET_CLOB_API_KEY,
+        polymarketClobApiSecret: env.POLYMARKET_CLOB_API_SECRET,
+        polymarketClobApiPassphrase: env.POLYMARKET_CLOB_API_PASSPHRASE,
         polymarketClobRequestTimeoutMs: Number(
-            process.env.POLYMARKET_CLOB_REQUEST_TIMEOUT_MS ?? 15_000
+            env.POLYMARKET_CLOB_REQUEST_TIMEOUT_MS ?? 15_000
         ),
-        polymarketClobMaxRetries: Number(process.env.POLYMARKET_CLOB_MAX_RETRIES ?? 1),
-        polymarketClobRetryDelayMs: Number(process.env.POLYMARKET_CLOB_RETRY_DELAY_MS ?? 250),
+        polymarketClobMaxRetries: Number(env.POLYMARKET_CLOB_MAX_RETRIES ?? 1),
+        polymarketClobRetryDelayMs: Number(env.POLYMARKET_CLOB_RETRY_DELAY_MS ?? 250),
         polymarketRelayerEnabled:
-            process.env.POLYMARKET_RELAYER_ENABLED === undefined
+            env.POLYMARKET_RELAYER_ENABLED === undefined
                 ? false
-                : process.env.POLYMARKET_RELAYER_ENABLED.toLowerCase() !== 'false',
+                : env.POLYMARKET_RELAYER_ENABLED.toLowerCase() !== 'false',
         polymarketRelayerHost:
-            process.env.POLYMARKET_RELAYER_HOST ?? 'https://relayer-v2.polymarket.com',
-        polymarketRelayerTxType: process.env.POLYMARKET_RELAYER_TX_TYPE ?? 'SAFE',
-        polymarketRelayerFromAddress: process.env.POLYMARKET_RELAYER_FROM_ADDRESS
-            ? getAddress(process.env.POLYMARKET_RELAYER_FROM_ADDRESS)
+            env.POLYMARKET_RELAYER_HOST ?? 'https://relayer-v2.polymarket.com',
+        polymarketRelayerTxType: env.POLYMARKET_RELAYER_TX_TYPE ?? 'SAFE',
+        polymarketRelayerFromAddress: env.POLYMARKET_RELAYER_FROM_ADDRESS
+            ? getAddress(env.POLYMARKET_RELAYER_FROM_ADDRESS)
             : undefined,
-        polymarketRelayerSafeFactory: process.env.POLYMARKET_RELAYER_SAFE_FACTORY
-            ? getAddress(process.env.POLYMARKET_RELAYER_SAFE_FACTORY)
+        polymarketRelayerSafeFactory: env.POLYMARKET_RELAYER_SAFE_FACTORY
+            ? getAddress(env.POLYMARKET_RELAYER_SAFE_FACTORY)
             : undefined,
-        polymarketRelayerProxyFactory: process.env.POLYMARKET_RELAYER_PROXY_FACTORY
-            ? getAddress(process.env.POLYMARKET_RELAYER_PROXY_FACTORY)
+        polymarketRelayerProxyFactory: env.POLYMARKET_RELAYER_PROXY_FACTORY
+            ? getAddress(env.POLYMARKET_RELAYER_PROXY_FACTORY)
             : undefined,
         polymarketRelayerResolveProxyAddress:
-            process.env.POLYMARKET_RELAYER_RESOLVE_PROXY_ADDRESS === undefined
+            env.POLYMARKET_RELAYER_RESOLVE_PROXY_ADDRESS === undefined
                 ? true
-                : process.env.POLYMARKET_RELAYER_RESOLVE_PROXY_ADDRESS.toLowerCase() !==
+                : env.POLYMARKET_RELAYER_RESOLVE_PROXY_ADDRESS.toLowerCase() !==
                   'false',
         polymarketRelayerAutoDeployProxy:
-            process.env.POLYMARKET_RELAYER_AUTO_DEPLOY_PROXY === undefined
+            env.POLYMARKET_RELAYER_AUTO_DEPLOY_PROXY === undefined
                 ? false
-                : process.env.POLYMARKET_RELAYER_AUTO_DEPLOY_PROXY.toLowerCase() === 'true',
-        polymarketRelayerChainId: process.env.POLYMARKET_RELAYER_CHAIN_ID
-            ? Number(process.env.POLYMARKET_RELAYER_CHAIN_ID)
+                : env.POLYMARKET_RELAYER_AUTO_DEPLOY_PROXY.toLowerCase() === 'true',
+        polymarketRelayerChainId: env.POLYMARKET_RELAYER_CHAIN_ID
+            ? Number(env.POLYMARKET_RELAYER_CHAIN_ID)
             : undefined,
         polymarketRelayerRequestTimeoutMs: Number(
-            process.env.POLYMARKET_RELAYER_REQUEST_TIMEOUT_MS ?? 15_000
+            env.POLYMARKET_RELAYER_REQUEST_TIMEOUT_MS ?? 15_000
         ),
         polymarketRelayerPollIntervalMs: Number(
-            process.env.POLYMARKET_RELAYER_POLL_INTERVAL_MS ?? 2_000
+            env.POLYMARKET_RELAYER_POLL_INTERVAL_MS ?? 2_000
         ),
         polymarketRelayerPollTimeoutMs: Number(
-            process.env.POLYMARKET_RELAYER_POLL_TIMEOUT_MS ?? 120_000
+            env.POLYMARKET_RELAYER_POLL_TIMEOUT_MS ?? 120_000
         ),
-        polymarketApiKey: process.env.POLYMARKET_API_KEY,
-        polymarketApiSecret: process.env.POLYMARKET_API_SECRET,
-        polymarketApiPassphrase: process.env.POLYMARKET_API_PASSPHRASE,
+        polymarketApiKey: env.POLYMARKET_API_KEY,
+        polymarketApiSecret: env.POLYMARKET_API_SECRET,
+        polymarketApiPassphrase: env.POLYMARKET_API_PASSPHRASE,
         polymarketBuilderApiKey:
-            process.env.POLYMARKET_BUILDER_API_KEY ?? process.env.POLYMARKET_API_KEY,
+            env.POLYMARKET_BUILDER_API_KEY ?? env.POLYMARKET_API_KEY,
         polymarketBuilderSecret:
-            process.env.POLYMARKET_BUILDER_SECRET ?? process.env.POLYMARKET_API_SECRET,
+            env.POLYMARKET_BUILDER_SECRET ?? env.POLYMARKET_API_SECRET,
         polymarketBuilderPassphrase:
-            process.env.POLYMARKET_BUILDER_PASSPHRASE ?? process.env.POLYMARKET_API_PASSPHRASE,
-        uniswapV3Factory: process.env.UNISWAP_V3_FACTORY
-            ? getAddress(process.env.UNISWAP_V3_FACTORY)
+            env.POLYMARKET_BUILDER_PASSPHRASE ?? env.POLYMARKET_API_PASSPHRASE,
+        uniswapV3Factory: env.UNISWAP_V3_FACTORY
+            ? getAddress(env.UNISWAP_V3_FACTORY)
             : undefined,
-        uniswapV3Quoter: process.env.UNISWAP_V3_QUOTER
-            ? getAddress(process.env.UNISWAP_V3_QUOTER)
+        uniswapV3Quoter: env.UNISWAP_V3_QUOTER
+            ? getAddress(env.UNISWAP_V3_QUOTER)
             : undefined,
-        uniswapV3FeeTiers: parseFeeTierList(process.env.UNISWAP_V3_FEE_TIERS),
+        uniswapV3FeeTiers: parseFeeTierList(env.UNISWAP_V3_FEE_TIERS),
     };
 }
 
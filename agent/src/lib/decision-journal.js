@@ -0,0 +1,47 @@
+import { appendFile, mkdir } from 'node:fs/promises';
+import path from 'node:path';
+import { createLogger, getLogContext, toJsonValue } from './logger.js';
+import { deserializeState, serializeState } from './state-store.js';
+
+const logger = createLogger('agent');
+
+// Append-only JSON lines, one per agent decision: the signals, the exact request sent to the
+// model, its raw output, what validateToolCalls kept, and the tool outputs with tx hashes. Writes
+// are serialized so entries never interleave, and a failed write is logged rather than thrown so
+// the journal can never stop the agent from acting.
+function createDecisionJournal({ filePath }) {
+    let pending = Promise.resolve();
+    let ready;
+
+    function record(entry) {
+        const line = `${JSON.stringify(
+            { time: new Date().toISOString(), ...getLogContext(), ...entry },
+            toJsonValue
+        )}\n`;
+        pending = pending.then(async () => {
+            try {
+                ready ??= mkdir(path.dirname(filePath), { recursive: true });
+                await ready;
+                await appendFile(filePath, line, 'utf8');
+            } catch (error) {
+                logger.warn('Failed to write decision journal entry', { error, filePath });
+            }
+        });
+        return pending;
+    }
+
+    return { record, flush: () => pending };
+}
+
+// The `replay` section keeps what scripts/replay-decisions.mjs needs to run a decision through the
+// agent module again: the signals before augmentSignals/enrichSignals, the loop's clock and block,
+// and the module's state. It uses the state store encoding so bigints survive the round trip.
+function encodeReplayInput(input) {
+    return JSON.parse(serializeState(input));
+}
+
+function decodeReplayInput(replay) {
+    return deserializeState(JSON.stringify(replay));
+}
+
+export { createDecisionJournal, decodeReplayInput, encodeReplayInput };
@@ -0,0 +1,180 @@
+import {
+    decodeErrorResult,
+    decodeFunctionResult,
+    encodeFunctionData,
+    erc20Abi,
+    getAddress,
+    parseAbi,
+    zeroAddress,
+} from 'viem';
+
+// Canonical Multicall3 deployment, present at the same address on nearly every EVM chain.
+const MULTICALL3_ADDRESS = '0xcA11bde05977b3631167028862bE2a173976CA11';
+const EXECUTION_SIMULATION_FAILED = 'EXECUTION_SIMULATION_FAILED';
+
+const multicall3Abi = parseAbi([
+    'function aggregate3((address target, bool allowFailure, bytes callData)[] calls) payable returns ((bool success, bytes returnData)[] returnData)',
+    'function getEthBalance(address addr) view returns (uint256 balance)',
+]);
+
+const safeModuleAbi = parseAbi([
+    'function execTransactionFromModuleReturnData(address to, uint256 value, bytes data, uint8 operation) returns (bool success, bytes returnData)',
+]);
+
+function decodeRevertReason(data) {
+    if (!data || data === '0x') return 'reverted without a reason';
+    try {
+        const decoded = decodeErrorResult({ abi: [], data });
+        if (decoded.errorName === 'Error') return String(decoded.args[0]);
+        if (decoded.errorName === 'Panic') return `panic 0x${decoded.args[0].toString(16)}`;
+        return `${decoded.errorName}(${(decoded.args ?? []).join(', ')})`;
+    } catch (error) {
+        return `reverted with data ${data}`;
+    }
+}
+
+function simulationFailedError(simulation) {
+    const failed = simulation.transactions.find((tx) => tx.success === false);
+    const error = new Error(
+        `Proposal would fail at execution: transactions[${failed.index}] to ${failed.to} ${failed.revertReason}.`
+    );
+    error.code = EXECUTION_SIMULATION_FAILED;
+    error.executionSimulation = simulation;
+    return error;
+}
+
+function isExecutionSimulationError(error) {
+    return error?.code === EXECUTION_SIMULATION_FAILED;
+}
+
+// Replays what executeProposal would do, in one eth_call: the OG module's code is swapped for
+// Multicall3 via a state override, so each call reaches the Safe from the module address and the
+// Safe runs the batch in order with its real storage. Balances of the Safe are read before and
+// after the batch to report deltas for native ETH, the watched assets, and every call target.
+// A failed transaction does not stop the simulated batch, but on chain the whole execution reverts.
+async function simulateProposalExecution({
+    publicClient,
+    commitmentSafe,
+    ogModule,
+    transactions,
+    watchAssets = [],
+}) {
+    const multicallCode = await publicClient.getCode({ address: MULTICALL3_ADDRESS });
+    if (!multicallCode || multicallCode === '0x') {
+        throw new Error(`Multicall3 is not deployed at ${MULTICALL3_ADDRESS}; cannot simulate.`);
+    }
+
+    const safe = getAddress(commitmentSafe);
+    const moduleAddress = getAddress(ogModule);
+    const tokens = Array.from(
+        new Set(
+            [...watchAssets, ...transactions.map((tx) => tx.to)].map((value) => getAddress(value))
+        )
+    );
+    const balanceCalls = [
+        {
+            target: moduleAddress,
+            allowFailure: true,
+            callData: encodeFunctionData({
+                abi: multicall3Abi,
+                functionName: 'getEthBalance',
+                args: [safe],
+            }),
+        },
+        ...tokens.map((token) => ({
+            target: token,
+            allowFailure: true,
+            callData: encodeFunctionData({
+                abi: erc20Abi,
+                functionName: 'balanceOf',
+                args: [safe],
+            }),
+        })),
+    ];
+    const executionCalls = transactions.map((tx) => ({
+        target: safe,
+        allowFailure: true,
+        callData: encodeFunctionData({
+            abi: safeModuleAbi,
+            functionName: 'execTransactionFromModuleReturnData',
+            args: [
+                getAddress(tx.to),
+                BigInt(tx.value ?? 0),
+                tx.data ?? '0x',
+                Number(tx.operation ?? 0),
+            ],
+        }),
+    }));
+    const calls = [...balanceCalls, ...executionCalls, ...balanceCalls];
+
+    const { data } = await publicClient.call({
+        to: moduleAddress,
+        data: encodeFunctionData({
+            abi: multicall3Abi,
+            functionName: 'aggregate3',
+            args: [calls],
+        }),
+        stateOverride: [{ address: moduleAddress, code: multicallCode }],
+    });
+    const results = decodeFunctionResult({
+        abi: multicall3Abi,
+        functionName: 'aggregate3',
+        data,
+    });
+
+    const before = results.slice(0, balanceCalls.length);
+    const executionEnd = balanceCalls.length + executionCalls.length;
+    const executed = results.slice(balanceCalls.length, executionEnd);
+    const after = results.slice(executionEnd);
+
+    // executeProposal reverts on the first failing transaction, so later ones never run.
+    let reached = true;
+    const simulatedTransactions = executed.map((result, index) => {
+        const entry = { index, to: getAddress(transactions[index].to), reached };
+        if (!result.success) {
+            entry.success = false;
+            entry.revertReason = decodeRevertReason(result.returnData);
+        } else {
+            const [success, returnData] = decodeFunctionResult({
+                abi: safeModuleAbi,
+                functionName: 'execTransactionFromModuleReturnData',
+                data: result.returnData,
+            });
+            entry.success = success;
+            if (!success) entry.revertReason = decodeRevertReason(returnData);
+        }
+        if (entry.success === false) reached = false;
+        return entry;
+    });
+
+    const balanceDeltas = [];
+    const assets = [zeroAddress, ...tokens];
+    for (let i = 0; i < assets.length; i += 1) {
+        if (!before[i].success || !after[i].success) continue;
+        if (before[i].returnData.length !== 66 || after[i].returnData.length !== 66) continue;
+        const beforeBalance = BigInt(before[i].returnData);
+        const afterBalance = BigInt(after[i].returnData);
+        if (beforeBalance === afterBalance) continue;
+        balanceDeltas.push({
+            asset: assets[i],
+            before: beforeBalance.toString(),
+            after: afterBalance.toString(),
+            delta: (afterBalance - beforeBalance).toString(),
+        });
+    }
+
+    return {
+        ok: simulatedTransactions.every((tx) => tx.success),
+        transactions: simulatedTransactions,
+        balanceDeltas,
+    };
+}
+
+export {
+    EXECUTION_SIMULATION_FAILED,
+    MULTICALL3_ADDRESS,
+    isExecutionSimulationError,
+    multicall3Abi,
+    simulateProposalExecution,
+    simulationFailedError,
+};
@@ -0,0 +1,136 @@
+import { createHash } from 'node:crypto';
+import { stringToHex } from 'viem';
+
+const DEFAULT_EXPLANATION = 'Agent serving Oya commitment.';
+const EXPLANATION_MODES = new Set(['inline', 'hash']);
+const BASE32_ALPHABET = 'abcdefghijklmnopqrstuvwxyz234567';
+// CIDv1 prefix: version 1, raw codec (0x55), sha2-256 multihash (0x12) of 32 bytes.
+const RAW_CID_PREFIX = Buffer.from([0x01, 0x55, 0x12, 0x20]);
+const IPFS_URI_PATTERN = /(?:^|\s)ipfs:\/\/(b[a-z2-7]+)\s*$/;
+const DEFAULT_IPFS_TIMEOUT_MS = 10_000;
+
+function encodeBase32(bytes) {
+    let output = '';
+    let buffer = 0;
+    let bits = 0;
+    for (const byte of bytes) {
+        buffer = ((buffer << 8) | byte) & 0xffff;
+        bits += 8;
+        while (bits >= 5) {
+            output += BASE32_ALPHABET[(buffer >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+    }
+    if (bits > 0) {
+        output += BASE32_ALPHABET[(buffer << (5 - bits)) & 31];
+    }
+    return output;
+}
+
+// The CID an IPFS node assigns to a single-block file added with cid-version=1 and raw-leaves,
+// so the hash we put on chain matches what a pinning node reports.
+function computeRawCid(content) {
+    const digest = createHash('sha256').update(content).digest();
+    return `b${encodeBase32(Buffer.concat([RAW_CID_PREFIX, digest]))}`;
+}
+
+// On chain the explanation is one of:
+//   - plain text, when there is no rationale;
+//   - a JSON document {explanation, rationale}, inline;
+//   - the explanation text followed by `ipfs://<cid>` of that JSON document, in hash mode.
+function buildProposalExplanation({ explanation, rationale, mode = 'inline' }) {
+    if (!EXPLANATION_MODES.has(mode)) {
+        throw new Error(`Unknown explanation mode '${mode}'; use inline or hash.`);
+    }
+    const text =
+        typeof explanation === 'string' && explanation.trim()
+            ? explanation.trim()
+            : DEFAULT_EXPLANATION;
+
+    if (rationale === undefined || rationale === null) {
+        return { text, explanationBytes: stringToHex(text) };
+    }
+
+    const document = JSON.stringify({ explanation: text, rationale });
+    if (mode === 'inline') {
+        return { text, document, explanationBytes: stringToHex(document) };
+    }
+
+    const cid = computeRawCid(Buffer.from(document, 'utf8'));
+    const onchain = `${text}\n\nipfs://${cid}`;
+    return { text, document, cid, explanationBytes: stringToHex(onchain) };
+}
+
+function parseProposalExplanation(raw) {
+    if (typeof raw !== 'string') return { explanation: raw };
+    const trimmed = raw.trim();
+    if (trimmed.startsWith('{')) {
+        try {
+            const parsed = JSON.parse(trimmed);
+            if (parsed && typeof parsed.explanation === 'string') {
+                return { explanation: parsed.explanation, rationale: parsed.rationale };
+            }
+        } catch (error) {
+            // Not a structured explanation; treat it as text.
+        }
+    }
+    const match = trimmed.match(IPFS_URI_PATTERN);
+    if (match) {
+        return {
+            explanation: trimmed.slice(0, match.index).trim(),
+            explanationCid: match[1],
+        };
+    }
+    return { explanation: raw };
+}
+
+async function pinExplanationDocument({
+    apiUrl,
+    document,
+    cid,
+    timeoutMs = DEFAULT_IPFS_TIMEOUT_MS,
+}) {
+    const form = new FormData();
+    form.append('file', new Blob([document], { type: 'application/json' }), 'explanation.json');
+    const response = await fetch(
+        `${apiUrl.replace(/\/$/, '')}/api/v0/add?cid-version=1&raw-leaves=true&pin=true`,
+        { method: 'POST', body: form, signal: AbortSignal.timeout(timeoutMs) }
+    );
+    if (!response.ok) {
+        throw new Error(`IPFS add failed with HTTP ${response.status}.`);
+    }
+    const body = await response.json();
+    if (body?.Hash !== cid) {
+        throw new Error(`IPFS node returned CID ${body?.Hash}, expected ${cid}.`);
+    }
+    return cid;
+}
+
+// Fetches a hashed explanation document from a gateway and checks it against its CID, so a
+// gateway cannot substitute a different rationale.
+async function fetchExplanationDocument({
+    gatewayUrl,
+    cid,
+    timeoutMs = DEFAULT_IPFS_TIMEOUT_MS,
+}) {
+    const response = await fetch(`${gatewayUrl.replace(/\/$/, '')}/ipfs/${cid}`, {
+        signal: AbortSignal.timeout(timeoutMs),
+    });
+    if (!response.ok) {
+        throw new Error(`IPFS gateway returned HTTP ${response.status} for ${cid}.`);
+    }
+    const content = Buffer.from(await response.arrayBuffer());
+    if (computeRawCid(content) !== cid) {
+        throw new Error(`Content from the gateway does not match ${cid}.`);
+    }
+    return parseProposalExplanation(content.toString('utf8'));
+}
+
+export {
+    buildProposalExplanation,
+    computeRawCid,
+    DEFAULT_EXPLANATION,
+    fetchExplanationDocument,
+    parseProposalExplanation,
+    pinExplanationDocument,
+};
@@ -0,0 +1,238 @@
+const PRIORITY_FEE_STRATEGIES = new Set(['network', 'fixed', 'percentile']);
+const DEFAULT_FEE_HISTORY_BLOCKS = 10;
+const DEFAULT_FEE_HISTORY_PERCENTILE = 50;
+const DAY_MS = 86_400_000;
+
+const FEE_CAP_EXCEEDED = 'FEE_CAP_EXCEEDED';
+const GAS_BUDGET_EXCEEDED = 'GAS_BUDGET_EXCEEDED';
+
+function feePolicyError(code, message) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+}
+
+function isFeePolicyError(error) {
+    return error?.code === FEE_CAP_EXCEEDED || error?.code === GAS_BUDGET_EXCEEDED;
+}
+
+// Same headroom viem applies in estimateFeesPerGas, so the base fee can rise for a block or two.
+function withBaseFeeHeadroom(baseFee) {
+    return (baseFee * 12n + 9n) / 10n;
+}
+
+function averageNonZero(values) {
+    const nonZero = values.filter((value) => value > 0n);
+    if (nonZero.length === 0) return undefined;
+    return nonZero.reduce((sum, value) => sum + value, 0n) / BigInt(nonZero.length);
+}
+
+// Decides the EIP-1559 fees for every transaction the agent wallet sends. Requests carry an
+// `action` tag (propose, dispute, execute, settle, deposit) so caps can differ per action; a
+// send that would need more than its cap, or would overrun the daily gas budget, is refused
+// with an error whose `code` is FEE_CAP_EXCEEDED or GAS_BUDGET_EXCEEDED.
+function createFeePolicy({
+    publicClient,
+    priorityFeeStrategy = 'network',
+    priorityFeeWei,
+    feeHistoryBlocks = DEFAULT_FEE_HISTORY_BLOCKS,
+    feeHistoryPercentile = DEFAULT_FEE_HISTORY_PERCENTILE,
+    maxFeePerGasWei,
+    actionMaxFeePerGasWei = {},
+    dailyBudgetWei,
+    budgetStore,
+    nowMs = () => Date.now(),
+}) {
+    if (!PRIORITY_FEE_STRATEGIES.has(priorityFeeStrategy)) {
+        throw new Error(
+            `Unknown priority fee strategy '${priorityFeeStrategy}'; use network, fixed, or percentile.`
+        );
+    }
+    if (priorityFeeStrategy === 'fixed' && priorityFeeWei === undefined) {
+        throw new Error('Fixed priority fee strategy requires FEE_PRIORITY_FEE_WEI.');
+    }
+    if (
+        priorityFeeStrategy === 'percentile' &&
+        (!(feeHistoryPercentile >= 0 && feeHistoryPercentile <= 100) || !(feeHistoryBlocks >= 1))
+    ) {
+        throw new Error('Percentile priority fee strategy needs 1+ blocks and a 0-100 percentile.');
+    }
+
+    // Reservations are { gas, wei } per nonce. Gas estimates stay out of the sent fees, so the
+    // wallet still sets the transaction's gas limit with its own headroom; they are kept here,
+    // keyed by the fees object getFees returned, for the reservation recordSent makes.
+    const reservations = new Map();
+    const estimatedGas = new WeakMap();
+    let spentDay;
+    let spentWei = 0n;
+    let spentLoaded = !budgetStore;
+
+    // With a `budgetStore` (a scoped state store handle), today's mined spend survives restarts.
+    // Reservations for sends still pending are not stored.
+    async function loadSpent() {
+        if (spentLoaded) return;
+        const saved = await budgetStore.read();
+        spentLoaded = true;
+        if (saved?.spentDay !== undefined) {
+            spentDay = saved.spentDay;
+            spentWei = saved.spentWei ?? 0n;
+        }
+    }
+
+    function currentDay() {
+        return Math.floor(nowMs() / DAY_MS);
+    }
+
+    function spentToday() {
+        const day = currentDay();
+        if (spentDay !== day) {
+            spentDay = day;
+            spentWei = 0n;
+        }
+        return spentWei;
+    }
+
+    function reservedWei() {
+        let total = 0n;
+        for (const reservation of reservations.values()) total += reservation.wei;
+        return total;
+    }
+
+    function capFor(action) {
+        const cap = action ? actionMaxFeePerGasWei[action] : undefined;
+        return cap ?? maxFeePerGasWei;
+    }
+
+    async function readNetworkFees() {
+        if (priorityFeeStrategy === 'percentile') {
+            const history = await publicClient.getFeeHistory({
+                blockCount: feeHistoryBlocks,
+                rewardPercentiles: [feeHistoryPercentile],
+                blockTag: 'latest',
+            });
+            const baseFees = history.baseFeePerGas ?? [];
+            const rewards = (history.reward ?? []).map((entry) => BigInt(entry?.[0] ?? 0n));
+            const priorityFee =
+                averageNonZero(rewards) ?? (await publicClient.estimateMaxPriorityFeePerGas());
+            const nextBaseFee = baseFees.length > 0 ? baseFees[baseFees.length - 1] : undefined;
+            return { baseFee: nextBaseFee ?? null, priorityFee };
+        }
+
+        const block = await publicClient.getBlock({ blockTag: 'latest' });
+        const baseFee = block?.baseFeePerGas ?? null;
+        if (baseFee === null) return { baseFee };
+        const priorityFee =
+            priorityFeeStrategy === 'fixed'
+                ? priorityFeeWei
+                : await publicClient.estimateMaxPriorityFeePerGas();
+        return { baseFee, priorityFee };
+    }
+
+    async function checkBudget({ request, fees }) {
+        if (dailyBudgetWei === undefined) return undefined;
+        const gas =
+            request.gas ??
+            (await publicClient.estimateGas({
+                account: request.account,
+                to: request.to,
+                data: request.data,
+                value: request.value,
+            }));
+        const projected = gas * (fees.maxFeePerGas ?? fees.gasPrice);
+        await loadSpent();
+        const committed = spentToday() + reservedWei();
+        if (committed + projected > dailyBudgetWei) {
+            throw feePolicyError(
+                GAS_BUDGET_EXCEEDED,
+                `Gas budget exceeded for ${request.action ?? 'transaction'}: up to ${projected} wei needed, ${committed} of ${dailyBudgetWei} wei already spent or pending today.`
+            );
+        }
+        return gas;
+    }
+
+    async function getFees(request) {
+        const action = request.action;
+        const cap = capFor(action);
+        const { baseFee, priorityFee } = await readNetworkFees();
+        let fees;
+
+        if (baseFee === null) {
+            // Pre-London chains only take a legacy gas price.
+            const gasPrice = await publicClient.getGasPrice();
+            if (cap !== undefined && gasPrice > cap) {
+                throw feePolicyError(
+                    FEE_CAP_EXCEEDED,
+                    `Network gas price ${gasPrice} wei exceeds the ${action ?? 'default'} cap of ${cap} wei; not sending.`
+                );
+            }
+            fees = { gasPrice };
+        } else {
+            const required = baseFee + priorityFee;
+            if (cap !== undefined && required > cap) {
+                throw feePolicyError(
+                    FEE_CAP_EXCEEDED,
+                    `Network fee ${required} wei/gas (base ${baseFee} + priority ${priorityFee}) exceeds the ${action ?? 'default'} cap of ${cap} wei/gas; not sending.`
+                );
+            }
+            let maxFeePerGas = withBaseFeeHeadroom(baseFee) + priorityFee;
+            if (cap !== undefined && maxFeePerGas > cap) maxFeePerGas = cap;
+            fees = { maxFeePerGas, maxPriorityFeePerGas: priorityFee };
+        }
+
+        const gas = await checkBudget({ request, fees });
+        if (gas !== undefined) estimatedGas.set(fees, gas);
+        return fees;
+    }
+
+    // Fee bumps on stuck transactions stay under the same cap as the original send.
+    function checkReplacement({ action, fees }) {
+        const cap = capFor(action);
+        const maxFee = fees.maxFeePerGas ?? fees.gasPrice;
+        if (cap !== undefined && maxFee > cap) {
+            throw feePolicyError(
+                FEE_CAP_EXCEEDED,
+                `Bumped fee ${maxFee} wei/gas exceeds the ${action ?? 'default'} cap of ${cap} wei/gas.`
+            );
+        }
+    }
+
+    // A fee bump re-reserves the same gas at the bumped fee.
+    function recordSent({ nonce, request, fees }) {
+        if (dailyBudgetWei === undefined) return;
+        const gas = request.gas ?? estimatedGas.get(fees) ?? reservations.get(nonce)?.gas;
+        if (gas === undefined) return;
+        reservations.set(nonce, { gas, wei: gas * (fees.maxFeePerGas ?? fees.gasPrice) });
+    }
+
+    // Swaps the worst-case reservation for what the mined transaction actually paid.
+    async function recordMined({ nonce, hashes }) {
+        if (dailyBudgetWei === undefined) return;
+        const reserved = reservations.get(nonce)?.wei;
+        reservations.delete(nonce);
+        await loadSpent();
+        let paid = reserved;
+        for (const hash of [...hashes].reverse()) {
+            try {
+                const receipt = await publicClient.getTransactionReceipt({ hash });
+                paid = receipt.gasUsed * receipt.effectiveGasPrice;
+                break;
+            } catch (error) {
+                // This hash was replaced by another one at the same nonce.
+            }
+        }
+        if (paid === undefined) return;
+        spentToday();
+        spentWei += paid;
+        await budgetStore?.write({ spentDay, spentWei });
+    }
+
+    return {
+        getFees,
+        checkReplacement,
+        recordSent,
+        recordMined,
+        spentTodayWei: () => spentToday(),
+    };
+}
+
+export { createFeePolicy, FEE_CAP_EXCEEDED, GAS_BUDGET_EXCEEDED, isFeePolicyError };
@@ -0,0 +1,128 @@
+import { erc20Abi } from 'viem';
+import { createLogger } from './logger.js';
+import { assessFunding, getOgFundingStatus } from './og.js';
+import { bondSpenders } from './tx.js';
+
+const logger = createLogger('agent');
+
+function fundingThresholds(config) {
+    return { minBonds: config.fundingMinBonds, minNativeWei: config.fundingMinNativeWei };
+}
+
+function buildFundingSignal(funding) {
+    return {
+        kind: 'agentFunding',
+        ready: funding.ready,
+        shortfalls: funding.shortfalls,
+        collateral: funding.collateral,
+        requiredBond: funding.requiredBond,
+        bondThreshold: funding.bondThreshold,
+        collateralBalance: funding.collateralBalance,
+        nativeBalance: funding.nativeBalance,
+        nativeThreshold: funding.nativeThreshold,
+    };
+}
+
+// Raises the collateral allowance of every contract that pulls bonds to FUNDING_MIN_BONDS bonds,
+// so proposals and disputes can skip their own approval. Only spenders below one bond's worth
+// are topped up, and only while the agent holds at least one bond.
+async function preapproveBonds({ publicClient, walletClient, account, config, funding }) {
+    if (funding.requiredBond === 0n || !funding.canAffordBond) return [];
+    const spenders = new Set(
+        config.proposeEnabled
+            ? bondSpenders({
+                  bondSpender: config.bondSpender,
+                  ogModule: config.ogModule,
+                  optimisticOracle: funding.optimisticOracle,
+              })
+            : []
+    );
+    if (config.disputeEnabled) spenders.add(funding.optimisticOracle);
+
+    const approvals = [];
+    for (const spender of spenders) {
+        const allowance = await publicClient.readContract({
+            address: funding.collateral,
+            abi: erc20Abi,
+            functionName: 'allowance',
+            args: [account.address, spender],
+        });
+        if (allowance >= funding.requiredBond) continue;
+        const transactionHash = await walletClient.writeContract({
+            address: funding.collateral,
+            abi: erc20Abi,
+            functionName: 'approve',
+            args: [spender, funding.bondThreshold],
+            action: 'propose',
+        });
+        await publicClient.waitForTransactionReceipt({ hash: transactionHash });
+        logger.info('Pre-approved bond allowance', {
+            spender,
+            amount: funding.bondThreshold,
+            transactionHash,
+        });
+        approvals.push({ spender, amount: funding.bondThreshold, transactionHash });
+    }
+    return approvals;
+}
+
+// Re-checks funding every FUNDING_CHECK_MS and returns an agentFunding signal whenever the set of
+// shortfalls changes: when a balance drops below its threshold, and again once it recovers.
+function createFundingMonitor({
+    publicClient,
+    walletClient,
+    account,
+    config,
+    initial,
+    nowMs = () => Date.now(),
+}) {
+    let lastShortfalls = [];
+    let lastCheckMs;
+    let pendingInitial = initial;
+
+    async function check() {
+        const funding =
+            pendingInitial ??
+            assessFunding(
+                await getOgFundingStatus({ publicClient, ogModule: config.ogModule, account }),
+                fundingThresholds(config)
+            );
+        pendingInitial = undefined;
+        lastCheckMs = nowMs();
+
+        if (config.fundingPreapprove) {
+            try {
+                await preapproveBonds({ publicClient, walletClient, account, config, funding });
+            } catch (error) {
+                logger.warn('Bond pre-approval failed', { error });
+            }
+        }
+
+        const changed = funding.shortfalls.join(',') !== lastShortfalls.join(',');
+        lastShortfalls = funding.shortfalls;
+        if (!changed) return [];
+        if (funding.ready) {
+            logger.info('Agent funding recovered.');
+        } else {
+            logger.warn(`Agent funding low: ${funding.shortfalls.join(', ')}.`);
+        }
+        return [buildFundingSignal(funding)];
+    }
+
+    return {
+        async poll() {
+            if (lastCheckMs !== undefined && nowMs() - lastCheckMs < config.fundingCheckMs) {
+                return [];
+            }
+            try {
+                return await check();
+            } catch (error) {
+                lastCheckMs = nowMs();
+                logger.warn('Funding check failed', { error });
+                return [];
+            }
+        },
+    };
+}
+
+export { buildFundingSignal, createFundingMonitor, fundingThresholds, preapproveBonds };
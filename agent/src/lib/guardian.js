@@ -0,0 +1,110 @@
+import { isAddressEqual } from 'viem';
+import { createLogger } from './logger.js';
+import { decodeProposalTransactions } from './proposal-decoder.js';
+
+const logger = createLogger('agent');
+
+const VERDICTS = new Set(['valid', 'invalid', 'ambiguous']);
+// postBondAndDispute errors that retrying cannot fix.
+const FINAL_DISPUTE_ERROR = /already settled|already disputed|expired/i;
+
+function normalizeVerdict(result) {
+    if (!result || !VERDICTS.has(result.verdict)) {
+        return { verdict: 'ambiguous', reason: 'verifyProposal returned no verdict.' };
+    }
+    return {
+        verdict: result.verdict,
+        reason: result.reason === undefined ? undefined : String(result.reason),
+    };
+}
+
+// Guardian mode: every proposal from someone else is decoded and checked by the agent module's
+// verifyProposal hook. Invalid proposals are disputed without asking the model, valid ones are
+// left alone, and only ambiguous ones are passed on as signals.
+function createProposalGuardian({
+    verifyProposal,
+    extraAbi,
+    dispute,
+    disputeEnabled,
+    disputeRetryMs,
+    agentAddress,
+    nowMs = () => Date.now(),
+}) {
+    async function attemptDispute(proposal) {
+        const guardian = proposal.guardian;
+        if (!disputeEnabled) {
+            guardian.disputeStatus = 'disabled';
+            logger.warn(
+                `Guardian would dispute ${proposal.proposalHash}, but disputes are disabled.`
+            );
+            return;
+        }
+
+        proposal.disputeAttemptMs = nowMs();
+        try {
+            const result = await dispute({ proposal, reason: guardian.reason });
+            guardian.disputeStatus = 'submitted';
+            guardian.disputeHash = result?.disputeHash;
+            guardian.disputeError = undefined;
+        } catch (error) {
+            const message = error?.message ?? String(error);
+            guardian.disputeStatus = FINAL_DISPUTE_ERROR.test(message) ? 'abandoned' : 'failed';
+            guardian.disputeError = message;
+            logger.warn(`Guardian dispute of ${proposal.proposalHash} failed`, { error: message });
+        }
+    }
+
+    // Returns the proposals the model should still see: ambiguous ones and the agent's own.
+    async function review({ proposals, context = {} }) {
+        const forAgent = [];
+        for (const proposal of proposals) {
+            if (proposal.proposer && isAddressEqual(proposal.proposer, agentAddress)) {
+                forAgent.push(proposal);
+                continue;
+            }
+            if (proposal.guardian) continue;
+
+            const decodedTransactions = decodeProposalTransactions(proposal.transactions, {
+                extraAbi,
+            });
+            let verdict;
+            try {
+                verdict = normalizeVerdict(
+                    await verifyProposal({ ...context, proposal, decodedTransactions })
+                );
+            } catch (error) {
+                verdict = {
+                    verdict: 'ambiguous',
+                    reason: `verifyProposal failed: ${error?.message ?? error}`,
+                };
+            }
+            proposal.guardian = verdict;
+            logger.info(
+                `Guardian verdict for ${proposal.proposalHash}: ${verdict.verdict}${
+                    verdict.reason ? ` (${verdict.reason})` : ''
+                }`
+            );
+
+            if (verdict.verdict === 'invalid') {
+                await attemptDispute(proposal);
+            } else if (verdict.verdict === 'ambiguous') {
+                proposal.guardian.decodedTransactions = decodedTransactions;
+                forAgent.push(proposal);
+            }
+        }
+        return forAgent;
+    }
+
+    async function retryDisputes(proposalsByHash) {
+        for (const proposal of proposalsByHash.values()) {
+            const guardian = proposal.guardian;
+            if (guardian?.verdict !== 'invalid' || guardian.disputeStatus !== 'failed') continue;
+            if (nowMs() - (proposal.disputeAttemptMs ?? 0) < disputeRetryMs) continue;
+            await attemptDispute(proposal);
+        }
+    }
+
+    return { review, retryDisputes };
+}
+
+export { createProposalGuardian };
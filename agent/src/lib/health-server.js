@@ -0,0 +1,60 @@
+import http from 'node:http';
+import { createLogger, toJsonValue } from './logger.js';
+import { registry as defaultRegistry } from './metrics.js';
+
+const logger = createLogger('agent');
+
+// `failing` means a probe should restart or page; `degraded` (e.g. an underfunded bond) needs an
+// operator, not a restart, so it still answers 200.
+function summarizeHealth(commitments) {
+    if (commitments.some((item) => item.status === 'failing')) return 'failing';
+    if (commitments.some((item) => item.status === 'degraded')) return 'degraded';
+    return 'ok';
+}
+
+// Serves GET /healthz (JSON, 503 when failing) and GET /metrics (Prometheus text format).
+// `getHealth` returns one health report per commitment the process runs.
+function startHealthServer({ port, host = '127.0.0.1', getHealth, registry = defaultRegistry }) {
+    const server = http.createServer(async (req, res) => {
+        const { pathname } = new URL(req.url, 'http://localhost');
+        if (req.method !== 'GET') {
+            res.writeHead(405, { Allow: 'GET' }).end();
+            return;
+        }
+        try {
+            if (pathname === '/healthz') {
+                const commitments = await getHealth();
+                const status = summarizeHealth(commitments);
+                res.writeHead(status === 'failing' ? 503 : 200, {
+                    'Content-Type': 'application/json',
+                }).end(JSON.stringify({ status, commitments }, toJsonValue));
+                return;
+            }
+            if (pathname === '/metrics') {
+                res.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4' }).end(
+                    registry.render()
+                );
+                return;
+            }
+            res.writeHead(404).end();
+        } catch (error) {
+            logger.warn('Health endpoint failed', { path: pathname, error });
+            res.writeHead(500).end();
+        }
+    });
+
+    return new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(port, host, () => {
+            server.off('error', reject);
+            const address = server.address();
+            logger.info(`Health server listening on http://${host}:${address.port}`);
+            resolve({
+                port: address.port,
+                close: () => new Promise((done) => server.close(() => done())),
+            });
+        });
+    });
+}
+
+export { startHealthServer, summarizeHealth };
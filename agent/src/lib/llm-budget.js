@@ -0,0 +1,125 @@
+import { canonicalJson } from './llm-recorder.js';
+import { toJsonValue } from './logger.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// Balance snapshots are re-emitted every poll with the poll's block in them; only the balance
+// itself tells whether anything changed.
+const BLOCK_FIELDS = ['blockNumber', 'id', 'transactionHash', 'logIndex'];
+
+function fingerprintFields(signal) {
+    if (typeof signal?.kind !== 'string' || !signal.kind.endsWith('BalanceSnapshot')) {
+        return signal;
+    }
+    const fields = { ...signal };
+    for (const field of BLOCK_FIELDS) delete fields[field];
+    return fields;
+}
+
+// A signal set's fingerprint ignores signal order, so the same events in a different order from
+// the watchers still count as unchanged.
+function signalFingerprint(signals) {
+    const each = signals.map((signal) =>
+        canonicalJson(JSON.parse(JSON.stringify(fingerprintFields(signal), toJsonValue)))
+    );
+    return canonicalJson(each.sort());
+}
+
+function costUsd(config, usage) {
+    return (
+        (usage.inputTokens * (config.llmInputUsdPerMtok ?? 0) +
+            usage.outputTokens * (config.llmOutputUsdPerMtok ?? 0)) /
+        1_000_000
+    );
+}
+
+// Per-commitment model budgets over rolling windows: LLM_MAX_CALLS_PER_HOUR,
+// LLM_MAX_TOKENS_PER_DAY, and LLM_MAX_USD_PER_DAY (priced from the providers' usage fields).
+// Unset limits are unlimited. Usage is kept in memory, so budgets reset when the process
+// restarts. LLM_DEBOUNCE_MS skips signal sets identical to the last one decided on.
+function createLlmBudget({ config, nowMs = () => Date.now() }) {
+    if (
+        config.llmMaxUsdPerDay !== undefined &&
+        config.llmInputUsdPerMtok === undefined &&
+        config.llmOutputUsdPerMtok === undefined
+    ) {
+        throw new Error(
+            'LLM_MAX_USD_PER_DAY needs LLM_INPUT_USD_PER_MTOK and LLM_OUTPUT_USD_PER_MTOK to price usage.'
+        );
+    }
+    let calls = [];
+    let usage = [];
+    let lastDecided;
+
+    function prune(now) {
+        calls = calls.filter((time) => now - time < HOUR_MS);
+        usage = usage.filter((item) => now - item.time < DAY_MS);
+    }
+
+    function totals() {
+        const now = nowMs();
+        prune(now);
+        return {
+            callsLastHour: calls.length,
+            tokensLastDay: usage.reduce((sum, item) => sum + item.tokens, 0),
+            usdLastDay: usage.reduce((sum, item) => sum + item.usd, 0),
+        };
+    }
+
+    // Returns the first exhausted limit, or undefined while every limit has room.
+    function exhausted() {
+        const current = totals();
+        if (
+            config.llmMaxCallsPerHour !== undefined &&
+            current.callsLastHour >= config.llmMaxCallsPerHour
+        ) {
+            return 'calls_per_hour';
+        }
+        if (
+            config.llmMaxTokensPerDay !== undefined &&
+            current.tokensLastDay >= config.llmMaxTokensPerDay
+        ) {
+            return 'tokens_per_day';
+        }
+        if (config.llmMaxUsdPerDay !== undefined && current.usdLastDay >= config.llmMaxUsdPerDay) {
+            return 'usd_per_day';
+        }
+        return undefined;
+    }
+
+    function recordUsage({ inputTokens = 0, outputTokens = 0 } = {}) {
+        const time = nowMs();
+        calls.push(time);
+        usage.push({
+            time,
+            tokens: inputTokens + outputTokens,
+            usd: costUsd(config, { inputTokens, outputTokens }),
+        });
+    }
+
+    function isUnchanged(signals) {
+        if (!config.llmDebounceMs || !lastDecided) return false;
+        return (
+            nowMs() - lastDecided.time < config.llmDebounceMs &&
+            lastDecided.fingerprint === signalFingerprint(signals)
+        );
+    }
+
+    function rememberDecided(signals) {
+        lastDecided = { time: nowMs(), fingerprint: signalFingerprint(signals) };
+    }
+
+    function snapshot() {
+        const current = totals();
+        return {
+            exhausted: exhausted() ?? null,
+            ...current,
+            usdLastDay: Number(current.usdLastDay.toFixed(6)),
+        };
+    }
+
+    return { exhausted, recordUsage, isUnchanged, rememberDecided, snapshot };
+}
+
+export { createLlmBudget, signalFingerprint };
@@ -0,0 +1,352 @@
+// Provider adapters translate one normalized request into a vendor payload and the vendor response
+// back into one normalized shape, so the runner and agent modules never see wire formats.
+//
+// Request:  { model, messages, tools, toolChoice: 'auto' | 'none', json, previousResponseId }
+// Messages: { role: 'system' | 'user', content }
+//           { role: 'assistant', content, toolCalls: [{ name, arguments, callId }] }
+//           { role: 'tool', callId, content }
+// Tools:    { name, description, parameters, strict } (see normalizeToolDefinitions)
+// Response: { id, text, toolCalls: [{ name, arguments, callId }], usage }
+
+const JSON_INSTRUCTION = 'Respond with a single JSON object and nothing else.';
+
+// toolDefinitions() emits Responses API tools; older Chat Completions-style definitions
+// ({ type: 'function', function: { ... } }) are accepted too.
+function normalizeToolDefinitions(tools) {
+    return (tools ?? []).map((tool) => {
+        const definition = tool?.function ?? tool;
+        return {
+            name: definition.name,
+            description: definition.description,
+            parameters: definition.parameters ?? { type: 'object', properties: {} },
+            strict: definition.strict,
+        };
+    });
+}
+
+function stringifyArguments(value) {
+    if (value === undefined || value === null) return '{}';
+    return typeof value === 'string' ? value : JSON.stringify(value);
+}
+
+function parseArgumentsObject(value) {
+    if (value && typeof value === 'object') return value;
+    try {
+        const parsed = JSON.parse(value || '{}');
+        return parsed && typeof parsed === 'object' ? parsed : {};
+    } catch (error) {
+        return {};
+    }
+}
+
+function splitSystem(messages) {
+    return {
+        system: messages
+            .filter((message) => message.role === 'system')
+            .map((message) => message.content)
+            .join('\n\n'),
+        rest: messages.filter((message) => message.role !== 'system'),
+    };
+}
+
+function extractFirstText(responseJson) {
+    const outputs = responseJson?.output;
+    if (!Array.isArray(outputs)) return '';
+
+    for (const item of outputs) {
+        if (!item?.content) continue;
+        for (const chunk of item.content) {
+            if (chunk?.text) return chunk.text;
+            if (chunk?.output_text) return chunk.output_text?.text ?? '';
+            if (chunk?.text?.value) return chunk.text.value;
+        }
+    }
+
+    return '';
+}
+
+function extractToolCalls(responseJson) {
+    const outputs = responseJson?.output;
+    if (!Array.isArray(outputs)) return [];
+
+    const toolCalls = [];
+    for (const item of outputs) {
+        if (item?.type === 'tool_call' || item?.type === 'function_call') {
+            toolCalls.push({
+                name: item?.name ?? item?.function?.name,
+                arguments: item?.arguments ?? item?.function?.arguments,
+                callId: item?.call_id ?? item?.id,
+            });
+            continue;
+        }
+
+        if (Array.isArray(item?.tool_calls)) {
+            for (const call of item.tool_calls) {
+                toolCalls.push({
+                    name: call?.name ?? call?.function?.name,
+                    arguments: call?.arguments ?? call?.function?.arguments,
+                    callId: call?.call_id ?? call?.id,
+                });
+            }
+        }
+    }
+
+    return toolCalls.filter((call) => call.name);
+}
+
+function toResponsesInput(messages) {
+    const input = [];
+    for (const message of messages) {
+        if (message.role === 'tool') {
+            input.push({
+                type: 'function_call_output',
+                call_id: message.callId,
+                output: message.content,
+            });
+            continue;
+        }
+        if (message.role === 'assistant') {
+            if (message.content) input.push({ role: 'assistant', content: message.content });
+            for (const call of message.toolCalls ?? []) {
+                input.push({
+                    type: 'function_call',
+                    call_id: call.callId,
+                    name: call.name,
+                    arguments: stringifyArguments(call.arguments),
+                });
+            }
+            continue;
+        }
+        input.push({ role: message.role, content: message.content });
+    }
+    return input;
+}
+
+// OpenAI Responses API. It keeps conversation state server-side, so a follow-up that carries
+// previousResponseId only sends the messages after the last assistant turn.
+const responsesProvider = {
+    name: 'responses',
+    label: 'OpenAI',
+    buildRequest({ config, request }) {
+        let messages = request.messages;
+        if (request.previousResponseId) {
+            const lastAssistant = messages.map((message) => message.role).lastIndexOf('assistant');
+            messages = messages.slice(lastAssistant + 1);
+        }
+        const body = { model: request.model ?? config.llmModel };
+        if (request.previousResponseId) body.previous_response_id = request.previousResponseId;
+        body.input = toResponsesInput(messages);
+        if (request.tools) {
+            body.tools = normalizeToolDefinitions(request.tools).map((tool) => ({
+                type: 'function',
+                name: tool.name,
+                description: tool.description,
+                ...(tool.strict === undefined ? {} : { strict: tool.strict }),
+                parameters: tool.parameters,
+            }));
+            body.tool_choice = request.toolChoice ?? 'auto';
+            body.parallel_tool_calls = false;
+        }
+        if (request.json) body.text = { format: { type: 'json_object' } };
+        if (config.llmMaxOutputTokens) body.max_output_tokens = config.llmMaxOutputTokens;
+
+        const headers = { 'Content-Type': 'application/json' };
+        if (config.llmApiKey) headers.Authorization = `Bearer ${config.llmApiKey}`;
+        return { url: `${config.llmBaseUrl}/responses`, headers, body };
+    },
+    parseResponse(json) {
+        return {
+            id: json?.id,
+            text: extractFirstText(json),
+            toolCalls: extractToolCalls(json),
+            usage: {
+                inputTokens: json?.usage?.input_tokens ?? 0,
+                outputTokens: json?.usage?.output_tokens ?? 0,
+            },
+        };
+    },
+};
+
+function toChatMessages(messages) {
+    return messages.map((message) => {
+        if (message.role === 'tool') {
+            return { role: 'tool', tool_call_id: message.callId, content: message.content };
+        }
+        if (message.role === 'assistant' && message.toolCalls?.length) {
+            return {
+                role: 'assistant',
+                content: message.content || null,
+                tool_calls: message.toolCalls.map((call) => ({
+                    id: call.callId,
+                    type: 'function',
+                    function: { name: call.name, arguments: stringifyArguments(call.arguments) },
+                })),
+            };
+        }
+        return { role: message.role, content: message.content ?? '' };
+    });
+}
+
+// Chat Completions, as served by OpenAI and by OpenAI-compatible local servers (vLLM, llama.cpp,
+// Ollama). `strict` is dropped from tools because most local servers reject unknown fields.
+const chatProvider = {
+    name: 'chat',
+    label: 'Chat Completions',
+    buildRequest({ config, request }) {
+        const body = {
+            model: request.model ?? config.llmModel,
+            messages: toChatMessages(request.messages),
+        };
+        const tools = normalizeToolDefinitions(request.tools);
+        if (tools.length > 0) {
+            body.tools = tools.map((tool) => ({
+                type: 'function',
+                function: {
+                    name: tool.name,
+                    description: tool.description,
+                    parameters: tool.parameters,
+                },
+            }));
+            body.tool_choice = request.toolChoice ?? 'auto';
+            if (body.tool_choice === 'auto') body.parallel_tool_calls = false;
+        }
+        if (request.json) body.response_format = { type: 'json_object' };
+        if (config.llmMaxOutputTokens) body.max_tokens = config.llmMaxOutputTokens;
+
+        const headers = { 'Content-Type': 'application/json' };
+        if (config.llmApiKey) headers.Authorization = `Bearer ${config.llmApiKey}`;
+        return { url: `${config.llmBaseUrl}/chat/completions`, headers, body };
+    },
+    parseResponse(json) {
+        const message = json?.choices?.[0]?.message ?? {};
+        return {
+            id: json?.id,
+            text: typeof message.content === 'string' ? message.content : '',
+            toolCalls: (message.tool_calls ?? [])
+                .map((call) => ({
+                    name: call?.function?.name,
+                    arguments: stringifyArguments(call?.function?.arguments),
+                    callId: call?.id,
+                }))
+                .filter((call) => call.name),
+            usage: {
+                inputTokens: json?.usage?.prompt_tokens ?? 0,
+                outputTokens: json?.usage?.completion_tokens ?? 0,
+            },
+        };
+    },
+};
+
+// Anthropic takes tool results as user content blocks and rejects consecutive turns from the same
+// role, so tool results and the message that follows them are merged into one user turn.
+function toAnthropicMessages(messages) {
+    const out = [];
+    for (const message of messages) {
+        let role = message.role;
+        let content;
+        if (role === 'tool') {
+            role = 'user';
+            content = [
+                { type: 'tool_result', tool_use_id: message.callId, content: message.content },
+            ];
+        } else if (role === 'assistant') {
+            content = [
+                ...(message.content ? [{ type: 'text', text: message.content }] : []),
+                ...(message.toolCalls ?? []).map((call) => ({
+                    type: 'tool_use',
+                    id: call.callId,
+                    name: call.name,
+                    input: parseArgumentsObject(call.arguments),
+                })),
+            ];
+        } else {
+            content = [{ type: 'text', text: message.content ?? '' }];
+        }
+
+        const previous = out[out.length - 1];
+        if (previous?.role === role) {
+            previous.content.push(...content);
+        } else {
+            out.push({ role, content });
+        }
+    }
+    return out;
+}
+
+// Anthropic Messages API. It has no JSON response mode, so JSON requests get an instruction in
+// the system prompt instead.
+const anthropicProvider = {
+    name: 'anthropic',
+    label: 'Anthropic',
+    buildRequest({ config, request }) {
+        const { system, rest } = splitSystem(request.messages);
+        const body = {
+            model: request.model ?? config.llmModel,
+            max_tokens: config.llmMaxOutputTokens ?? 4096,
+        };
+        const systemText = request.json ? [system, JSON_INSTRUCTION].filter(Boolean) : [system];
+        if (systemText.join('')) body.system = systemText.join('\n\n');
+        body.messages = toAnthropicMessages(rest);
+        const tools = normalizeToolDefinitions(request.tools);
+        if (tools.length > 0) {
+            body.tools = tools.map((tool) => ({
+                name: tool.name,
+                description: tool.description,
+                input_schema: tool.parameters,
+            }));
+            body.tool_choice =
+                request.toolChoice === 'none'
+                    ? { type: 'none' }
+                    : { type: 'auto', disable_parallel_tool_use: true };
+        }
+
+        const headers = {
+            'Content-Type': 'application/json',
+            'anthropic-version': '2023-06-01',
+        };
+        if (config.llmApiKey) headers['x-api-key'] = config.llmApiKey;
+        return { url: `${config.llmBaseUrl}/messages`, headers, body };
+    },
+    parseResponse(json) {
+        const blocks = Array.isArray(json?.content) ? json.content : [];
+        return {
+            id: json?.id,
+            text: blocks
+                .filter((block) => block?.type === 'text')
+                .map((block) => block.text)
+                .join(''),
+            toolCalls: blocks
+                .filter((block) => block?.type === 'tool_use' && block.name)
+                .map((block) => ({
+                    name: block.name,
+                    arguments: stringifyArguments(block.input),
+                    callId: block.id,
+                })),
+            usage: {
+                inputTokens: json?.usage?.input_tokens ?? 0,
+                outputTokens: json?.usage?.output_tokens ?? 0,
+            },
+        };
+    },
+};
+
+const providers = new Map(
+    [responsesProvider, chatProvider, anthropicProvider].map((provider) => [provider.name, provider])
+);
+
+function getLlmProvider(name = 'responses') {
+    const provider = providers.get(name);
+    if (!provider) {
+        throw new Error(
+            `LLM_PROVIDER must be one of ${[...providers.keys()].join(', ')}, got "${name}".`
+        );
+    }
+    return provider;
+}
+
+export {
+    extractFirstText,
+    extractToolCalls,
+    getLlmProvider,
+    normalizeToolDefinitions,
+};
@@ -0,0 +1,101 @@
+import { createHash } from 'node:crypto';
+import { appendFile, mkdir, readFile } from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { createLogger } from './logger.js';
+
+const logger = createLogger('agent');
+const repoRoot = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '../../..');
+const DEFAULT_RECORDINGS_PATH = 'agent/.llm-recordings.jsonl';
+const RECORD_MODES = ['off', 'record', 'replay'];
+
+function canonicalJson(value) {
+    if (Array.isArray(value)) return `[${value.map(canonicalJson).join(',')}]`;
+    if (value && typeof value === 'object') {
+        const entries = Object.keys(value)
+            .filter((key) => value[key] !== undefined)
+            .sort()
+            .map((key) => `${JSON.stringify(key)}:${canonicalJson(value[key])}`);
+        return `{${entries.join(',')}}`;
+    }
+    return JSON.stringify(value);
+}
+
+// The key covers the provider and the exact request body (model, prompt, tools), so a replay only
+// hits when the agent would have sent byte-for-byte the same request.
+function recordingKey({ provider, body }) {
+    return createHash('sha256').update(canonicalJson({ provider, body })).digest('hex');
+}
+
+// Recordings are JSON lines of { key, provider, call, request, response }. In record mode every
+// successful response is appended, and a failed write is logged rather than thrown. In replay
+// mode responses are served from the file, and a request with no recording fails with code
+// LLM_RECORDING_MISSING instead of reaching the network.
+function createLlmRecorder({ filePath }) {
+    let loaded;
+    let pending = Promise.resolve();
+
+    async function load() {
+        const recordings = new Map();
+        let raw = '';
+        try {
+            raw = await readFile(filePath, 'utf8');
+        } catch (error) {
+            if (error?.code !== 'ENOENT') throw error;
+        }
+        for (const line of raw.split('\n')) {
+            if (!line.trim()) continue;
+            const entry = JSON.parse(line);
+            recordings.set(entry.key, entry.response);
+        }
+        return recordings;
+    }
+
+    async function lookup(key) {
+        loaded ??= load();
+        const recordings = await loaded;
+        if (!recordings.has(key)) {
+            const error = new Error(
+                `No recorded LLM response for request ${key.slice(0, 12)} in ${filePath}; the prompt differs from every recorded one.`
+            );
+            error.code = 'LLM_RECORDING_MISSING';
+            throw error;
+        }
+        return recordings.get(key);
+    }
+
+    function record({ key, provider, call, request, response }) {
+        loaded?.then((recordings) => recordings.set(key, response));
+        const line = `${JSON.stringify({ key, provider, call, request, response })}\n`;
+        pending = pending.then(async () => {
+            try {
+                await mkdir(path.dirname(filePath), { recursive: true });
+                await appendFile(filePath, line, 'utf8');
+            } catch (error) {
+                logger.warn('Failed to write LLM recording', { error, filePath });
+            }
+        });
+        return pending;
+    }
+
+    return { filePath, lookup, record };
+}
+
+const recorders = new Map();
+
+// One recorder per file, shared by every caller in the process, tagged with the caller's mode.
+// Returns undefined when recording is off.
+function getLlmRecorder(config) {
+    const mode = config.llmRecordMode ?? 'off';
+    if (!RECORD_MODES.includes(mode)) {
+        throw new Error(`LLM_RECORD_MODE must be one of ${RECORD_MODES.join(', ')}, got "${mode}".`);
+    }
+    if (mode === 'off') return undefined;
+    const filePath = path.resolve(repoRoot, config.llmRecordingsPath ?? DEFAULT_RECORDINGS_PATH);
+    if (!recorders.has(filePath)) {
+        recorders.set(filePath, createLlmRecorder({ filePath }));
+    }
+    return { ...recorders.get(filePath), mode };
+}
+
+export { canonicalJson, createLlmRecorder, getLlmRecorder, recordingKey };
@@ -1,48 +1,97 @@
+import { extractFirstText, extractToolCalls, getLlmProvider } from './llm-providers.js';
+import { getLlmRecorder, recordingKey } from './llm-recorder.js';
+import { agentMetrics } from './metrics.js';
 import { parseToolArguments } from './utils.js';
 
-function extractFirstText(responseJson) {
-    const outputs = responseJson?.output;
-    if (!Array.isArray(outputs)) return '';
+const DEFAULT_SYSTEM_PROMPT =
+    'You are an agent monitoring an onchain commitment (Safe + Optimistic Governor).';
+
+// Every model request goes through here so calls, latency, and token usage are counted the same
+// way for every provider and call site, and so LLM_RECORD_MODE can record or replay any of them.
+// Returns the normalized response plus the provider payload and raw reply, which the decision
+// journal keeps.
+async function requestCompletion({ config, call, onUsage, ...request }) {
+    const provider = getLlmProvider(config.llmProvider);
+    if (!(request.model ?? config.llmModel)) {
+        throw new Error(`LLM_MODEL is required for the ${provider.name} provider.`);
+    }
+    const { url, headers, body } = provider.buildRequest({ config, request });
+    const recorder = getLlmRecorder(config);
+    const key = recorder ? recordingKey({ provider: provider.name, body }) : undefined;
+    if (recorder?.mode === 'replay') {
+        const json = await recorder.lookup(key);
+        agentMetrics.llmCalls.inc({ call, provider: provider.name, status: 'replayed' });
+        return { ...provider.parseResponse(json), request: body, raw: json };
+    }
 
-    for (const item of outputs) {
-        if (!item?.content) continue;
-        for (const chunk of item.content) {
-            if (chunk?.text) return chunk.text;
-            if (chunk?.output_text) return chunk.output_text?.text ?? '';
-            if (chunk?.text?.value) return chunk.text.value;
+    const startedAt = performance.now();
+    let status = 'error';
+    try {
+        const res = await fetch(url, {
+            method: 'POST',
+            headers,
+            body: JSON.stringify(body),
+        });
+
+        if (!res.ok) {
+            const text = await res.text();
+            throw new Error(`${provider.label} API error: ${res.status} ${text}`);
         }
-    }
 
-    return '';
+        const json = await res.json();
+        const response = provider.parseResponse(json);
+        status = 'ok';
+        agentMetrics.llmTokens.inc({ direction: 'input' }, response.usage.inputTokens);
+        agentMetrics.llmTokens.inc({ direction: 'output' }, response.usage.outputTokens);
+        onUsage?.(response.usage);
+        await recorder?.record({
+            key,
+            provider: provider.name,
+            call,
+            request: body,
+            response: json,
+        });
+        return { ...response, request: body, raw: json };
+    } finally {
+        agentMetrics.llmCalls.inc({ call, provider: provider.name, status });
+        agentMetrics.llmLatency.observe({ call }, (performance.now() - startedAt) / 1000);
+    }
 }
 
-function extractToolCalls(responseJson) {
-    const outputs = responseJson?.output;
-    if (!Array.isArray(outputs)) return [];
-
-    const toolCalls = [];
-    for (const item of outputs) {
-        if (item?.type === 'tool_call' || item?.type === 'function_call') {
-            toolCalls.push({
-                name: item?.name ?? item?.function?.name,
-                arguments: item?.arguments ?? item?.function?.arguments,
-                callId: item?.call_id ?? item?.id,
-            });
-            continue;
-        }
+// Local models often wrap JSON answers in a Markdown code fence even when asked not to.
+function parseJsonText(raw) {
+    const fenced = raw.trim().match(/^```(?:json)?\s*([\s\S]*?)\s*```$/i);
+    return JSON.parse(fenced ? fenced[1] : raw);
+}
 
-        if (Array.isArray(item?.tool_calls)) {
-            for (const call of item.tool_calls) {
-                toolCalls.push({
-                    name: call?.name ?? call?.function?.name,
-                    arguments: call?.arguments ?? call?.function?.arguments,
-                    callId: call?.call_id ?? call?.id,
-                });
-            }
+// The conversation lets later turns continue the exchange on providers that keep no server-side
+// state; request and rawOutput are kept for the decision journal.
+function toDecision({ response, messages, tools }) {
+    const raw = response.text;
+    let textDecision;
+    if (raw) {
+        try {
+            textDecision = parseJsonText(raw);
+        } catch (error) {
+            throw new Error(`Failed to parse model JSON: ${raw}`);
         }
     }
 
-    return toolCalls.filter((call) => call.name);
+    return {
+        toolCalls: response.toolCalls,
+        textDecision,
+        responseId: response.id,
+        conversation: {
+            responseId: response.id,
+            tools,
+            messages: [
+                ...messages,
+                { role: 'assistant', content: raw, toolCalls: response.toolCalls },
+            ],
+        },
+        request: response.request,
+        rawOutput: response.raw,
+    };
 }
 
 async function callAgent({
@@ -54,6 +103,7 @@ async function callAgent({
     agentAddress,
     tools,
     allowTools,
+    onUsage,
 }) {
     const safeSignals = signals.map((signal) => {
         if (signal?.kind === 'proposal') {
@@ -100,102 +150,95 @@ async function callAgent({
         optimisticOracle: ogContext?.optimisticOracle,
     };
 
-    const payload = {
-        model: config.openAiModel,
-        input: [
-            {
-                role: 'system',
-                content: systemPrompt,
-            },
-            {
-                role: 'user',
-                content: JSON.stringify(
-                    {
-                        commitmentSafe: config.commitmentSafe,
-                        ogModule: config.ogModule,
-                        agentAddress,
-                        ogContext: safeContext,
-                        commitment: commitmentText,
-                        signals: safeSignals,
-                    },
-                    (_, value) => (typeof value === 'bigint' ? value.toString() : value)
-                ),
-            },
-        ],
-        tools: allowTools ? tools : [],
-        tool_choice: allowTools ? 'auto' : 'none',
-        parallel_tool_calls: false,
-        text: { format: { type: 'json_object' } },
-    };
-
-    const res = await fetch(`${config.openAiBaseUrl}/responses`, {
-        method: 'POST',
-        headers: {
-            Authorization: `Bearer ${config.openAiApiKey}`,
-            'Content-Type': 'application/json',
-        },
-        body: JSON.stringify(payload),
-    });
-
-    if (!res.ok) {
-        const text = await res.text();
-        throw new Error(`OpenAI API error: ${res.status} ${text}`);
-    }
-
-    const json = await res.json();
-    const toolCalls = allowTools ? extractToolCalls(json) : [];
-    const raw = extractFirstText(json);
-    let textDecision;
-    if (raw) {
-        try {
-            textDecision = JSON.parse(raw);
-        } catch (error) {
-            throw new Error(`Failed to parse OpenAI JSON: ${raw}`);
-        }
-    }
-
-    return { toolCalls, textDecision, responseId: json?.id };
-}
-
-async function explainToolCalls({ config, previousResponseId, toolOutputs }) {
-    const input = [
-        ...toolOutputs.map((item) => ({
-            type: 'function_call_output',
-            call_id: item.callId,
-            output: item.output,
-        })),
+    const messages = [
+        { role: 'system', content: systemPrompt },
         {
-            type: 'message',
             role: 'user',
-            content: [
+            content: JSON.stringify(
                 {
-                    type: 'input_text',
-                    text: 'Summarize the actions you took and why.',
+                    commitmentSafe: config.commitmentSafe,
+                    ogModule: config.ogModule,
+                    agentAddress,
+                    ogContext: safeContext,
+                    commitment: commitmentText,
+                    signals: safeSignals,
                 },
-            ],
+                (_, value) => (typeof value === 'bigint' ? value.toString() : value)
+            ),
         },
     ];
 
-    const res = await fetch(`${config.openAiBaseUrl}/responses`, {
-        method: 'POST',
-        headers: {
-            Authorization: `Bearer ${config.openAiApiKey}`,
-            'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({
-            model: config.openAiModel,
-            previous_response_id: previousResponseId,
-            input,
-        }),
+    const response = await requestCompletion({
+        config,
+        call: 'decide',
+        onUsage,
+        messages,
+        tools: allowTools ? tools : [],
+        toolChoice: allowTools ? 'auto' : 'none',
+        json: true,
     });
+    const decision = toDecision({ response, messages, tools: allowTools ? tools : [] });
+    return allowTools ? decision : { ...decision, toolCalls: [] };
+}
 
-    if (!res.ok) {
-        const text = await res.text();
-        throw new Error(`OpenAI API error: ${res.status} ${text}`);
-    }
+// Every tool call in the assistant turn needs a result before the model will answer again, so
+// calls that were filtered out, skipped, or over budget are reported as not executed. `note`
+// becomes a user message after the results.
+function appendToolResults({ conversation, toolOutputs, note }) {
+    const outputs = new Map(toolOutputs.map((item) => [item.callId, item.output]));
+    const assistant = conversation.messages[conversation.messages.length - 1];
+    return [
+        ...conversation.messages,
+        ...(assistant?.toolCalls ?? []).map((call) => ({
+            role: 'tool',
+            callId: call.callId,
+            content: outputs.get(call.callId) ?? JSON.stringify({ status: 'not_executed' }),
+        })),
+        ...(note ? [{ role: 'user', content: note }] : []),
+    ];
+}
 
-    const json = await res.json();
-    return extractFirstText(json);
+// Feeds tool outputs back so the model can react to them with more tool calls or a final decision.
+async function continueAgent({ config, conversation, toolOutputs, note, onUsage }) {
+    const messages = appendToolResults({ conversation, toolOutputs, note });
+    const response = await requestCompletion({
+        config,
+        call: 'continue',
+        onUsage,
+        messages,
+        tools: conversation.tools,
+        toolChoice: 'auto',
+        json: true,
+        previousResponseId: conversation.responseId,
+    });
+    return toDecision({ response, messages, tools: conversation.tools });
+}
+
+async function explainToolCalls({ config, conversation, toolOutputs, onUsage }) {
+    const response = await requestCompletion({
+        config,
+        call: 'explain',
+        onUsage,
+        messages: appendToolResults({
+            conversation,
+            toolOutputs,
+            note: 'Summarize the actions you took and why.',
+        }),
+        tools: conversation.tools,
+        toolChoice: 'none',
+        previousResponseId: conversation.responseId,
+    });
+    return response.text;
 }
 
-export { callAgent, explainToolCalls, extractToolCalls, extractFirstText, parseToolArguments };
+export {
+    DEFAULT_SYSTEM_PROMPT,
+    callAgent,
+    continueAgent,
+    explainToolCalls,
+    extractFirstText,
+    extractToolCalls,
+    parseJsonText,
+    parseToolArguments,
+    requestCompletion,
+};
@@ -0,0 +1,91 @@
+const DEFAULT_MAX_RANGE = 5_000n;
+const DEFAULT_GROW_AFTER = 2;
+
+const RANGE_ERROR_PATTERNS = [
+    /range (is )?too (large|wide|big)/,
+    /block range/,
+    /too many (results|logs|blocks)/,
+    /more than \d+ (results|logs)/,
+    /response size (exceeded|should not)/,
+    /query (returned|timeout|exceeds)/,
+    /limit exceeded/,
+    /exceed(s|ed)? (the )?max/,
+    /max(imum)? (block )?range/,
+];
+
+function collectErrorText(error) {
+    const parts = [];
+    let current = error;
+    for (let depth = 0; current && depth < 5; depth += 1) {
+        parts.push(current.shortMessage, current.details, current.message);
+        current = current.cause;
+    }
+    return parts.filter((part) => typeof part === 'string').join(' ').toLowerCase();
+}
+
+function isLogRangeError(error) {
+    if (!error) return false;
+    let current = error;
+    for (let depth = 0; current && depth < 5; depth += 1) {
+        if (current.code === -32005) return true;
+        current = current.cause;
+    }
+    const text = collectErrorText(error);
+    return RANGE_ERROR_PATTERNS.some((pattern) => pattern.test(text));
+}
+
+function createLogFetcher({
+    maxRange = DEFAULT_MAX_RANGE,
+    minRange = 1n,
+    growAfter = DEFAULT_GROW_AFTER,
+} = {}) {
+    const ceiling = BigInt(maxRange);
+    const floor = BigInt(minRange);
+    if (ceiling < 1n || floor < 1n || floor > ceiling) {
+        throw new Error('Log fetcher ranges must satisfy 1 <= minRange <= maxRange.');
+    }
+
+    let range = ceiling;
+    let successStreak = 0;
+
+    async function getLogs({ publicClient, fromBlock, toBlock, ...request }) {
+        const logs = [];
+        let currentFrom = fromBlock;
+        while (currentFrom <= toBlock) {
+            const currentTo =
+                currentFrom + range - 1n > toBlock ? toBlock : currentFrom + range - 1n;
+            let chunk;
+            try {
+                chunk = await publicClient.getLogs({
+                    ...request,
+                    fromBlock: currentFrom,
+                    toBlock: currentTo,
+                });
+            } catch (error) {
+                if (!isLogRangeError(error) || range <= floor) {
+                    throw error;
+                }
+                range = range / 2n > floor ? range / 2n : floor;
+                successStreak = 0;
+                continue;
+            }
+
+            logs.push(...chunk);
+            currentFrom = currentTo + 1n;
+
+            successStreak += 1;
+            if (range < ceiling && successStreak >= growAfter) {
+                range = range * 2n > ceiling ? ceiling : range * 2n;
+                successStreak = 0;
+            }
+        }
+        return logs;
+    }
+
+    return {
+        getLogs,
+        getRange: () => range,
+    };
+}
+
+export { createLogFetcher, isLogRangeError };
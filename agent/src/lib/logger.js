@@ -0,0 +1,121 @@
+import { AsyncLocalStorage } from 'node:async_hooks';
+import { randomUUID } from 'node:crypto';
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+const contextStorage = new AsyncLocalStorage();
+let settings = { format: 'text', level: 'info', write: defaultWrite };
+
+function defaultWrite(level, line) {
+    if (level === 'warn' || level === 'error') {
+        console.error(line);
+    } else {
+        console.log(line);
+    }
+}
+
+// LOG_FORMAT and LOG_LEVEL are process-wide, so the entry points configure the logger once from
+// the first commitment's config. Tests pass `write` to capture lines.
+function configureLogger({ format, level, write } = {}) {
+    if (format !== undefined && format !== 'text' && format !== 'json') {
+        throw new Error(`LOG_FORMAT must be "text" or "json", got "${format}".`);
+    }
+    if (level !== undefined && !(level in LEVELS)) {
+        throw new Error(`LOG_LEVEL must be one of ${Object.keys(LEVELS).join(', ')}, got "${level}".`);
+    }
+    settings = {
+        format: format ?? settings.format,
+        level: level ?? settings.level,
+        write: write ?? settings.write,
+    };
+}
+
+function newCorrelationId() {
+    return randomUUID();
+}
+
+// Fields set here (commitment, iteration, loopId, decisionId, ...) are attached to every line
+// logged from `fn`, including from timers and promises it starts.
+function withLogContext(fields, fn) {
+    return contextStorage.run({ ...contextStorage.getStore(), ...fields }, fn);
+}
+
+function getLogContext() {
+    return contextStorage.getStore() ?? {};
+}
+
+function serializeError(error) {
+    return {
+        message: error.shortMessage ?? error.message,
+        ...(error.code !== undefined ? { code: error.code } : {}),
+        ...(error.stack ? { stack: error.stack } : {}),
+    };
+}
+
+function toJsonValue(_, value) {
+    if (typeof value === 'bigint') return value.toString();
+    if (value instanceof Error) return serializeError(value);
+    if (value instanceof Map) return Object.fromEntries(value);
+    if (value instanceof Set) return Array.from(value);
+    return value;
+}
+
+function formatTextValue(value) {
+    if (value instanceof Error) return value.shortMessage ?? value.message;
+    if (typeof value === 'string') return value;
+    if (typeof value === 'bigint') return value.toString();
+    return JSON.stringify(value, toJsonValue);
+}
+
+function formatLine({ level, scope, message, fields }) {
+    const context = getLogContext();
+    if (settings.format === 'json') {
+        return JSON.stringify(
+            { time: new Date().toISOString(), level, scope, msg: message, ...context, ...fields },
+            toJsonValue
+        );
+    }
+
+    const parts = [`[${scope}]`];
+    if (context.commitment !== undefined && context.commitment !== 'default') {
+        parts.push(`(${context.commitment})`);
+    }
+    parts.push(message);
+    for (const [key, value] of Object.entries(fields)) {
+        if (value === undefined) continue;
+        parts.push(`${key}=${formatTextValue(value)}`);
+    }
+    let line = parts.join(' ');
+    if (level === 'error') {
+        const error = Object.values(fields).find((value) => value instanceof Error);
+        if (error?.stack) line = `${line}\n${error.stack}`;
+    }
+    return line;
+}
+
+// Loggers are cheap; modules create one at import time and call it as
+// `logger.warn('Proposal simulation failed', { error })`.
+function createLogger(scope = 'agent', baseFields = {}) {
+    function emit(level, message, fields) {
+        if (LEVELS[level] < LEVELS[settings.level]) return;
+        const line = formatLine({ level, scope, message, fields: { ...baseFields, ...fields } });
+        settings.write(level, line);
+    }
+
+    return {
+        debug: (message, fields) => emit('debug', message, fields),
+        info: (message, fields) => emit('info', message, fields),
+        warn: (message, fields) => emit('warn', message, fields),
+        error: (message, fields) => emit('error', message, fields),
+        child: (fields) => createLogger(scope, { ...baseFields, ...fields }),
+    };
+}
+
+export {
+    configureLogger,
+    createLogger,
+    getLogContext,
+    newCorrelationId,
+    toJsonValue,
+    withLogContext,
+};
@@ -0,0 +1,108 @@
+import { readFile } from 'node:fs/promises';
+import path from 'node:path';
+import { parse as parseYaml } from 'yaml';
+import { buildConfig } from './config.js';
+
+// One public client, one signer, and one transaction queue with its fee policy serve every
+// commitment, so these cannot vary per entry.
+const PROCESS_WIDE_KEYS = new Set([
+    'RPC_URL',
+    'SIGNER_TYPE',
+    'PRIVATE_KEY',
+    'KEYSTORE_PATH',
+    'KEYSTORE_PASSWORD',
+    'KEYCHAIN_SERVICE',
+    'KEYCHAIN_ACCOUNT',
+    'VAULT_ADDR',
+    'VAULT_TOKEN',
+    'VAULT_NAMESPACE',
+    'VAULT_SECRET_PATH',
+    'VAULT_SECRET_KEY',
+    'SIGNER_RPC_URL',
+    'SIGNER_ADDRESS',
+    'TX_REPLACE_AFTER_MS',
+    'TX_FEE_BUMP_PERCENT',
+    'TX_MAX_REPLACEMENTS',
+    'FEE_PRIORITY_STRATEGY',
+    'FEE_PRIORITY_FEE_WEI',
+    'FEE_HISTORY_BLOCKS',
+    'FEE_HISTORY_PERCENTILE',
+    'FEE_MAX_FEE_PER_GAS_WEI',
+    'FEE_ACTION_CAPS',
+    'GAS_DAILY_BUDGET_WEI',
+    'LOG_FORMAT',
+    'LOG_LEVEL',
+    'HEALTH_PORT',
+    'HEALTH_HOST',
+]);
+
+const COMMITMENT_NAME_PATTERN = /^[A-Za-z0-9_-]+$/;
+// The supervisor keeps the shared gas budget in a state file named as if for this commitment.
+const RESERVED_COMMITMENT_NAMES = new Set(['gas-budget']);
+
+async function loadCommitmentManifest(filePath) {
+    const raw = await readFile(filePath, 'utf8');
+    const extension = path.extname(filePath).toLowerCase();
+    const manifest =
+        extension === '.yaml' || extension === '.yml' ? parseYaml(raw) : JSON.parse(raw);
+    if (!Array.isArray(manifest?.commitments) || manifest.commitments.length === 0) {
+        throw new Error(`Manifest ${filePath} must list at least one entry under 'commitments'.`);
+    }
+    return manifest;
+}
+
+function normalizeEnvOverrides(overrides, label) {
+    if (overrides === undefined || overrides === null) return {};
+    if (typeof overrides !== 'object' || Array.isArray(overrides)) {
+        throw new Error(`${label}: 'env' must be a map of environment variables.`);
+    }
+    const normalized = {};
+    for (const [key, value] of Object.entries(overrides)) {
+        if (PROCESS_WIDE_KEYS.has(key)) {
+            throw new Error(`${label}: ${key} is shared by all commitments and cannot be overridden.`);
+        }
+        if (value === undefined || value === null) continue;
+        normalized[key] = String(value);
+    }
+    return normalized;
+}
+
+function buildCommitmentConfigs({ manifest, env = process.env }) {
+    const sharedOverrides = normalizeEnvOverrides(manifest.env, 'manifest');
+    const names = new Set();
+
+    return manifest.commitments.map((entry, index) => {
+        const name = entry?.name;
+        if (typeof name !== 'string' || !COMMITMENT_NAME_PATTERN.test(name)) {
+            throw new Error(
+                `commitments[${index}]: 'name' is required and may only contain letters, digits, '-' and '_'.`
+            );
+        }
+        if (names.has(name)) {
+            throw new Error(`commitments[${index}]: duplicate name '${name}'.`);
+        }
+        if (RESERVED_COMMITMENT_NAMES.has(name)) {
+            throw new Error(`commitments[${index}]: the name '${name}' is reserved.`);
+        }
+        names.add(name);
+
+        const commitmentEnv = {
+            ...env,
+            ...sharedOverrides,
+            ...normalizeEnvOverrides(entry.env, `commitments[${index}] (${name})`),
+        };
+        if (entry.commitmentSafe) commitmentEnv.COMMITMENT_SAFE = String(entry.commitmentSafe);
+        if (entry.ogModule) commitmentEnv.OG_MODULE = String(entry.ogModule);
+        if (entry.agentModule) commitmentEnv.AGENT_MODULE = String(entry.agentModule);
+
+        let config;
+        try {
+            config = buildConfig(commitmentEnv);
+        } catch (error) {
+            throw new Error(`commitments[${index}] (${name}): ${error?.message ?? error}`);
+        }
+        return { name, config };
+    });
+}
+
+export { buildCommitmentConfigs, loadCommitmentManifest };
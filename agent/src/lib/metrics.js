@@ -0,0 +1,161 @@
+import { HttpRequestError, RpcRequestError, TimeoutError } from 'viem';
+import { getLogContext } from './logger.js';
+
+const DEFAULT_BUCKETS = [0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60];
+
+function escapeLabelValue(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+    const entries = Object.entries(labels);
+    if (entries.length === 0) return '';
+    return `{${entries.map(([key, value]) => `${key}="${escapeLabelValue(value)}"`).join(',')}}`;
+}
+
+// Series are keyed by their sorted labels. Every series is tagged with the commitment from the
+// active log context, so a supervisor process reports each commitment separately.
+function seriesLabels(labels) {
+    const merged = { commitment: getLogContext().commitment ?? 'default', ...labels };
+    return Object.fromEntries(
+        Object.entries(merged)
+            .filter(([, value]) => value !== undefined && value !== null)
+            .sort(([a], [b]) => a.localeCompare(b))
+    );
+}
+
+// A minimal Prometheus text-format registry: counters and histograms are all the agent needs, and
+// a client library would be the only dependency that isn't about the chain.
+function createMetricsRegistry() {
+    const families = new Map();
+
+    function family(name, type, help, extra = {}) {
+        if (!families.has(name)) {
+            families.set(name, { name, type, help, series: new Map(), ...extra });
+        }
+        return families.get(name);
+    }
+
+    function counter(name, help) {
+        const metric = family(name, 'counter', help);
+        return {
+            inc(labels = {}, amount = 1) {
+                const resolved = seriesLabels(labels);
+                const key = formatLabels(resolved);
+                const current = metric.series.get(key) ?? { labels: resolved, value: 0 };
+                current.value += Number(amount);
+                metric.series.set(key, current);
+            },
+        };
+    }
+
+    function histogram(name, help, buckets = DEFAULT_BUCKETS) {
+        const metric = family(name, 'histogram', help, { buckets });
+        return {
+            observe(labels = {}, value) {
+                const resolved = seriesLabels(labels);
+                const key = formatLabels(resolved);
+                const current = metric.series.get(key) ?? {
+                    labels: resolved,
+                    counts: buckets.map(() => 0),
+                    sum: 0,
+                    count: 0,
+                };
+                buckets.forEach((bound, index) => {
+                    if (value <= bound) current.counts[index] += 1;
+                });
+                current.sum += value;
+                current.count += 1;
+                metric.series.set(key, current);
+            },
+        };
+    }
+
+    function render() {
+        const lines = [];
+        for (const metric of families.values()) {
+            lines.push(`# HELP ${metric.name} ${metric.help}`);
+            lines.push(`# TYPE ${metric.name} ${metric.type}`);
+            for (const series of metric.series.values()) {
+                if (metric.type === 'counter') {
+                    lines.push(`${metric.name}${formatLabels(series.labels)} ${series.value}`);
+                    continue;
+                }
+                metric.buckets.forEach((bound, index) => {
+                    const labels = formatLabels({ ...series.labels, le: bound });
+                    lines.push(`${metric.name}_bucket${labels} ${series.counts[index]}`);
+                });
+                const infLabels = formatLabels({ ...series.labels, le: '+Inf' });
+                lines.push(`${metric.name}_bucket${infLabels} ${series.count}`);
+                lines.push(`${metric.name}_sum${formatLabels(series.labels)} ${series.sum}`);
+                lines.push(`${metric.name}_count${formatLabels(series.labels)} ${series.count}`);
+            }
+        }
+        return `${lines.join('\n')}\n`;
+    }
+
+    return { counter, histogram, render };
+}
+
+const registry = createMetricsRegistry();
+
+const agentMetrics = {
+    loops: registry.counter('agent_loops_total', 'Agent loop iterations by result.'),
+    signals: registry.counter('agent_signals_total', 'Signals handed to the agent, by kind.'),
+    llmCalls: registry.counter('agent_llm_calls_total', 'Model requests by call and status.'),
+    llmLatency: registry.histogram(
+        'agent_llm_request_duration_seconds',
+        'Model request latency in seconds.'
+    ),
+    llmTokens: registry.counter('agent_llm_tokens_total', 'Model tokens used, by direction.'),
+    llmSkipped: registry.counter(
+        'agent_llm_skipped_total',
+        'Decisions that skipped the model, by reason (unchanged signals or an exhausted budget).'
+    ),
+    toolCalls: registry.counter('agent_tool_calls_total', 'Tool calls by tool and status.'),
+    proposals: registry.counter('agent_proposals_total', 'Proposal submissions by result.'),
+    disputes: registry.counter('agent_disputes_total', 'Dispute submissions by result.'),
+    executions: registry.counter('agent_executions_total', 'Proposal executions by result.'),
+    rpcErrors: registry.counter('agent_rpc_errors_total', 'Failed RPC requests, by method.'),
+};
+
+// Transport failures and RPC-level errors count; contract reverts surfaced by eth_call or gas
+// estimation are answers from a healthy node and do not.
+function isRpcFailure(error) {
+    const cause =
+        typeof error?.walk === 'function'
+            ? error.walk(
+                  (item) =>
+                      item instanceof HttpRequestError ||
+                      item instanceof TimeoutError ||
+                      item instanceof RpcRequestError
+              )
+            : null;
+    if (!cause) return false;
+    if (cause instanceof RpcRequestError) {
+        return cause.code !== 3 && !/revert/i.test(cause.details ?? cause.message ?? '');
+    }
+    return true;
+}
+
+// Wraps a viem client so every rejected call that failed at the RPC layer is counted by method.
+function instrumentClient(client) {
+    return new Proxy(client, {
+        get(target, property, receiver) {
+            const value = Reflect.get(target, property, receiver);
+            if (typeof value !== 'function') return value;
+            return (...args) => {
+                const result = value.apply(target, args);
+                if (!result || typeof result.then !== 'function') return result;
+                return result.catch((error) => {
+                    if (isRpcFailure(error)) {
+                        agentMetrics.rpcErrors.inc({ method: String(property) });
+                    }
+                    throw error;
+                });
+            };
+        },
+    });
+}
+
+export { agentMetrics, createMetricsRegistry, instrumentClient, isRpcFailure, registry };
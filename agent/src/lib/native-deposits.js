@@ -0,0 +1,196 @@
+import { getAddress, hexToBigInt, isAddressEqual, numberToHex, zeroAddress } from 'viem';
+import { createLogger } from './logger.js';
+
+const logger = createLogger('agent');
+
+const NATIVE_ATTRIBUTION_MODES = new Set(['balance', 'blocks', 'trace']);
+
+function buildNativeDepositSignal({ from, amount, blockNumber, transactionHash, index }) {
+    return {
+        kind: 'nativeDeposit',
+        asset: zeroAddress,
+        from: getAddress(from),
+        amount,
+        blockNumber,
+        transactionHash,
+        logIndex: undefined,
+        id: `native:${transactionHash}:${index}`,
+    };
+}
+
+function toBigInt(value) {
+    if (value === undefined || value === null) return 0n;
+    if (typeof value === 'bigint') return value;
+    if (typeof value === 'string' && value.startsWith('0x')) return hexToBigInt(value);
+    return BigInt(value);
+}
+
+async function scanBlockTransactions({ publicClient, commitmentSafe, fromBlock, toBlock }) {
+    const deposits = [];
+    for (let blockNumber = fromBlock; blockNumber <= toBlock; blockNumber += 1n) {
+        const block = await publicClient.getBlock({ blockNumber, includeTransactions: true });
+        for (const tx of block?.transactions ?? []) {
+            if (!tx?.to || !isAddressEqual(tx.to, commitmentSafe)) continue;
+            const value = toBigInt(tx.value);
+            if (value <= 0n) continue;
+            const receipt = await publicClient.getTransactionReceipt({ hash: tx.hash });
+            if (receipt?.status !== 'success') continue;
+            deposits.push(
+                buildNativeDepositSignal({
+                    from: tx.from,
+                    amount: value,
+                    blockNumber,
+                    transactionHash: tx.hash,
+                    index: 0,
+                })
+            );
+        }
+    }
+    return deposits;
+}
+
+async function traceFilter({ publicClient, commitmentSafe, fromBlock, toBlock }) {
+    const traces = await publicClient.request({
+        method: 'trace_filter',
+        params: [
+            {
+                fromBlock: numberToHex(fromBlock),
+                toBlock: numberToHex(toBlock),
+                toAddress: [commitmentSafe],
+            },
+        ],
+    });
+
+    const indexByTransaction = new Map();
+    const deposits = [];
+    for (const trace of traces ?? []) {
+        if (trace?.type !== 'call' || trace?.error) continue;
+        const action = trace.action ?? {};
+        if (!action.to || !isAddressEqual(action.to, commitmentSafe)) continue;
+        const value = toBigInt(action.value);
+        if (value <= 0n) continue;
+        const index = indexByTransaction.get(trace.transactionHash) ?? 0;
+        indexByTransaction.set(trace.transactionHash, index + 1);
+        deposits.push(
+            buildNativeDepositSignal({
+                from: action.from,
+                amount: value,
+                blockNumber: BigInt(trace.blockNumber),
+                transactionHash: trace.transactionHash,
+                index,
+            })
+        );
+    }
+    return deposits;
+}
+
+function collectCallTracerTransfers({ frame, commitmentSafe, transfers }) {
+    if (!frame || frame.error) return;
+    const value = toBigInt(frame.value);
+    const isCall = !frame.type || frame.type === 'CALL';
+    if (isCall && frame.to && isAddressEqual(frame.to, commitmentSafe) && value > 0n) {
+        transfers.push({ from: frame.from, amount: value });
+    }
+    for (const child of frame.calls ?? []) {
+        collectCallTracerTransfers({ frame: child, commitmentSafe, transfers });
+    }
+}
+
+async function debugTraceBlocks({ publicClient, commitmentSafe, fromBlock, toBlock }) {
+    const deposits = [];
+    for (let blockNumber = fromBlock; blockNumber <= toBlock; blockNumber += 1n) {
+        const results = await publicClient.request({
+            method: 'debug_traceBlockByNumber',
+            params: [numberToHex(blockNumber), { tracer: 'callTracer' }],
+        });
+        for (const item of results ?? []) {
+            const transfers = [];
+            collectCallTracerTransfers({ frame: item?.result, commitmentSafe, transfers });
+            transfers.forEach((transfer, index) => {
+                deposits.push(
+                    buildNativeDepositSignal({
+                        ...transfer,
+                        blockNumber,
+                        transactionHash: item.txHash,
+                        index,
+                    })
+                );
+            });
+        }
+    }
+    return deposits;
+}
+
+// Providers that disable a trace or debug method answer JSON-RPC -32601 (method not found) or
+// -32004 (method not supported), or say so in the message. Other failures, such as timeouts and
+// rate limits, are transient.
+function isUnsupportedMethodError(error) {
+    for (let current = error; current; current = current.cause) {
+        if (current.code === -32601 || current.code === -32004) return true;
+        if (/method\b.*\b(not found|not supported|does not exist|is not available)/i.test(
+            current.message ?? ''
+        )) {
+            return true;
+        }
+    }
+    return false;
+}
+
+function createNativeDepositAttributor({ mode = 'balance', maxScanBlocks = 100n } = {}) {
+    const normalizedMode = String(mode ?? 'balance').trim().toLowerCase();
+    if (!NATIVE_ATTRIBUTION_MODES.has(normalizedMode)) {
+        throw new Error(`Unsupported NATIVE_DEPOSIT_ATTRIBUTION '${mode}'.`);
+    }
+
+    // A trace method the RPC does not support is skipped on later polls. Per-block strategies
+    // make at least one call per block, so they only scan the last `maxScanBlocks` blocks of a
+    // range; deposits in earlier blocks are left to the unattributed balance change.
+    const unsupported = new Set();
+    const strategies =
+        normalizedMode === 'trace'
+            ? [
+                  ['trace_filter', traceFilter, false],
+                  ['debug_traceBlockByNumber', debugTraceBlocks, true],
+                  ['blocks', scanBlockTransactions, true],
+              ]
+            : [['blocks', scanBlockTransactions, true]];
+
+    async function attribute({ publicClient, commitmentSafe, fromBlock, toBlock }) {
+        if (normalizedMode === 'balance') return null;
+
+        const scanFromBlock =
+            toBlock - fromBlock + 1n > maxScanBlocks ? toBlock - maxScanBlocks + 1n : fromBlock;
+        let lastError;
+        for (const [name, strategy, perBlock] of strategies) {
+            if (unsupported.has(name)) continue;
+            if (perBlock && scanFromBlock > fromBlock) {
+                logger.warn('Native deposits before the scanned blocks stay unattributed.', {
+                    strategy: name,
+                    skippedFromBlock: fromBlock,
+                    scanFromBlock,
+                    toBlock,
+                });
+            }
+            try {
+                return await strategy({
+                    publicClient,
+                    commitmentSafe,
+                    fromBlock: perBlock ? scanFromBlock : fromBlock,
+                    toBlock,
+                });
+            } catch (error) {
+                lastError = error;
+                if (name === 'blocks' || !isUnsupportedMethodError(error)) break;
+                unsupported.add(name);
+                logger.warn(`${name} unavailable for native deposit attribution; falling back.`, {
+                    error,
+                });
+            }
+        }
+        throw lastError;
+    }
+
+    return { mode: normalizedMode, attribute };
+}
+
+export { createNativeDepositAttributor };
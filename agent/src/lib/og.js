@@ -1,4 +1,7 @@
 import { erc20Abi, getAddress, parseAbi, parseAbiItem, stringToHex } from 'viem';
+import { createLogger } from './logger.js';
+
+const logger = createLogger('agent');
 
 const optimisticGovernorAbi = parseAbi([
     'function proposeTransactions((address to,uint8 operation,uint256 value,bytes data)[] transactions, bytes explanation)',
@@ -14,6 +17,8 @@ const optimisticGovernorAbi = parseAbi([
 
 const optimisticOracleAbi = parseAbi([
     'function disputeAssertion(bytes32 assertionId, address disputer)',
+    'function settleAssertion(bytes32 assertionId)',
+    'function burnedBondPercentage() view returns (uint256)',
     'function getMinimumBond(address collateral) view returns (uint256)',
     'function getAssertion(bytes32 assertionId) view returns ((bool arbitrateViaEscalationManager,bool discardOracle,bool validateDisputers,address assertingCaller,address escalationManager) escalationManagerSettings,address asserter,uint64 assertionTime,bool settled,address currency,uint64 expirationTime,bool settlementResolution,bytes32 domainId,bytes32 identifier,uint256 bond,address callbackRecipient,address disputer)',
 ]);
@@ -21,6 +26,24 @@ const optimisticOracleAbi = parseAbi([
 const transferEvent = parseAbiItem(
     'event Transfer(address indexed from, address indexed to, uint256 value)'
 );
+const erc721TransferEvent = parseAbiItem(
+    'event Transfer(address indexed from, address indexed to, uint256 indexed tokenId)'
+);
+const erc1155TransferSingleEvent = parseAbiItem(
+    'event TransferSingle(address indexed operator, address indexed from, address indexed to, uint256 id, uint256 value)'
+);
+const erc1155TransferBatchEvent = parseAbiItem(
+    'event TransferBatch(address indexed operator, address indexed from, address indexed to, uint256[] ids, uint256[] values)'
+);
+const safeExecutionFromModuleSuccessEvent = parseAbiItem(
+    'event ExecutionFromModuleSuccess(address indexed module)'
+);
+const safeExecutionFromModuleFailureEvent = parseAbiItem(
+    'event ExecutionFromModuleFailure(address indexed module)'
+);
+const safeExecutionSuccessEvent = parseAbiItem(
+    'event ExecutionSuccess(bytes32 txHash, uint256 payment)'
+);
 const transactionsProposedEvent = parseAbiItem(
     'event TransactionsProposed(address indexed proposer,uint256 indexed proposalTime,bytes32 indexed assertionId,((address to,uint8 operation,uint256 value,bytes data)[] transactions,uint256 requestTime) proposal,bytes32 proposalHash,bytes explanation,string rules,uint256 challengeWindowEnds)'
 );
@@ -30,6 +53,12 @@ const proposalExecutedEvent = parseAbiItem(
 const proposalDeletedEvent = parseAbiItem(
     'event ProposalDeleted(bytes32 indexed proposalHash, bytes32 indexed assertionId)'
 );
+const assertionDisputedEvent = parseAbiItem(
+    'event AssertionDisputed(bytes32 indexed assertionId, address indexed caller, address indexed disputer)'
+);
+const assertionSettledEvent = parseAbiItem(
+    'event AssertionSettled(bytes32 indexed assertionId, address indexed bondRecipient, bool disputed, bool settlementResolution, address settleCaller)'
+);
 
 async function loadOptimisticGovernorDefaults({ publicClient, ogModule, trackedAssets }) {
     const collateral = await publicClient.readContract({
@@ -86,62 +115,124 @@ async function loadOgContext({ publicClient, ogModule }) {
     };
 }
 
-async function logOgFundingStatus({ publicClient, ogModule, account }) {
-    try {
-        const chainId = await publicClient.getChainId();
-        const expectedIdentifierStr =
-            chainId === 11155111 ? 'ASSERT_TRUTH2' : 'ASSERT_TRUTH2';
-        const expectedIdentifier = stringToHex(expectedIdentifierStr, { size: 32 });
+// The agent's bond readiness: whether it holds enough OG collateral to post the required bond.
+async function getOgFundingStatus({ publicClient, ogModule, account }) {
+    const chainId = await publicClient.getChainId();
+    const expectedIdentifierStr =
+        chainId === 11155111 ? 'ASSERT_TRUTH2' : 'ASSERT_TRUTH2';
+    const expectedIdentifier = stringToHex(expectedIdentifierStr, { size: 32 });
 
-        const [collateral, bondAmount, optimisticOracle, identifier] = await Promise.all([
-            publicClient.readContract({
-                address: ogModule,
-                abi: optimisticGovernorAbi,
-                functionName: 'collateral',
-            }),
-            publicClient.readContract({
-                address: ogModule,
-                abi: optimisticGovernorAbi,
-                functionName: 'bondAmount',
-            }),
-            publicClient.readContract({
-                address: ogModule,
-                abi: optimisticGovernorAbi,
-                functionName: 'optimisticOracleV3',
-            }),
-            publicClient.readContract({
-                address: ogModule,
-                abi: optimisticGovernorAbi,
-                functionName: 'identifier',
-            }),
-        ]);
-        const minimumBond = await publicClient.readContract({
-            address: optimisticOracle,
-            abi: optimisticOracleAbi,
-            functionName: 'getMinimumBond',
-            args: [collateral],
-        });
-
-        const requiredBond = bondAmount > minimumBond ? bondAmount : minimumBond;
-        const collateralBalance = await publicClient.readContract({
-            address: collateral,
-            abi: erc20Abi,
-            functionName: 'balanceOf',
-            args: [account.address],
-        });
-        const nativeBalance = await publicClient.getBalance({ address: account.address });
-
-        if (identifier !== expectedIdentifier) {
-            console.warn(
-                `[agent] OG identifier mismatch: expected ${expectedIdentifierStr}, onchain ${identifier}`
-            );
-        }
-        void requiredBond;
-        void collateralBalance;
-        void nativeBalance;
+    const [collateral, bondAmount, optimisticOracle, identifier] = await Promise.all([
+        publicClient.readContract({
+            address: ogModule,
+            abi: optimisticGovernorAbi,
+            functionName: 'collateral',
+        }),
+        publicClient.readContract({
+            address: ogModule,
+            abi: optimisticGovernorAbi,
+            functionName: 'bondAmount',
+        }),
+        publicClient.readContract({
+            address: ogModule,
+            abi: optimisticGovernorAbi,
+            functionName: 'optimisticOracleV3',
+        }),
+        publicClient.readContract({
+            address: ogModule,
+            abi: optimisticGovernorAbi,
+            functionName: 'identifier',
+        }),
+    ]);
+    const minimumBond = await publicClient.readContract({
+        address: optimisticOracle,
+        abi: optimisticOracleAbi,
+        functionName: 'getMinimumBond',
+        args: [collateral],
+    });
+
+    const requiredBond = bondAmount > minimumBond ? bondAmount : minimumBond;
+    const collateralBalance = await publicClient.readContract({
+        address: collateral,
+        abi: erc20Abi,
+        functionName: 'balanceOf',
+        args: [account.address],
+    });
+    const [nativeBalance, gasPrice] = await Promise.all([
+        publicClient.getBalance({ address: account.address }),
+        publicClient.getGasPrice(),
+    ]);
+
+    return {
+        collateral,
+        optimisticOracle,
+        requiredBond,
+        collateralBalance,
+        nativeBalance,
+        gasPrice,
+        identifier,
+        expectedIdentifier,
+        expectedIdentifierStr,
+    };
+}
+
+// Roughly a proposal plus its bond approvals; the default gas reserve when FUNDING_MIN_NATIVE_WEI
+// is unset.
+const DEFAULT_GAS_RESERVE = 1_000_000n;
+
+// Compares balances against FUNDING_MIN_BONDS bonds and FUNDING_MIN_NATIVE_WEI of gas money.
+// `shortfalls` names what is missing: `bondCollateral` and/or `gas`.
+function assessFunding(status, { minBonds = 1n, minNativeWei } = {}) {
+    const bondThreshold = status.requiredBond * BigInt(minBonds);
+    const nativeThreshold = minNativeWei ?? status.gasPrice * DEFAULT_GAS_RESERVE;
+    const shortfalls = [];
+    if (status.collateralBalance < bondThreshold) shortfalls.push('bondCollateral');
+    if (status.nativeBalance < nativeThreshold) shortfalls.push('gas');
+    return {
+        ...status,
+        bondThreshold,
+        nativeThreshold,
+        canAffordBond: status.collateralBalance >= status.requiredBond,
+        canAffordGas: status.nativeBalance >= nativeThreshold,
+        shortfalls,
+        ready: shortfalls.length === 0,
+    };
+}
+
+// Startup readiness check. Returns the assessed status, or undefined when it could not be read.
+async function logOgFundingStatus({ publicClient, ogModule, account, minBonds, minNativeWei }) {
+    let funding;
+    try {
+        const status = await getOgFundingStatus({ publicClient, ogModule, account });
+        funding = assessFunding(status, { minBonds, minNativeWei });
     } catch (error) {
-        console.warn('[agent] Failed to log OG funding status:', error);
+        logger.warn('Failed to log OG funding status', { error });
+        return undefined;
+    }
+
+    if (funding.identifier !== funding.expectedIdentifier) {
+        logger.warn(
+            `OG identifier mismatch: expected ${funding.expectedIdentifierStr}, onchain ${funding.identifier}`
+        );
+    }
+    logger.info('OG funding status', {
+        collateral: funding.collateral,
+        requiredBond: funding.requiredBond,
+        collateralBalance: funding.collateralBalance,
+        nativeBalance: funding.nativeBalance,
+        ready: funding.ready,
+    });
+    if (funding.shortfalls.includes('bondCollateral')) {
+        logger.warn(
+            `Bond collateral ${funding.collateralBalance} is below ${funding.bondThreshold} (${minBonds ?? 1} bond(s) of ${funding.requiredBond}).`
+        );
+    }
+    if (funding.shortfalls.includes('gas')) {
+        logger.warn(
+            `Native balance ${funding.nativeBalance} wei is below the ${funding.nativeThreshold} wei gas reserve.`
+        );
     }
+    return funding;
 }
 
 function normalizeAssertion(assertion) {
@@ -171,11 +262,21 @@ export {
     optimisticGovernorAbi,
     optimisticOracleAbi,
     transferEvent,
+    erc721TransferEvent,
+    erc1155TransferSingleEvent,
+    erc1155TransferBatchEvent,
+    safeExecutionFromModuleSuccessEvent,
+    safeExecutionFromModuleFailureEvent,
+    safeExecutionSuccessEvent,
     transactionsProposedEvent,
     proposalExecutedEvent,
     proposalDeletedEvent,
+    assertionDisputedEvent,
+    assertionSettledEvent,
     loadOptimisticGovernorDefaults,
     loadOgContext,
+    assessFunding,
+    getOgFundingStatus,
     logOgFundingStatus,
     normalizeAssertion,
 };
@@ -1,11 +1,42 @@
-import { erc20Abi, getAddress, hexToString, isAddressEqual, zeroAddress } from 'viem';
 import {
+    encodeFunctionData,
+    erc20Abi,
+    getAddress,
+    hexToString,
+    isAddressEqual,
+    parseAbi,
+    zeroAddress,
+} from 'viem';
+import {
+    assertionDisputedEvent,
+    erc1155TransferBatchEvent,
+    erc1155TransferSingleEvent,
+    erc721TransferEvent,
     optimisticGovernorAbi,
     proposalDeletedEvent,
     proposalExecutedEvent,
     transactionsProposedEvent,
     transferEvent,
 } from './og.js';
+import { MULTICALL3_ADDRESS, multicall3Abi } from './execution-simulation.js';
+import { parseProposalExplanation } from './explanation.js';
+import { createLogFetcher } from './log-fetcher.js';
+import { createLogger } from './logger.js';
+import { agentMetrics } from './metrics.js';
+import { decodeProposalTransactions, summarizeValueMoved } from './proposal-decoder.js';
+import { fetchSafeExecutions } from './safe-executions.js';
+import { compareLogPosition } from './utils.js';
+
+const logger = createLogger('agent');
+
+const defaultLogFetcher = createLogFetcher();
+const erc1155BalanceAbi = parseAbi([
+    'function balanceOf(address account, uint256 id) view returns (uint256)',
+]);
+const erc721BalanceAbi = parseAbi([
+    'function balanceOf(address owner) view returns (uint256)',
+    'function ownerOf(uint256 tokenId) view returns (address)',
+]);
 
 function getAlwaysEmitBalanceSnapshotPollingOptions() {
     return {
@@ -13,6 +44,294 @@ function getAlwaysEmitBalanceSnapshotPollingOptions() {
     };
 }
 
+function buildErc20DepositSignal({ asset, log }) {
+    return {
+        kind: 'erc20Deposit',
+        asset,
+        from: log.args.from,
+        amount: log.args.value,
+        blockNumber: log.blockNumber,
+        transactionHash: log.transactionHash,
+        logIndex: log.logIndex,
+        id: log.transactionHash
+            ? `${log.transactionHash}:${log.logIndex ?? '0'}`
+            : `${log.blockNumber.toString()}:${log.logIndex ?? '0'}`,
+    };
+}
+
+function buildTokenIdDepositSignal({ kind, log, tokenId, amount, batchIndex }) {
+    const position = log.transactionHash
+        ? `${log.transactionHash}:${log.logIndex ?? '0'}`
+        : `${log.blockNumber.toString()}:${log.logIndex ?? '0'}`;
+    return {
+        kind,
+        asset: getAddress(log.address),
+        tokenId,
+        from: log.args.from,
+        amount,
+        blockNumber: log.blockNumber,
+        transactionHash: log.transactionHash,
+        logIndex: log.logIndex,
+        id: batchIndex === undefined ? position : `${position}:${batchIndex}`,
+    };
+}
+
+function tokenIdWatchKey({ token, tokenId }) {
+    return `${String(token).toLowerCase()}:${tokenId === undefined ? '*' : tokenId.toString()}`;
+}
+
+function isWatchedTokenId(watchList, token, tokenId) {
+    return watchList.some(
+        (entry) =>
+            isAddressEqual(entry.token, token) &&
+            (entry.tokenId === undefined || entry.tokenId === tokenId)
+    );
+}
+
+function uniqueWatchedContracts(watchList) {
+    const contracts = new Map();
+    for (const entry of watchList) {
+        contracts.set(String(entry.token).toLowerCase(), entry.token);
+    }
+    return Array.from(contracts.values());
+}
+
+function decodeExplanation(explanationHex) {
+    if (!explanationHex || typeof explanationHex !== 'string') return undefined;
+    if (!explanationHex.startsWith('0x')) return explanationHex;
+    try {
+        return hexToString(explanationHex);
+    } catch (error) {
+        return undefined;
+    }
+}
+
+function parseProposalLog(log) {
+    const proposalHash = log.args?.proposalHash;
+    const proposal = log.args?.proposal;
+    if (!proposalHash || !proposal?.transactions) return null;
+    const proposer = log.args?.proposer;
+
+    const transactions = proposal.transactions.map((tx) => ({
+        to: getAddress(tx.to),
+        operation: Number(tx.operation ?? 0),
+        value: BigInt(tx.value ?? 0),
+        data: tx.data ?? '0x',
+    }));
+    const { explanation, rationale, explanationCid } = parseProposalExplanation(
+        decodeExplanation(log.args?.explanation)
+    );
+
+    return {
+        proposalHash,
+        blockNumber: log.blockNumber,
+        assertionId: log.args?.assertionId,
+        proposer: proposer ? getAddress(proposer) : undefined,
+        challengeWindowEnds: BigInt(log.args?.challengeWindowEnds ?? 0),
+        transactions,
+        lastAttemptMs: 0,
+        disputeAttemptMs: 0,
+        rules: log.args?.rules,
+        explanation,
+        rationale,
+        explanationCid,
+    };
+}
+
+// Hash-mode explanations only carry a CID on chain; fill in the rationale when it can be fetched.
+async function resolveProposalRationales(proposals, resolveExplanation) {
+    if (!resolveExplanation) return;
+    for (const proposal of proposals) {
+        if (!proposal.explanationCid || proposal.rationale !== undefined) continue;
+        try {
+            const resolved = await resolveExplanation(proposal.explanationCid);
+            proposal.rationale = resolved?.rationale;
+        } catch (error) {
+            logger.warn(`Failed to resolve explanation ipfs://${proposal.explanationCid}`, {
+                error,
+            });
+        }
+    }
+}
+
+async function fetchErc20Deposits({
+    publicClient,
+    logFetcher,
+    trackedAssets,
+    commitmentSafe,
+    fromBlock,
+    toBlock,
+}) {
+    const assetsByAddress = new Map();
+    for (const asset of trackedAssets) {
+        if (isAddressEqual(asset, zeroAddress)) {
+            continue;
+        }
+        assetsByAddress.set(String(asset).toLowerCase(), asset);
+    }
+    // An empty address list would match every Transfer on chain, so skip the call entirely.
+    if (assetsByAddress.size === 0) return [];
+
+    const logs = await logFetcher.getLogs({
+        publicClient,
+        address: Array.from(assetsByAddress.values()),
+        event: transferEvent,
+        args: { to: commitmentSafe },
+        fromBlock,
+        toBlock,
+    });
+
+    return logs
+        .sort(compareLogPosition)
+        .map((log) =>
+            buildErc20DepositSignal({
+                asset: assetsByAddress.get(String(log.address).toLowerCase()) ?? log.address,
+                log,
+            })
+        );
+}
+
+async function fetchTokenIdDeposits({
+    publicClient,
+    logFetcher,
+    watchedErc1155 = [],
+    watchedErc721 = [],
+    commitmentSafe,
+    fromBlock,
+    toBlock,
+}) {
+    const deposits = [];
+
+    const erc1155Contracts = uniqueWatchedContracts(watchedErc1155);
+    if (erc1155Contracts.length > 0) {
+        const request = {
+            publicClient,
+            address: erc1155Contracts,
+            args: { to: commitmentSafe },
+            fromBlock,
+            toBlock,
+        };
+        const singleLogs = await logFetcher.getLogs({
+            ...request,
+            event: erc1155TransferSingleEvent,
+        });
+        const batchLogs = await logFetcher.getLogs({
+            ...request,
+            event: erc1155TransferBatchEvent,
+        });
+        const timeline = [
+            ...singleLogs.map((log) => ({ log, batch: false })),
+            ...batchLogs.map((log) => ({ log, batch: true })),
+        ].sort((a, b) => compareLogPosition(a.log, b.log));
+
+        for (const { log, batch } of timeline) {
+            const ids = batch ? log.args.ids : [log.args.id];
+            const values = batch ? log.args.values : [log.args.value];
+            ids.forEach((tokenId, index) => {
+                if (!isWatchedTokenId(watchedErc1155, log.address, tokenId)) return;
+                deposits.push(
+                    buildTokenIdDepositSignal({
+                        kind: 'erc1155Deposit',
+                        log,
+                        tokenId,
+                        amount: values[index],
+                        batchIndex: batch ? index : undefined,
+                    })
+                );
+            });
+        }
+    }
+
+    const erc721Contracts = uniqueWatchedContracts(watchedErc721);
+    if (erc721Contracts.length > 0) {
+        const logs = await logFetcher.getLogs({
+            publicClient,
+            address: erc721Contracts,
+            event: erc721TransferEvent,
+            args: { to: commitmentSafe },
+            fromBlock,
+            toBlock,
+        });
+        for (const log of logs.sort(compareLogPosition)) {
+            if (!isWatchedTokenId(watchedErc721, log.address, log.args.tokenId)) continue;
+            deposits.push(
+                buildTokenIdDepositSignal({
+                    kind: 'erc721Deposit',
+                    log,
+                    tokenId: log.args.tokenId,
+                    amount: 1n,
+                })
+            );
+        }
+    }
+
+    return deposits;
+}
+
+async function fetchProposalLogs({ publicClient, logFetcher, ogModule, fromBlock, toBlock }) {
+    const logs = await logFetcher.getLogs({
+        publicClient,
+        address: ogModule,
+        events: [transactionsProposedEvent, proposalExecutedEvent, proposalDeletedEvent],
+        fromBlock,
+        toBlock,
+    });
+
+    return {
+        proposedLogs: logs.filter((log) => log.eventName === 'TransactionsProposed'),
+        executedLogs: logs.filter((log) => log.eventName === 'ProposalExecuted'),
+        deletedLogs: logs.filter((log) => log.eventName === 'ProposalDeleted'),
+    };
+}
+
+// The OG deletes a proposal from its dispute callback, so a deletion caused by a dispute shares
+// its transaction with the oracle's AssertionDisputed log for the same assertion.
+async function classifyDeletedProposals({
+    publicClient,
+    logFetcher,
+    optimisticOracle,
+    deletions,
+    fromBlock,
+    toBlock,
+}) {
+    if (deletions.length === 0) return [];
+    let disputeLogs = [];
+    if (optimisticOracle) {
+        disputeLogs = await logFetcher.getLogs({
+            publicClient,
+            address: optimisticOracle,
+            event: assertionDisputedEvent,
+            args: { assertionId: deletions.map(({ log }) => log.args.assertionId) },
+            fromBlock,
+            toBlock,
+        });
+    }
+
+    return deletions.map(({ log, proposal }) => {
+        const dispute = disputeLogs.find(
+            (candidate) =>
+                candidate.args.assertionId === log.args.assertionId &&
+                candidate.transactionHash === log.transactionHash
+        );
+        return {
+            proposalHash: log.args.proposalHash,
+            assertionId: log.args.assertionId,
+            reason: dispute ? 'disputed' : 'other',
+            disputer: dispute ? getAddress(dispute.args.disputer) : undefined,
+            disputeCaller: dispute ? getAddress(dispute.args.caller) : undefined,
+            proposal,
+            blockNumber: log.blockNumber,
+            transactionHash: log.transactionHash,
+        };
+    });
+}
+
+async function getConfirmedBlockNumber({ publicClient, confirmations = 0n }) {
+    const latestBlock = await publicClient.getBlockNumber();
+    const depth = BigInt(confirmations ?? 0n);
+    return latestBlock > depth ? latestBlock - depth : 0n;
+}
+
 async function primeBalances({ publicClient, commitmentSafe, watchNativeBalance, blockNumber }) {
     if (!watchNativeBalance) return undefined;
 
@@ -103,6 +422,94 @@ async function collectAssetBalanceChangeSignals({
     return { signals, nextAssetBalances };
 }
 
+async function readErc721Balance({ publicClient, token, tokenId, commitmentSafe, blockNumber }) {
+    if (tokenId === undefined) {
+        return publicClient.readContract({
+            address: token,
+            abi: erc721BalanceAbi,
+            functionName: 'balanceOf',
+            args: [commitmentSafe],
+            blockNumber,
+        });
+    }
+    try {
+        const owner = await publicClient.readContract({
+            address: token,
+            abi: erc721BalanceAbi,
+            functionName: 'ownerOf',
+            args: [tokenId],
+            blockNumber,
+        });
+        return isAddressEqual(owner, commitmentSafe) ? 1n : 0n;
+    } catch (error) {
+        // ownerOf reverts for unminted or burned tokens.
+        return 0n;
+    }
+}
+
+async function collectTokenIdBalanceChangeSignals({
+    publicClient,
+    watchedErc1155 = [],
+    watchedErc721 = [],
+    commitmentSafe,
+    blockNumber,
+    lastTokenIdBalances,
+    emitBalanceSnapshotsEveryPoll = false,
+}) {
+    const nextTokenIdBalances = new Map(lastTokenIdBalances ?? []);
+    const signals = [];
+    const watched = [
+        ...watchedErc1155.map((entry) => ({ ...entry, standard: 'erc1155' })),
+        ...watchedErc721.map((entry) => ({ ...entry, standard: 'erc721' })),
+    ];
+
+    for (const { token, tokenId, standard } of watched) {
+        const current =
+            standard === 'erc1155'
+                ? await publicClient.readContract({
+                      address: token,
+                      abi: erc1155BalanceAbi,
+                      functionName: 'balanceOf',
+                      args: [commitmentSafe, tokenId],
+                      blockNumber,
+                  })
+                : await readErc721Balance({
+                      publicClient,
+                      token,
+                      tokenId,
+                      commitmentSafe,
+                      blockNumber,
+                  });
+        const key = tokenIdWatchKey({ token, tokenId });
+        const previous = nextTokenIdBalances.get(key);
+        nextTokenIdBalances.set(key, current);
+
+        const hasChanged = previous !== undefined && current !== previous;
+        const isFirstObservationNonZero = previous === undefined && current > 0n;
+        const shouldEmit = emitBalanceSnapshotsEveryPoll
+            ? current > 0n
+            : hasChanged || isFirstObservationNonZero;
+        if (shouldEmit) {
+            signals.push({
+                kind: `${standard}BalanceSnapshot`,
+                asset: token,
+                tokenId,
+                from: 'snapshot',
+                amount: current,
+                blockNumber,
+                transactionHash: undefined,
+                logIndex: undefined,
+                id:
+                    tokenId === undefined
+                        ? `snapshot:${token}:${blockNumber.toString()}`
+                        : `snapshot:${token}:${tokenId.toString()}:${blockNumber.toString()}`,
+            });
+        }
+    }
+
+    return { signals, nextTokenIdBalances };
+}
+
 async function pollCommitmentChanges({
     publicClient,
     trackedAssets,
@@ -111,9 +518,17 @@ async function pollCommitmentChanges({
     lastCheckedBlock,
     lastNativeBalance,
     lastAssetBalances,
+    watchedErc1155 = [],
+    watchedErc721 = [],
+    lastTokenIdBalances,
     emitBalanceSnapshotsEveryPoll = false,
+    logFetcher = defaultLogFetcher,
+    confirmations = 0n,
+    nativeDepositAttributor,
+    watchSafeExecutions = false,
+    ogModule,
 }) {
-    const latestBlock = await publicClient.getBlockNumber();
+    const latestBlock = await getConfirmedBlockNumber({ publicClient, confirmations });
     if (lastCheckedBlock === undefined) {
         const nextNativeBalance = await primeBalances({
             publicClient,
@@ -128,30 +543,43 @@ async function pollCommitmentChanges({
             commitmentSafe,
             blockNumber: latestBlock,
             });
+        const { signals: initialTokenIdSignals, nextTokenIdBalances: initialTokenIdBalances } =
+            await collectTokenIdBalanceChangeSignals({
+                publicClient,
+                watchedErc1155,
+                watchedErc721,
+                commitmentSafe,
+                blockNumber: latestBlock,
+                lastTokenIdBalances: undefined,
+            });
         if (initialAssetSignals.length > 0) {
-            console.log(
-                `[agent] Startup balance snapshot signals: ${initialAssetSignals
+            logger.info(
+                `Startup balance snapshot signals: ${initialAssetSignals
                     .map((s) => `${s.asset}:${s.amount.toString()}`)
                     .join(', ')}`
             );
         }
         return {
             deposits: [],
-            balanceSnapshots: initialAssetSignals,
+            executions: [],
+            balanceSnapshots: initialAssetSignals.concat(initialTokenIdSignals),
             lastCheckedBlock: latestBlock,
             lastNativeBalance: nextNativeBalance,
             lastAssetBalances:
                 lastAssetBalances ?? initialAssetBalanceMap,
+            lastTokenIdBalances: lastTokenIdBalances ?? initialTokenIdBalances,
         };
     }
 
     if (latestBlock <= lastCheckedBlock) {
         return {
             deposits: [],
+            executions: [],
             balanceSnapshots: [],
             lastCheckedBlock,
             lastNativeBalance,
             lastAssetBalances,
+            lastTokenIdBalances,
         };
     }
 
@@ -159,42 +587,36 @@ async function pollCommitmentChanges({
     const toBlock = latestBlock;
     const deposits = [];
 
-    const maxRange = 10n;
-    let currentFrom = fromBlock;
-    while (currentFrom <= toBlock) {
-        const currentTo =
-            currentFrom + maxRange - 1n > toBlock ? toBlock : currentFrom + maxRange - 1n;
-
-    for (const asset of trackedAssets) {
-        if (isAddressEqual(asset, zeroAddress)) {
-            continue;
-        }
-        const logs = await publicClient.getLogs({
-            address: asset,
-            event: transferEvent,
-                args: { to: commitmentSafe },
-                fromBlock: currentFrom,
-                toBlock: currentTo,
-            });
-
-            for (const log of logs) {
-                deposits.push({
-                    kind: 'erc20Deposit',
-                    asset,
-                    from: log.args.from,
-                    amount: log.args.value,
-                    blockNumber: log.blockNumber,
-                    transactionHash: log.transactionHash,
-                    logIndex: log.logIndex,
-                    id: log.transactionHash
-                        ? `${log.transactionHash}:${log.logIndex ?? '0'}`
-                        : `${log.blockNumber.toString()}:${log.logIndex ?? '0'}`,
-                });
-            }
-        }
+    deposits.push(
+        ...(await fetchErc20Deposits({
+            publicClient,
+            logFetcher,
+            trackedAssets,
+            commitmentSafe,
+            fromBlock,
+            toBlock,
+        })),
+        ...(await fetchTokenIdDeposits({
+            publicClient,
+            logFetcher,
+            watchedErc1155,
+            watchedErc721,
+            commitmentSafe,
+            fromBlock,
+            toBlock,
+        }))
+    );
 
-        currentFrom = currentTo + 1n;
-    }
+    const executions = watchSafeExecutions
+        ? await fetchSafeExecutions({
+              publicClient,
+              logFetcher,
+              commitmentSafe,
+              ogModule,
+              fromBlock,
+              toBlock,
+          })
+        : [];
 
     let nextNativeBalance = lastNativeBalance;
     if (watchNativeBalance) {
@@ -203,16 +625,44 @@ async function pollCommitmentChanges({
             blockNumber: toBlock,
         });
 
-        if (lastNativeBalance !== undefined && nativeBalance > lastNativeBalance) {
+        let attributedDeposits = [];
+        if (nativeDepositAttributor && lastNativeBalance !== undefined) {
+            try {
+                attributedDeposits =
+                    (await nativeDepositAttributor.attribute({
+                        publicClient,
+                        commitmentSafe,
+                        fromBlock,
+                        toBlock,
+                    })) ?? [];
+            } catch (error) {
+                logger.warn('Native deposit attribution failed; using the balance change.', {
+                    error,
+                });
+            }
+        }
+        deposits.push(...attributedDeposits);
+
+        // Whatever the attributor could not explain, such as ETH sent by a contract through an
+        // internal call in `blocks` mode, is still reported as an unattributed deposit.
+        const attributedAmount = attributedDeposits.reduce(
+            (sum, deposit) => sum + deposit.amount,
+            0n
+        );
+        const unattributedAmount =
+            lastNativeBalance !== undefined
+                ? nativeBalance - lastNativeBalance - attributedAmount
+                : 0n;
+        if (unattributedAmount > 0n) {
             deposits.push({
                 kind: 'nativeDeposit',
                 asset: zeroAddress,
                 from: 'unknown',
-                amount: nativeBalance - lastNativeBalance,
+                amount: unattributedAmount,
                 blockNumber: toBlock,
                 transactionHash: undefined,
                 logIndex: undefined,
-                id: `native:${toBlock.toString()}:${(nativeBalance - lastNativeBalance).toString()}`,
+                id: `native:${toBlock.toString()}:${unattributedAmount.toString()}`,
             });
         }
 
@@ -227,23 +677,46 @@ async function pollCommitmentChanges({
         lastAssetBalances,
         emitBalanceSnapshotsEveryPoll,
     });
+    const { signals: tokenIdSnapshots, nextTokenIdBalances } =
+        await collectTokenIdBalanceChangeSignals({
+            publicClient,
+            watchedErc1155,
+            watchedErc721,
+            commitmentSafe,
+            blockNumber: toBlock,
+            lastTokenIdBalances,
+            emitBalanceSnapshotsEveryPoll,
+        });
 
     return {
         deposits,
-        balanceSnapshots,
+        executions,
+        balanceSnapshots: balanceSnapshots.concat(tokenIdSnapshots),
         lastCheckedBlock: toBlock,
         lastNativeBalance: nextNativeBalance,
         lastAssetBalances: nextAssetBalances,
+        lastTokenIdBalances: nextTokenIdBalances,
     };
 }
 
-async function pollProposalChanges({ publicClient, ogModule, lastProposalCheckedBlock, proposalsByHash }) {
-    const latestBlock = await publicClient.getBlockNumber();
+async function pollProposalChanges({
+    publicClient,
+    ogModule,
+    lastProposalCheckedBlock,
+    proposalsByHash,
+    logFetcher = defaultLogFetcher,
+    confirmations = 0n,
+    resolveExplanation,
+    optimisticOracle,
+}) {
+    const latestBlock = await getConfirmedBlockNumber({ publicClient, confirmations });
     if (lastProposalCheckedBlock === undefined) {
         return {
             newProposals: [],
             executedProposals: [],
             deletedProposals: [],
+            deletedProposalDetails: [],
+            removedProposals: [],
             lastProposalCheckedBlock: latestBlock,
         };
     }
@@ -253,6 +726,8 @@ async function pollProposalChanges({ publicClient, ogModule, lastProposalChecked
             newProposals: [],
             executedProposals: [],
             deletedProposals: [],
+            deletedProposalDetails: [],
+            removedProposals: [],
             lastProposalCheckedBlock,
         };
     }
@@ -260,107 +735,300 @@ async function pollProposalChanges({ publicClient, ogModule, lastProposalChecked
     const fromBlock = lastProposalCheckedBlock + 1n;
     const toBlock = latestBlock;
 
-    const maxRange = 10n;
-    const proposedLogs = [];
-    const executedLogs = [];
-    const deletedLogs = [];
-    let currentFrom = fromBlock;
-    while (currentFrom <= toBlock) {
-        const currentTo =
-            currentFrom + maxRange - 1n > toBlock ? toBlock : currentFrom + maxRange - 1n;
-
-        const [chunkProposed, chunkExecuted, chunkDeleted] = await Promise.all([
-            publicClient.getLogs({
-                address: ogModule,
-                event: transactionsProposedEvent,
-                fromBlock: currentFrom,
-                toBlock: currentTo,
-            }),
-            publicClient.getLogs({
-                address: ogModule,
-                event: proposalExecutedEvent,
-                fromBlock: currentFrom,
-                toBlock: currentTo,
-            }),
-            publicClient.getLogs({
-                address: ogModule,
-                event: proposalDeletedEvent,
-                fromBlock: currentFrom,
-                toBlock: currentTo,
-            }),
-        ]);
-
-        proposedLogs.push(...chunkProposed);
-        executedLogs.push(...chunkExecuted);
-        deletedLogs.push(...chunkDeleted);
-
-        currentFrom = currentTo + 1n;
-    }
+    const { proposedLogs, executedLogs, deletedLogs } = await fetchProposalLogs({
+        publicClient,
+        logFetcher,
+        ogModule,
+        fromBlock,
+        toBlock,
+    });
 
     const newProposals = [];
     for (const log of proposedLogs) {
+        const proposalRecord = parseProposalLog(log);
+        if (!proposalRecord) continue;
+        proposalsByHash.set(proposalRecord.proposalHash, proposalRecord);
+        newProposals.push(proposalRecord);
+    }
+    await resolveProposalRationales(newProposals, resolveExplanation);
+
+    // Keep the removed records so a reorg that orphans the removal can restore them.
+    const removedProposals = [];
+    const removeProposal = (log) => {
         const proposalHash = log.args?.proposalHash;
-        const assertionId = log.args?.assertionId;
-        const proposal = log.args?.proposal;
-        const challengeWindowEnds = log.args?.challengeWindowEnds;
-        if (!proposalHash || !proposal?.transactions) continue;
-        const proposer = log.args?.proposer;
-        const explanationHex = log.args?.explanation;
-        const rules = log.args?.rules;
-        let explanation;
-        if (explanationHex && typeof explanationHex === 'string') {
-            if (explanationHex.startsWith('0x')) {
-                try {
-                    explanation = hexToString(explanationHex);
-                } catch (error) {
-                    explanation = undefined;
-                }
-            } else {
-                explanation = explanationHex;
-            }
+        if (!proposalHash) return undefined;
+        const existing = proposalsByHash.get(proposalHash);
+        if (existing) {
+            removedProposals.push({ proposal: existing, blockNumber: log.blockNumber });
         }
+        proposalsByHash.delete(proposalHash);
+        return proposalHash;
+    };
 
-        const transactions = proposal.transactions.map((tx) => ({
-            to: getAddress(tx.to),
-            operation: Number(tx.operation ?? 0),
-            value: BigInt(tx.value ?? 0),
-            data: tx.data ?? '0x',
-        }));
+    const executedProposals = [];
+    for (const log of executedLogs) {
+        const proposalHash = removeProposal(log);
+        if (proposalHash) executedProposals.push(proposalHash);
+    }
 
-        const proposalRecord = {
-            proposalHash,
-            assertionId,
-            proposer: proposer ? getAddress(proposer) : undefined,
-            challengeWindowEnds: BigInt(challengeWindowEnds ?? 0),
-            transactions,
-            lastAttemptMs: 0,
-            disputeAttemptMs: 0,
-            rules,
-            explanation,
-        };
-        proposalsByHash.set(proposalHash, proposalRecord);
-        newProposals.push(proposalRecord);
+    const deletedProposals = [];
+    const deletions = [];
+    for (const log of deletedLogs) {
+        const proposal = proposalsByHash.get(log.args?.proposalHash);
+        const proposalHash = removeProposal(log);
+        if (!proposalHash) continue;
+        deletedProposals.push(proposalHash);
+        deletions.push({ log, proposal });
     }
+    const deletedProposalDetails = await classifyDeletedProposals({
+        publicClient,
+        logFetcher,
+        optimisticOracle,
+        deletions,
+        fromBlock,
+        toBlock,
+    });
 
-    const executedProposals = [];
-    for (const log of executedLogs) {
-        const proposalHash = log.args?.proposalHash;
-        if (proposalHash) {
-            proposalsByHash.delete(proposalHash);
-            executedProposals.push(proposalHash);
+    return {
+        newProposals,
+        executedProposals,
+        deletedProposals,
+        deletedProposalDetails,
+        removedProposals,
+        lastProposalCheckedBlock: toBlock,
+    };
+}
+
+async function findContractDeploymentBlock({ publicClient, address, latestBlock }) {
+    const upper = latestBlock ?? (await publicClient.getBlockNumber());
+    const codeAt = async (blockNumber) => {
+        const code = await publicClient.getCode({ address, blockNumber });
+        return Boolean(code && code !== '0x');
+    };
+
+    if (!(await codeAt(upper))) {
+        throw new Error(`No contract code at ${address} as of block ${upper.toString()}.`);
+    }
+
+    let low = 0n;
+    let high = upper;
+    while (low < high) {
+        const mid = (low + high) / 2n;
+        if (await codeAt(mid)) {
+            high = mid;
+        } else {
+            low = mid + 1n;
         }
     }
+    return low;
+}
+
+async function backfillProposals({
+    publicClient,
+    ogModule,
+    fromBlock,
+    toBlock,
+    logFetcher = defaultLogFetcher,
+    resolveExplanation,
+}) {
+    if (fromBlock > toBlock) {
+        return { openProposals: [], executedProposals: [], deletedProposals: [] };
+    }
 
+    const { proposedLogs, executedLogs, deletedLogs } = await fetchProposalLogs({
+        publicClient,
+        logFetcher,
+        ogModule,
+        fromBlock,
+        toBlock,
+    });
+
+    // Replay in chain order so a proposal hash that was deleted and later re-proposed ends up open.
+    const timeline = [
+        ...proposedLogs.map((log) => ({ log, type: 'proposed' })),
+        ...executedLogs.map((log) => ({ log, type: 'executed' })),
+        ...deletedLogs.map((log) => ({ log, type: 'deleted' })),
+    ].sort((a, b) => compareLogPosition(a.log, b.log));
+
+    const open = new Map();
+    const executedProposals = [];
     const deletedProposals = [];
-    for (const log of deletedLogs) {
+    for (const { log, type } of timeline) {
+        if (type === 'proposed') {
+            const record = parseProposalLog(log);
+            if (record) open.set(record.proposalHash, record);
+            continue;
+        }
         const proposalHash = log.args?.proposalHash;
-        if (proposalHash) {
-            proposalsByHash.delete(proposalHash);
+        if (!proposalHash) continue;
+        open.delete(proposalHash);
+        if (type === 'executed') {
+            executedProposals.push(proposalHash);
+        } else {
             deletedProposals.push(proposalHash);
         }
     }
 
-    return { newProposals, executedProposals, deletedProposals, lastProposalCheckedBlock: toBlock };
+    const openProposals = Array.from(open.values());
+    await resolveProposalRationales(openProposals, resolveExplanation);
+
+    return {
+        openProposals,
+        executedProposals,
+        deletedProposals,
+    };
+}
+
+async function backfillDeposits({
+    publicClient,
+    trackedAssets,
+    watchedErc1155 = [],
+    watchedErc721 = [],
+    commitmentSafe,
+    fromBlock,
+    toBlock,
+    logFetcher = defaultLogFetcher,
+}) {
+    if (fromBlock > toBlock) return [];
+
+    const erc20Deposits = await fetchErc20Deposits({
+        publicClient,
+        logFetcher,
+        trackedAssets,
+        commitmentSafe,
+        fromBlock,
+        toBlock,
+    });
+    const tokenIdDeposits = await fetchTokenIdDeposits({
+        publicClient,
+        logFetcher,
+        watchedErc1155,
+        watchedErc721,
+        commitmentSafe,
+        fromBlock,
+        toBlock,
+    });
+    return erc20Deposits.concat(tokenIdDeposits).sort(compareLogPosition);
+}
+
+async function estimateValueMovedWei({ publicClient, transactions, tokenValuesWei, decimalsCache }) {
+    const { nativeWei, tokenAmounts, unknown } = summarizeValueMoved(
+        decodeProposalTransactions(transactions)
+    );
+    let valueWei = nativeWei;
+    let unpriced = unknown;
+    for (const [token, amount] of tokenAmounts) {
+        const unitValue = tokenValuesWei[token];
+        if (unitValue === undefined) {
+            unpriced = true;
+            continue;
+        }
+        if (!decimalsCache.has(token)) {
+            const decimals = await publicClient.readContract({
+                address: token,
+                abi: erc20Abi,
+                functionName: 'decimals',
+            });
+            decimalsCache.set(token, BigInt(decimals));
+        }
+        valueWei += (amount * unitValue) / 10n ** decimalsCache.get(token);
+    }
+    return { valueWei, unpriced };
+}
+
+// Skips proposals whose execution gas costs more than maxGasCostBps of the value they move.
+// A proposal with value the guard cannot price is executed anyway rather than stranded, and so
+// is one that moves nothing out of the Safe (approvals, CTF redeems and merges, empty calls).
+async function passesGasGuard({
+    publicClient,
+    account,
+    ogModule,
+    proposal,
+    maxGasCostBps,
+    tokenValuesWei,
+    gasPrice,
+    decimalsCache,
+}) {
+    const { valueWei, unpriced } = await estimateValueMovedWei({
+        publicClient,
+        transactions: proposal.transactions,
+        tokenValuesWei,
+        decimalsCache,
+    });
+    if (unpriced) {
+        logger.info(
+            `Cannot value everything proposal ${proposal.proposalHash} moves; executing without the gas guard.`
+        );
+        return true;
+    }
+    if (valueWei === 0n) {
+        logger.info(
+            `Proposal ${proposal.proposalHash} moves no value out of the Safe; executing without the gas guard.`
+        );
+        return true;
+    }
+
+    const gas = await publicClient.estimateContractGas({
+        address: ogModule,
+        abi: optimisticGovernorAbi,
+        functionName: 'executeProposal',
+        args: [proposal.transactions],
+        account: account.address,
+    });
+    const gasCostWei = gas * gasPrice;
+    if (gasCostWei * 10_000n > valueWei * maxGasCostBps) {
+        logger.info(
+            `Skipping execution of ${proposal.proposalHash}: gas ~${gasCostWei} wei exceeds ${maxGasCostBps} bps of the ${valueWei} wei it moves.`
+        );
+        return false;
+    }
+    return true;
+}
+
+// All-or-nothing: every call was simulated on its own first, and keeping the batch atomic means
+// the OG execution logs in the transaction line up with the decoded calldata.
+async function executeBatch({ publicClient, walletClient, account, ogModule, proposals }) {
+    const calls = proposals.map((proposal) => ({
+        target: ogModule,
+        allowFailure: false,
+        callData: encodeFunctionData({
+            abi: optimisticGovernorAbi,
+            functionName: 'executeProposal',
+            args: [proposal.transactions],
+        }),
+    }));
+    try {
+        await publicClient.simulateContract({
+            address: MULTICALL3_ADDRESS,
+            abi: multicall3Abi,
+            functionName: 'aggregate3',
+            args: [calls],
+            account: account.address,
+        });
+    } catch (error) {
+        const reason = error?.shortMessage ?? error?.message ?? String(error);
+        logger.warn('Batched execution simulation failed; executing one by one.', { error: reason });
+        return false;
+    }
+
+    try {
+        const txHash = await walletClient.writeContract({
+            address: MULTICALL3_ADDRESS,
+            abi: multicall3Abi,
+            functionName: 'aggregate3',
+            args: [calls],
+            action: 'execute',
+        });
+        agentMetrics.executions.inc({ result: 'submitted', mode: 'batch' }, proposals.length);
+        logger.info(`Batched execution of ${proposals.length} proposals submitted`, {
+            transactionHash: txHash,
+            proposalHashes: proposals.map((proposal) => proposal.proposalHash),
+        });
+    } catch (error) {
+        agentMetrics.executions.inc({ result: 'failed', mode: 'batch' }, proposals.length);
+        logger.warn('Batched proposal execution failed', { error });
+    }
+    return true;
 }
 
 async function executeReadyProposals({
@@ -370,6 +1038,10 @@ async function executeReadyProposals({
     ogModule,
     proposalsByHash,
     executeRetryMs,
+    ownProposalsOnly = false,
+    batchMulticall = false,
+    maxGasCostBps,
+    tokenValuesWei = {},
 }) {
     if (proposalsByHash.size === 0) return;
 
@@ -377,11 +1049,20 @@ async function executeReadyProposals({
     const block = await publicClient.getBlock({ blockNumber: latestBlock });
     const now = BigInt(block.timestamp);
     const nowMs = Date.now();
+    let gasPrice;
+    const decimalsCache = new Map();
 
+    const ready = [];
     for (const proposal of proposalsByHash.values()) {
         if (!proposal?.transactions?.length) continue;
         if (proposal.challengeWindowEnds === undefined) continue;
         if (now < proposal.challengeWindowEnds) continue;
+        if (
+            ownProposalsOnly &&
+            (!proposal.proposer || !isAddressEqual(proposal.proposer, account.address))
+        ) {
+            continue;
+        }
         if (proposal.lastAttemptMs && nowMs - proposal.lastAttemptMs < executeRetryMs) {
             continue;
         }
@@ -397,7 +1078,7 @@ async function executeReadyProposals({
                 args: [proposal.proposalHash],
             });
         } catch (error) {
-            console.warn('[agent] Failed to read assertionId:', error);
+            logger.warn('Failed to read assertionId', { proposalHash: proposal.proposalHash, error });
             continue;
         }
 
@@ -416,27 +1097,74 @@ async function executeReadyProposals({
             });
         } catch (error) {
             const reason = error?.shortMessage ?? error?.message ?? String(error);
-            console.warn(
-                `[agent] Proposal execution simulation failed for ${proposal.proposalHash}: ${reason}`
+            logger.warn(
+                `Proposal execution simulation failed for ${proposal.proposalHash}: ${reason}`
             );
             continue;
         }
 
+        if (maxGasCostBps !== undefined) {
+            try {
+                gasPrice ??= await publicClient.getGasPrice();
+                const worthIt = await passesGasGuard({
+                    publicClient,
+                    account,
+                    ogModule,
+                    proposal,
+                    maxGasCostBps,
+                    tokenValuesWei,
+                    gasPrice,
+                    decimalsCache,
+                });
+                if (!worthIt) continue;
+            } catch (error) {
+                logger.warn(`Gas guard failed for ${proposal.proposalHash}; retrying later.`, {
+                    error,
+                });
+                continue;
+            }
+        }
+
+        ready.push(proposal);
+    }
+
+    if (batchMulticall && ready.length > 1) {
+        const batched = await executeBatch({
+            publicClient,
+            walletClient,
+            account,
+            ogModule,
+            proposals: ready,
+        });
+        if (batched) return;
+    }
+
+    for (const proposal of ready) {
         try {
             const txHash = await walletClient.writeContract({
                 address: ogModule,
                 abi: optimisticGovernorAbi,
                 functionName: 'executeProposal',
                 args: [proposal.transactions],
+                action: 'execute',
+            });
+            agentMetrics.executions.inc({ result: 'submitted', mode: 'single' });
+            logger.info('Proposal execution submitted', {
+                proposalHash: proposal.proposalHash,
+                transactionHash: txHash,
             });
-            console.log('[agent] Proposal execution submitted:', txHash);
         } catch (error) {
-            console.warn('[agent] Proposal execution failed:', error?.shortMessage ?? error?.message ?? error);
+            agentMetrics.executions.inc({ result: 'failed', mode: 'single' });
+            logger.warn('Proposal execution failed', { proposalHash: proposal.proposalHash, error });
         }
     }
 }
 
 export {
+    backfillDeposits,
+    backfillProposals,
+    findContractDeploymentBlock,
+    getConfirmedBlockNumber,
     primeBalances,
     getAlwaysEmitBalanceSnapshotPollingOptions,
     pollCommitmentChanges,
@@ -9,8 +9,11 @@ import {
     keccak256,
     zeroAddress,
 } from 'viem';
+import { createLogger } from './logger.js';
 import { normalizeAddressOrNull, normalizeHashOrNull } from './utils.js';
 
+const logger = createLogger('agent');
+
 const DEFAULT_RELAYER_HOST = 'https://relayer-v2.polymarket.com';
 const DEFAULT_RELAYER_REQUEST_TIMEOUT_MS = 15_000;
 const DEFAULT_RELAYER_POLL_INTERVAL_MS = 2_000;
@@ -1075,8 +1078,8 @@ async function ensureSafeDeployed({
     }
 
     if (deployed === null) {
-        console.warn(
-            `[agent] Unable to verify SAFE deployment for ${safeAddress} via relayer /deployed endpoint; proceeding without deployment check.`
+        logger.warn(
+            `Unable to verify SAFE deployment for ${safeAddress} via relayer /deployed endpoint; proceeding without deployment check.`
         );
         return;
     }
@@ -1214,6 +1217,12 @@ async function relayPolymarketTransaction({
             'Relayer submission did not return transactionID or txHash; cannot track transaction lifecycle.'
         );
     }
+    logger.info('Relayer transaction submitted', {
+        transactionId: submission.transactionId,
+        relayTxHash: submission.relayTxHash,
+        txType,
+        proxyWallet: resolvedProxyWallet,
+    });
 
     const waited = await waitForRelayerTransaction({
         config,
@@ -1236,6 +1245,11 @@ async function relayPolymarketTransaction({
             `Relayer transaction reached state=${waited.state ?? 'unknown'} without transactionHash. transactionId=${waited.transactionId ?? 'unknown'} relayTxHash=${waited.relayTxHash ?? 'unknown'}`
         );
     }
+    logger.info('Relayer transaction confirmed', {
+        transactionHash,
+        transactionId: waited.transactionId ?? submission.transactionId,
+        state: waited.state,
+    });
 
     return {
         transactionHash,
@@ -1,5 +1,8 @@
 import crypto from 'node:crypto';
 import { getAddress, zeroAddress } from 'viem';
+import { createLogger } from './logger.js';
+
+const logger = createLogger('agent');
 
 const DEFAULT_CLOB_HOST = 'https://clob.polymarket.com';
 const DEFAULT_CLOB_REQUEST_TIMEOUT_MS = 15_000;
@@ -352,8 +355,15 @@ async function clobRequest({
                 parsed = { raw: text };
             }
 
+            logger.debug('CLOB request', { method, path, status: response.status, attempt });
             if (!response.ok) {
                 if (attempt < retriesAllowed && shouldRetryResponseStatus(response.status)) {
+                    logger.warn('CLOB request failed; retrying.', {
+                        method,
+                        path,
+                        status: response.status,
+                        attempt,
+                    });
                     await sleep(retryDelayMs);
                     continue;
                 }
@@ -365,6 +375,7 @@ async function clobRequest({
             return parsed;
         } catch (error) {
             if (attempt < retriesAllowed && shouldRetryError(error)) {
+                logger.warn('CLOB request failed; retrying.', { method, path, attempt, error });
                 await sleep(retryDelayMs);
                 continue;
             }
@@ -1,4 +1,7 @@
 import { parseAbi } from 'viem';
+import { createLogger } from './logger.js';
+
+const logger = createLogger('price');
 
 const chainlinkAbi = parseAbi([
     'function latestRoundData() external view returns (uint80 roundId, int256 answer, uint256 startedAt, uint256 updatedAt, uint80 answeredInRound)',
@@ -14,10 +17,10 @@ async function getEthPriceUSD(publicClient, priceFeedAddress = '0x694AA176935721
 
         const answer = result[1];
         const price = Number(answer) / 1e8;
-        console.log(`[price] ETH/USD from Chainlink: $${price.toFixed(2)}`);
+        logger.info(`ETH/USD from Chainlink: $${price.toFixed(2)}`);
         return price;
     } catch (error) {
-        console.error('[price] Failed to fetch ETH price from Chainlink:', error);
+        logger.error('Failed to fetch ETH price from Chainlink', { error });
         throw new Error('Unable to fetch ETH price from Chainlink oracle');
     }
 }
@@ -32,10 +35,10 @@ async function getEthPriceUSDFallback() {
         }
         const data = await response.json();
         const price = data.ethereum.usd;
-        console.log(`[price] ETH/USD from Coingecko: $${price.toFixed(2)}`);
+        logger.info(`ETH/USD from Coingecko: $${price.toFixed(2)}`);
         return price;
     } catch (error) {
-        console.error('[price] Failed to fetch ETH price from Coingecko:', error);
+        logger.error('Failed to fetch ETH price from Coingecko', { error });
         throw error;
     }
 }
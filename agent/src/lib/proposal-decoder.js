@@ -0,0 +1,146 @@
+import { decodeFunctionData, erc20Abi, getAddress, parseAbi, size, slice } from 'viem';
+import { conditionalTokensAbi, erc1155TransferAbi, uniswapV3SwapRouterAbi } from './tx.js';
+
+const erc20TransferAbi = erc20Abi.filter(
+    (item) =>
+        item.type === 'function' && ['transfer', 'approve', 'transferFrom'].includes(item.name)
+);
+
+// Decoded kinds line up with build_og_transactions action kinds where one exists, so a rule
+// checker can compare what was proposed with what the agent would have built.
+const KNOWN_CALLS = [
+    {
+        abi: erc20TransferAbi,
+        kinds: {
+            transfer: 'erc20_transfer',
+            approve: 'erc20_approve',
+            transferFrom: 'transfer_from',
+        },
+    },
+    {
+        abi: uniswapV3SwapRouterAbi,
+        kinds: { exactInputSingle: 'uniswap_v3_exact_input_single' },
+    },
+    {
+        abi: conditionalTokensAbi,
+        kinds: {
+            splitPosition: 'ctf_split',
+            mergePositions: 'ctf_merge',
+            redeemPositions: 'ctf_redeem',
+        },
+    },
+    {
+        abi: erc1155TransferAbi,
+        kinds: { safeTransferFrom: 'erc1155_transfer' },
+    },
+];
+
+function normalizeExtraAbi(extraAbi) {
+    if (!Array.isArray(extraAbi) || extraAbi.length === 0) return [];
+    return extraAbi.every((item) => typeof item === 'string') ? parseAbi(extraAbi) : extraAbi;
+}
+
+function tryDecode(abi, data) {
+    try {
+        return decodeFunctionData({ abi, data });
+    } catch (error) {
+        return null;
+    }
+}
+
+function decodeProposalTransaction(tx, index, extraAbi = []) {
+    const base = {
+        index,
+        to: getAddress(tx.to),
+        value: BigInt(tx.value ?? 0),
+        operation: Number(tx.operation ?? 0),
+    };
+    const data = tx.data ?? '0x';
+
+    if (data === '0x') {
+        return { ...base, kind: base.value > 0n ? 'native_transfer' : 'empty_call' };
+    }
+
+    for (const { abi, kinds } of KNOWN_CALLS) {
+        const decoded = tryDecode(abi, data);
+        if (decoded && kinds[decoded.functionName]) {
+            return {
+                ...base,
+                kind: kinds[decoded.functionName],
+                functionName: decoded.functionName,
+                args: decoded.args,
+            };
+        }
+    }
+
+    if (extraAbi.length > 0) {
+        const decoded = tryDecode(extraAbi, data);
+        if (decoded) {
+            return {
+                ...base,
+                kind: 'contract_call',
+                functionName: decoded.functionName,
+                args: decoded.args ?? [],
+            };
+        }
+    }
+
+    return {
+        ...base,
+        kind: 'unknown',
+        selector: size(data) >= 4 ? slice(data, 0, 4) : data,
+        data,
+    };
+}
+
+// `extraAbi` takes human-readable signatures or a parsed ABI for contracts the commitment calls
+// that the agent does not know about natively.
+function decodeProposalTransactions(transactions, { extraAbi } = {}) {
+    const abi = normalizeExtraAbi(extraAbi);
+    return (transactions ?? []).map((tx, index) => decodeProposalTransaction(tx, index, abi));
+}
+
+// Kinds that move nothing out of the Safe by themselves (beyond any attached native value).
+const NO_TOKEN_OUTFLOW = new Set([
+    'erc20_approve',
+    'ctf_merge',
+    'ctf_redeem',
+    'native_transfer',
+    'empty_call',
+]);
+
+function tokenOutflow(decoded) {
+    switch (decoded.kind) {
+        case 'erc20_transfer':
+            return { token: decoded.to, amount: decoded.args[1] };
+        case 'transfer_from':
+            return { token: decoded.to, amount: decoded.args[2] };
+        case 'uniswap_v3_exact_input_single':
+            return { token: getAddress(decoded.args[0].tokenIn), amount: decoded.args[0].amountIn };
+        case 'ctf_split':
+            return { token: getAddress(decoded.args[0]), amount: decoded.args[4] };
+        default:
+            return null;
+    }
+}
+
+// What a proposal moves out of the Safe: native value, ERC20 amounts per token, and whether any
+// call (ERC1155 transfers, unknown or extra-ABI calls) moves value that cannot be read off it.
+function summarizeValueMoved(decodedTransactions) {
+    let nativeWei = 0n;
+    const tokenAmounts = new Map();
+    let unknown = false;
+    for (const decoded of decodedTransactions) {
+        nativeWei += decoded.value;
+        const outflow = tokenOutflow(decoded);
+        if (outflow) {
+            const key = outflow.token.toLowerCase();
+            tokenAmounts.set(key, (tokenAmounts.get(key) ?? 0n) + BigInt(outflow.amount));
+        } else if (!NO_TOKEN_OUTFLOW.has(decoded.kind)) {
+            unknown = true;
+        }
+    }
+    return { nativeWei, tokenAmounts, unknown };
+}
+
+export { decodeProposalTransactions, summarizeValueMoved };
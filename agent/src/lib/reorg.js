@@ -0,0 +1,68 @@
+const DEFAULT_MAX_TRACKED_BLOCKS = 64;
+
+function createBlockHashTracker({ maxEntries = DEFAULT_MAX_TRACKED_BLOCKS } = {}) {
+    const hashes = new Map();
+
+    function record(blockNumber, hash) {
+        if (blockNumber === undefined || !hash) return;
+        hashes.set(BigInt(blockNumber), hash);
+        if (hashes.size <= maxEntries) return;
+        const ordered = Array.from(hashes.keys()).sort((a, b) => (a < b ? -1 : a > b ? 1 : 0));
+        for (const stale of ordered.slice(0, hashes.size - maxEntries)) {
+            hashes.delete(stale);
+        }
+    }
+
+    function has(blockNumber) {
+        return hashes.has(BigInt(blockNumber));
+    }
+
+    async function readCanonicalHash({ publicClient, blockNumber }) {
+        try {
+            const block = await publicClient.getBlock({ blockNumber });
+            return block?.hash;
+        } catch (error) {
+            // A shorter canonical chain after a reorg makes the block unknown.
+            return undefined;
+        }
+    }
+
+    // Returns null when the newest processed block is still canonical, otherwise the newest
+    // processed block that survived the reorg (the point to rewind cursors to).
+    async function findReorg({ publicClient }) {
+        const recorded = Array.from(hashes.entries()).sort((a, b) =>
+            a[0] > b[0] ? -1 : a[0] < b[0] ? 1 : 0
+        );
+        if (recorded.length === 0) return null;
+
+        for (let index = 0; index < recorded.length; index += 1) {
+            const [blockNumber, hash] = recorded[index];
+            const canonicalHash = await readCanonicalHash({ publicClient, blockNumber });
+            if (canonicalHash === hash) {
+                if (index === 0) return null;
+                for (const [orphaned] of recorded.slice(0, index)) {
+                    hashes.delete(orphaned);
+                }
+                return { ancestorBlock: blockNumber, orphanedBlock: recorded[index - 1][0] };
+            }
+        }
+
+        const oldest = recorded[recorded.length - 1][0];
+        hashes.clear();
+        return { ancestorBlock: oldest > 0n ? oldest - 1n : 0n, orphanedBlock: oldest };
+    }
+
+    return {
+        record,
+        has,
+        findReorg,
+        entries: () => Array.from(hashes.entries()),
+        restore(entries) {
+            for (const [blockNumber, hash] of entries ?? []) {
+                record(blockNumber, hash);
+            }
+        },
+    };
+}
+
+export { createBlockHashTracker };
@@ -0,0 +1,133 @@
+import { decodeReplayInput } from './decision-journal.js';
+import { DEFAULT_SYSTEM_PROMPT, callAgent } from './llm.js';
+import { canonicalJson } from './llm-recorder.js';
+import { toJsonValue } from './logger.js';
+import { loadOgContext } from './og.js';
+import { createStateStore } from './state-store.js';
+import { decidePolicyToolCalls, validateModelToolCalls } from './tool-loop.js';
+import { toolDefinitions } from './tools.js';
+import { parseToolArguments } from './utils.js';
+
+function comparableToolCalls(toolCalls) {
+    return (toolCalls ?? []).map((call) => ({
+        name: call.name,
+        arguments: parseToolArguments(call.arguments) ?? call.arguments,
+    }));
+}
+
+// Re-runs one decision journal entry through the agent module: augmentSignals and enrichSignals
+// against `publicClient` (normally a local fork at the entry's block), then validateToolCalls on
+// the model's tool calls. With `replayLlm`, the tool calls come from callAgent in
+// LLM_RECORD_MODE=replay, which also proves the prompt is unchanged; otherwise they come from the
+// journal. Modules that export decide() are asked again instead, since they need no model.
+// Tools are never executed, so follow-up turns of the tool loop are not replayed.
+async function replayDecision({
+    entry,
+    agentModule,
+    commitmentText,
+    config,
+    publicClient,
+    replayLlm = false,
+}) {
+    if (!entry?.replay) {
+        throw new Error('Journal entry has no replay section; it predates replay support.');
+    }
+    const input = decodeReplayInput(entry.replay);
+    const { nowMs, latestBlock, onchainPendingProposal, agentAddress } = input;
+    const stateStore = (await createStateStore({ kind: 'memory' })).scoped(
+        `agent:${config.agentModule ?? 'default'}`
+    );
+    if (input.agentState !== undefined) {
+        await stateStore.write(input.agentState);
+    }
+
+    let signals = input.signals;
+    if (agentModule?.augmentSignals) {
+        signals = agentModule.augmentSignals(signals, { nowMs, latestBlock });
+    }
+    let enrichError;
+    if (agentModule?.enrichSignals) {
+        try {
+            signals = await agentModule.enrichSignals(signals, {
+                publicClient,
+                config,
+                account: { address: agentAddress },
+                onchainPendingProposal,
+                nowMs,
+                latestBlock,
+                stateStore,
+            });
+        } catch (error) {
+            // The runner carries on with unenriched signals, and so does the replay.
+            enrichError = error?.message ?? String(error);
+        }
+    }
+    const signalsMatch =
+        JSON.stringify(signals, toJsonValue) === JSON.stringify(entry.signals, toJsonValue);
+
+    const context = {
+        signals,
+        commitmentText,
+        commitmentSafe: config.commitmentSafe,
+        agentAddress,
+        publicClient,
+        config,
+        onchainPendingProposal,
+        stateStore,
+    };
+    let toolCalls = entry.toolCalls ?? [];
+    if (typeof agentModule?.decide === 'function') {
+        toolCalls = await decidePolicyToolCalls({ agentModule, context });
+    } else if (replayLlm) {
+        const allowTools =
+            config.proposeEnabled || config.disputeEnabled || config.polymarketClobEnabled;
+        const decision = await callAgent({
+            config: { ...config, llmRecordMode: 'replay' },
+            systemPrompt:
+                agentModule?.getSystemPrompt?.({
+                    proposeEnabled: config.proposeEnabled,
+                    disputeEnabled: config.disputeEnabled,
+                    commitmentText,
+                }) ?? DEFAULT_SYSTEM_PROMPT,
+            signals,
+            ogContext: await loadOgContext({ publicClient, ogModule: config.ogModule }),
+            commitmentText,
+            agentAddress,
+            tools: toolDefinitions({
+                proposeEnabled: config.proposeEnabled,
+                disputeEnabled: config.disputeEnabled,
+                clobEnabled: config.polymarketClobEnabled,
+                onchainToolsEnabled: config.proposeEnabled || config.disputeEnabled,
+            }),
+            allowTools,
+        });
+        toolCalls = decision.toolCalls;
+    }
+
+    const turn = {};
+    const approvedToolCalls =
+        toolCalls.length > 0
+            ? await validateModelToolCalls({
+                  agentModule,
+                  toolCalls,
+                  turn,
+                  context,
+              })
+            : [];
+    const expected = comparableToolCalls(entry.approvedToolCalls);
+    const actual = comparableToolCalls(approvedToolCalls);
+
+    return {
+        decisionId: entry.decisionId,
+        latestBlock,
+        signalsMatch,
+        toolCallsMatch: canonicalJson(expected) === canonicalJson(actual),
+        expectedToolCalls: expected,
+        actualToolCalls: actual,
+        enrichError,
+        validationError: turn.validationError,
+        followUpsSkipped: entry.followUps?.length ?? 0,
+    };
+}
+
+export { replayDecision };
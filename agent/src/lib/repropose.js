@@ -0,0 +1,144 @@
+import { isAddressEqual } from 'viem';
+import { createLogger } from './logger.js';
+
+const logger = createLogger('agent');
+
+const DEFAULT_POLICY = {
+    maxAttempts: 1,
+    backoffMs: 300_000,
+    backoffMultiplier: 2,
+    maxBackoffMs: 3_600_000,
+};
+
+// Agent modules opt in with getReproposePolicy(); anything falsy, or `enabled: false`, keeps
+// disputed proposals deleted.
+function normalizeReproposePolicy(policy) {
+    if (!policy || policy.enabled === false) return null;
+    const merged = { ...DEFAULT_POLICY, ...policy };
+    const maxAttempts = Number(merged.maxAttempts);
+    const backoffMs = Number(merged.backoffMs);
+    const backoffMultiplier = Number(merged.backoffMultiplier);
+    const maxBackoffMs = Number(merged.maxBackoffMs);
+    if (!Number.isInteger(maxAttempts) || maxAttempts < 1) {
+        throw new Error('Re-propose maxAttempts must be a positive integer.');
+    }
+    if (
+        ![backoffMs, backoffMultiplier, maxBackoffMs].every(Number.isFinite) ||
+        backoffMs < 0 ||
+        backoffMultiplier < 1 ||
+        maxBackoffMs < backoffMs
+    ) {
+        throw new Error(
+            'Re-propose backoff needs backoffMs >= 0, backoffMultiplier >= 1, maxBackoffMs >= backoffMs.'
+        );
+    }
+    return { maxAttempts, backoffMs, backoffMultiplier, maxBackoffMs };
+}
+
+function backoffFor(policy, attempts) {
+    const delay = policy.backoffMs * policy.backoffMultiplier ** attempts;
+    return Math.min(delay, policy.maxBackoffMs);
+}
+
+// Re-submits the agent's own proposals after a dispute deletes them. The OG proposal hash only
+// depends on the transactions, so attempts are counted per hash across dispute rounds: a
+// re-proposal that is disputed again uses up another attempt.
+function createReproposer({ policy, propose, agentAddress, nowMs = () => Date.now() }) {
+    const attemptsByHash = new Map();
+    const queued = new Map();
+
+    // Returns the re-propose status for a deleted proposal, for the proposalDeleted signal.
+    function schedule(deletion) {
+        const { proposal, proposalHash } = deletion;
+        if (deletion.reason !== 'disputed') return undefined;
+        if (!proposal?.proposer || !isAddressEqual(proposal.proposer, agentAddress)) {
+            return undefined;
+        }
+        if (!proposal.transactions?.length) return undefined;
+
+        const attempts = attemptsByHash.get(proposalHash) ?? 0;
+        if (attempts >= policy.maxAttempts) {
+            logger.warn(
+                `Proposal ${proposalHash} disputed again; re-propose attempts exhausted (${attempts}/${policy.maxAttempts}).`
+            );
+            return { status: 'exhausted', attempts, maxAttempts: policy.maxAttempts };
+        }
+
+        const nextAttemptMs = nowMs() + backoffFor(policy, attempts);
+        queued.set(proposalHash, {
+            proposalHash,
+            transactions: proposal.transactions,
+            explanation: proposal.explanation,
+            rationale: proposal.rationale,
+            disputer: deletion.disputer,
+            nextAttemptMs,
+        });
+        logger.info(
+            `Proposal ${proposalHash} disputed by ${deletion.disputer}; re-proposing after ${new Date(nextAttemptMs).toISOString()}.`
+        );
+        return {
+            status: 'scheduled',
+            attempt: attempts + 1,
+            maxAttempts: policy.maxAttempts,
+            nextAttemptMs,
+        };
+    }
+
+    // Submits every re-proposal whose backoff has elapsed. Returns one entry per attempt with the
+    // propose result or the error, so the runner can report them like tool outputs.
+    async function runDue() {
+        const results = [];
+        for (const entry of Array.from(queued.values())) {
+            if (nowMs() < entry.nextAttemptMs) continue;
+            const attempts = (attemptsByHash.get(entry.proposalHash) ?? 0) + 1;
+            attemptsByHash.set(entry.proposalHash, attempts);
+            queued.delete(entry.proposalHash);
+
+            try {
+                const result = await propose(entry);
+                if (result?.submissionError) {
+                    throw new Error(result.submissionError.message ?? 'Propose submission failed.');
+                }
+                logger.info(`Re-proposed ${entry.proposalHash} (attempt ${attempts}).`, {
+                    transactionHash: result?.transactionHash,
+                });
+                results.push({ proposalHash: entry.proposalHash, attempt: attempts, result });
+            } catch (error) {
+                const message = error?.message ?? String(error);
+                logger.warn(`Re-proposing ${entry.proposalHash} failed`, { error: message });
+                if (attempts < policy.maxAttempts) {
+                    queued.set(entry.proposalHash, {
+                        ...entry,
+                        nextAttemptMs: nowMs() + backoffFor(policy, attempts),
+                    });
+                }
+                results.push({ proposalHash: entry.proposalHash, attempt: attempts, error });
+            }
+        }
+        return results;
+    }
+
+    // A proposal that made it through execution starts from zero if it is ever proposed again.
+    function clear(proposalHashes) {
+        for (const proposalHash of proposalHashes ?? []) {
+            attemptsByHash.delete(proposalHash);
+            queued.delete(proposalHash);
+        }
+    }
+
+    return {
+        schedule,
+        runDue,
+        clear,
+        entries: () => ({
+            attempts: Array.from(attemptsByHash.entries()),
+            queued: Array.from(queued.entries()),
+        }),
+        restore(saved) {
+            for (const [hash, attempts] of saved?.attempts ?? []) attemptsByHash.set(hash, attempts);
+            for (const [hash, entry] of saved?.queued ?? []) queued.set(hash, entry);
+        },
+    };
+}
+
+export { createReproposer, normalizeReproposePolicy };
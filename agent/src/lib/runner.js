@@ -0,0 +1,1169 @@
+import { readFile } from 'node:fs/promises';
+import path from 'node:path';
+import { pathToFileURL } from 'node:url';
+import { createAssertionTracker } from './assertion-tracker.js';
+import { createDecisionJournal, encodeReplayInput } from './decision-journal.js';
+import { createFundingMonitor, fundingThresholds } from './funding.js';
+import { fetchExplanationDocument } from './explanation.js';
+import { createProposalGuardian } from './guardian.js';
+import { createLogFetcher } from './log-fetcher.js';
+import { createLogger, newCorrelationId, withLogContext } from './logger.js';
+import { agentMetrics } from './metrics.js';
+import { createNativeDepositAttributor } from './native-deposits.js';
+import { createBlockHashTracker } from './reorg.js';
+import { createReproposer, normalizeReproposePolicy } from './repropose.js';
+import { createSignalWatcher } from './subscriptions.js';
+import {
+    assessFunding,
+    getOgFundingStatus,
+    loadOgContext,
+    loadOptimisticGovernorDefaults,
+    logOgFundingStatus,
+} from './og.js';
+import {
+    backfillDeposits,
+    backfillProposals,
+    executeReadyProposals,
+    findContractDeploymentBlock,
+    getConfirmedBlockNumber,
+    pollCommitmentChanges,
+    pollProposalChanges,
+    primeBalances,
+} from './polling.js';
+import { DEFAULT_SYSTEM_PROMPT, callAgent } from './llm.js';
+import { createLlmBudget } from './llm-budget.js';
+import { getLlmProvider } from './llm-providers.js';
+import {
+    decidePolicyToolCalls,
+    journalToolOutput,
+    recordTurn,
+    runToolLoop,
+    validateModelToolCalls,
+} from './tool-loop.js';
+import { executeToolCalls, toolDefinitions } from './tools.js';
+import { extractTimelockTriggers } from './timelock.js';
+import { postBondAndDispute, postBondAndPropose } from './tx.js';
+import { collectPriceTriggerSignals } from './uniswapV3Price.js';
+
+const logger = createLogger('agent');
+
+// Everything one commitment needs between polls lives in this closure, so several runners can
+// share a process, a public client, and a signer without sharing state.
+async function createCommitmentRunner({
+    config,
+    publicClient,
+    account,
+    walletClient,
+    stateStore,
+    repoRoot,
+    moduleInstanceKey,
+}) {
+    const logFetcher = createLogFetcher({ maxRange: config.logChunkSize });
+    const nativeDepositAttributor = createNativeDepositAttributor({
+        mode: config.nativeDepositAttribution,
+        maxScanBlocks: config.nativeDepositScanMaxBlocks,
+    });
+    const resolveExplanation = config.ipfsGatewayUrl
+        ? (cid) => fetchExplanationDocument({ gatewayUrl: config.ipfsGatewayUrl, cid })
+        : undefined;
+    const llmBudget = createLlmBudget({ config });
+    let llmDegradedReason;
+    const agentAddress = account.address;
+    const assertionTracker = createAssertionTracker({
+        publicClient,
+        walletClient,
+        account,
+        logFetcher,
+        settleEnabled: config.settleAssertions,
+        settleRetryMs: config.settleRetryMs,
+    });
+    const runnerState = stateStore.scoped('runner');
+    const commitmentId = moduleInstanceKey ?? config.agentModule ?? 'default';
+    const decisionJournal = config.decisionJournalPath
+        ? createDecisionJournal({ filePath: path.resolve(repoRoot, config.decisionJournalPath) })
+        : undefined;
+
+    const trackedAssets = new Set(config.watchAssets.map((asset) => String(asset).toLowerCase()));
+    let lastCheckedBlock = config.startBlock;
+    let lastProposalCheckedBlock = config.startBlock;
+    let lastNativeBalance;
+    let lastAssetBalances = new Map();
+    let lastTokenIdBalances = new Map();
+    let ogContext;
+    const proposalsByHash = new Map();
+    let backfilledProposals = [];
+    let recentlyRemovedProposals = [];
+    const blockHashTracker = createBlockHashTracker();
+    const depositHistory = [];
+    const blockTimestampCache = new Map();
+    const timelockTriggers = new Map();
+    const priceTriggerState = new Map();
+    const tokenMetaCache = new Map();
+    const poolMetaCache = new Map();
+    const resolvedPoolCache = new Map();
+    let signalWatcher;
+    let fundingMonitor;
+    let loopTimer;
+    let loopRunning = false;
+    let loopWakeRequested = false;
+    let loopIteration = 0;
+    let startedAtMs;
+    let lastSuccessfulLoopMs;
+    let lastLoopError;
+    let stopped = false;
+
+    async function loadAgentModule() {
+        const agentRef = config.agentModule ?? 'default';
+        const modulePath = agentRef.includes('/')
+            ? agentRef
+            : `agent-library/agents/${agentRef}/agent.js`;
+        const resolvedPath = path.resolve(repoRoot, modulePath);
+        const moduleUrl = pathToFileURL(resolvedPath).href;
+        // A query suffix gives each supervised commitment its own module instance and module state.
+        const agentModule = await import(
+            moduleInstanceKey
+                ? `${moduleUrl}?commitment=${encodeURIComponent(moduleInstanceKey)}`
+                : moduleUrl
+        );
+
+        const commitmentPath = path.join(path.dirname(resolvedPath), 'commitment.txt');
+        let commitmentText = '';
+        try {
+            commitmentText = (await readFile(commitmentPath, 'utf8')).trim();
+        } catch (error) {
+            logger.warn('Missing commitment.txt next to agent module', { commitmentPath });
+        }
+
+        return { agentModule, commitmentText };
+    }
+
+    const { agentModule, commitmentText } = await loadAgentModule();
+    const agentStateStore = stateStore.scoped(`agent:${config.agentModule ?? 'default'}`);
+    const pollingOptions = (() => {
+        if (typeof agentModule?.getPollingOptions !== 'function') {
+            return {};
+        }
+        try {
+            return agentModule.getPollingOptions({ commitmentText }) ?? {};
+        } catch (error) {
+            logger.warn('getPollingOptions() failed; using defaults.');
+            return {};
+        }
+    })();
+    const guardian = (() => {
+        if (!config.guardianMode) return undefined;
+        if (typeof agentModule?.verifyProposal !== 'function') {
+            logger.warn(
+                'GUARDIAN_MODE needs the agent module to export verifyProposal(); guardian off.'
+            );
+            return undefined;
+        }
+        let extraAbi = [];
+        try {
+            extraAbi = agentModule.getKnownAbis?.() ?? [];
+        } catch (error) {
+            logger.warn('getKnownAbis() failed; decoding with built-in ABIs only.');
+        }
+        return createProposalGuardian({
+            verifyProposal: agentModule.verifyProposal,
+            extraAbi,
+            dispute: ({ proposal, reason }) =>
+                postBondAndDispute({
+                    publicClient,
+                    walletClient,
+                    account,
+                    config,
+                    ogContext,
+                    assertionId: proposal.assertionId,
+                    explanation: reason,
+                }),
+            disputeEnabled: config.disputeEnabled,
+            disputeRetryMs: config.disputeRetryMs,
+            agentAddress,
+        });
+    })();
+
+    const reproposer = (() => {
+        if (!config.proposeEnabled || typeof agentModule?.getReproposePolicy !== 'function') {
+            return undefined;
+        }
+        let policy;
+        try {
+            policy = normalizeReproposePolicy(agentModule.getReproposePolicy({ commitmentText }));
+        } catch (error) {
+            logger.warn('getReproposePolicy() failed; not re-proposing.', { error });
+            return undefined;
+        }
+        if (!policy) return undefined;
+        return createReproposer({
+            policy,
+            agentAddress,
+            propose: ({ transactions, explanation, rationale }) =>
+                postBondAndPropose({
+                    publicClient,
+                    walletClient,
+                    account,
+                    config,
+                    ogModule: config.ogModule,
+                    transactions,
+                    explanation,
+                    rationale,
+                }),
+        });
+    })();
+
+    async function restoreRunnerState() {
+        const saved = await runnerState.read();
+        if (!saved) return false;
+
+        if (saved.lastCheckedBlock !== undefined) lastCheckedBlock = saved.lastCheckedBlock;
+        if (saved.lastProposalCheckedBlock !== undefined) {
+            lastProposalCheckedBlock = saved.lastProposalCheckedBlock;
+        }
+        if (saved.lastNativeBalance !== undefined) lastNativeBalance = saved.lastNativeBalance;
+        if (saved.lastAssetBalances instanceof Map) lastAssetBalances = saved.lastAssetBalances;
+        if (saved.lastTokenIdBalances instanceof Map) lastTokenIdBalances = saved.lastTokenIdBalances;
+        for (const [hash, proposal] of saved.proposalsByHash ?? []) {
+            proposalsByHash.set(hash, proposal);
+        }
+        depositHistory.push(...(saved.depositHistory ?? []));
+        for (const [id, trigger] of saved.timelockTriggers ?? []) {
+            timelockTriggers.set(id, trigger);
+        }
+        for (const [id, state] of saved.priceTriggerState ?? []) {
+            priceTriggerState.set(id, state);
+        }
+        blockHashTracker.restore(saved.blockHashes);
+        assertionTracker.restore(saved.assertions);
+        reproposer?.restore(saved.reproposals);
+        recentlyRemovedProposals = saved.recentlyRemovedProposals ?? [];
+        return true;
+    }
+
+    async function checkpointRunnerState() {
+        try {
+            await runnerState.write({
+                lastCheckedBlock,
+                lastProposalCheckedBlock,
+                lastNativeBalance,
+                lastAssetBalances,
+                lastTokenIdBalances,
+                proposalsByHash,
+                depositHistory,
+                timelockTriggers,
+                priceTriggerState,
+                blockHashes: blockHashTracker.entries(),
+                assertions: assertionTracker.entries(),
+                reproposals: reproposer?.entries(),
+                recentlyRemovedProposals,
+            });
+        } catch (error) {
+            logger.warn('Failed to checkpoint agent state', { error });
+        }
+    }
+
+    async function getBlockTimestampMs(blockNumber) {
+        if (!blockNumber) return undefined;
+        const key = blockNumber.toString();
+        if (blockTimestampCache.has(key)) {
+            return blockTimestampCache.get(key);
+        }
+        const block = await publicClient.getBlock({ blockNumber });
+        const timestampMs = Number(block.timestamp) * 1000;
+        blockTimestampCache.set(key, timestampMs);
+        return timestampMs;
+    }
+
+    async function recordProcessedBlocks() {
+        for (const blockNumber of new Set([lastCheckedBlock, lastProposalCheckedBlock])) {
+            if (blockNumber === undefined || blockHashTracker.has(blockNumber)) continue;
+            const block = await publicClient.getBlock({ blockNumber });
+            blockHashTracker.record(blockNumber, block.hash);
+        }
+
+        const trackedBlocks = blockHashTracker.entries().map(([blockNumber]) => blockNumber);
+        if (trackedBlocks.length > 0) {
+            const oldestTracked = trackedBlocks.reduce((oldest, blockNumber) =>
+                blockNumber < oldest ? blockNumber : oldest
+            );
+            recentlyRemovedProposals = recentlyRemovedProposals.filter(
+                (entry) => entry.blockNumber >= oldestTracked
+            );
+        }
+    }
+
+    async function rewindForReorg() {
+        const reorg = await blockHashTracker.findReorg({ publicClient });
+        if (!reorg) return [];
+
+        const { ancestorBlock, orphanedBlock } = reorg;
+        logger.warn(
+            `Reorg detected at block ${orphanedBlock.toString()}; rewinding to ${ancestorBlock.toString()}.`
+        );
+        if (lastCheckedBlock > ancestorBlock) lastCheckedBlock = ancestorBlock;
+        if (lastProposalCheckedBlock > ancestorBlock) lastProposalCheckedBlock = ancestorBlock;
+        lastNativeBalance = await primeBalances({
+            publicClient,
+            commitmentSafe: config.commitmentSafe,
+            watchNativeBalance: config.watchNativeBalance,
+            blockNumber: ancestorBlock,
+        });
+
+        // Deposits and proposals from orphaned blocks are dropped here; the rescan from the
+        // ancestor re-emits whichever of them landed on the canonical chain.
+        const retractedDepositIds = new Set();
+        for (let index = depositHistory.length - 1; index >= 0; index -= 1) {
+            if (depositHistory[index].blockNumber > ancestorBlock) {
+                const [retracted] = depositHistory.splice(index, 1);
+                retractedDepositIds.add(retracted.id);
+            }
+        }
+        for (const [id, trigger] of timelockTriggers) {
+            if (!trigger.fired && retractedDepositIds.has(trigger.deposit?.id)) {
+                timelockTriggers.delete(id);
+            }
+        }
+
+        const retractedProposals = [];
+        for (const [proposalHash, proposal] of proposalsByHash) {
+            if (proposal.blockNumber !== undefined && proposal.blockNumber > ancestorBlock) {
+                proposalsByHash.delete(proposalHash);
+                retractedProposals.push(proposalHash);
+            }
+        }
+
+        const restoredProposals = [];
+        recentlyRemovedProposals = recentlyRemovedProposals.filter(({ proposal, blockNumber }) => {
+            if (blockNumber <= ancestorBlock) return true;
+            const proposedBeforeAncestor =
+                proposal.blockNumber === undefined || proposal.blockNumber <= ancestorBlock;
+            if (proposedBeforeAncestor && !proposalsByHash.has(proposal.proposalHash)) {
+                proposalsByHash.set(proposal.proposalHash, proposal);
+                restoredProposals.push(proposal.proposalHash);
+            }
+            return false;
+        });
+
+        if (
+            retractedDepositIds.size === 0 &&
+            retractedProposals.length === 0 &&
+            restoredProposals.length === 0
+        ) {
+            return [];
+        }
+
+        return [
+            {
+                kind: 'reorg',
+                ancestorBlock,
+                orphanedBlock,
+                retractedDeposits: Array.from(retractedDepositIds),
+                retractedProposals,
+                restoredProposals,
+            },
+        ];
+    }
+
+    async function runBackfill() {
+        const toBlock =
+            lastProposalCheckedBlock < lastCheckedBlock ? lastProposalCheckedBlock : lastCheckedBlock;
+        const fromBlock =
+            config.backfillFromBlock ??
+            (await findContractDeploymentBlock({
+                publicClient,
+                address: config.ogModule,
+                latestBlock: toBlock,
+            }));
+        logger.info(
+            `Backfilling proposals and deposits from block ${fromBlock.toString()} to ${toBlock.toString()}...`
+        );
+
+        const [{ openProposals }, deposits] = await Promise.all([
+            backfillProposals({
+                publicClient,
+                ogModule: config.ogModule,
+                fromBlock,
+                toBlock,
+                logFetcher,
+                resolveExplanation,
+            }),
+            backfillDeposits({
+                publicClient,
+                trackedAssets,
+                watchedErc1155: config.watchErc1155,
+                watchedErc721: config.watchErc721,
+                commitmentSafe: config.commitmentSafe,
+                fromBlock,
+                toBlock,
+                logFetcher,
+            }),
+        ]);
+
+        for (const proposal of openProposals) {
+            proposalsByHash.set(proposal.proposalHash, proposal);
+        }
+        backfilledProposals = openProposals;
+
+        for (const deposit of deposits) {
+            const timestampMs = await getBlockTimestampMs(deposit.blockNumber);
+            depositHistory.push({
+                ...deposit,
+                timestampMs,
+            });
+        }
+
+        logger.info(
+            `Backfill found ${openProposals.length} open proposals and ${deposits.length} deposits.`
+        );
+    }
+
+    function updateTimelockSchedule({ rulesText }) {
+        const triggers = extractTimelockTriggers({
+            rulesText,
+            deposits: depositHistory,
+        });
+
+        for (const trigger of triggers) {
+            if (!timelockTriggers.has(trigger.id)) {
+                timelockTriggers.set(trigger.id, { ...trigger, fired: false });
+            }
+        }
+    }
+
+    function collectDueTimelocks(nowMs) {
+        const due = [];
+        for (const trigger of timelockTriggers.values()) {
+            if (trigger.fired) continue;
+            if (trigger.timestampMs <= nowMs) {
+                due.push(trigger);
+            }
+        }
+        return due;
+    }
+
+    function markTimelocksFired(triggers) {
+        for (const trigger of triggers) {
+            const existing = timelockTriggers.get(trigger.id);
+            if (existing) {
+                existing.fired = true;
+            }
+        }
+    }
+
+    async function getActivePriceTriggers({ rulesText }) {
+        if (typeof agentModule?.getPriceTriggers === 'function') {
+            try {
+                const parsed = await agentModule.getPriceTriggers({
+                    commitmentText: rulesText,
+                    config,
+                });
+                if (Array.isArray(parsed)) {
+                    return parsed;
+                }
+                logger.warn('getPriceTriggers() returned non-array; ignoring.');
+                return [];
+            } catch (error) {
+                logger.warn('getPriceTriggers() failed; skipping price triggers.', { error });
+                return [];
+            }
+        }
+
+        return [];
+    }
+
+    // Each decision gets its own correlation id; every line logged while it runs, including by
+    // tools and the transaction queue, carries it, and so does its decision journal entry.
+    function journalDecision(signals, options, decide) {
+        return withLogContext({ decisionId: newCorrelationId() }, async () => {
+            const journalEntry = { signals, replay: options?.replayInput };
+            try {
+                return await decide(journalEntry);
+            } finally {
+                await decisionJournal?.record(journalEntry);
+            }
+        });
+    }
+
+    async function decideOnSignals(signals, options) {
+        if (typeof agentModule?.decide === 'function') {
+            return journalDecision(signals, options, (journalEntry) =>
+                runPolicyDecision(signals, options, journalEntry)
+            );
+        }
+        if (!config.llmEnabled) {
+            return false;
+        }
+        if (llmBudget.isUnchanged(signals)) {
+            logger.debug('Signals unchanged since the last decision; skipping the model.');
+            agentMetrics.llmSkipped.inc({ reason: 'unchanged' });
+            return false;
+        }
+        // Degraded mode: while a budget is exhausted the loop keeps running without the model.
+        const budgetReason = llmBudget.exhausted();
+        if (budgetReason) {
+            if (budgetReason !== llmDegradedReason) {
+                logger.warn('LLM budget exhausted; skipping the model until it recovers.', {
+                    reason: budgetReason,
+                    ...llmBudget.snapshot(),
+                });
+            }
+            llmDegradedReason = budgetReason;
+            agentMetrics.llmSkipped.inc({ reason: budgetReason });
+            return false;
+        }
+        if (llmDegradedReason) {
+            logger.info('LLM budget recovered.');
+            llmDegradedReason = undefined;
+        }
+
+        return journalDecision(signals, options, async (journalEntry) => {
+            const handled = await runDecision(signals, options, journalEntry);
+            if (!journalEntry.error) llmBudget.rememberDecided(signals);
+            return handled;
+        });
+    }
+
+    async function runToolCalls(toolCalls, turn) {
+        const toolOutputs = await executeToolCalls({
+            toolCalls,
+            publicClient,
+            walletClient,
+            account,
+            config,
+            ogContext,
+        });
+        turn.toolOutputs = toolOutputs.map(journalToolOutput);
+        if (agentModule?.onToolOutput) {
+            for (const output of toolOutputs) {
+                if (!output?.name || !output?.output) continue;
+                let parsed;
+                try {
+                    parsed = JSON.parse(output.output);
+                } catch (error) {
+                    parsed = null;
+                }
+                await agentModule.onToolOutput({
+                    name: output.name,
+                    parsedOutput: parsed,
+                    commitmentText,
+                    commitmentSafe: config.commitmentSafe,
+                    agentAddress,
+                    stateStore: agentStateStore,
+                });
+            }
+        }
+        return toolOutputs;
+    }
+
+    function validationContext(signals, onchainPendingProposal) {
+        return {
+            signals,
+            commitmentText,
+            commitmentSafe: config.commitmentSafe,
+            agentAddress,
+            publicClient,
+            config,
+            onchainPendingProposal,
+            stateStore: agentStateStore,
+        };
+    }
+
+    // Agent modules that export decide() pick their own tool calls, so the model is never called
+    // and LLM_* settings are not needed. The calls still go through validateToolCalls and
+    // executeToolCalls, in a single turn.
+    async function runPolicyDecision(
+        signals,
+        { onchainPendingProposal = false } = {},
+        journalEntry
+    ) {
+        journalEntry.policy = 'decide';
+        let acted = false;
+        try {
+            if (!ogContext) {
+                ogContext = await loadOgContext({
+                    publicClient,
+                    ogModule: config.ogModule,
+                });
+            }
+            const context = validationContext(signals, onchainPendingProposal);
+            const toolCalls = await decidePolicyToolCalls({ agentModule, context });
+            journalEntry.toolCalls = toolCalls;
+            if (toolCalls.length === 0) {
+                return false;
+            }
+            const approvedToolCalls = await validateModelToolCalls({
+                agentModule,
+                toolCalls,
+                turn: journalEntry,
+                context,
+            });
+            journalEntry.approvedToolCalls = approvedToolCalls;
+            if (approvedToolCalls.length === 0) {
+                return false;
+            }
+            acted = true;
+            await runToolCalls(approvedToolCalls, journalEntry);
+        } catch (error) {
+            logger.error('Agent decide() failed', { error });
+            journalEntry.error = error?.message ?? String(error);
+        }
+        return acted;
+    }
+
+    async function runDecision(signals, { onchainPendingProposal = false } = {}, journalEntry) {
+        if (!ogContext) {
+            ogContext = await loadOgContext({
+                publicClient,
+                ogModule: config.ogModule,
+            });
+        }
+
+        const systemPrompt =
+            agentModule?.getSystemPrompt?.({
+                proposeEnabled: config.proposeEnabled,
+                disputeEnabled: config.disputeEnabled,
+                commitmentText,
+            }) ?? DEFAULT_SYSTEM_PROMPT;
+
+        // Once a tool call has run, the decision counts as handled even if a later turn fails.
+        let acted = false;
+        try {
+            const executableToolsEnabled =
+                config.proposeEnabled || config.disputeEnabled || config.polymarketClobEnabled;
+            const tools = toolDefinitions({
+                proposeEnabled: config.proposeEnabled,
+                disputeEnabled: config.disputeEnabled,
+                clobEnabled: config.polymarketClobEnabled,
+                onchainToolsEnabled: config.proposeEnabled || config.disputeEnabled,
+            });
+            const allowTools = executableToolsEnabled;
+            const decision = await callAgent({
+                config,
+                systemPrompt,
+                signals,
+                ogContext,
+                commitmentText,
+                agentAddress,
+                tools,
+                allowTools,
+                onUsage: llmBudget.recordUsage,
+            });
+            recordTurn(journalEntry, decision);
+
+            if (!allowTools && decision?.textDecision) {
+                logger.info('Opinion', { decision: decision.textDecision });
+                return true;
+            }
+
+            return await runToolLoop({
+                decision,
+                config,
+                journalEntry,
+                approveToolCalls: (toolCalls, turn) =>
+                    validateModelToolCalls({
+                        agentModule,
+                        toolCalls,
+                        turn,
+                        context: validationContext(signals, onchainPendingProposal),
+                    }),
+                runToolCalls: async (toolCalls, turn) => {
+                    acted = true;
+                    return runToolCalls(toolCalls, turn);
+                },
+                budgetExhausted: llmBudget.exhausted,
+                onUsage: llmBudget.recordUsage,
+            });
+        } catch (error) {
+            logger.error('Agent call failed', { error });
+            journalEntry.error = error?.message ?? String(error);
+        }
+
+        return acted;
+    }
+
+    async function agentLoop() {
+        try {
+            const triggerSeedRulesText = ogContext?.rules ?? commitmentText ?? '';
+            const triggerSeed = await getActivePriceTriggers({ rulesText: triggerSeedRulesText });
+            for (const trigger of triggerSeed) {
+                if (trigger?.baseToken) trackedAssets.add(String(trigger.baseToken).toLowerCase());
+                if (trigger?.quoteToken) trackedAssets.add(String(trigger.quoteToken).toLowerCase());
+            }
+            signalWatcher?.sync();
+
+            const reorgSignals = config.reorgDetection ? await rewindForReorg() : [];
+
+            const latestBlock = await publicClient.getBlockNumber();
+            const latestBlockData = await publicClient.getBlock({ blockNumber: latestBlock });
+            const nowMs = Number(latestBlockData.timestamp) * 1000;
+
+            const {
+                deposits,
+                executions,
+                balanceSnapshots,
+                lastCheckedBlock: nextCheckedBlock,
+                lastNativeBalance: nextNative,
+                lastAssetBalances: nextAssetBalances,
+                lastTokenIdBalances: nextTokenIdBalances,
+            } =
+                await pollCommitmentChanges({
+                    publicClient,
+                    trackedAssets,
+                    commitmentSafe: config.commitmentSafe,
+                    watchNativeBalance: config.watchNativeBalance,
+                    lastCheckedBlock,
+                    lastNativeBalance,
+                    lastAssetBalances,
+                    watchedErc1155: config.watchErc1155,
+                    watchedErc721: config.watchErc721,
+                    lastTokenIdBalances,
+                    emitBalanceSnapshotsEveryPoll: Boolean(pollingOptions.emitBalanceSnapshotsEveryPoll),
+                    logFetcher,
+                    confirmations: config.confirmations,
+                    nativeDepositAttributor,
+                    watchSafeExecutions: config.watchSafeExecutions,
+                    ogModule: config.ogModule,
+                });
+            lastCheckedBlock = nextCheckedBlock;
+            lastNativeBalance = nextNative;
+            lastAssetBalances = nextAssetBalances ?? lastAssetBalances;
+            lastTokenIdBalances = nextTokenIdBalances ?? lastTokenIdBalances;
+
+            for (const deposit of deposits) {
+                const timestampMs = await getBlockTimestampMs(deposit.blockNumber);
+                depositHistory.push({
+                    ...deposit,
+                    timestampMs,
+                });
+            }
+
+            const previousProposalBlock = lastProposalCheckedBlock;
+            const {
+                newProposals,
+                executedProposals,
+                deletedProposals,
+                deletedProposalDetails,
+                removedProposals,
+                lastProposalCheckedBlock: nextProposalBlock,
+            } = await pollProposalChanges({
+                    publicClient,
+                    ogModule: config.ogModule,
+                    lastProposalCheckedBlock,
+                    proposalsByHash,
+                    logFetcher,
+                    confirmations: config.confirmations,
+                    resolveExplanation,
+                    optimisticOracle: ogContext?.optimisticOracle,
+                });
+            lastProposalCheckedBlock = nextProposalBlock;
+            recentlyRemovedProposals.push(...(removedProposals ?? []));
+            assertionTracker.trackProposals(backfilledProposals.concat(newProposals));
+            if (config.reorgDetection) {
+                await recordProcessedBlocks();
+            }
+            const executedProposalCount = executedProposals?.length ?? 0;
+            const deletedProposalCount = deletedProposals?.length ?? 0;
+            const disputedProposals = deletedProposalDetails.filter(
+                (deletion) => deletion.reason === 'disputed'
+            );
+            if (agentModule?.onProposalEvents) {
+                // Awaited so a failing async hook fails this iteration, not the process.
+                await agentModule.onProposalEvents({
+                    executedProposalCount,
+                    deletedProposalCount,
+                    executedProposals,
+                    deletedProposals,
+                    deletedProposalDetails,
+                    disputedProposals,
+                    stateStore: agentStateStore,
+                });
+            }
+            reproposer?.clear(executedProposals);
+            const deletionSignals = deletedProposalDetails.map((deletion) => ({
+                kind: 'proposalDeleted',
+                proposalHash: deletion.proposalHash,
+                assertionId: deletion.assertionId,
+                proposer: deletion.proposal?.proposer,
+                reason: deletion.reason,
+                disputer: deletion.disputer,
+                repropose: reproposer?.schedule(deletion),
+                blockNumber: deletion.blockNumber,
+                transactionHash: deletion.transactionHash,
+            }));
+            if (agentModule?.reconcileProposalSubmission) {
+                await agentModule.reconcileProposalSubmission({
+                    publicClient,
+                    ogModule: config.ogModule,
+                    startBlock: config.startBlock,
+                    stateStore: agentStateStore,
+                });
+            }
+
+            await executeReadyProposals({
+                publicClient,
+                walletClient,
+                account,
+                ogModule: config.ogModule,
+                proposalsByHash,
+                executeRetryMs: config.executeRetryMs,
+                ownProposalsOnly: config.executeOwnProposalsOnly,
+                batchMulticall: config.executeBatchMulticall,
+                maxGasCostBps: config.executeMaxGasCostBps,
+                tokenValuesWei: config.executeTokenValuesWei,
+            });
+            await guardian?.retryDisputes(proposalsByHash);
+
+            const reproposalSignals = [];
+            for (const attempt of (await reproposer?.runDue()) ?? []) {
+                const parsedOutput = attempt.error
+                    ? { status: 'error', message: attempt.error?.message ?? String(attempt.error) }
+                    : { status: 'submitted', ...attempt.result };
+                reproposalSignals.push({
+                    kind: 'reproposal',
+                    proposalHash: attempt.proposalHash,
+                    attempt: attempt.attempt,
+                    status: parsedOutput.status,
+                    transactionHash: attempt.result?.transactionHash,
+                    error: parsedOutput.message,
+                });
+                // Keep module bookkeeping in step, as if the model had proposed.
+                if (agentModule?.onToolOutput) {
+                    await agentModule.onToolOutput({
+                        name: 'post_bond_and_propose',
+                        parsedOutput: { ...parsedOutput, reproposal: true },
+                        commitmentText,
+                        commitmentSafe: config.commitmentSafe,
+                        agentAddress,
+                        stateStore: agentStateStore,
+                    });
+                }
+            }
+
+            let assertionSignals = [];
+            try {
+                assertionSignals = await assertionTracker.poll({
+                    optimisticOracle: ogContext.optimisticOracle,
+                    fromBlock: previousProposalBlock + 1n,
+                    toBlock: lastProposalCheckedBlock,
+                    chainNowSec: BigInt(latestBlockData.timestamp),
+                    pendingAssertionIds: new Set(
+                        Array.from(proposalsByHash.values(), (proposal) => proposal.assertionId)
+                    ),
+                });
+            } catch (error) {
+                logger.warn('Assertion tracking failed', { error });
+            }
+            const fundingSignals = (await fundingMonitor?.poll()) ?? [];
+
+            const rulesText = ogContext?.rules ?? commitmentText ?? '';
+            updateTimelockSchedule({ rulesText });
+            const dueTimelocks = collectDueTimelocks(nowMs);
+            const activePriceTriggers = await getActivePriceTriggers({ rulesText });
+            const duePriceSignals = await collectPriceTriggerSignals({
+                publicClient,
+                config,
+                triggers: activePriceTriggers,
+                nowMs,
+                triggerState: priceTriggerState,
+                tokenMetaCache,
+                poolMetaCache,
+                resolvedPoolCache,
+            });
+
+            // Open proposals recovered by startup backfill are surfaced once, like fresh proposals.
+            let proposalsToSignal = backfilledProposals.concat(newProposals);
+            backfilledProposals = [];
+            if (guardian) {
+                proposalsToSignal = await guardian.review({
+                    proposals: proposalsToSignal,
+                    context: {
+                        commitmentText,
+                        rules: ogContext?.rules,
+                        commitmentSafe: config.commitmentSafe,
+                        agentAddress,
+                        publicClient,
+                        config,
+                        stateStore: agentStateStore,
+                    },
+                });
+            }
+            const combinedSignals = reorgSignals.concat(
+                deposits,
+                executions,
+                balanceSnapshots,
+                deletionSignals,
+                reproposalSignals,
+                assertionSignals,
+                fundingSignals,
+                proposalsToSignal.map((proposal) => ({
+                    kind: 'proposal',
+                    proposalHash: proposal.proposalHash,
+                    assertionId: proposal.assertionId,
+                    proposer: proposal.proposer,
+                    challengeWindowEnds: proposal.challengeWindowEnds,
+                    transactions: proposal.transactions,
+                    rules: proposal.rules,
+                    explanation: proposal.explanation,
+                    rationale: proposal.rationale,
+                    explanationCid: proposal.explanationCid,
+                    guardian: proposal.guardian,
+                }))
+            );
+
+            for (const trigger of dueTimelocks) {
+                combinedSignals.push({
+                    kind: 'timelock',
+                    triggerId: trigger.id,
+                    triggerTimestampMs: trigger.timestampMs,
+                    source: trigger.source,
+                    anchor: trigger.anchor,
+                    deposit: trigger.deposit,
+                });
+            }
+            combinedSignals.push(...duePriceSignals);
+
+            const onchainPendingProposal = proposalsByHash.size > 0;
+            const replayInput = decisionJournal
+                ? encodeReplayInput({
+                      signals: combinedSignals,
+                      nowMs,
+                      latestBlock,
+                      onchainPendingProposal,
+                      agentAddress,
+                      agentState: await agentStateStore.read(),
+                  })
+                : undefined;
+
+            // Allow agent module to augment signals (e.g., add timer signals)
+            let signalsToProcess = combinedSignals;
+            if (agentModule?.augmentSignals) {
+                signalsToProcess = agentModule.augmentSignals(combinedSignals, {
+                    nowMs,
+                    latestBlock,
+                });
+            }
+            if (agentModule?.enrichSignals) {
+                try {
+                    signalsToProcess = await agentModule.enrichSignals(signalsToProcess, {
+                        publicClient,
+                        config,
+                        account,
+                        onchainPendingProposal,
+                        nowMs,
+                        latestBlock,
+                        stateStore: agentStateStore,
+                    });
+                } catch (error) {
+                    logger.error('Failed to enrich signals', { error });
+                }
+            }
+
+            for (const signal of signalsToProcess) {
+                agentMetrics.signals.inc({ kind: signal?.kind ?? 'unknown' });
+            }
+            if (signalsToProcess.length > 0) {
+                const decisionOk = await decideOnSignals(signalsToProcess, {
+                    onchainPendingProposal,
+                    replayInput,
+                });
+                if (decisionOk && dueTimelocks.length > 0) {
+                    markTimelocksFired(dueTimelocks);
+                }
+            }
+            lastSuccessfulLoopMs = Date.now();
+            lastLoopError = undefined;
+            agentMetrics.loops.inc({ result: 'ok' });
+        } catch (error) {
+            logger.error('Loop error', { error });
+            lastLoopError = error?.shortMessage ?? error?.message ?? String(error);
+            agentMetrics.loops.inc({ result: 'error' });
+        }
+
+        await checkpointRunnerState();
+    }
+
+    function scheduleAgentLoop(delayMs) {
+        if (stopped) return;
+        clearTimeout(loopTimer);
+        loopTimer = setTimeout(runAgentLoop, delayMs);
+    }
+
+    async function runAgentLoop() {
+        loopRunning = true;
+        loopWakeRequested = false;
+        loopIteration += 1;
+        await withLogContext({ iteration: loopIteration, loopId: newCorrelationId() }, agentLoop);
+        loopRunning = false;
+        // Events that arrive mid-loop may not be covered by this iteration's block range.
+        scheduleAgentLoop(loopWakeRequested ? 0 : config.pollIntervalMs);
+    }
+
+    function wakeAgentLoop() {
+        if (loopRunning) {
+            loopWakeRequested = true;
+            return;
+        }
+        scheduleAgentLoop(0);
+    }
+
+    async function startAgent() {
+        startedAtMs = Date.now();
+        if (typeof agentModule?.decide === 'function') {
+            logger.info('Agent module exports decide(); decisions are made without the model.');
+        } else if (config.llmEnabled) {
+            // An unknown LLM_PROVIDER fails at startup instead of on the first decision.
+            getLlmProvider(config.llmProvider);
+        }
+        await loadOptimisticGovernorDefaults({
+            publicClient,
+            ogModule: config.ogModule,
+            trackedAssets,
+        });
+
+        ogContext = await loadOgContext({ publicClient, ogModule: config.ogModule });
+        const funding = await logOgFundingStatus({
+            publicClient,
+            ogModule: config.ogModule,
+            account,
+            ...fundingThresholds(config),
+        });
+        if (config.fundingStrict && !funding?.ready) {
+            const error = new Error(
+                funding
+                    ? `FUNDING_STRICT: agent is not funded (${funding.shortfalls.join(', ')}); not starting.`
+                    : 'FUNDING_STRICT: could not read agent funding; not starting.'
+            );
+            error.code = 'FUNDING_NOT_READY';
+            throw error;
+        }
+        fundingMonitor = createFundingMonitor({
+            publicClient,
+            walletClient,
+            account,
+            config,
+            initial: funding,
+        });
+
+        const restored = await restoreRunnerState();
+        if (restored) {
+            logger.info(
+                `Restored ${config.stateStore} state at block ${lastCheckedBlock?.toString()} (${proposalsByHash.size} open proposals).`
+            );
+        }
+
+        if (lastCheckedBlock === undefined) {
+            lastCheckedBlock = await getConfirmedBlockNumber({
+                publicClient,
+                confirmations: config.confirmations,
+            });
+        }
+        if (lastProposalCheckedBlock === undefined) {
+            lastProposalCheckedBlock = lastCheckedBlock;
+        }
+
+        if (config.backfillEnabled && !restored) {
+            await runBackfill();
+        }
+
+        if (lastNativeBalance === undefined) {
+            lastNativeBalance = await primeBalances({
+                publicClient,
+                commitmentSafe: config.commitmentSafe,
+                watchNativeBalance: config.watchNativeBalance,
+                blockNumber: lastCheckedBlock,
+            });
+        }
+
+        if (config.rpcWsUrl) {
+            signalWatcher = createSignalWatcher({
+                wsUrl: config.rpcWsUrl,
+                ogModule: config.ogModule,
+                commitmentSafe: config.commitmentSafe,
+                trackedAssets,
+                onWake: wakeAgentLoop,
+                reconnectDelayMs: config.wsReconnectDelayMs,
+            });
+            signalWatcher.start();
+        }
+
+        logger.info('running...');
+
+        runAgentLoop();
+    }
+
+    // Backs GET /healthz. The loop is stale once no iteration has completed within
+    // HEALTH_MAX_LOOP_AGE_MS (default three poll intervals, at least a minute), counting from
+    // startup until the first one does.
+    async function health() {
+        const nowMs = Date.now();
+        const maxLoopAgeMs =
+            config.healthMaxLoopAgeMs ?? Math.max(3 * config.pollIntervalMs, 60_000);
+        const loopAgeMs = nowMs - (lastSuccessfulLoopMs ?? startedAtMs ?? nowMs);
+
+        let rpc;
+        try {
+            rpc = { ok: true, blockNumber: await publicClient.getBlockNumber() };
+        } catch (error) {
+            rpc = { ok: false, error: error?.shortMessage ?? error?.message ?? String(error) };
+        }
+
+        let funding;
+        try {
+            const status = assessFunding(
+                await getOgFundingStatus({ publicClient, ogModule: config.ogModule, account }),
+                fundingThresholds(config)
+            );
+            funding = {
+                ok: status.ready,
+                shortfalls: status.shortfalls,
+                collateral: status.collateral,
+                requiredBond: status.requiredBond,
+                collateralBalance: status.collateralBalance,
+                nativeBalance: status.nativeBalance,
+            };
+        } catch (error) {
+            funding = { ok: false, error: error?.shortMessage ?? error?.message ?? String(error) };
+        }
+
+        const llm = llmBudget.snapshot();
+        const loopOk = !stopped && loopAgeMs <= maxLoopAgeMs;
+        // Bonds only matter to an agent that can propose or dispute.
+        const needsBond = config.proposeEnabled || config.disputeEnabled;
+        let status = 'ok';
+        if (!loopOk || !rpc.ok) {
+            status = 'failing';
+        } else if ((needsBond && !funding.ok) || llm.exhausted) {
+            status = 'degraded';
+        }
+
+        return {
+            commitment: commitmentId,
+            status,
+            lastSuccessfulLoopAt:
+                lastSuccessfulLoopMs !== undefined
+                    ? new Date(lastSuccessfulLoopMs).toISOString()
+                    : null,
+            loopAgeMs,
+            maxLoopAgeMs,
+            lastLoopError: lastLoopError ?? null,
+            rpc,
+            funding,
+            llm,
+        };
+    }
+
+    function stopAgent() {
+        stopped = true;
+        clearTimeout(loopTimer);
+        signalWatcher?.stop();
+    }
+
+    return {
+        config,
+        start: () => withLogContext({ commitment: commitmentId }, startAgent),
+        stop: stopAgent,
+        health,
+    };
+}
+
+export { createCommitmentRunner };
@@ -0,0 +1,184 @@
+import { decodeFunctionData, getAddress, isAddressEqual, parseAbi, zeroAddress } from 'viem';
+import { multicall3Abi } from './execution-simulation.js';
+import {
+    optimisticGovernorAbi,
+    safeExecutionFromModuleFailureEvent,
+    safeExecutionFromModuleSuccessEvent,
+    safeExecutionSuccessEvent,
+} from './og.js';
+import { compareLogPosition, decodeErc20TransferCallData } from './utils.js';
+
+const safeExecTransactionAbi = parseAbi([
+    'function execTransaction(address to, uint256 value, bytes data, uint8 operation, uint256 safeTxGas, uint256 baseGas, uint256 gasPrice, address gasToken, address refundReceiver, bytes signatures) payable returns (bool success)',
+]);
+
+function decodeExecuteProposal(input) {
+    try {
+        const decoded = decodeFunctionData({ abi: optimisticGovernorAbi, data: input });
+        if (decoded.functionName !== 'executeProposal') return null;
+        return decoded.args[0].map((tx) => ({
+            to: getAddress(tx.to),
+            operation: Number(tx.operation ?? 0),
+            value: BigInt(tx.value ?? 0),
+            data: tx.data ?? '0x',
+        }));
+    } catch (error) {
+        return null;
+    }
+}
+
+// OG executions carry their Safe calls in the executeProposal input, in execution order. Batched
+// executions wrap several executeProposal calls in one Multicall3 aggregate3; the runner sends
+// those with allowFailure off, so every inner call to the module ran and their Safe calls
+// follow each other in the transaction.
+function decodeModuleTransactions(input, ogModule) {
+    const direct = decodeExecuteProposal(input);
+    if (direct) return direct;
+
+    let decoded;
+    try {
+        decoded = decodeFunctionData({ abi: multicall3Abi, data: input });
+    } catch (error) {
+        return null;
+    }
+    if (decoded.functionName !== 'aggregate3') return null;
+    const transactions = [];
+    for (const call of decoded.args[0]) {
+        if (!isAddressEqual(call.target, ogModule)) continue;
+        const inner = decodeExecuteProposal(call.callData);
+        if (!inner) return null;
+        transactions.push(...inner);
+    }
+    return transactions.length > 0 ? transactions : null;
+}
+
+function decodeExecTransaction(input) {
+    try {
+        const decoded = decodeFunctionData({ abi: safeExecTransactionAbi, data: input });
+        const [to, value, data, operation] = decoded.args;
+        return { to: getAddress(to), operation: Number(operation), value: BigInt(value), data };
+    } catch (error) {
+        return null;
+    }
+}
+
+function buildWithdrawalSignals({ call, source, module, log }) {
+    // Delegatecalls run foreign code in the Safe's context, so their outflows can't be read
+    // off the calldata.
+    if (!call || call.operation !== 0) return [];
+
+    const base = {
+        kind: 'withdrawal',
+        source,
+        module,
+        blockNumber: log.blockNumber,
+        transactionHash: log.transactionHash,
+        logIndex: log.logIndex,
+    };
+    const position = `${log.transactionHash}:${log.logIndex ?? '0'}`;
+    const withdrawals = [];
+    if (call.value > 0n) {
+        withdrawals.push({
+            ...base,
+            asset: zeroAddress,
+            to: call.to,
+            amount: call.value,
+            id: `withdrawal:${position}:native`,
+        });
+    }
+    const transfer = decodeErc20TransferCallData(call.data);
+    if (transfer) {
+        withdrawals.push({
+            ...base,
+            asset: call.to,
+            to: getAddress(transfer.to),
+            amount: transfer.amount,
+            id: `withdrawal:${position}:erc20`,
+        });
+    }
+    return withdrawals;
+}
+
+async function fetchSafeExecutions({
+    publicClient,
+    logFetcher,
+    commitmentSafe,
+    ogModule,
+    fromBlock,
+    toBlock,
+}) {
+    const logs = await logFetcher.getLogs({
+        publicClient,
+        address: commitmentSafe,
+        events: [
+            safeExecutionFromModuleSuccessEvent,
+            safeExecutionFromModuleFailureEvent,
+            safeExecutionSuccessEvent,
+        ],
+        fromBlock,
+        toBlock,
+    });
+    if (logs.length === 0) return [];
+
+    // RPC errors propagate, like the other polling fetchers', so the range is not marked processed
+    // and its withdrawals are signalled on the retry.
+    const transactionCache = new Map();
+    async function getTransaction(hash) {
+        if (!transactionCache.has(hash)) {
+            transactionCache.set(hash, await publicClient.getTransaction({ hash }));
+        }
+        return transactionCache.get(hash);
+    }
+
+    const moduleCallIndex = new Map();
+    const signals = [];
+    for (const log of logs.sort(compareLogPosition)) {
+        if (log.eventName !== 'ExecutionSuccess') {
+            const module = getAddress(log.args.module);
+            const success = log.eventName === 'ExecutionFromModuleSuccess';
+            const callKey = `${log.transactionHash}:${module}`;
+            const position = moduleCallIndex.get(callKey) ?? 0;
+            moduleCallIndex.set(callKey, position + 1);
+
+            let call;
+            if (ogModule && isAddressEqual(module, ogModule)) {
+                const tx = await getTransaction(log.transactionHash);
+                call = decodeModuleTransactions(tx?.input, ogModule)?.[position];
+            }
+
+            signals.push({
+                kind: 'moduleExecution',
+                module,
+                success,
+                to: call?.to,
+                operation: call?.operation,
+                value: call?.value,
+                data: call?.data,
+                transfer: call ? decodeErc20TransferCallData(call.data) : null,
+                blockNumber: log.blockNumber,
+                transactionHash: log.transactionHash,
+                logIndex: log.logIndex,
+                id: `module:${log.transactionHash}:${log.logIndex ?? '0'}`,
+            });
+            if (success) {
+                signals.push(...buildWithdrawalSignals({ call, source: 'module', module, log }));
+            }
+            continue;
+        }
+
+        const tx = await getTransaction(log.transactionHash);
+        if (!tx?.to || !isAddressEqual(tx.to, commitmentSafe)) continue;
+        signals.push(
+            ...buildWithdrawalSignals({
+                call: decodeExecTransaction(tx.input),
+                source: 'execTransaction',
+                module: undefined,
+                log,
+            })
+        );
+    }
+
+    return signals;
+}
+
+export { fetchSafeExecutions };
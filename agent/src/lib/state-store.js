@@ -0,0 +1,194 @@
+import { mkdir, readFile, rename, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+
+const STATE_FILE_VERSION = 1;
+
+function encodeStateValue(_, value) {
+    if (typeof value === 'bigint') {
+        return { __type: 'bigint', value: value.toString() };
+    }
+    if (value instanceof Map) {
+        return { __type: 'map', entries: Array.from(value.entries()) };
+    }
+    if (value instanceof Set) {
+        return { __type: 'set', values: Array.from(value.values()) };
+    }
+    return value;
+}
+
+function decodeStateValue(_, value) {
+    if (!value || typeof value !== 'object' || typeof value.__type !== 'string') {
+        return value;
+    }
+    if (value.__type === 'bigint') return BigInt(value.value);
+    if (value.__type === 'map') return new Map(value.entries ?? []);
+    if (value.__type === 'set') return new Set(value.values ?? []);
+    return value;
+}
+
+function serializeState(value) {
+    return JSON.stringify(value, encodeStateValue);
+}
+
+function deserializeState(raw) {
+    if (raw === undefined || raw === null) return undefined;
+    return JSON.parse(raw, decodeStateValue);
+}
+
+const SQLITE_UNSUPPORTED_MESSAGE =
+    'STATE_STORE=sqlite requires Node.js 22.13+ for the built-in node:sqlite; use STATE_STORE=json on older versions.';
+
+// node:sqlite loads without a flag from Node.js 22.13.
+function nodeSupportsSqlite(version = process.versions.node) {
+    const [major, minor] = version.split('.').map(Number);
+    return major > 22 || (major === 22 && minor >= 13);
+}
+
+function createMemoryBackend() {
+    const entries = new Map();
+    return {
+        async read(namespace) {
+            return entries.get(namespace);
+        },
+        async write(namespace, raw) {
+            entries.set(namespace, raw);
+        },
+        async close() {},
+    };
+}
+
+function createJsonFileBackend({ filePath }) {
+    let document;
+
+    async function loadDocument() {
+        if (document) return document;
+        try {
+            const parsed = JSON.parse(await readFile(filePath, 'utf8'));
+            document = {
+                version: parsed?.version ?? STATE_FILE_VERSION,
+                namespaces: parsed?.namespaces ?? {},
+            };
+        } catch (error) {
+            if (error?.code !== 'ENOENT') {
+                throw new Error(`Failed to read state file ${filePath}: ${error?.message ?? error}`);
+            }
+            document = { version: STATE_FILE_VERSION, namespaces: {} };
+        }
+        return document;
+    }
+
+    return {
+        async read(namespace) {
+            const loaded = await loadDocument();
+            return loaded.namespaces[namespace];
+        },
+        async write(namespace, raw) {
+            const loaded = await loadDocument();
+            loaded.namespaces[namespace] = raw;
+            await mkdir(path.dirname(filePath), { recursive: true });
+            // Write to a sibling temp file first so a crash mid-write never truncates state.
+            const tempPath = `${filePath}.tmp`;
+            await writeFile(tempPath, JSON.stringify(loaded, null, 2), 'utf8');
+            await rename(tempPath, filePath);
+        },
+        async close() {},
+    };
+}
+
+async function createSqliteBackend({ filePath }) {
+    let sqlite;
+    try {
+        sqlite = await import('node:sqlite');
+    } catch {
+        throw new Error(SQLITE_UNSUPPORTED_MESSAGE);
+    }
+
+    await mkdir(path.dirname(filePath), { recursive: true });
+    const db = new sqlite.DatabaseSync(filePath);
+    db.exec(
+        'CREATE TABLE IF NOT EXISTS agent_state (namespace TEXT PRIMARY KEY, value TEXT NOT NULL, updated_at INTEGER NOT NULL)'
+    );
+    const selectStatement = db.prepare('SELECT value FROM agent_state WHERE namespace = ?');
+    const upsertStatement = db.prepare(
+        'INSERT INTO agent_state (namespace, value, updated_at) VALUES (?, ?, ?) ON CONFLICT(namespace) DO UPDATE SET value = excluded.value, updated_at = excluded.updated_at'
+    );
+
+    return {
+        async read(namespace) {
+            return selectStatement.get(namespace)?.value;
+        },
+        async write(namespace, raw) {
+            upsertStatement.run(namespace, raw, Date.now());
+        },
+        async close() {
+            db.close();
+        },
+    };
+}
+
+function defaultStatePath(kind, name) {
+    const base = name ? `agent/.agent-state.${name}` : 'agent/.agent-state';
+    return kind === 'sqlite' ? `${base}.sqlite` : `${base}.json`;
+}
+
+// Under the supervisor every commitment gets its own file, so a process-wide STATE_STORE_PATH of
+// agent/state.json becomes agent/state.<name>.json and commitments never share a document.
+function commitmentStatePath(filePath, name) {
+    const extension = path.extname(filePath);
+    return `${filePath.slice(0, filePath.length - extension.length)}.${name}${extension}`;
+}
+
+async function createStateStore({ kind = 'memory', filePath } = {}) {
+    const normalizedKind = String(kind ?? 'memory').trim().toLowerCase();
+    let backend;
+    if (normalizedKind === 'memory' || normalizedKind === 'none') {
+        backend = createMemoryBackend();
+    } else if (normalizedKind === 'json' || normalizedKind === 'file') {
+        if (!filePath) throw new Error('JSON state store requires a file path.');
+        backend = createJsonFileBackend({ filePath });
+    } else if (normalizedKind === 'sqlite') {
+        if (!filePath) throw new Error('SQLite state store requires a file path.');
+        backend = await createSqliteBackend({ filePath });
+    } else {
+        throw new Error(`Unsupported STATE_STORE '${kind}'.`);
+    }
+
+    async function read(namespace) {
+        return deserializeState(await backend.read(namespace));
+    }
+
+    async function write(namespace, value) {
+        await backend.write(namespace, serializeState(value));
+    }
+
+    // Memory stores start empty on every run, so modules that must remember something across
+    // restarts check `durable` before relying on the store.
+    const durable = normalizedKind !== 'memory' && normalizedKind !== 'none';
+
+    function scoped(namespace) {
+        return {
+            namespace,
+            durable,
+            read: () => read(namespace),
+            write: (value) => write(namespace, value),
+        };
+    }
+
+    return {
+        kind: normalizedKind,
+        durable,
+        read,
+        write,
+        scoped,
+        close: () => backend.close(),
+    };
+}
+
+export {
+    commitmentStatePath,
+    createStateStore,
+    defaultStatePath,
+    deserializeState,
+    nodeSupportsSqlite,
+    serializeState,
+};
@@ -0,0 +1,168 @@
+import { createPublicClient, isAddressEqual, webSocket, zeroAddress } from 'viem';
+import {
+    proposalDeletedEvent,
+    proposalExecutedEvent,
+    transactionsProposedEvent,
+    transferEvent,
+} from './og.js';
+import { createLogger } from './logger.js';
+
+const logger = createLogger('agent');
+
+// viem keeps one socket per RPC_WS_URL, so every commitment's watcher on that URL shares it. A
+// watcher only unsubscribes its own watches; the socket is closed once it has failed or the last
+// watcher on the URL stops. The watcher resubscribes by itself, so viem's reconnects are off.
+const activeWatchers = new Map();
+
+function createWsClient(wsUrl) {
+    return createPublicClient({ transport: webSocket(wsUrl, { reconnect: false }) });
+}
+
+// Closes the client's socket when `onlyIfClosed` is false or the socket has already gone down.
+// A closed socket stays in viem's cache and fails every later subscription until it is closed.
+function closeSocket(client, { onlyIfClosed }) {
+    Promise.resolve(client?.transport?.getRpcClient?.())
+        .then((rpcClient) => {
+            const readyState = rpcClient?.socket?.readyState;
+            // WebSocket readyState 2 is CLOSING and 3 is CLOSED.
+            if (!onlyIfClosed || readyState === 2 || readyState === 3) {
+                rpcClient?.close();
+            }
+        })
+        .catch((error) => {
+            logger.debug('Failed to close WebSocket', { error });
+        });
+}
+
+function trackedAssetsKey(trackedAssets) {
+    return Array.from(trackedAssets)
+        .map((asset) => String(asset).toLowerCase())
+        .sort()
+        .join(',');
+}
+
+function createSignalWatcher({
+    wsUrl,
+    ogModule,
+    commitmentSafe,
+    trackedAssets,
+    onWake,
+    reconnectDelayMs = 5_000,
+    createClient = () => createWsClient(wsUrl),
+}) {
+    let client;
+    let unwatchers = [];
+    let tokenUnwatch;
+    let watchedAssetsKey;
+    let connected = false;
+    let stopped = true;
+    let reconnectTimer;
+
+    function teardown() {
+        for (const unwatch of unwatchers) {
+            try {
+                unwatch();
+            } catch (error) {
+                // Subscription already closed.
+            }
+        }
+        unwatchers = [];
+        tokenUnwatch = undefined;
+        watchedAssetsKey = undefined;
+    }
+
+    function handleError(error) {
+        if (!connected) return;
+        connected = false;
+        logger.warn('WebSocket subscription failed; falling back to polling.', { error });
+        teardown();
+        closeSocket(client, { onlyIfClosed: true });
+        if (!stopped) {
+            clearTimeout(reconnectTimer);
+            reconnectTimer = setTimeout(subscribe, reconnectDelayMs);
+        }
+    }
+
+    function subscribeTokenTransfers() {
+        const assets = Array.from(trackedAssets).filter(
+            (asset) => !isAddressEqual(asset, zeroAddress)
+        );
+        watchedAssetsKey = trackedAssetsKey(trackedAssets);
+        if (assets.length === 0) return undefined;
+        return client.watchEvent({
+            address: assets,
+            event: transferEvent,
+            args: { to: commitmentSafe },
+            onLogs: () => onWake('deposit'),
+            onError: handleError,
+        });
+    }
+
+    function subscribe() {
+        if (stopped) return;
+        connected = true;
+        try {
+            client = createClient();
+            unwatchers.push(
+                client.watchBlockNumber({
+                    emitOnBegin: false,
+                    onBlockNumber: () => onWake('block'),
+                    onError: handleError,
+                }),
+                client.watchEvent({
+                    address: ogModule,
+                    events: [
+                        transactionsProposedEvent,
+                        proposalExecutedEvent,
+                        proposalDeletedEvent,
+                    ],
+                    onLogs: () => onWake('proposal'),
+                    onError: handleError,
+                })
+            );
+            tokenUnwatch = subscribeTokenTransfers();
+            if (tokenUnwatch) unwatchers.push(tokenUnwatch);
+            logger.info('WebSocket subscriptions active.');
+        } catch (error) {
+            handleError(error);
+        }
+    }
+
+    // Resubscribes the token watch when new assets (e.g. price trigger tokens) become tracked.
+    function sync() {
+        if (!connected || watchedAssetsKey === trackedAssetsKey(trackedAssets)) return;
+        if (tokenUnwatch) {
+            tokenUnwatch();
+            unwatchers = unwatchers.filter((unwatch) => unwatch !== tokenUnwatch);
+        }
+        tokenUnwatch = subscribeTokenTransfers();
+        if (tokenUnwatch) unwatchers.push(tokenUnwatch);
+    }
+
+    return {
+        start() {
+            if (!stopped) return;
+            stopped = false;
+            activeWatchers.set(wsUrl, (activeWatchers.get(wsUrl) ?? 0) + 1);
+            subscribe();
+        },
+        stop() {
+            if (stopped) return;
+            stopped = true;
+            connected = false;
+            clearTimeout(reconnectTimer);
+            teardown();
+            const remaining = activeWatchers.get(wsUrl) - 1;
+            if (remaining > 0) {
+                activeWatchers.set(wsUrl, remaining);
+            } else {
+                activeWatchers.delete(wsUrl);
+            }
+            closeSocket(client, { onlyIfClosed: remaining > 0 });
+        },
+        sync,
+        isConnected: () => connected,
+    };
+}
+
+export { createSignalWatcher };
@@ -0,0 +1,125 @@
+import path from 'node:path';
+import { createLogger, withLogContext } from './logger.js';
+import { createCommitmentRunner } from './runner.js';
+import { commitmentStatePath, createStateStore, defaultStatePath } from './state-store.js';
+
+const logger = createLogger('supervisor');
+
+const DEFAULT_RESTART_DELAY_MS = 30_000;
+
+function createSupervisor({
+    commitments,
+    publicClient,
+    account,
+    walletClient,
+    repoRoot,
+    restartDelayMs = DEFAULT_RESTART_DELAY_MS,
+    openStateStore = createStateStore,
+    createRunner = createCommitmentRunner,
+}) {
+    const entries = commitments.map(({ name, config }) => ({
+        name,
+        config,
+        runner: undefined,
+        stateStore: undefined,
+        restartTimer: undefined,
+        status: 'pending',
+        lastError: undefined,
+    }));
+    let stopped = true;
+
+    async function teardown(entry) {
+        clearTimeout(entry.restartTimer);
+        entry.restartTimer = undefined;
+        try {
+            entry.runner?.stop();
+            await entry.stateStore?.close();
+        } catch (error) {
+            // Best effort: a half-started runner may not have opened everything.
+        }
+        entry.runner = undefined;
+        entry.stateStore = undefined;
+    }
+
+    // Runs in the commitment's log context so lines from loading its agent module are tagged too.
+    function launch(entry) {
+        return withLogContext({ commitment: entry.name }, () => launchEntry(entry));
+    }
+
+    async function launchEntry(entry) {
+        if (stopped) return;
+        const { name, config } = entry;
+        try {
+            entry.stateStore = await openStateStore({
+                kind: config.stateStore,
+                filePath: path.resolve(
+                    repoRoot,
+                    config.stateStorePath
+                        ? commitmentStatePath(config.stateStorePath, name)
+                        : defaultStatePath(config.stateStore, name)
+                ),
+            });
+            entry.runner = await createRunner({
+                config,
+                publicClient,
+                account,
+                walletClient,
+                stateStore: entry.stateStore,
+                repoRoot,
+                moduleInstanceKey: name,
+            });
+            await entry.runner.start();
+            entry.status = 'running';
+            entry.lastError = undefined;
+            logger.info('Commitment running.');
+        } catch (error) {
+            entry.status = 'failed';
+            entry.lastError = error?.message ?? String(error);
+            logger.error(`Commitment failed to start; retrying in ${restartDelayMs}ms.`, {
+                error: entry.lastError,
+            });
+            await teardown(entry);
+            if (!stopped) {
+                entry.restartTimer = setTimeout(() => launch(entry), restartDelayMs);
+            }
+        }
+    }
+
+    return {
+        // Commitments start one after another so a slow or failing one only delays, never blocks.
+        async start() {
+            stopped = false;
+            for (const entry of entries) {
+                await launch(entry);
+            }
+        },
+        async stop() {
+            stopped = true;
+            for (const entry of entries) {
+                await teardown(entry);
+                entry.status = 'stopped';
+            }
+        },
+        status: () =>
+            entries.map(({ name, status, lastError }) => ({ name, status, lastError })),
+        // One /healthz report per commitment; one that is not running is reported as failing.
+        health: () =>
+            Promise.all(
+                entries.map(async (entry) => {
+                    if (entry.status === 'running' && entry.runner?.health) {
+                        return withLogContext({ commitment: entry.name }, () =>
+                            entry.runner.health()
+                        );
+                    }
+                    return {
+                        commitment: entry.name,
+                        status: 'failing',
+                        runnerStatus: entry.status,
+                        lastError: entry.lastError ?? null,
+                    };
+                })
+            ),
+    };
+}
+
+export { createSupervisor };
@@ -0,0 +1,199 @@
+import { continueAgent as defaultContinueAgent, explainToolCalls as defaultExplain } from './llm.js';
+import { createLogger } from './logger.js';
+import { parseToolArguments } from './utils.js';
+
+const logger = createLogger('agent');
+
+// Tool outputs are JSON strings; the journal stores them parsed so tx hashes are queryable.
+function journalToolOutput(output) {
+    let parsed = output?.output;
+    try {
+        parsed = JSON.parse(output.output);
+    } catch (error) {
+        // Keep the raw string.
+    }
+    return { callId: output?.callId, name: output?.name, output: parsed };
+}
+
+function recordTurn(turn, decision) {
+    turn.prompt = decision.request;
+    turn.modelOutput = decision.rawOutput;
+    turn.toolCalls = decision.toolCalls;
+    turn.textDecision = decision.textDecision;
+}
+
+// Returns the tool calls the agent module's validateToolCalls keeps, or all of them when the
+// module has no validator. `context` is what validateToolCalls receives besides the calls.
+async function validateModelToolCalls({ agentModule, toolCalls, context, turn }) {
+    if (typeof agentModule?.validateToolCalls !== 'function') {
+        return toolCalls;
+    }
+    try {
+        const validated = await agentModule.validateToolCalls({
+            toolCalls: toolCalls.map((call) => ({
+                ...call,
+                parsedArguments: parseToolArguments(call.arguments),
+            })),
+            ...context,
+        });
+        if (!Array.isArray(validated)) {
+            return [];
+        }
+        return validated.map((call) => ({
+            name: call.name,
+            callId: call.callId,
+            arguments:
+                call.parsedArguments !== undefined
+                    ? JSON.stringify(call.parsedArguments)
+                    : call.arguments !== undefined
+                        ? call.arguments
+                        : JSON.stringify({}),
+        }));
+    } catch (error) {
+        logger.warn('validateToolCalls rejected tool calls', { error });
+        turn.validationError = error?.message ?? String(error);
+        return [];
+    }
+}
+
+// Deterministic agent modules export decide(), which receives the same context as
+// validateToolCalls and returns tool calls directly: [{ name, arguments }], with arguments as an
+// object or a JSON string. Calls are given call ids so their outputs can be told apart.
+async function decidePolicyToolCalls({ agentModule, context }) {
+    const toolCalls = await agentModule.decide(context);
+    if (toolCalls === undefined || toolCalls === null) {
+        return [];
+    }
+    if (!Array.isArray(toolCalls)) {
+        throw new Error('decide() must return an array of tool calls.');
+    }
+    return toolCalls.map((call, index) => {
+        if (typeof call?.name !== 'string' || call.name.length === 0) {
+            throw new Error('Each tool call from decide() needs a name.');
+        }
+        return {
+            name: call.name,
+            callId: call.callId ?? `decide-${index + 1}`,
+            arguments:
+                typeof call.arguments === 'string'
+                    ? call.arguments
+                    : JSON.stringify(call.arguments ?? {}),
+        };
+    });
+}
+
+function stopReasonFor({ config, step, toolCallsUsed, deadlineMs, nowMs }) {
+    if (step >= config.agentMaxSteps) return 'max_steps';
+    if (toolCallsUsed >= config.agentMaxToolCalls) return 'max_tool_calls';
+    if (nowMs() >= deadlineMs) return 'timeout';
+    return undefined;
+}
+
+// Runs the model's tool calls and feeds their outputs back until it answers without tool calls or
+// a budget runs out: AGENT_MAX_STEPS model turns, AGENT_MAX_TOOL_CALLS executed calls, and
+// AGENT_DECISION_TIMEOUT_MS of wall-clock time. Budgets are checked between turns, so a turn in
+// progress always finishes; when one runs out, the model is only asked to explain. The first
+// turn is recorded on `journalEntry` by the caller and later turns go to `journalEntry.followUps`.
+// Once the commitment's LLM budget is exhausted the loop stops without asking for an explanation.
+// Returns whether the decision was handled.
+async function runToolLoop({
+    decision: firstDecision,
+    config,
+    journalEntry,
+    approveToolCalls,
+    runToolCalls,
+    continueAgent = defaultContinueAgent,
+    explainToolCalls = defaultExplain,
+    budgetExhausted = () => undefined,
+    onUsage,
+    nowMs = () => Date.now(),
+}) {
+    const deadlineMs = nowMs() + config.agentDecisionTimeoutMs;
+    let decision = firstDecision;
+    let turn = journalEntry;
+    let toolCallsUsed = 0;
+    let acted = false;
+
+    for (let step = 1; ; step += 1) {
+        if (decision.toolCalls.length === 0) {
+            if (decision.textDecision) {
+                logger.info('Decision', { decision: decision.textDecision });
+                if (acted) journalEntry.stopReason = 'final';
+                return true;
+            }
+            return acted;
+        }
+
+        const approvedToolCalls = (await approveToolCalls(decision.toolCalls, turn)).slice(
+            0,
+            config.agentMaxToolCalls - toolCallsUsed
+        );
+        turn.approvedToolCalls = approvedToolCalls;
+        if (approvedToolCalls.length === 0) {
+            return acted;
+        }
+
+        toolCallsUsed += approvedToolCalls.length;
+        const toolOutputs = await runToolCalls(approvedToolCalls, turn);
+        acted = true;
+        const modelCallIds = new Set(
+            approvedToolCalls
+                .map((call) => call?.callId)
+                .filter((callId) => typeof callId === 'string' && callId.length > 0)
+        );
+        const modelOutputs = toolOutputs.filter(
+            (output) => output?.callId && modelCallIds.has(output.callId)
+        );
+        // Outputs of calls the runner made on its own, such as the automatic proposal after
+        // build_og_transactions, answer no model call, so they are passed along as a note.
+        const runnerOutputs = toolOutputs.filter((output) => !modelCallIds.has(output?.callId));
+
+        if (!decision.conversation || modelOutputs.length === 0) {
+            return true;
+        }
+
+        const budgetReason = budgetExhausted();
+        if (budgetReason) {
+            logger.warn('LLM budget exhausted; ending the tool loop.', { reason: budgetReason });
+            journalEntry.stopReason = 'llm_budget';
+            return true;
+        }
+        const stopReason = stopReasonFor({ config, step, toolCallsUsed, deadlineMs, nowMs });
+        if (stopReason) {
+            journalEntry.stopReason = stopReason;
+            const explanation = await explainToolCalls({
+                config,
+                conversation: decision.conversation,
+                toolOutputs: modelOutputs,
+                onUsage,
+            });
+            if (explanation) {
+                logger.info('Agent explanation', { explanation });
+                journalEntry.explanation = explanation;
+            }
+            return true;
+        }
+
+        decision = await continueAgent({
+            config,
+            conversation: decision.conversation,
+            toolOutputs: modelOutputs,
+            note:
+                runnerOutputs.length > 0
+                    ? JSON.stringify({ runnerToolOutputs: runnerOutputs.map(journalToolOutput) })
+                    : undefined,
+            onUsage,
+        });
+        turn = {};
+        recordTurn(turn, decision);
+        journalEntry.followUps = [...(journalEntry.followUps ?? []), turn];
+    }
+}
+
+export {
+    decidePolicyToolCalls,
+    journalToolOutput,
+    recordTurn,
+    runToolLoop,
+    validateModelToolCalls,
+};
@@ -1,4 +1,8 @@
 import { getAddress } from 'viem';
+import { isExecutionSimulationError } from './execution-simulation.js';
+import { isFeePolicyError } from './fee-policy.js';
+import { createLogger } from './logger.js';
+import { agentMetrics } from './metrics.js';
 import {
     buildOgTransactions,
     makeDeposit,
@@ -13,12 +17,34 @@ import {
     resolveClobExchangeAddress,
     signClobOrder,
 } from './polymarket.js';
-import { parseToolArguments } from './utils.js';
+import { parseToolArguments, summarizeReceipt } from './utils.js';
+
+const logger = createLogger('agent');
 
 function safeStringify(value) {
     return JSON.stringify(value, (_, item) => (typeof item === 'bigint' ? item.toString() : item));
 }
 
+// A pre-send check refused the action: tell the model why instead of failing the whole tool round.
+function isRefusal(error) {
+    return isFeePolicyError(error) || isExecutionSimulationError(error);
+}
+
+function refusalOutput(call, error) {
+    return {
+        callId: call.callId,
+        name: call.name,
+        output: safeStringify({
+            status: 'error',
+            reason: error.code,
+            message: error.message,
+            ...(error.executionSimulation
+                ? { executionSimulation: error.executionSimulation }
+                : {}),
+        }),
+    };
+}
+
 function normalizeOrderSide(value) {
     if (typeof value !== 'string') return undefined;
     const normalized = value.trim().toUpperCase();
@@ -354,7 +380,7 @@ function toolDefinitions({
             type: 'function',
             name: 'post_bond_and_propose',
             description:
-                'Post bond (if required) and propose transactions to the Optimistic Governor.',
+                'Post bond (if required) and propose transactions to the Optimistic Governor. The batch is first simulated as the Safe would execute it; if any transaction would revert, nothing is proposed and the per-transaction results are returned.',
             strict: true,
             parameters: {
                 type: 'object',
@@ -375,6 +401,16 @@ function toolDefinitions({
                             required: ['to', 'value', 'data', 'operation'],
                         },
                     },
+                    explanation: {
+                        type: ['string', 'null'],
+                        description:
+                            'Why this batch follows the commitment rules, for disputers and UMA voters. Placed in the on-chain proposal explanation.',
+                    },
+                    rationale: {
+                        type: ['string', 'null'],
+                        description:
+                            'Optional JSON object with structured rationale, e.g. {"signals":[...],"rule":"..."}, referencing the signals that triggered this proposal.',
+                    },
                 },
                 required: ['transactions'],
             },
@@ -584,7 +620,11 @@ async function executeToolCalls({
     for (const call of toolCalls) {
         const args = parseToolArguments(call.arguments);
         if (!args) {
-            console.warn('[agent] Skipping tool call with invalid args:', call);
+            logger.warn('Skipping tool call with invalid args', {
+                tool: call.name,
+                callId: call.callId,
+                arguments: call.arguments,
+            });
             continue;
         }
 
@@ -959,20 +999,28 @@ async function executeToolCalls({
                 });
                 continue;
             }
-            const txHash = await makeDeposit({
-                walletClient,
-                account,
-                config,
-                asset: args.asset,
-                amountWei: BigInt(args.amountWei),
-            });
-            await publicClient.waitForTransactionReceipt({ hash: txHash });
+            let txHash;
+            try {
+                txHash = await makeDeposit({
+                    walletClient,
+                    account,
+                    config,
+                    asset: args.asset,
+                    amountWei: BigInt(args.amountWei),
+                });
+            } catch (error) {
+                if (!isRefusal(error)) throw error;
+                outputs.push(refusalOutput(call, error));
+                continue;
+            }
+            const receipt = await publicClient.waitForTransactionReceipt({ hash: txHash });
             outputs.push({
                 callId: call.callId,
                 name: call.name,
                 output: safeStringify({
-                    status: 'confirmed',
+                    status: receipt.status === 'success' ? 'confirmed' : 'reverted',
                     transactionHash: String(txHash),
+                    receipt: summarizeReceipt(receipt),
                 }),
             });
             continue;
@@ -990,23 +1038,31 @@ async function executeToolCalls({
                 });
                 continue;
             }
-            const txHash = await makeErc1155Deposit({
-                publicClient,
-                walletClient,
-                account,
-                config,
-                token: args.token,
-                tokenId: args.tokenId,
-                amount: args.amount,
-                data: args.data,
-            });
-            await publicClient.waitForTransactionReceipt({ hash: txHash });
+            let txHash;
+            try {
+                txHash = await makeErc1155Deposit({
+                    publicClient,
+                    walletClient,
+                    account,
+                    config,
+                    token: args.token,
+                    tokenId: args.tokenId,
+                    amount: args.amount,
+                    data: args.data,
+                });
+            } catch (error) {
+                if (!isRefusal(error)) throw error;
+                outputs.push(refusalOutput(call, error));
+                continue;
+            }
+            const receipt = await publicClient.waitForTransactionReceipt({ hash: txHash });
             outputs.push({
                 callId: call.callId,
                 name: call.name,
                 output: safeStringify({
-                    status: 'confirmed',
+                    status: receipt.status === 'success' ? 'confirmed' : 'reverted',
                     transactionHash: String(txHash),
+                    receipt: summarizeReceipt(receipt),
                 }),
             });
             continue;
@@ -1031,14 +1087,39 @@ async function executeToolCalls({
                 data: tx.data,
                 operation: Number(tx.operation),
             }));
-            const result = await postBondAndPropose({
-                publicClient,
-                walletClient,
-                account,
-                config,
-                ogModule: config.ogModule,
-                transactions,
-            });
+            let rationale;
+            if (typeof args.rationale === 'string' && args.rationale.trim()) {
+                try {
+                    rationale = JSON.parse(args.rationale);
+                } catch (error) {
+                    outputs.push({
+                        callId: call.callId,
+                        name: call.name,
+                        output: safeStringify({
+                            status: 'error',
+                            message: `rationale must be a JSON string: ${error.message}`,
+                        }),
+                    });
+                    continue;
+                }
+            }
+            let result;
+            try {
+                result = await postBondAndPropose({
+                    publicClient,
+                    walletClient,
+                    account,
+                    config,
+                    ogModule: config.ogModule,
+                    transactions,
+                    explanation: args.explanation ?? undefined,
+                    rationale,
+                });
+            } catch (error) {
+                if (!isRefusal(error)) throw error;
+                outputs.push(refusalOutput(call, error));
+                continue;
+            }
             outputs.push({
                 callId: call.callId,
                 name: call.name,
@@ -1082,6 +1163,10 @@ async function executeToolCalls({
                     }),
                 });
             } catch (error) {
+                if (isRefusal(error)) {
+                    outputs.push(refusalOutput(call, error));
+                    continue;
+                }
                 outputs.push({
                     callId: call.callId,
                     name: call.name,
@@ -1094,7 +1179,7 @@ async function executeToolCalls({
             continue;
         }
 
-        console.warn('[agent] Unknown tool call:', call.name);
+        logger.warn('Unknown tool call', { tool: call.name, callId: call.callId });
         outputs.push({
             callId: call.callId,
             name: call.name,
@@ -1104,28 +1189,52 @@ async function executeToolCalls({
 
     if (builtTransactions && !hasPostProposal) {
         if (!config.proposeEnabled) {
-            console.log('[agent] Built transactions but proposals are disabled; skipping propose.');
+            logger.info('Built transactions but proposals are disabled; skipping propose.');
         } else {
-            const result = await postBondAndPropose({
-                publicClient,
-                walletClient,
-                account,
-                config,
-                ogModule: config.ogModule,
-                transactions: builtTransactions,
-            });
-            outputs.push({
+            const autoCall = {
                 callId: 'auto_post_bond_and_propose',
                 name: 'post_bond_and_propose',
-                output: safeStringify({
-                    status: 'submitted',
-                    ...result,
-                }),
-            });
+            };
+            try {
+                const result = await postBondAndPropose({
+                    publicClient,
+                    walletClient,
+                    account,
+                    config,
+                    ogModule: config.ogModule,
+                    transactions: builtTransactions,
+                });
+                outputs.push({
+                    ...autoCall,
+                    output: safeStringify({
+                        status: 'submitted',
+                        ...result,
+                    }),
+                });
+            } catch (error) {
+                if (!isRefusal(error)) throw error;
+                outputs.push(refusalOutput(autoCall, error));
+            }
         }
     }
 
-    return outputs.filter((item) => item.callId);
+    const results = outputs.filter((item) => item.callId);
+    for (const item of results) {
+        let parsed;
+        try {
+            parsed = JSON.parse(item.output);
+        } catch (error) {
+            parsed = {};
+        }
+        logger.info('Tool call finished', {
+            tool: item.name,
+            callId: item.callId,
+            status: parsed?.status,
+            transactionHash: parsed?.transactionHash,
+        });
+        agentMetrics.toolCalls.inc({ tool: item.name, status: parsed?.status ?? 'unknown' });
+    }
+    return results;
 }
 
 export { executeToolCalls, toolDefinitions };
@@ -0,0 +1,266 @@
+import { encodeFunctionData } from 'viem';
+import { createFeePolicy } from './fee-policy.js';
+import { createLogger } from './logger.js';
+
+const logger = createLogger('agent');
+
+const DEFAULT_REPLACE_AFTER_MS = 120_000;
+const DEFAULT_FEE_BUMP_PERCENT = 20;
+const DEFAULT_MAX_REPLACEMENTS = 3;
+const DEFAULT_MONITOR_INTERVAL_MS = 15_000;
+// Nodes reject same-nonce replacements that raise fees by less than 10%.
+const MIN_FEE_BUMP_PERCENT = 10;
+
+function isNonceTooLowError(error) {
+    const text = `${error?.shortMessage ?? ''} ${error?.details ?? ''} ${error?.message ?? ''}`;
+    return /nonce too low|nonce has already been used|already known/i.test(text);
+}
+
+function bumpFee(value, percent) {
+    if (value === undefined || value === null) return value;
+    const base = BigInt(value);
+    const bumped = (base * BigInt(100 + percent) + 99n) / 100n;
+    return bumped > base ? bumped : base + 1n;
+}
+
+function pickFees(request) {
+    if (request.maxFeePerGas !== undefined || request.maxPriorityFeePerGas !== undefined) {
+        return {
+            maxFeePerGas: request.maxFeePerGas,
+            maxPriorityFeePerGas: request.maxPriorityFeePerGas,
+        };
+    }
+    if (request.gasPrice !== undefined) {
+        return { gasPrice: request.gasPrice };
+    }
+    return undefined;
+}
+
+function bumpFees(fees, percent) {
+    if (fees.gasPrice !== undefined) {
+        return { ...fees, gasPrice: bumpFee(fees.gasPrice, percent) };
+    }
+    return {
+        ...fees,
+        maxFeePerGas: bumpFee(fees.maxFeePerGas, percent),
+        maxPriorityFeePerGas: bumpFee(fees.maxPriorityFeePerGas, percent),
+    };
+}
+
+function toTransactionRequest({ address, abi, functionName, args, dataSuffix, ...rest }) {
+    const data = encodeFunctionData({ abi, functionName, args });
+    return {
+        ...rest,
+        to: address,
+        data: dataSuffix ? `${data}${dataSuffix.replace(/^0x/, '')}` : data,
+    };
+}
+
+// Wraps a wallet client so every send from the agent wallet goes through one serialized queue
+// with explicit nonces. Callers keep using writeContract/sendTransaction and
+// publicClient.waitForTransactionReceipt, which follows replacements to the final receipt.
+// Requests may carry an `action` tag for the fee policy; it is stripped before sending.
+function createTransactionQueue({
+    publicClient,
+    walletClient,
+    account,
+    replaceAfterMs = DEFAULT_REPLACE_AFTER_MS,
+    feeBumpPercent = DEFAULT_FEE_BUMP_PERCENT,
+    maxReplacements = DEFAULT_MAX_REPLACEMENTS,
+    monitorIntervalMs = DEFAULT_MONITOR_INTERVAL_MS,
+    feePolicy,
+    nowMs = () => Date.now(),
+}) {
+    if (feeBumpPercent < MIN_FEE_BUMP_PERCENT) {
+        throw new Error(`Fee bump must be at least ${MIN_FEE_BUMP_PERCENT}%.`);
+    }
+
+    const address = account.address;
+    const pending = new Map();
+    let tail = Promise.resolve();
+    let nextNonce;
+    let monitorTimer;
+
+    function enqueue(task) {
+        const run = tail.then(task, task);
+        tail = run.catch(() => {});
+        return run;
+    }
+
+    async function reserveNonce() {
+        const chainNonce = await publicClient.getTransactionCount({ address, blockTag: 'pending' });
+        return nextNonce === undefined || chainNonce > nextNonce ? chainNonce : nextNonce;
+    }
+
+    async function resolveFees(request) {
+        const explicit = pickFees(request);
+        if (explicit) return explicit;
+        if (feePolicy) return feePolicy.getFees(request);
+        const estimated = await publicClient.estimateFeesPerGas();
+        return pickFees(estimated) ?? {};
+    }
+
+    function ensureMonitor() {
+        if (monitorTimer || pending.size === 0) return;
+        monitorTimer = setInterval(() => {
+            checkPending().catch((error) => {
+                logger.warn('Pending transaction check failed', { error });
+            });
+        }, monitorIntervalMs);
+        monitorTimer.unref?.();
+    }
+
+    function stopMonitorIfIdle() {
+        if (pending.size > 0 || !monitorTimer) return;
+        clearInterval(monitorTimer);
+        monitorTimer = undefined;
+    }
+
+    async function submit({ action, ...request }) {
+        return enqueue(async () => {
+            const nonce = await reserveNonce();
+            const fees = await resolveFees({
+                ...request,
+                account: request.account ?? account,
+                action,
+            });
+            const hash = await walletClient.sendTransaction({
+                ...request,
+                ...fees,
+                account: request.account ?? account,
+                nonce,
+            });
+            nextNonce = nonce + 1;
+            pending.set(nonce, {
+                nonce,
+                hash,
+                hashes: [hash],
+                action,
+                request,
+                fees,
+                sentAtMs: nowMs(),
+                replacements: 0,
+            });
+            feePolicy?.recordSent({ nonce, action, request, fees });
+            ensureMonitor();
+            return hash;
+        });
+    }
+
+    async function replace(entry) {
+        const fees = bumpFees(entry.fees, feeBumpPercent);
+        try {
+            feePolicy?.checkReplacement({ action: entry.action, fees });
+            const hash = await walletClient.sendTransaction({
+                ...entry.request,
+                ...fees,
+                account: entry.request.account ?? account,
+                nonce: entry.nonce,
+            });
+            logger.warn('Replaced stuck transaction', {
+                transactionHash: entry.hash,
+                replacementHash: hash,
+                nonce: entry.nonce,
+            });
+            entry.hash = hash;
+            entry.hashes.push(hash);
+            entry.fees = fees;
+            entry.replacements += 1;
+            feePolicy?.recordSent({
+                nonce: entry.nonce,
+                action: entry.action,
+                request: entry.request,
+                fees,
+            });
+        } catch (error) {
+            if (isNonceTooLowError(error)) {
+                await settle(entry);
+                return;
+            }
+            logger.warn('Failed to replace transaction', {
+                transactionHash: entry.hash,
+                nonce: entry.nonce,
+                error,
+            });
+        }
+        entry.sentAtMs = nowMs();
+    }
+
+    async function settle(entry) {
+        pending.delete(entry.nonce);
+        try {
+            await feePolicy?.recordMined({ nonce: entry.nonce, hashes: entry.hashes });
+        } catch (error) {
+            logger.warn('Failed to record gas spend', { error });
+        }
+    }
+
+    async function checkPending() {
+        if (pending.size === 0) return;
+        const minedNonce = await publicClient.getTransactionCount({ address, blockTag: 'latest' });
+        for (const entry of Array.from(pending.values())) {
+            if (entry.nonce < minedNonce) {
+                await settle(entry);
+                continue;
+            }
+            if (nowMs() - entry.sentAtMs < replaceAfterMs) continue;
+            if (entry.replacements >= maxReplacements) {
+                if (!entry.exhausted) {
+                    entry.exhausted = true;
+                    logger.warn(
+                        `Transaction ${entry.hash} (nonce ${entry.nonce}) still pending after ${maxReplacements} fee bumps.`
+                    );
+                }
+                continue;
+            }
+            await enqueue(() => replace(entry));
+        }
+        stopMonitorIfIdle();
+    }
+
+    return {
+        ...walletClient,
+        account: walletClient.account ?? account,
+        sendTransaction: (request) => submit(request),
+        writeContract: (request) => submit(toTransactionRequest(request)),
+        checkPending,
+        pendingTransactions: () =>
+            Array.from(pending.values()).map(({ nonce, hash, hashes, replacements }) => ({
+                nonce,
+                hash,
+                hashes: [...hashes],
+                replacements,
+            })),
+        stop() {
+            clearInterval(monitorTimer);
+            monitorTimer = undefined;
+        },
+    };
+}
+
+// Builds the queue and fee policy the agent wallet uses from the TX_* and FEE_* settings. The
+// daily gas spend is kept in the `gas-budget` namespace of `stateStore` when one is given.
+function createAgentTransactionQueue({ config, publicClient, walletClient, account, stateStore }) {
+    const feePolicy = createFeePolicy({
+        publicClient,
+        priorityFeeStrategy: config.feePriorityStrategy,
+        priorityFeeWei: config.feePriorityFeeWei,
+        feeHistoryBlocks: config.feeHistoryBlocks,
+        feeHistoryPercentile: config.feeHistoryPercentile,
+        maxFeePerGasWei: config.feeMaxFeePerGasWei,
+        actionMaxFeePerGasWei: config.feeActionCaps,
+        dailyBudgetWei: config.gasDailyBudgetWei,
+        budgetStore: stateStore?.scoped('gas-budget'),
+    });
+    return createTransactionQueue({
+        publicClient,
+        walletClient,
+        account,
+        replaceAfterMs: config.txReplaceAfterMs,
+        feeBumpPercent: config.txFeeBumpPercent,
+        maxReplacements: config.txMaxReplacements,
+        feePolicy,
+    });
+}
+
+export { createAgentTransactionQueue, createTransactionQueue };
@@ -4,9 +4,16 @@ import {
     erc20Abi,
     getAddress,
     parseAbi,
-    stringToHex,
     zeroAddress,
 } from 'viem';
+import {
+    simulateProposalExecution,
+    simulationFailedError,
+} from './execution-simulation.js';
+import { buildProposalExplanation, pinExplanationDocument } from './explanation.js';
+import { isFeePolicyError } from './fee-policy.js';
+import { createLogger } from './logger.js';
+import { agentMetrics } from './metrics.js';
 import {
     optimisticGovernorAbi,
     optimisticOracleAbi,
@@ -18,7 +25,9 @@ import {
     relayPolymarketTransaction,
     resolveRelayerProxyWallet,
 } from './polymarket-relayer.js';
-import { normalizeHashOrNull, summarizeViemError } from './utils.js';
+import { normalizeHashOrNull, summarizeReceipt, summarizeViemError } from './utils.js';
+
+const logger = createLogger('agent');
 
 const conditionalTokensAbi = parseAbi([
     'function splitPosition(address collateralToken, bytes32 parentCollectionId, bytes32 conditionId, uint256[] partition, uint256 amount)',
@@ -30,6 +39,10 @@ const erc1155TransferAbi = parseAbi([
     'function safeTransferFrom(address from, address to, uint256 id, uint256 amount, bytes data)',
 ]);
 
+const uniswapV3SwapRouterAbi = parseAbi([
+    'function exactInputSingle((address tokenIn,address tokenOut,uint24 fee,address recipient,uint256 amountIn,uint256 amountOutMinimum,uint160 sqrtPriceLimitX96) params) payable returns (uint256 amountOut)',
+]);
+
 const ZERO_BYTES32 = '0x0000000000000000000000000000000000000000000000000000000000000000';
 
 function extractProposalHashFromReceipt({ receipt, ogModule }) {
@@ -66,6 +79,28 @@ function extractProposalHashFromReceipt({ receipt, ogModule }) {
     return null;
 }
 
+// BOND_SPENDER decides which contract pulls the proposal bond: the OG module, the optimistic
+// oracle, or both.
+function bondSpenders({ bondSpender, ogModule, optimisticOracle }) {
+    const spenders = [];
+    if (bondSpender === 'og' || bondSpender === 'both') spenders.push(ogModule);
+    if (bondSpender === 'oo' || bondSpender === 'both') spenders.push(optimisticOracle);
+    return spenders;
+}
+
+// With FUNDING_PREAPPROVE the allowance is topped up ahead of time, so a bond approval is only
+// sent when the standing allowance no longer covers it.
+async function allowanceCovers({ publicClient, config, token, owner, spender, amount }) {
+    if (!config.fundingPreapprove) return false;
+    const allowance = await publicClient.readContract({
+        address: token,
+        abi: erc20Abi,
+        functionName: 'allowance',
+        args: [owner, spender],
+    });
+    return allowance >= amount;
+}
+
 async function postBondAndPropose({
     publicClient,
     walletClient,
@@ -73,12 +108,36 @@ async function postBondAndPropose({
     config,
     ogModule,
     transactions,
+    explanation,
+    rationale,
 }) {
     if (!config.proposeEnabled) {
         throw new Error('Proposals disabled via PROPOSE_ENABLED.');
     }
 
     const normalizedTransactions = normalizeOgTransactions(transactions);
+
+    // Catch batches that would revert at execution before any bond is approved or posted.
+    let executionSimulation;
+    if (config.proposeSimulateExecution) {
+        try {
+            executionSimulation = await simulateProposalExecution({
+                publicClient,
+                commitmentSafe: config.commitmentSafe,
+                ogModule,
+                transactions: normalizedTransactions,
+                watchAssets: config.watchAssets,
+            });
+        } catch (error) {
+            const reason = error?.shortMessage ?? error?.message ?? String(error);
+            logger.warn('Execution simulation unavailable; proposing without it.', { error: reason });
+            executionSimulation = { ok: null, error: reason };
+        }
+        if (executionSimulation.ok === false) {
+            throw simulationFailedError(executionSimulation);
+        }
+    }
+
     const proposerBalance = await publicClient.getBalance({ address: account.address });
     const [collateral, bondAmount, optimisticOracle] = await Promise.all([
         publicClient.readContract({
@@ -106,7 +165,7 @@ async function postBondAndPropose({
             args: [collateral],
         });
     } catch (error) {
-        console.warn('[agent] Failed to fetch minimum bond from optimistic oracle:', error);
+        logger.warn('Failed to fetch minimum bond from optimistic oracle', { error });
     }
 
     const requiredBond = bondAmount > minimumBond ? bondAmount : minimumBond;
@@ -123,20 +182,28 @@ async function postBondAndPropose({
                 `Insufficient bond collateral balance: need ${requiredBond.toString()} wei, have ${collateralBalance.toString()}.`
             );
         }
-        const spenders = [];
-        if (config.bondSpender === 'og' || config.bondSpender === 'both') {
-            spenders.push(ogModule);
-        }
-        if (config.bondSpender === 'oo' || config.bondSpender === 'both') {
-            spenders.push(optimisticOracle);
-        }
+        const spenders = bondSpenders({
+            bondSpender: config.bondSpender,
+            ogModule,
+            optimisticOracle,
+        });
 
         for (const spender of spenders) {
+            const covered = await allowanceCovers({
+                publicClient,
+                config,
+                token: collateral,
+                owner: account.address,
+                spender,
+                amount: requiredBond,
+            });
+            if (covered) continue;
             const approveHash = await walletClient.writeContract({
                 address: collateral,
                 abi: erc20Abi,
                 functionName: 'approve',
                 args: [spender, requiredBond],
+                action: 'propose',
             });
             await publicClient.waitForTransactionReceipt({ hash: approveHash });
             const allowance = await publicClient.readContract({
@@ -161,8 +228,34 @@ async function postBondAndPropose({
 
     let proposalTxHash;
     let proposalHash;
-    const explanation = 'Agent serving Oya commitment.';
-    const explanationBytes = stringToHex(explanation);
+    let proposalReceipt;
+    const builtExplanation = buildProposalExplanation({
+        explanation,
+        rationale,
+        mode: config.proposalExplanationMode,
+    });
+    const { explanationBytes } = builtExplanation;
+    let explanationPinned = false;
+    if (builtExplanation.cid) {
+        if (config.ipfsApiUrl) {
+            try {
+                await pinExplanationDocument({
+                    apiUrl: config.ipfsApiUrl,
+                    document: builtExplanation.document,
+                    cid: builtExplanation.cid,
+                });
+                explanationPinned = true;
+            } catch (error) {
+                logger.warn('Failed to pin proposal explanation', { error });
+            }
+        }
+        if (!explanationPinned) {
+            // Only the hash goes on chain, so keep the document somewhere an operator can find it.
+            logger.warn(`Proposal explanation ipfs://${builtExplanation.cid} is not pinned`, {
+                document: builtExplanation.document,
+            });
+        }
+    }
     const proposalData = encodeFunctionData({
         abi: optimisticGovernorAbi,
         functionName: 'proposeTransactions',
@@ -182,11 +275,12 @@ async function postBondAndPropose({
         simulationError = error;
         const simulationMessage =
             error?.shortMessage ?? error?.message ?? summarizeViemError(error)?.message ?? String(error);
-        console.warn('[agent] Proposal simulation failed:', simulationMessage);
+        logger.warn('Proposal simulation failed', { error: simulationMessage });
         if (!config.allowProposeOnSimulationFail) {
+            agentMetrics.proposals.inc({ result: 'simulation_failed' });
             throw error;
         }
-        console.warn('[agent] Simulation failed; attempting to propose anyway.');
+        logger.warn('Simulation failed; attempting to propose anyway.');
     }
 
     try {
@@ -197,6 +291,7 @@ async function postBondAndPropose({
                 data: proposalData,
                 value: 0n,
                 gas: config.proposeGasLimit,
+                action: 'propose',
             });
         } else {
             proposalTxHash = await walletClient.writeContract({
@@ -204,9 +299,11 @@ async function postBondAndPropose({
                 abi: optimisticGovernorAbi,
                 functionName: 'proposeTransactions',
                 args: [normalizedTransactions, explanationBytes],
+                action: 'propose',
             });
         }
     } catch (error) {
+        if (isFeePolicyError(error)) throw error;
         submissionError = error;
         const message =
             error?.shortMessage ??
@@ -214,27 +311,28 @@ async function postBondAndPropose({
             simulationError?.shortMessage ??
             simulationError?.message ??
             String(error ?? simulationError);
-        console.warn('[agent] Propose submission failed:', message);
+        logger.warn('Propose submission failed', { error: message });
     }
 
+    agentMetrics.proposals.inc({ result: proposalTxHash ? 'submitted' : 'failed' });
     if (proposalTxHash) {
-        console.log('[agent] Proposal submitted tx:', proposalTxHash);
+        logger.info('Proposal submitted', { transactionHash: proposalTxHash });
         try {
-            const receipt = await publicClient.waitForTransactionReceipt({
+            proposalReceipt = await publicClient.waitForTransactionReceipt({
                 hash: proposalTxHash,
             });
             proposalHash = extractProposalHashFromReceipt({
-                receipt,
+                receipt: proposalReceipt,
                 ogModule,
             });
         } catch (error) {
             const reason = error?.shortMessage ?? error?.message ?? String(error);
-            console.warn('[agent] Failed to resolve OG proposalHash from receipt:', reason);
+            logger.warn('Failed to resolve OG proposalHash from receipt', { error: reason });
         }
     }
 
     if (proposalHash) {
-        console.log('[agent] OG proposal hash:', proposalHash);
+        logger.info('OG proposal hash', { proposalHash, transactionHash: proposalTxHash });
     }
 
     return {
@@ -246,6 +344,11 @@ async function postBondAndPropose({
         bondAmount,
         collateral,
         optimisticOracle,
+        receipt: summarizeReceipt(proposalReceipt),
+        executionSimulation,
+        explanation: builtExplanation.text,
+        explanationCid: builtExplanation.cid,
+        explanationPinned: builtExplanation.cid ? explanationPinned : undefined,
         submissionError: submissionError ? summarizeViemError(submissionError) : null,
     };
 }
@@ -317,13 +420,24 @@ async function postBondAndDispute({
             );
         }
 
-        const approveHash = await walletClient.writeContract({
-            address: currency,
-            abi: erc20Abi,
-            functionName: 'approve',
-            args: [optimisticOracle, bond],
+        const covered = await allowanceCovers({
+            publicClient,
+            config,
+            token: currency,
+            owner: account.address,
+            spender: optimisticOracle,
+            amount: bond,
         });
-        await publicClient.waitForTransactionReceipt({ hash: approveHash });
+        if (!covered) {
+            const approveHash = await walletClient.writeContract({
+                address: currency,
+                abi: erc20Abi,
+                functionName: 'approve',
+                args: [optimisticOracle, bond],
+                action: 'dispute',
+            });
+            await publicClient.waitForTransactionReceipt({ hash: approveHash });
+        }
     }
 
     let disputeHash;
@@ -340,20 +454,26 @@ async function postBondAndDispute({
             abi: optimisticOracleAbi,
             functionName: 'disputeAssertion',
             args: [assertionId, account.address],
+            action: 'dispute',
         });
     } catch (error) {
+        if (isFeePolicyError(error)) throw error;
         const message = error?.shortMessage ?? error?.message ?? String(error);
+        agentMetrics.disputes.inc({ result: 'failed' });
         throw new Error(`Dispute submission failed: ${message}`);
     }
+    agentMetrics.disputes.inc({ result: 'submitted' });
 
     if (explanation) {
-        console.log(`[agent] Dispute rationale: ${explanation}`);
+        logger.info('Dispute rationale', { assertionId, explanation });
     }
 
-    console.log('[agent] Dispute submitted:', disputeHash);
+    logger.info('Dispute submitted', { assertionId, transactionHash: disputeHash });
+    const disputeReceipt = await publicClient.waitForTransactionReceipt({ hash: disputeHash });
 
     return {
         disputeHash,
+        receipt: summarizeReceipt(disputeReceipt),
         bondAmount: bond,
         collateral: currency,
         optimisticOracle,
@@ -481,11 +601,8 @@ function buildOgTransactions(actions, options = {}) {
                 operation,
             });
 
-            const swapAbi = parseAbi([
-                'function exactInputSingle((address tokenIn,address tokenOut,uint24 fee,address recipient,uint256 amountIn,uint256 amountOutMinimum,uint160 sqrtPriceLimitX96) params) payable returns (uint256 amountOut)',
-            ]);
             const swapData = encodeFunctionData({
-                abi: swapAbi,
+                abi: uniswapV3SwapRouterAbi,
                 functionName: 'exactInputSingle',
                 args: [
                     {
@@ -639,6 +756,7 @@ async function makeDeposit({
             account,
             to: config.commitmentSafe,
             value: BigInt(depositAmount),
+            action: 'deposit',
         });
     }
 
@@ -647,6 +765,7 @@ async function makeDeposit({
         abi: erc20Abi,
         functionName: 'transfer',
         args: [config.commitmentSafe, BigInt(depositAmount)],
+        action: 'deposit',
     });
 }
 
@@ -724,14 +843,19 @@ async function makeErc1155Deposit({
             normalizedAmount,
             transferData,
         ],
+        action: 'deposit',
     });
 }
 
 export {
+    bondSpenders,
     buildOgTransactions,
+    conditionalTokensAbi,
+    erc1155TransferAbi,
     makeErc1155Deposit,
     makeDeposit,
     normalizeOgTransactions,
     postBondAndDispute,
     postBondAndPropose,
+    uniswapV3SwapRouterAbi,
 };
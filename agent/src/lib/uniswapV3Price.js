@@ -1,4 +1,7 @@
 import { erc20Abi, getAddress, parseAbi, zeroAddress } from 'viem';
+import { createLogger } from './logger.js';
+
+const logger = createLogger('agent');
 
 const uniswapV3PoolAbi = parseAbi([
     'function token0() view returns (address)',
@@ -193,7 +196,7 @@ async function collectPriceTriggerSignals({
             ? String(trigger.id)
             : 'unknown-trigger';
         if (!trigger || typeof trigger !== 'object') {
-            console.warn(`[agent] Price trigger ${triggerId} skipped: malformed trigger entry.`);
+            logger.warn(`Price trigger ${triggerId} skipped: malformed trigger entry.`);
             continue;
         }
         try {
@@ -219,8 +222,8 @@ async function collectPriceTriggerSignals({
             const baseIsToken1 = poolMeta.token1 === baseToken && poolMeta.token0 === quoteToken;
 
             if (!baseIsToken0 && !baseIsToken1) {
-                console.warn(
-                    `[agent] Price trigger ${trigger.id} skipped: pool ${pool} does not match base/quote tokens.`
+                logger.warn(
+                    `Price trigger ${trigger.id} skipped: pool ${pool} does not match base/quote tokens.`
                 );
                 continue;
             }
@@ -278,7 +281,7 @@ async function collectPriceTriggerSignals({
                 triggerTimestampMs: nowMs,
             });
         } catch (error) {
-            console.warn(`[agent] Price trigger ${triggerId} skipped:`, error?.message ?? error);
+            logger.warn(`Price trigger ${triggerId} skipped`, { error });
             continue;
         }
     }
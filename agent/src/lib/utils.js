@@ -1,7 +1,7 @@
 import { decodeFunctionData, erc20Abi, getAddress } from 'viem';
 
-function mustGetEnv(key) {
-    const value = process.env[key];
+function mustGetEnv(key, env = process.env) {
+    const value = env[key];
     if (!value) {
         throw new Error(`Missing required env var ${key}`);
     }
@@ -22,6 +22,29 @@ function parseAddressList(list) {
         .map(getAddress);
 }
 
+// Parses `contract:tokenId` pairs; a bare contract watches every token id unless one is required.
+function parseTokenIdWatchList(list, { label, requireTokenId = false } = {}) {
+    if (!list) return [];
+    return list
+        .split(',')
+        .map((value) => value.trim())
+        .filter(Boolean)
+        .map((entry) => {
+            const [token, rawTokenId] = entry.split(':').map((part) => part.trim());
+            const tokenId = normalizeTokenId(rawTokenId);
+            if (rawTokenId !== undefined && tokenId === null) {
+                throw new Error(`${label}: invalid token id in '${entry}'`);
+            }
+            if (requireTokenId && tokenId === null) {
+                throw new Error(`${label}: expected contract:tokenId, got '${entry}'`);
+            }
+            return {
+                token: getAddress(token),
+                tokenId: tokenId === null ? undefined : BigInt(tokenId),
+            };
+        });
+}
+
 function summarizeViemError(error) {
     if (!error) return null;
 
@@ -96,6 +119,25 @@ function decodeErc20TransferCallData(data) {
     }
 }
 
+function summarizeReceipt(receipt) {
+    if (!receipt) return null;
+
+    return {
+        transactionHash: receipt.transactionHash,
+        status: receipt.status,
+        blockNumber: receipt.blockNumber,
+        gasUsed: receipt.gasUsed,
+        effectiveGasPrice: receipt.effectiveGasPrice,
+    };
+}
+
+function compareLogPosition(a, b) {
+    const blockA = BigInt(a.blockNumber ?? 0n);
+    const blockB = BigInt(b.blockNumber ?? 0n);
+    if (blockA !== blockB) return blockA < blockB ? -1 : 1;
+    return Number(a.logIndex ?? 0) - Number(b.logIndex ?? 0);
+}
+
 function parseToolArguments(raw) {
     if (!raw) return null;
     if (typeof raw === 'object') return raw;
@@ -110,6 +152,7 @@ function parseToolArguments(raw) {
 }
 
 export {
+    compareLogPosition,
     decodeErc20TransferCallData,
     mustGetEnv,
     normalizeAddressOrNull,
@@ -119,6 +162,8 @@ export {
     normalizePrivateKey,
     parseFiniteNumber,
     parseAddressList,
+    parseTokenIdWatchList,
     parseToolArguments,
+    summarizeReceipt,
     summarizeViemError,
 };
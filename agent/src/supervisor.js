@@ -0,0 +1,94 @@
+import dotenv from 'dotenv';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { createPublicClient, http } from 'viem';
+import { startHealthServer } from './lib/health-server.js';
+import { configureLogger, createLogger } from './lib/logger.js';
+import { buildCommitmentConfigs, loadCommitmentManifest } from './lib/manifest.js';
+import { instrumentClient } from './lib/metrics.js';
+import { createSignerClient } from './lib/signer.js';
+import { commitmentStatePath, createStateStore, defaultStatePath } from './lib/state-store.js';
+import { createSupervisor } from './lib/supervisor.js';
+import { createAgentTransactionQueue } from './lib/tx-queue.js';
+import { mustGetEnv } from './lib/utils.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const repoRoot = path.resolve(__dirname, '../..');
+
+dotenv.config();
+dotenv.config({ path: path.resolve(repoRoot, 'agent/.env') });
+
+const logger = createLogger('supervisor');
+
+async function startSupervisor() {
+    const manifestPath = process.argv[2] ?? mustGetEnv('COMMITMENTS_MANIFEST');
+    const manifest = await loadCommitmentManifest(path.resolve(process.cwd(), manifestPath));
+    const commitments = buildCommitmentConfigs({ manifest });
+    // LOG_FORMAT and LOG_LEVEL are process-wide, so every commitment config carries the same values.
+    configureLogger({
+        format: commitments[0].config.logFormat,
+        level: commitments[0].config.logLevel,
+    });
+
+    const rpcUrl = mustGetEnv('RPC_URL');
+    const publicClient = instrumentClient(createPublicClient({ transport: http(rpcUrl) }));
+    const { account, walletClient: signerClient } = await createSignerClient({ rpcUrl });
+    // One queue assigns nonces and applies the fee policy and gas budget for every commitment.
+    // The budget is process-wide, so its spend is kept in a state file of its own, named like a
+    // commitment called `gas-budget` and using the first commitment's STATE_STORE settings.
+    const { stateStore: stateStoreKind, stateStorePath } = commitments[0].config;
+    const budgetStateStore = await createStateStore({
+        kind: stateStoreKind,
+        filePath: path.resolve(
+            repoRoot,
+            stateStorePath
+                ? commitmentStatePath(stateStorePath, 'gas-budget')
+                : defaultStatePath(stateStoreKind, 'gas-budget')
+        ),
+    });
+    const walletClient = createAgentTransactionQueue({
+        config: commitments[0].config,
+        publicClient,
+        walletClient: signerClient,
+        account,
+        stateStore: budgetStateStore,
+    });
+
+    const supervisor = createSupervisor({
+        commitments,
+        publicClient,
+        account,
+        walletClient,
+        repoRoot,
+        restartDelayMs: Number(process.env.SUPERVISOR_RESTART_DELAY_MS ?? 30_000),
+    });
+
+    // Failures are contained per commitment: a runner that fails to start is retried, and each
+    // loop iteration catches its own errors. Anything that still escapes, such as a fault in the
+    // shared transaction queue or signer, ends the process so its process manager restarts it.
+    logger.info(
+        `Starting ${commitments.length} commitments: ${commitments
+            .map((commitment) => commitment.name)
+            .join(', ')}`
+    );
+    await supervisor.start();
+
+    const { healthPort, healthHost } = commitments[0].config;
+    if (healthPort !== undefined) {
+        await startHealthServer({
+            port: healthPort,
+            host: healthHost,
+            getHealth: () => supervisor.health(),
+        });
+    }
+}
+
+if (import.meta.url === `file://${process.argv[1]}`) {
+    startSupervisor().catch((error) => {
+        logger.error('failed to start', { error });
+        process.exit(1);
+    });
+}
+
+export { startSupervisor };